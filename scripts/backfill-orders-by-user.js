@@ -0,0 +1,41 @@
+const {
+    waitForCassandraReady,
+    useKeyspace,
+    executeQuery,
+    scanRows,
+    closeConnection,
+    cassandraConfig
+} = require('../src/database/cassandraConnection');
+const { backfillOrdersByUser } = require('../src/database/ordersByUser');
+
+/**
+ * Backfill bảng orders_by_user từ bảng orders
+ * 
+ * Usage:
+ *   node scripts/backfill-orders-by-user.js
+ * 
+ * Chạy sau khi migration 006 đã được apply (npm run migrate).
+ * An toàn khi chạy lại: mỗi order được upsert theo (user_id, created_at, order_id).
+ */
+async function main() {
+    let success = false;
+    try {
+        if (!(await waitForCassandraReady(5, 3000))) {
+            throw new Error('Cassandra cluster is not reachable');
+        }
+        await useKeyspace(cassandraConfig.keyspace);
+        
+        console.log('🔄 Backfilling orders_by_user...');
+        const { copied, skipped } = await backfillOrdersByUser({ executeQuery, scanRows });
+        console.log(`✅ Backfill completed: ${copied} order(s) copied, ${skipped} skipped`);
+        success = true;
+    } catch (error) {
+        console.error('❌ Backfill failed:', error.message);
+    } finally {
+        await closeConnection();
+    }
+    
+    process.exit(success ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,84 @@
+const {
+    waitForCassandraReady,
+    createKeyspace,
+    useKeyspace,
+    getMigrator,
+    closeConnection,
+    cassandraConfig
+} = require('../src/database/cassandraConnection');
+
+/**
+ * CLI quản lý schema migrations
+ * 
+ * Usage:
+ *   node scripts/migrate.js up       - Apply tất cả pending migrations
+ *   node scripts/migrate.js up --accept-modified
+ *                                    - Như up, ghi nhận checksum mới cho migrations
+ *                                      đã apply nhưng file bị sửa (không chạy lại)
+ *   node scripts/migrate.js status   - Liệt kê migrations và trạng thái (alias: list)
+ *   node scripts/migrate.js check    - Exit code 1 nếu có migration pending/modified/missing
+ */
+const COMMANDS = {
+    async up(migrator) {
+        const applied = await migrator.migrate({ acceptModified: process.argv.includes('--accept-modified') });
+        console.log(`✅ Applied ${applied.length} migration(s)`);
+        return true;
+    },
+
+    async status(migrator) {
+        const rows = await migrator.status();
+        console.table(rows.map(row => ({
+            version: row.version,
+            name: row.name,
+            state: row.state,
+            applied_at: row.appliedAt || '-',
+            applied_by: row.appliedBy || '-'
+        })));
+        return true;
+    },
+
+    async check(migrator) {
+        const result = await migrator.check();
+        if (result.ok) {
+            console.log('✅ Schema is up to date');
+            return true;
+        }
+        
+        result.pending.forEach(row => console.log(`⏳ Pending:  ${row.version}_${row.name}`));
+        result.modified.forEach(row => console.log(`⚠️  Modified: ${row.version}_${row.name} (checksum differs from applied version)`));
+        result.missing.forEach(row => console.log(`❓ Missing:  ${row.version}_${row.name} (applied but file not found)`));
+        return false;
+    }
+};
+COMMANDS.apply = COMMANDS.up;
+COMMANDS.list = COMMANDS.status;
+
+async function main() {
+    const command = process.argv[2] || 'status';
+    if (!COMMANDS[command]) {
+        console.error(`Unknown command "${command}". Usage: node scripts/migrate.js <up|status|check>`);
+        process.exit(2);
+    }
+    
+    let success = false;
+    try {
+        if (!(await waitForCassandraReady(5, 3000))) {
+            throw new Error('Cassandra cluster is not reachable');
+        }
+        
+        if (command === 'up' || command === 'apply') {
+            await createKeyspace();
+        }
+        await useKeyspace(cassandraConfig.keyspace);
+        
+        success = await COMMANDS[command](getMigrator());
+    } catch (error) {
+        console.error('❌ Migration command failed:', error.message);
+    } finally {
+        await closeConnection();
+    }
+    
+    process.exit(success ? 0 : 1);
+}
+
+main();
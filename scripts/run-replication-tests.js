@@ -0,0 +1,160 @@
+const {
+    waitForCassandraReady,
+    initializeDatabase,
+    useKeyspace,
+    closeConnection,
+    getReplicationChecker,
+    cassandraConfig,
+    isMemoryBackend
+} = require('../src/database/cassandraConnection');
+
+/**
+ * Replication test: đọc trực tiếp từng replica của partitions
+ * 
+ * Usage:
+ *   node scripts/run-replication-tests.js                          # Sample 20 keys của users và orders
+ *   node scripts/run-replication-tests.js --sample=50 --tables=users,orders,products
+ *   node scripts/run-replication-tests.js users <user id>          # Một partition cụ thể
+ *   node scripts/run-replication-tests.js orders <order id> --json
+ * 
+ * Replicas được tìm từ driver metadata; mỗi replica được đọc ở consistency ONE
+ * với host pinning, rồi so sánh values và WRITETIME() (xem database/replication.js).
+ * Exit code 1 khi có partition không "consistent" (divergent, under_replicated,
+ * incomplete, hoặc not_found khi kiểm tra một key), 2 khi arguments không hợp lệ.
+ */
+
+const DEFAULT_TABLES = ['users', 'orders'];
+const DEFAULT_SAMPLE_SIZE = 20;
+
+function parseArgs(argv) {
+    const options = { tables: DEFAULT_TABLES, sample: DEFAULT_SAMPLE_SIZE, json: false, positional: [] };
+    argv.forEach(arg => {
+        const match = arg.match(/^--(\w+)(?:=(.*))?$/);
+        if (!match) {
+            options.positional.push(arg);
+        } else if (match[1] === 'sample') {
+            options.sample = Number(match[2]);
+        } else if (match[1] === 'tables') {
+            options.tables = String(match[2] || '').split(',').map(table => table.trim()).filter(Boolean);
+        } else if (match[1] === 'json') {
+            options.json = true;
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    });
+    if (!Number.isInteger(options.sample) || options.sample < 1) {
+        throw new Error('--sample phải là số nguyên >= 1');
+    }
+    if (options.positional.length === 1 || options.positional.length > 2) {
+        throw new Error('Kiểm tra một key: node scripts/run-replication-tests.js <table> <partition key>');
+    }
+    return options;
+}
+
+function printKeyReport(report) {
+    console.log(`\n🧬 ${report.keyspace}.${report.table} ${JSON.stringify(report.key)}` +
+        (report.token ? ` (token ${report.token})` : ''));
+    console.log(`   Expected replicas: ${report.expectedReplicas === null ? 'unknown' : report.expectedReplicas}`);
+    report.replicas.forEach(replica => {
+        const icon = replica.status === 'ok' ? '✅' : '❌';
+        console.log(`   ${icon} ${replica.host} [${replica.datacenter}/${replica.rack}] ${replica.status}` +
+            (replica.rowCount !== null ? ` - ${replica.rowCount} row(s)` : '') +
+            (replica.error ? ` - ${replica.error}` : ''));
+    });
+    report.divergences.forEach(divergence => {
+        const row = divergence.row.length > 0 ? ` row ${JSON.stringify(divergence.row)}` : '';
+        console.log(`   ⚠️  ${divergence.kind}${row}${divergence.column ? ` column ${divergence.column}` : ''}:`,
+            JSON.stringify(divergence.replicas));
+    });
+    console.log(`   Status: ${report.status}`);
+}
+
+function printSampleSummary(summaries) {
+    console.log('\n📊 Replication sample results');
+    const headers = ['table', 'sampled', 'consistent', 'divergent', 'under_replicated', 'incomplete', 'not_found'];
+    const rows = summaries.map(summary => headers.map(header => summary[header]));
+    const widths = headers.map((header, index) => Math.max(header.length, ...rows.map(row => String(row[index]).length)));
+    const line = cells => cells.map((cell, index) => String(cell).padEnd(widths[index])).join('  ');
+    console.log(line(headers));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    rows.forEach(row => console.log(line(row)));
+    
+    summaries.forEach(summary => {
+        summary.problems.forEach(problem => {
+            console.log(`\n⚠️  ${summary.table} ${JSON.stringify(problem.key)}: ${problem.status}`);
+            problem.replicas.forEach(({ host, status, error }) => {
+                console.log(`   - ${host}: ${status}${error ? ` (${error})` : ''}`);
+            });
+            problem.divergences.forEach(divergence => {
+                console.log(`   - ${divergence.kind}${divergence.column ? ` ${divergence.column}` : ''}:`,
+                    JSON.stringify(divergence.replicas));
+            });
+        });
+    });
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exit(2);
+    }
+    
+    // --json: stdout chỉ chứa report, mọi logs khác chuyển sang stderr
+    const writeStdout = process.stdout.write.bind(process.stdout);
+    if (options.json) {
+        process.stdout.write = process.stderr.write.bind(process.stderr);
+    }
+    
+    let success = false;
+    try {
+        if (isMemoryBackend) {
+            // Data của memory backend chỉ nằm trong process của từng service:
+            // dùng GET /admin/replication/... trên service để kiểm tra data thật
+            console.log('🧪 STORAGE_BACKEND=memory: chỉ có một replica, chỉ kiểm tra được data của process này');
+            await initializeDatabase();
+        } else {
+            if (!(await waitForCassandraReady(5, 3000))) {
+                throw new Error('Cassandra cluster is not reachable');
+            }
+            await useKeyspace(cassandraConfig.keyspace);
+        }
+        
+        const checker = getReplicationChecker();
+        
+        if (options.positional.length === 2) {
+            const [table, key] = options.positional;
+            const report = await checker.checkKey(table, key);
+            if (options.json) {
+                writeStdout(JSON.stringify(report, null, 2) + '\n');
+            } else {
+                printKeyReport(report);
+            }
+            success = report.status === 'consistent';
+        } else {
+            const summaries = [];
+            for (const table of options.tables) {
+                console.log(`🔄 Sampling ${options.sample} partition(s) of ${table}...`);
+                summaries.push(await checker.checkSample(table, options.sample));
+            }
+            if (options.json) {
+                writeStdout(JSON.stringify(summaries, null, 2) + '\n');
+            } else {
+                printSampleSummary(summaries);
+            }
+            success = summaries.every(summary => summary.problems.length === 0);
+        }
+        
+        console.log(success ? '\n✅ Replication verified' : '\n❌ Replication problems found');
+    } catch (error) {
+        console.error('❌ Replication test failed:', error.message);
+    } finally {
+        await closeConnection();
+    }
+    
+    process.exit(success ? 0 : 1);
+}
+
+main();
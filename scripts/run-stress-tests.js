@@ -0,0 +1,594 @@
+const axios = require('axios');
+const fs = require('fs');
+const { Histogram, DEFAULT_BUCKETS } = require('../src/utils/metrics');
+
+/**
+ * Stress test: load generator chạy qua API Gateway
+ *
+ * Usage:
+ *   node scripts/run-stress-tests.js [--concurrency=20] [--rps=100] [--duration=30]
+ *        [--mix=getUser=3,createOrder=2] [--json[=report.json]] [--inprocess]
+ *
+ * Mỗi option cũng đọc được từ env (STRESS_CONCURRENCY, STRESS_RPS, ...), flag override env.
+ * - concurrency: số workers gửi request song song
+ * - rps:         target requests/giây cho toàn bộ workers (0 = không giới hạn)
+ * - duration:    thời gian chạy (giây)
+ * - mix:         trọng số của từng operation (xem OPERATIONS)
+ * - json:        in report JSON ra stdout (--json) hoặc ghi vào file (--json=path)
+ * - inprocess:   tự khởi động gateway và services trong process (tests/harness.js,
+ *                in-memory backend) thay vì gọi GATEWAY_URL
+ *
+ * Trước khi đo, script seed users, products (stock lớn) và orders để các
+ * operations đọc có data. Exit code 1 khi vượt threshold (p95, p99, error rate,
+ * throughput tối thiểu), 2 khi options không hợp lệ.
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const OPTION_DEFAULTS = {
+    gateway: process.env.GATEWAY_URL || 'http://localhost:3003',
+    concurrency: process.env.STRESS_CONCURRENCY || 10,
+    rps: process.env.STRESS_RPS || 0,
+    duration: process.env.STRESS_DURATION || 30,
+    timeout: process.env.STRESS_TIMEOUT_MS || 10000,
+    mix: process.env.STRESS_MIX || 'createUser=1,getUser=3,listUsers=1,createOrder=2,getOrder=3,listUserOrders=2',
+    seedUsers: process.env.STRESS_SEED_USERS || 10,
+    seedProducts: process.env.STRESS_SEED_PRODUCTS || 5,
+    maxP95: process.env.STRESS_MAX_P95_MS || 1000,
+    maxP99: process.env.STRESS_MAX_P99_MS || 2500,
+    maxErrorRate: process.env.STRESS_MAX_ERROR_RATE || 0.01,
+    minThroughput: process.env.STRESS_MIN_THROUGHPUT || 0,
+    json: process.env.STRESS_JSON || '',
+    inprocess: process.env.STRESS_INPROCESS || ''
+};
+
+const NUMERIC_OPTIONS = [
+    'concurrency', 'rps', 'duration', 'timeout', 'seedUsers', 'seedProducts',
+    'maxP95', 'maxP99', 'maxErrorRate', 'minThroughput'
+];
+
+/**
+ * Buckets cho latency histogram (ms), cùng mốc với DEFAULT_BUCKETS của metrics
+ */
+const LATENCY_BUCKETS_MS = DEFAULT_BUCKETS.map(seconds => seconds * 1000);
+
+/**
+ * Pool tối đa số IDs giữ lại cho các operations đọc
+ */
+const MAX_POOL_SIZE = 1000;
+
+/**
+ * Error khi options không hợp lệ (exit code 2)
+ */
+class StressConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StressConfigError';
+    }
+}
+
+// =============================================================================
+// OPERATIONS
+// =============================================================================
+
+function pick(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+function remember(list, value) {
+    list.push(value);
+    if (list.length > MAX_POOL_SIZE) {
+        list.shift();
+    }
+}
+
+function uniqueSuffix() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Body cho POST /api/orders: 1-3 products ngẫu nhiên, quantity 1-3
+ */
+function buildOrder(state) {
+    const skus = [...new Set([pick(state.products), pick(state.products), pick(state.products)])]
+        .slice(0, 1 + Math.floor(Math.random() * 3));
+    return {
+        user_id: pick(state.users),
+        currency: 'USD',
+        items: skus.map(sku => ({
+            sku,
+            name: `Stress ${sku}`,
+            quantity: 1 + Math.floor(Math.random() * 3),
+            unit_price: 9.99
+        }))
+    };
+}
+
+/**
+ * Các operations có thể dùng trong mix
+ * Mỗi operation nhận (client, state) và trả về axios response; operations tạo
+ * entity thêm ID mới vào state để các operations đọc dùng lại
+ */
+const OPERATIONS = {
+    createUser: async (client, state) => {
+        const suffix = uniqueSuffix();
+        const response = await client.post('/api/users', { name: `Stress User ${suffix}`, email: `stress-${suffix}@example.com` });
+        if (response.status === 201 && response.data.id) {
+            remember(state.users, response.data.id);
+        }
+        return response;
+    },
+    getUser: (client, state) => client.get(`/api/users/${pick(state.users)}`),
+    listUsers: client => client.get('/api/users', { params: { limit: 20 } }),
+    createOrder: async (client, state) => {
+        const response = await client.post('/api/orders', buildOrder(state));
+        if (response.status === 201 && response.data.id) {
+            remember(state.orders, response.data.id);
+        }
+        return response;
+    },
+    getOrder: (client, state) => client.get(`/api/orders/${pick(state.orders)}`),
+    listUserOrders: (client, state) => client.get(`/api/orders/user/${pick(state.users)}`, { params: { limit: 20 } })
+};
+
+/**
+ * Parse mix "getUser=3,createOrder=2" thành danh sách { name, weight }
+ *
+ * @param {string} mix - Chuỗi mix
+ * @returns {Array<{name: string, weight: number}>} Operations có weight > 0
+ * @throws {StressConfigError} Khi operation không tồn tại hoặc weight không hợp lệ
+ */
+function parseMix(mix) {
+    const entries = String(mix).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const [name, rawWeight = '1'] = part.split('=').map(value => value.trim());
+        const weight = Number(rawWeight);
+        if (!OPERATIONS[name]) {
+            throw new StressConfigError(`Unknown operation "${name}" (có: ${Object.keys(OPERATIONS).join(', ')})`);
+        }
+        if (!Number.isFinite(weight) || weight < 0) {
+            throw new StressConfigError(`Weight không hợp lệ cho ${name}: ${rawWeight}`);
+        }
+        return { name, weight };
+    }).filter(entry => entry.weight > 0);
+
+    if (entries.length === 0) {
+        throw new StressConfigError('Mix phải có ít nhất một operation với weight > 0');
+    }
+    return entries;
+}
+
+/**
+ * Chọn operation theo trọng số
+ */
+function chooseOperation(mix, totalWeight) {
+    let roll = Math.random() * totalWeight;
+    for (const entry of mix) {
+        roll -= entry.weight;
+        if (roll < 0) {
+            return entry.name;
+        }
+    }
+    return mix[mix.length - 1].name;
+}
+
+// =============================================================================
+// OPTIONS
+// =============================================================================
+
+/**
+ * Parse options từ argv (--name=value, --flag) và env
+ *
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} Options đã validate
+ * @throws {StressConfigError} Khi option không hợp lệ
+ */
+function parseOptions(argv = []) {
+    const options = { ...OPTION_DEFAULTS };
+
+    argv.forEach(arg => {
+        const match = arg.match(/^--([a-zA-Z0-9-]+)(?:=(.*))?$/);
+        if (!match) {
+            throw new StressConfigError(`Argument không hợp lệ: ${arg}`);
+        }
+        const name = match[1].replace(/-(\w)/g, (all, letter) => letter.toUpperCase());
+        if (!(name in OPTION_DEFAULTS)) {
+            throw new StressConfigError(`Unknown option --${match[1]}`);
+        }
+        options[name] = match[2] === undefined ? true : match[2];
+    });
+
+    NUMERIC_OPTIONS.forEach(name => {
+        const value = Number(options[name]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new StressConfigError(`--${name} phải là số >= 0 (nhận được: ${options[name]})`);
+        }
+        options[name] = value;
+    });
+    if (options.concurrency < 1 || options.duration <= 0) {
+        throw new StressConfigError('--concurrency phải >= 1 và --duration phải > 0');
+    }
+    if (options.seedUsers < 1 || options.seedProducts < 1) {
+        throw new StressConfigError('--seedUsers và --seedProducts phải >= 1');
+    }
+
+    options.concurrency = Math.floor(options.concurrency);
+    options.mix = parseMix(options.mix);
+    options.inprocess = options.inprocess === true || options.inprocess === 'true' || options.inprocess === '1';
+    options.json = options.json === true ? '-' : options.json;
+    return options;
+}
+
+// =============================================================================
+// LOAD GENERATION
+// =============================================================================
+
+/**
+ * Rate limiter chia đều các slots theo target RPS cho mọi workers
+ * Không "bù" các slots bị lỡ khi upstream chậm (tránh burst)
+ */
+function createRateLimiter(rps) {
+    if (!rps) {
+        return () => Promise.resolve();
+    }
+    const interval = 1000 / rps;
+    let nextSlot = Date.now();
+    return () => {
+        const now = Date.now();
+        nextSlot = Math.max(nextSlot, now);
+        const wait = nextSlot - now;
+        nextSlot += interval;
+        return wait > 0 ? new Promise(resolve => setTimeout(resolve, wait)) : Promise.resolve();
+    };
+}
+
+/**
+ * Phân loại một kết quả lỗi: "HTTP <status>" hoặc network error code
+ */
+function classifyError(response, error) {
+    if (response) {
+        return `HTTP ${response.status}`;
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return 'TIMEOUT';
+    }
+    return error.code || error.message;
+}
+
+/**
+ * Seed data cho các operations đọc: users, products (stock lớn) và một order mỗi user
+ */
+async function seed(client, options) {
+    const state = { users: [], products: [], orders: [] };
+    const suffix = uniqueSuffix();
+
+    for (let i = 0; i < options.seedProducts; i++) {
+        const sku = `STRESS-${suffix}-${i}`;
+        const response = await client.post('/api/products', {
+            sku,
+            name: `Stress Product ${i}`,
+            unit_price: 9.99,
+            currency: 'USD',
+            stock: 1000000
+        });
+        if (response.status !== 201) {
+            throw new Error(`Seed product failed: HTTP ${response.status} ${JSON.stringify(response.data)}`);
+        }
+        state.products.push(sku);
+    }
+
+    for (let i = 0; i < options.seedUsers; i++) {
+        const response = await OPERATIONS.createUser(client, state);
+        if (response.status !== 201) {
+            throw new Error(`Seed user failed: HTTP ${response.status} ${JSON.stringify(response.data)}`);
+        }
+    }
+
+    for (let i = 0; i < options.seedUsers; i++) {
+        const response = await OPERATIONS.createOrder(client, state);
+        if (response.status !== 201) {
+            throw new Error(`Seed order failed: HTTP ${response.status} ${JSON.stringify(response.data)}`);
+        }
+    }
+
+    return state;
+}
+
+/**
+ * Chạy load test
+ *
+ * @param {Object} options - Options từ parseOptions
+ * @returns {Promise<Object>} Report (xem buildReport)
+ */
+async function runStressTest(options) {
+    const client = axios.create({
+        baseURL: options.gateway,
+        timeout: options.timeout,
+        validateStatus: () => true
+    });
+
+    console.log(`🌱 Seeding ${options.seedProducts} products, ${options.seedUsers} users and orders...`);
+    const state = await seed(client, options);
+
+    const histogram = new Histogram('stress_request_duration_ms', 'Stress test latency (ms)', ['operation'], LATENCY_BUCKETS_MS);
+    const stats = {};
+    options.mix.forEach(({ name }) => {
+        stats[name] = { requests: 0, errors: 0, latencies: [], errorKinds: {} };
+    });
+
+    const totalWeight = options.mix.reduce((sum, entry) => sum + entry.weight, 0);
+    const acquire = createRateLimiter(options.rps);
+    const startedAt = Date.now();
+    const deadline = startedAt + options.duration * 1000;
+
+    console.log(`⚡ Running ${options.duration}s with ${options.concurrency} workers` +
+        (options.rps ? `, target ${options.rps} req/s` : ', no rate limit') + ` against ${options.gateway}`);
+
+    const worker = async () => {
+        while (Date.now() < deadline) {
+            await acquire();
+            if (Date.now() >= deadline) {
+                break;
+            }
+
+            const name = chooseOperation(options.mix, totalWeight);
+            const stat = stats[name];
+            const start = process.hrtime.bigint();
+            let response = null;
+            let failure = null;
+            try {
+                response = await OPERATIONS[name](client, state);
+                if (response.status >= 400) {
+                    failure = classifyError(response);
+                }
+            } catch (error) {
+                failure = classifyError(null, error);
+            }
+            const latency = Number(process.hrtime.bigint() - start) / 1e6;
+
+            stat.requests++;
+            stat.latencies.push(latency);
+            histogram.observe({ operation: name }, latency);
+            if (failure) {
+                stat.errors++;
+                stat.errorKinds[failure] = (stat.errorKinds[failure] || 0) + 1;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: options.concurrency }, worker));
+    const elapsedSeconds = (Date.now() - startedAt) / 1000;
+
+    return buildReport(options, stats, histogram, elapsedSeconds);
+}
+
+// =============================================================================
+// REPORTING
+// =============================================================================
+
+/**
+ * Percentile (nearest-rank) của một mảng đã sort
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return 0;
+    }
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function summarizeLatencies(latencies) {
+    const sorted = [...latencies].sort((a, b) => a - b);
+    const sum = sorted.reduce((total, value) => total + value, 0);
+    return {
+        min: round(sorted[0] || 0),
+        mean: round(sorted.length > 0 ? sum / sorted.length : 0),
+        p50: round(percentile(sorted, 50)),
+        p95: round(percentile(sorted, 95)),
+        p99: round(percentile(sorted, 99)),
+        max: round(sorted[sorted.length - 1] || 0)
+    };
+}
+
+/**
+ * Đánh giá thresholds; limit 0 (throughput) nghĩa là không kiểm tra
+ */
+function evaluateThresholds(options, totals) {
+    const thresholds = [
+        { name: 'p95', unit: 'ms', limit: options.maxP95, actual: totals.latency.p95, passed: totals.latency.p95 <= options.maxP95 },
+        { name: 'p99', unit: 'ms', limit: options.maxP99, actual: totals.latency.p99, passed: totals.latency.p99 <= options.maxP99 },
+        { name: 'errorRate', unit: '', limit: options.maxErrorRate, actual: totals.errorRate, passed: totals.errorRate <= options.maxErrorRate }
+    ];
+    if (options.minThroughput > 0) {
+        thresholds.push({
+            name: 'throughput',
+            unit: 'req/s',
+            limit: options.minThroughput,
+            actual: totals.throughput,
+            passed: totals.throughput >= options.minThroughput
+        });
+    }
+    return thresholds;
+}
+
+/**
+ * Build report JSON
+ *
+ * @returns {Object} { config, durationSeconds, totals, operations, errors, thresholds, passed }
+ */
+function buildReport(options, stats, histogram, elapsedSeconds) {
+    const buckets = {};
+    histogram.toJSON().forEach(series => {
+        buckets[series.labels.operation] = series.buckets;
+    });
+
+    const operations = {};
+    const errors = {};
+    let requests = 0;
+    let errorCount = 0;
+    let allLatencies = [];
+
+    Object.entries(stats).forEach(([name, stat]) => {
+        requests += stat.requests;
+        errorCount += stat.errors;
+        allLatencies = allLatencies.concat(stat.latencies);
+        operations[name] = {
+            requests: stat.requests,
+            errors: stat.errors,
+            errorRate: stat.requests > 0 ? round(stat.errors / stat.requests, 4) : 0,
+            throughput: round(stat.requests / elapsedSeconds),
+            latency: summarizeLatencies(stat.latencies),
+            histogram: buckets[name] || {}
+        };
+        Object.entries(stat.errorKinds).forEach(([kind, count]) => {
+            errors[`${name} ${kind}`] = count;
+        });
+    });
+
+    const totals = {
+        requests,
+        success: requests - errorCount,
+        errors: errorCount,
+        errorRate: requests > 0 ? round(errorCount / requests, 4) : 0,
+        throughput: round(requests / elapsedSeconds),
+        latency: summarizeLatencies(allLatencies)
+    };
+    const thresholds = evaluateThresholds(options, totals);
+
+    return {
+        config: {
+            gateway: options.gateway,
+            concurrency: options.concurrency,
+            targetRps: options.rps,
+            durationSeconds: options.duration,
+            mix: Object.fromEntries(options.mix.map(({ name, weight }) => [name, weight]))
+        },
+        durationSeconds: round(elapsedSeconds),
+        totals,
+        operations,
+        errors,
+        thresholds,
+        passed: requests > 0 && thresholds.every(threshold => threshold.passed)
+    };
+}
+
+/**
+ * Format bảng text căn cột
+ */
+function formatTable(headers, rows) {
+    const widths = headers.map((header, index) =>
+        Math.max(String(header).length, ...rows.map(row => String(row[index]).length))
+    );
+    const line = cells => cells.map((cell, index) =>
+        index === 0 ? String(cell).padEnd(widths[index]) : String(cell).padStart(widths[index])
+    ).join('  ');
+    return [line(headers), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+}
+
+function printReport(report) {
+    const latencyRow = (name, entry) => [
+        name, entry.requests, entry.errors, entry.throughput,
+        entry.latency.p50, entry.latency.p95, entry.latency.p99, entry.latency.max
+    ];
+
+    console.log('\n📊 Stress test results');
+    console.log(formatTable(
+        ['operation', 'requests', 'errors', 'req/s', 'p50 ms', 'p95 ms', 'p99 ms', 'max ms'],
+        [
+            ...Object.entries(report.operations).map(([name, entry]) => latencyRow(name, entry)),
+            latencyRow('TOTAL', report.totals)
+        ]
+    ));
+
+    const errorEntries = Object.entries(report.errors).sort((a, b) => b[1] - a[1]);
+    if (errorEntries.length > 0) {
+        console.log('\n❌ Errors');
+        console.log(formatTable(['operation / error', 'count'], errorEntries));
+    }
+
+    console.log('\n🎯 Thresholds');
+    console.log(formatTable(
+        ['threshold', 'limit', 'actual', 'result'],
+        report.thresholds.map(({ name, unit, limit, actual, passed }) => [
+            name,
+            `${name === 'throughput' ? '>=' : '<='} ${limit}${unit ? ' ' + unit : ''}`,
+            actual,
+            passed ? '✅ PASS' : '❌ FAIL'
+        ])
+    ));
+    console.log(`\n${report.passed ? '✅ Stress test passed' : '❌ Stress test failed'} ` +
+        `(${report.totals.requests} requests in ${report.durationSeconds}s)`);
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function main() {
+    let options;
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exit(2);
+    }
+
+    // JSON ra stdout: mọi output khác (kể cả logs của services khi --inprocess)
+    // chuyển sang stderr để stdout là JSON hợp lệ
+    const writeStdout = process.stdout.write.bind(process.stdout);
+    if (options.json === '-') {
+        process.stdout.write = process.stderr.write.bind(process.stderr);
+    }
+
+    let harness = null;
+    let report = null;
+    try {
+        if (options.inprocess) {
+            const { startHarness } = require('../tests/harness');
+            harness = await startHarness();
+            options.gateway = harness.services.GATEWAY;
+        }
+        report = await runStressTest(options);
+    } catch (error) {
+        console.error('❌ Stress test aborted:', error.message);
+    } finally {
+        if (harness) {
+            await harness.stop();
+        }
+    }
+
+    if (!report) {
+        process.exit(1);
+    }
+
+    if (options.json === '-') {
+        writeStdout(JSON.stringify(report, null, 2) + '\n');
+    } else {
+        printReport(report);
+        if (options.json) {
+            fs.writeFileSync(options.json, JSON.stringify(report, null, 2));
+            console.log(`📝 JSON report written to ${options.json}`);
+        }
+    }
+
+    process.exit(report.passed ? 0 : 1);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    OPERATIONS,
+    StressConfigError,
+    parseOptions,
+    parseMix,
+    runStressTest,
+    percentile
+};
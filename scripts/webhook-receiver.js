@@ -0,0 +1,72 @@
+const http = require('http');
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER, verify } = require('../src/utils/webhookSignature');
+
+/**
+ * Stand-in HTTP receiver cho webhook deliveries (dùng khi test local)
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=<secret> node scripts/webhook-receiver.js [port]
+ *
+ * Env (optional):
+ *   WEBHOOK_SECRET     - Secret của subscription; có thì verify X-Webhook-Signature
+ *   WEBHOOK_FAIL_FIRST - Trả về 503 cho N deliveries đầu tiên (để thử retry / backoff)
+ *
+ * Receiver in ra mỗi delivery, trả về 401 nếu chữ ký sai, 200 nếu hợp lệ.
+ * GET / trả về danh sách deliveries đã nhận (JSON).
+ */
+const port = parseInt(process.argv[2], 10) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+let failFirst = parseInt(process.env.WEBHOOK_FAIL_FIRST, 10) || 0;
+const received = [];
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ received, count: received.length }));
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+        const timestamp = req.headers[TIMESTAMP_HEADER.toLowerCase()];
+        const signatureValid = secret ? verify(secret, timestamp, body, signature) : null;
+
+        let delivery = null;
+        try {
+            delivery = JSON.parse(body);
+        } catch (error) {
+            // Giữ null, vẫn log lại
+        }
+
+        let status = 200;
+        if (signatureValid === false) {
+            status = 401;
+        } else if (failFirst > 0) {
+            failFirst--;
+            status = 503;
+        }
+
+        received.push({
+            receivedAt: new Date().toISOString(),
+            status,
+            signatureValid,
+            webhookId: req.headers['x-webhook-id'],
+            event: req.headers['x-webhook-event'],
+            delivery
+        });
+        console.log(`📨 ${req.headers['x-webhook-event']} ${req.headers['x-webhook-id']} -> ${status}`
+            + (signatureValid === null ? '' : ` (signature ${signatureValid ? 'valid' : 'INVALID'})`));
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: status === 200 }));
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🪝 Webhook receiver listening on http://localhost:${port}`);
+    console.log(secret ? '🔐 Verifying signatures with WEBHOOK_SECRET' : '⚠️  WEBHOOK_SECRET not set, signatures not verified');
+});
+
+process.on('SIGINT', () => server.close(() => process.exit(0)));
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
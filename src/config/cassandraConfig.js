@@ -0,0 +1,461 @@
+/**
+ * =============================================================================
+ * CASSANDRA CONNECTION CONFIGURATION
+ * =============================================================================
+ * 
+ * Configuration layer cho kết nối Cassandra
+ * Đọc settings từ config file (JSON) và/hoặc environment variables, validate,
+ * rồi convert sang options của cassandra-driver Client.
+ * 
+ * Thứ tự ưu tiên: environment variables > config file > defaults
+ * 
+ * Ví dụ:
+ * - Docker Compose: CASSANDRA_CONTACT_POINTS=cassandra1,cassandra2,cassandra3
+ * - Local:          CASSANDRA_CONTACT_POINTS=localhost:9042,localhost:9043,localhost:9044
+ * - Config file:    CASSANDRA_CONFIG_FILE=./config/cassandra.json
+ * - Không cần cluster: STORAGE_BACKEND=memory (xem database/memoryBackend.js)
+ * =============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { policies, types } = require('cassandra-driver');
+const { READ_LEVELS, WRITE_LEVELS, SERIAL_LEVELS, parseConsistency } = require('../utils/consistency');
+
+/**
+ * Giá trị mặc định (tương ứng với setup 3-node trong docker-compose)
+ */
+const DEFAULT_CONFIG = {
+    storageBackend: 'cassandra',    // 'memory': in-memory stand-in, không kết nối cluster
+    contactPoints: ['cassandra1', 'cassandra2', 'cassandra3'],
+    localDataCenter: 'datacenter1',
+    port: 9042,
+    keyspace: 'test_keyspace',
+    kvKeyspace: 'distributed_storage',  // Table data của KV Service (scripts/init-cassandra.cql)
+    replication: {
+        class: 'SimpleStrategy',
+        replicationFactor: 3,
+        dataCenters: {}         // Dùng cho NetworkTopologyStrategy: { datacenter1: 3 }
+    },
+    credentials: null,          // { username, password }
+    tls: {
+        enabled: false,
+        caFile: null,
+        certFile: null,
+        keyFile: null,
+        rejectUnauthorized: true
+    },
+    pooling: {
+        coreConnectionsPerHostLocal: 2,
+        coreConnectionsPerHostRemote: 1,
+        maxRequestsPerConnection: 2048
+    },
+    socket: {
+        connectTimeoutMs: 5000,
+        readTimeoutMs: 12000
+    },
+    loadBalancingPolicy: 'token-aware',
+    consistency: {
+        read: 'LOCAL_ONE',      // Default của cassandra-driver
+        write: 'LOCAL_ONE',
+        serial: 'SERIAL'        // Phase Paxos của LWT
+    },
+    retryPolicy: 'default',
+    speculativeExecution: {
+        enabled: false,         // Chỉ áp dụng cho queries idempotent (reads)
+        delayMs: 100,
+        maxExecutions: 2
+    }
+};
+
+const REPLICATION_CLASSES = ['SimpleStrategy', 'NetworkTopologyStrategy'];
+const LOAD_BALANCING_POLICIES = ['token-aware', 'dc-aware', 'round-robin'];
+const RETRY_POLICIES = ['default', 'fallthrough'];
+const STORAGE_BACKENDS = ['cassandra', 'memory'];
+const IDENTIFIER_REGEX = /^[a-zA-Z][a-zA-Z0-9_]{0,47}$/;
+
+/**
+ * Error khi configuration không hợp lệ
+ * Chứa danh sách tất cả lỗi để người vận hành sửa một lần
+ */
+class CassandraConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid Cassandra configuration:\n - ${errors.join('\n - ')}`);
+        this.name = 'CassandraConfigError';
+        this.errors = errors;
+    }
+}
+
+// =============================================================================
+// PARSING HELPERS
+// =============================================================================
+
+function parseList(value) {
+    return value.split(',').map(item => item.trim()).filter(item => item !== '');
+}
+
+function parseBoolean(value) {
+    return ['1', 'true', 'yes', 'on'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Parse replication data centers dạng "datacenter1:3,datacenter2:2"
+ */
+function parseDataCenters(value) {
+    const dataCenters = {};
+    parseList(value).forEach(entry => {
+        const [name, factor] = entry.split(':');
+        dataCenters[name.trim()] = Number(factor);
+    });
+    return dataCenters;
+}
+
+/**
+ * Deep merge đơn giản cho plain objects (arrays được thay thế)
+ */
+function merge(target, source) {
+    const result = { ...target };
+    Object.entries(source || {}).forEach(([key, value]) => {
+        if (value === undefined) {
+            return;
+        }
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            result[key] && typeof result[key] === 'object' && !Array.isArray(result[key])) {
+            result[key] = merge(result[key], value);
+        } else {
+            result[key] = value;
+        }
+    });
+    return result;
+}
+
+/**
+ * Đọc config file JSON (nếu có)
+ * @param {string} file - Đường dẫn file
+ * @returns {Object} Config từ file
+ */
+function readConfigFile(file) {
+    if (!file) {
+        return {};
+    }
+    
+    const resolved = path.resolve(file);
+    try {
+        return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+        throw new CassandraConfigError([`Cannot read config file ${resolved}: ${error.message}`]);
+    }
+}
+
+/**
+ * Map environment variables sang config object
+ * Chỉ những biến được set mới override giá trị khác
+ * 
+ * @param {Object} env - Environment variables
+ * @returns {Object} Partial config
+ */
+function configFromEnv(env) {
+    const has = name => env[name] !== undefined && env[name] !== '';
+    const number = name => (has(name) ? Number(env[name]) : undefined);
+    
+    const config = {
+        storageBackend: has('STORAGE_BACKEND') ? env.STORAGE_BACKEND.trim().toLowerCase() : undefined,
+        contactPoints: has('CASSANDRA_CONTACT_POINTS') ? parseList(env.CASSANDRA_CONTACT_POINTS) : undefined,
+        localDataCenter: env.CASSANDRA_LOCAL_DC || undefined,
+        port: number('CASSANDRA_PORT'),
+        keyspace: env.CASSANDRA_KEYSPACE || undefined,
+        kvKeyspace: env.CASSANDRA_KV_KEYSPACE || undefined,
+        replication: {
+            class: env.CASSANDRA_REPLICATION_CLASS || undefined,
+            replicationFactor: number('CASSANDRA_REPLICATION_FACTOR'),
+            dataCenters: has('CASSANDRA_REPLICATION_DCS') ? parseDataCenters(env.CASSANDRA_REPLICATION_DCS) : undefined
+        },
+        tls: {
+            enabled: has('CASSANDRA_TLS_ENABLED') ? parseBoolean(env.CASSANDRA_TLS_ENABLED) : undefined,
+            caFile: env.CASSANDRA_TLS_CA_FILE || undefined,
+            certFile: env.CASSANDRA_TLS_CERT_FILE || undefined,
+            keyFile: env.CASSANDRA_TLS_KEY_FILE || undefined,
+            rejectUnauthorized: has('CASSANDRA_TLS_REJECT_UNAUTHORIZED')
+                ? parseBoolean(env.CASSANDRA_TLS_REJECT_UNAUTHORIZED) : undefined
+        },
+        pooling: {
+            coreConnectionsPerHostLocal: number('CASSANDRA_POOL_LOCAL_CONNECTIONS'),
+            coreConnectionsPerHostRemote: number('CASSANDRA_POOL_REMOTE_CONNECTIONS'),
+            maxRequestsPerConnection: number('CASSANDRA_POOL_MAX_REQUESTS_PER_CONNECTION')
+        },
+        socket: {
+            connectTimeoutMs: number('CASSANDRA_CONNECT_TIMEOUT_MS'),
+            readTimeoutMs: number('CASSANDRA_READ_TIMEOUT_MS')
+        },
+        loadBalancingPolicy: env.CASSANDRA_LOAD_BALANCING_POLICY || undefined,
+        consistency: {
+            read: has('CASSANDRA_READ_CONSISTENCY') ? env.CASSANDRA_READ_CONSISTENCY.trim().toUpperCase() : undefined,
+            write: has('CASSANDRA_WRITE_CONSISTENCY') ? env.CASSANDRA_WRITE_CONSISTENCY.trim().toUpperCase() : undefined,
+            serial: has('CASSANDRA_SERIAL_CONSISTENCY') ? env.CASSANDRA_SERIAL_CONSISTENCY.trim().toUpperCase() : undefined
+        },
+        retryPolicy: env.CASSANDRA_RETRY_POLICY || undefined,
+        speculativeExecution: {
+            enabled: has('CASSANDRA_SPECULATIVE_EXECUTION') ? parseBoolean(env.CASSANDRA_SPECULATIVE_EXECUTION) : undefined,
+            delayMs: number('CASSANDRA_SPECULATIVE_DELAY_MS'),
+            maxExecutions: number('CASSANDRA_SPECULATIVE_MAX_EXECUTIONS')
+        }
+    };
+    
+    if (has('CASSANDRA_USERNAME') || has('CASSANDRA_PASSWORD')) {
+        config.credentials = {
+            username: env.CASSANDRA_USERNAME,
+            password: env.CASSANDRA_PASSWORD
+        };
+    }
+    
+    return config;
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validate config, throw CassandraConfigError nếu có lỗi
+ * @param {Object} config - Config đã merge
+ * @returns {Object} Config hợp lệ
+ */
+function validateConfig(config) {
+    const errors = [];
+    const isPositiveInt = value => Number.isInteger(value) && value > 0;
+    
+    if (!STORAGE_BACKENDS.includes(config.storageBackend)) {
+        errors.push(`storageBackend must be one of ${STORAGE_BACKENDS.join(', ')} (STORAGE_BACKEND)`);
+    }
+    
+    if (!Array.isArray(config.contactPoints) || config.contactPoints.length === 0) {
+        errors.push('contactPoints must be a non-empty list (CASSANDRA_CONTACT_POINTS)');
+    } else {
+        config.contactPoints.forEach(point => {
+            const [host, port] = String(point).split(':');
+            if (!host || (port !== undefined && !isPositiveInt(Number(port)))) {
+                errors.push(`contact point "${point}" must be "host" or "host:port"`);
+            }
+        });
+    }
+    
+    if (!config.localDataCenter) {
+        errors.push('localDataCenter is required (CASSANDRA_LOCAL_DC)');
+    }
+    if (!isPositiveInt(config.port) || config.port > 65535) {
+        errors.push(`port must be between 1 and 65535 (got ${config.port})`);
+    }
+    if (!IDENTIFIER_REGEX.test(config.keyspace || '')) {
+        errors.push(`keyspace "${config.keyspace}" must be a valid CQL identifier`);
+    }
+    if (!IDENTIFIER_REGEX.test(config.kvKeyspace || '')) {
+        errors.push(`kvKeyspace "${config.kvKeyspace}" must be a valid CQL identifier (CASSANDRA_KV_KEYSPACE)`);
+    }
+    
+    const replication = config.replication || {};
+    if (!REPLICATION_CLASSES.includes(replication.class)) {
+        errors.push(`replication.class must be one of ${REPLICATION_CLASSES.join(', ')}`);
+    } else if (replication.class === 'SimpleStrategy' && !isPositiveInt(replication.replicationFactor)) {
+        errors.push('replication.replicationFactor must be a positive integer for SimpleStrategy');
+    } else if (replication.class === 'NetworkTopologyStrategy') {
+        const dataCenters = Object.entries(replication.dataCenters || {});
+        if (dataCenters.length === 0) {
+            errors.push('replication.dataCenters is required for NetworkTopologyStrategy (CASSANDRA_REPLICATION_DCS)');
+        }
+        dataCenters.forEach(([name, factor]) => {
+            if (!/^[\w.-]+$/.test(name)) {
+                errors.push(`data center name "${name}" contains invalid characters`);
+            }
+            if (!isPositiveInt(factor)) {
+                errors.push(`replication factor for data center "${name}" must be a positive integer`);
+            }
+        });
+    }
+    
+    if (config.credentials && (!config.credentials.username || !config.credentials.password)) {
+        errors.push('credentials require both username and password (CASSANDRA_USERNAME / CASSANDRA_PASSWORD)');
+    }
+    
+    if (config.tls && config.tls.enabled) {
+        ['caFile', 'certFile', 'keyFile'].forEach(key => {
+            if (config.tls[key] && !fs.existsSync(config.tls[key])) {
+                errors.push(`tls.${key} "${config.tls[key]}" does not exist`);
+            }
+        });
+    }
+    
+    Object.entries(config.pooling || {}).forEach(([key, value]) => {
+        if (!isPositiveInt(value)) {
+            errors.push(`pooling.${key} must be a positive integer`);
+        }
+    });
+    Object.entries(config.socket || {}).forEach(([key, value]) => {
+        if (!isPositiveInt(value)) {
+            errors.push(`socket.${key} must be a positive integer`);
+        }
+    });
+    
+    if (!LOAD_BALANCING_POLICIES.includes(config.loadBalancingPolicy)) {
+        errors.push(`loadBalancingPolicy must be one of ${LOAD_BALANCING_POLICIES.join(', ')}`);
+    }
+
+    const consistency = config.consistency || {};
+    if (!READ_LEVELS.includes(consistency.read)) {
+        errors.push(`consistency.read must be one of ${READ_LEVELS.join(', ')} (CASSANDRA_READ_CONSISTENCY)`);
+    }
+    if (!WRITE_LEVELS.includes(consistency.write)) {
+        errors.push(`consistency.write must be one of ${WRITE_LEVELS.join(', ')} (CASSANDRA_WRITE_CONSISTENCY)`);
+    }
+    if (!SERIAL_LEVELS.includes(consistency.serial)) {
+        errors.push(`consistency.serial must be one of ${SERIAL_LEVELS.join(', ')} (CASSANDRA_SERIAL_CONSISTENCY)`);
+    }
+
+    if (!RETRY_POLICIES.includes(config.retryPolicy)) {
+        errors.push(`retryPolicy must be one of ${RETRY_POLICIES.join(', ')}`);
+    }
+    const speculative = config.speculativeExecution || {};
+    if (speculative.enabled) {
+        if (!isPositiveInt(speculative.delayMs)) {
+            errors.push('speculativeExecution.delayMs must be a positive integer (CASSANDRA_SPECULATIVE_DELAY_MS)');
+        }
+        if (!isPositiveInt(speculative.maxExecutions)) {
+            errors.push('speculativeExecution.maxExecutions must be a positive integer (CASSANDRA_SPECULATIVE_MAX_EXECUTIONS)');
+        }
+    }
+    
+    if (errors.length > 0) {
+        throw new CassandraConfigError(errors);
+    }
+    return config;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Load và validate Cassandra configuration
+ * 
+ * @param {Object} options
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @param {string} options.file - Config file JSON (default: env.CASSANDRA_CONFIG_FILE)
+ * @param {Object} options.overrides - Override trực tiếp (ưu tiên cao nhất)
+ * @returns {Object} Config đã validate
+ * @throws {CassandraConfigError} Khi config không hợp lệ
+ */
+function loadCassandraConfig({ env = process.env, file = env.CASSANDRA_CONFIG_FILE, overrides = {} } = {}) {
+    const config = [readConfigFile(file), configFromEnv(env), overrides]
+        .reduce((merged, source) => merge(merged, source), DEFAULT_CONFIG);
+    return validateConfig(config);
+}
+
+/**
+ * Build replication map cho CREATE KEYSPACE
+ * @param {Object} replication - replication config
+ * @returns {string} CQL map, ví dụ {'class': 'SimpleStrategy', 'replication_factor': 3}
+ */
+function buildReplicationCql(replication) {
+    if (replication.class === 'NetworkTopologyStrategy') {
+        const dataCenters = Object.entries(replication.dataCenters)
+            .map(([name, factor]) => `'${name}': ${factor}`);
+        return `{'class': 'NetworkTopologyStrategy', ${dataCenters.join(', ')}}`;
+    }
+    return `{'class': 'SimpleStrategy', 'replication_factor': ${replication.replicationFactor}}`;
+}
+
+/**
+ * Convert config sang options cho cassandra-driver Client
+ * @param {Object} config - Config đã validate
+ * @returns {Object} Client options
+ */
+function toClientOptions(config) {
+    const localPolicy = new policies.loadBalancing.DCAwareRoundRobinPolicy(config.localDataCenter);
+    const loadBalancing = {
+        'token-aware': () => new policies.loadBalancing.TokenAwarePolicy(localPolicy),
+        'dc-aware': () => localPolicy,
+        'round-robin': () => new policies.loadBalancing.RoundRobinPolicy()
+    }[config.loadBalancingPolicy]();
+
+    // default: retry read/write timeout và unavailable theo quyết định của driver
+    // fallthrough: không bao giờ retry, lỗi trả thẳng về caller
+    const retry = config.retryPolicy === 'fallthrough'
+        ? new policies.retry.FallthroughRetryPolicy()
+        : new policies.retry.RetryPolicy();
+
+    // Gửi thêm request tới host khác nếu host đầu chưa trả lời sau delayMs
+    const speculativeExecution = config.speculativeExecution.enabled
+        ? new policies.speculativeExecution.ConstantSpeculativeExecutionPolicy(
+            config.speculativeExecution.delayMs,
+            config.speculativeExecution.maxExecutions
+        )
+        : new policies.speculativeExecution.NoSpeculativeExecutionPolicy();
+    
+    const options = {
+        contactPoints: config.contactPoints,
+        localDataCenter: config.localDataCenter,
+        protocolOptions: {
+            port: config.port
+        },
+        pooling: {
+            coreConnectionsPerHost: {
+                [types.distance.local]: config.pooling.coreConnectionsPerHostLocal,
+                [types.distance.remote]: config.pooling.coreConnectionsPerHostRemote
+            },
+            maxRequestsPerConnection: config.pooling.maxRequestsPerConnection
+        },
+        socketOptions: {
+            connectTimeout: config.socket.connectTimeoutMs,
+            readTimeout: config.socket.readTimeoutMs
+        },
+        policies: {
+            loadBalancing,
+            retry,
+            speculativeExecution
+        },
+        queryOptions: {
+            // Consistency của từng query do executeQuery chọn theo read / write
+            consistency: parseConsistency(config.consistency.read, 'read').value,
+            serialConsistency: parseConsistency(config.consistency.serial, 'read').value
+        }
+    };
+    
+    if (config.credentials) {
+        options.credentials = {
+            username: config.credentials.username,
+            password: config.credentials.password
+        };
+    }
+    
+    if (config.tls.enabled) {
+        options.sslOptions = {
+            rejectUnauthorized: config.tls.rejectUnauthorized,
+            ca: config.tls.caFile ? [fs.readFileSync(config.tls.caFile)] : undefined,
+            cert: config.tls.certFile ? fs.readFileSync(config.tls.certFile) : undefined,
+            key: config.tls.keyFile ? fs.readFileSync(config.tls.keyFile) : undefined
+        };
+    }
+    
+    return options;
+}
+
+/**
+ * Bản config an toàn để log (ẩn password)
+ * @param {Object} config - Config
+ * @returns {Object} Config đã ẩn thông tin nhạy cảm
+ */
+function describeConfig(config) {
+    return {
+        ...config,
+        credentials: config.credentials ? { username: config.credentials.username, password: '***' } : null
+    };
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    CassandraConfigError,
+    loadCassandraConfig,
+    validateConfig,
+    buildReplicationCql,
+    toClientOptions,
+    describeConfig
+};
@@ -0,0 +1,52 @@
+/**
+ * =============================================================================
+ * EVENT SUBSCRIBERS CONFIGURATION
+ * =============================================================================
+ *
+ * Danh sách consumers mà Event Relay deliver domain events tới (HTTP POST).
+ * Tên consumer là key của offset trong event_consumer_offsets, nên đổi tên
+ * consumer đồng nghĩa với đọc lại stream từ đầu.
+ *
+ * Ví dụ:
+ * - EVENT_SUBSCRIBERS='{"audit":"http://audit:4000/events"}'
+ * - EVENT_SUBSCRIBERS=audit=http://audit:4000/events,search=http://search:4100/events
+ * =============================================================================
+ */
+
+const CONSUMER_NAME_REGEX = /^[a-zA-Z0-9_.-]+$/;
+
+/**
+ * Đọc và validate danh sách subscribers
+ *
+ * @param {Object} options
+ * @param {Object} options.env - Environment variables
+ * @returns {Array<{name: string, url: string}>}
+ * @throws {Error} Nếu config không hợp lệ
+ */
+function loadEventSubscribers({ env = process.env } = {}) {
+    const raw = (env.EVENT_SUBSCRIBERS || '').trim();
+    if (!raw) {
+        return [];
+    }
+
+    const entries = raw.startsWith('{')
+        ? Object.entries(JSON.parse(raw))
+        : raw.split(',').filter(Boolean).map(entry => {
+            const separator = entry.indexOf('=');
+            return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+        });
+
+    return entries.map(([name, url]) => {
+        if (!CONSUMER_NAME_REGEX.test(name)) {
+            throw new Error(`Invalid event subscriber name "${name}"`);
+        }
+        if (!/^https?:\/\//.test(url)) {
+            throw new Error(`Invalid event subscriber URL for "${name}": ${url}`);
+        }
+        return { name, url };
+    });
+}
+
+module.exports = {
+    loadEventSubscribers
+};
@@ -0,0 +1,82 @@
+/**
+ * =============================================================================
+ * EXCHANGE RATES CONFIGURATION
+ * =============================================================================
+ *
+ * Bảng tỷ giá local cho ?displayCurrency= của API Gateway
+ * Rates tính theo base currency: 1 base = rates[code] đơn vị code.
+ *
+ * Thứ tự ưu tiên: EXCHANGE_RATES (JSON inline) > EXCHANGE_RATES_FILE > defaults
+ *
+ * Ví dụ:
+ * - EXCHANGE_RATES='{"base":"USD","rates":{"USD":"1","VND":"25400","EUR":"0.93"}}'
+ * - EXCHANGE_RATES_FILE=./config/exchange-rates.json
+ * =============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseDecimal } = require('../utils/decimal');
+const { normalizeCurrency } = require('../utils/money');
+
+/**
+ * Tỷ giá mặc định (chỉ để demo, nên cấu hình qua file trong thực tế)
+ * Dùng string để giữ chính xác tuyệt đối
+ */
+const DEFAULT_RATES = {
+    base: 'USD',
+    rates: {
+        USD: '1',
+        VND: '25000',
+        EUR: '0.92',
+        GBP: '0.79',
+        JPY: '150',
+        KRW: '1350',
+        SGD: '1.35'
+    }
+};
+
+/**
+ * Đọc và validate bảng tỷ giá
+ *
+ * @param {Object} options
+ * @param {Object} options.env - Environment variables
+ * @returns {{base: string, rates: Object<string, string>}}
+ * @throws {Error} Nếu config không hợp lệ
+ */
+function loadExchangeRates({ env = process.env } = {}) {
+    let config = DEFAULT_RATES;
+
+    if (env.EXCHANGE_RATES) {
+        config = JSON.parse(env.EXCHANGE_RATES);
+    } else if (env.EXCHANGE_RATES_FILE) {
+        const resolved = path.resolve(env.EXCHANGE_RATES_FILE);
+        config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    }
+
+    const base = normalizeCurrency(config.base);
+    if (!base) {
+        throw new Error(`Invalid exchange rates: unsupported base currency "${config.base}"`);
+    }
+
+    const rates = {};
+    Object.entries(config.rates || {}).forEach(([code, rate]) => {
+        const currency = normalizeCurrency(code);
+        const decimal = parseDecimal(typeof rate === 'number' ? String(rate) : rate);
+        if (!currency) {
+            throw new Error(`Invalid exchange rates: unsupported currency "${code}"`);
+        }
+        if (!decimal || decimal.units <= 0n) {
+            throw new Error(`Invalid exchange rates: rate for ${currency} must be a positive decimal`);
+        }
+        rates[currency] = String(rate);
+    });
+    rates[base] = rates[base] || '1';
+
+    return { base, rates };
+}
+
+module.exports = {
+    DEFAULT_RATES,
+    loadExchangeRates
+};
@@ -0,0 +1,346 @@
+/**
+ * =============================================================================
+ * API GATEWAY ROUTE TABLE
+ * =============================================================================
+ * 
+ * Bảng route khai báo cho API Gateway
+ * Mỗi entry mô tả một endpoint public và cách forward nó tới upstream service.
+ * Gateway đọc bảng này để tự build các proxy routes, nên thêm một upstream
+ * route mới chỉ cần thêm một entry ở đây (không cần viết thêm axios handler).
+ * 
+ * Các field của một route:
+ * - method:       HTTP method (get, post, put, delete)
+ * - path:         Path public trên gateway (Express pattern, ví dụ /api/users/:id)
+ * - upstream:     Key của upstream service (USER_SERVICE, ORDER_SERVICE, PRODUCT_SERVICE, WEBHOOK_SERVICE, KV_SERVICE)
+ * - target:       Path trên upstream, các :param được thay bằng req.params
+ * - fieldMapping: (optional) Mapping body field nội bộ -> danh sách alias từ client
+ *                 Alias đầu tiên có giá trị sẽ được dùng
+ * - required:     (optional) Danh sách field nội bộ bắt buộc sau khi mapping
+ * - timeout:      (optional) Timeout cho request tới upstream (ms)
+ * - displayCurrency: (optional) true nếu response chứa orders; khi đó client có thể
+ *                 thêm ?displayCurrency=USD để nhận số tiền quy đổi theo bảng tỷ giá
+ * - forwardHeaders:  (optional) Request headers được forward tới upstream (ví dụ If-Match)
+ * - responseHeaders: (optional) Response headers của upstream được trả lại cho client (ví dụ ETag)
+ * - description:  Mô tả ngắn, dùng cho startup banner và 404 handler
+ * 
+ * Query string luôn được forward nguyên vẹn tới upstream (ví dụ limit và
+ * pageToken của list endpoints), nextPageToken trong response cũng vậy.
+ * =============================================================================
+ */
+
+/**
+ * Timeout mặc định cho mọi request tới upstream (ms)
+ */
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Field mapping cho User payload
+ * External clients có thể gửi "username", nhưng User Service expect "name"
+ */
+const USER_FIELD_MAPPING = {
+    name: ['username', 'name'],
+    email: ['email']
+};
+
+/**
+ * Field mapping cho Order payload
+ * External clients dùng snake_case, Order Service expect camelCase
+ */
+const ORDER_FIELD_MAPPING = {
+    userId: ['user_id', 'userId'],
+    items: ['items'],
+    totalAmount: ['total_amount', 'totalAmount'],
+    currency: ['currency'],
+    status: ['status'],
+    actor: ['actor'],
+    reason: ['reason']
+};
+
+/**
+ * Field mapping cho Product payload
+ */
+const PRODUCT_FIELD_MAPPING = {
+    sku: ['sku'],
+    name: ['name'],
+    description: ['description'],
+    unitPrice: ['unit_price', 'unitPrice'],
+    currency: ['currency'],
+    stock: ['stock']
+};
+
+/**
+ * Field mapping cho Webhook subscription payload
+ */
+const WEBHOOK_FIELD_MAPPING = {
+    url: ['url'],
+    events: ['events'],
+    userId: ['user_id', 'userId'],
+    secret: ['secret'],
+    description: ['description']
+};
+
+/**
+ * Headers cho compare-and-set của KV Service
+ * Client gửi If-Match / If-None-Match, nhận lại version hiện tại qua ETag
+ */
+const KV_CONDITIONAL_HEADERS = ['if-match', 'if-none-match'];
+const KV_RESPONSE_HEADERS = ['etag'];
+
+const routes = [
+    // =========================================================================
+    // USER SERVICE ROUTES
+    // =========================================================================
+    {
+        method: 'get',
+        path: '/api/users',
+        upstream: 'USER_SERVICE',
+        target: '/users',
+        description: 'Lấy danh sách users'
+    },
+    {
+        method: 'post',
+        path: '/api/users',
+        upstream: 'USER_SERVICE',
+        target: '/users',
+        fieldMapping: USER_FIELD_MAPPING,
+        required: ['name', 'email'],
+        description: 'Tạo user mới'
+    },
+    {
+        method: 'get',
+        path: '/api/users/by-email/:email',
+        upstream: 'USER_SERVICE',
+        target: '/users/by-email/:email',
+        description: 'Lấy user theo email'
+    },
+    {
+        method: 'get',
+        path: '/api/users/:id',
+        upstream: 'USER_SERVICE',
+        target: '/users/:id',
+        description: 'Lấy user theo ID'
+    },
+    {
+        method: 'put',
+        path: '/api/users/:id',
+        upstream: 'USER_SERVICE',
+        target: '/users/:id',
+        fieldMapping: USER_FIELD_MAPPING,
+        required: ['name', 'email'],
+        description: 'Cập nhật user'
+    },
+    {
+        method: 'delete',
+        path: '/api/users/:id',
+        upstream: 'USER_SERVICE',
+        target: '/users/:id',
+        description: 'Xóa user'
+    },
+
+    // =========================================================================
+    // ORDER SERVICE ROUTES
+    // =========================================================================
+    {
+        method: 'get',
+        path: '/api/orders',
+        upstream: 'ORDER_SERVICE',
+        target: '/orders',
+        displayCurrency: true,
+        description: 'Lấy danh sách orders'
+    },
+    {
+        method: 'post',
+        path: '/api/orders',
+        upstream: 'ORDER_SERVICE',
+        target: '/orders',
+        fieldMapping: ORDER_FIELD_MAPPING,
+        required: ['userId', 'items'],
+        displayCurrency: true,
+        description: 'Tạo order mới'
+    },
+    {
+        method: 'get',
+        path: '/api/orders/user/:userId',
+        upstream: 'ORDER_SERVICE',
+        target: '/orders/user/:userId',
+        displayCurrency: true,
+        description: 'Lấy orders theo user ID'
+    },
+    {
+        method: 'get',
+        path: '/api/orders/:id',
+        upstream: 'ORDER_SERVICE',
+        target: '/orders/:id',
+        displayCurrency: true,
+        description: 'Lấy order theo ID'
+    },
+    {
+        method: 'get',
+        path: '/api/orders/:id/history',
+        upstream: 'ORDER_SERVICE',
+        target: '/orders/:id/history',
+        description: 'Lịch sử trạng thái order'
+    },
+    {
+        method: 'put',
+        path: '/api/orders/:id',
+        upstream: 'ORDER_SERVICE',
+        target: '/orders/:id',
+        fieldMapping: ORDER_FIELD_MAPPING,
+        displayCurrency: true,
+        description: 'Cập nhật order'
+    },
+    {
+        method: 'delete',
+        path: '/api/orders/:id',
+        upstream: 'ORDER_SERVICE',
+        target: '/orders/:id',
+        description: 'Xóa order'
+    },
+
+    // =========================================================================
+    // PRODUCT SERVICE ROUTES
+    // =========================================================================
+    {
+        method: 'get',
+        path: '/api/products',
+        upstream: 'PRODUCT_SERVICE',
+        target: '/products',
+        description: 'Lấy danh sách products'
+    },
+    {
+        method: 'post',
+        path: '/api/products',
+        upstream: 'PRODUCT_SERVICE',
+        target: '/products',
+        fieldMapping: PRODUCT_FIELD_MAPPING,
+        required: ['sku', 'name', 'unitPrice'],
+        description: 'Tạo product mới'
+    },
+    {
+        method: 'get',
+        path: '/api/products/:sku',
+        upstream: 'PRODUCT_SERVICE',
+        target: '/products/:sku',
+        description: 'Lấy product (kèm stock)'
+    },
+    {
+        method: 'put',
+        path: '/api/products/:sku',
+        upstream: 'PRODUCT_SERVICE',
+        target: '/products/:sku',
+        fieldMapping: PRODUCT_FIELD_MAPPING,
+        description: 'Cập nhật product'
+    },
+    {
+        method: 'put',
+        path: '/api/products/:sku/stock',
+        upstream: 'PRODUCT_SERVICE',
+        target: '/products/:sku/stock',
+        description: 'Điều chỉnh tồn kho'
+    },
+    {
+        method: 'delete',
+        path: '/api/products/:sku',
+        upstream: 'PRODUCT_SERVICE',
+        target: '/products/:sku',
+        description: 'Xóa product'
+    },
+
+    // =========================================================================
+    // WEBHOOK SERVICE ROUTES
+    // =========================================================================
+    {
+        method: 'get',
+        path: '/api/webhooks',
+        upstream: 'WEBHOOK_SERVICE',
+        target: '/webhooks',
+        description: 'Lấy danh sách webhooks'
+    },
+    {
+        method: 'post',
+        path: '/api/webhooks',
+        upstream: 'WEBHOOK_SERVICE',
+        target: '/webhooks',
+        fieldMapping: WEBHOOK_FIELD_MAPPING,
+        required: ['url', 'events'],
+        description: 'Đăng ký webhook'
+    },
+    {
+        method: 'get',
+        path: '/api/webhooks/:id',
+        upstream: 'WEBHOOK_SERVICE',
+        target: '/webhooks/:id',
+        description: 'Lấy webhook theo ID'
+    },
+    {
+        method: 'delete',
+        path: '/api/webhooks/:id',
+        upstream: 'WEBHOOK_SERVICE',
+        target: '/webhooks/:id',
+        description: 'Xóa webhook'
+    },
+    {
+        method: 'get',
+        path: '/api/webhooks/:id/deliveries',
+        upstream: 'WEBHOOK_SERVICE',
+        target: '/webhooks/:id/deliveries',
+        description: 'Delivery log của webhook'
+    },
+    {
+        method: 'get',
+        path: '/api/webhooks/:id/dead-letters',
+        upstream: 'WEBHOOK_SERVICE',
+        target: '/webhooks/:id/dead-letters',
+        description: 'Dead-letter list của webhook'
+    },
+    {
+        method: 'post',
+        path: '/api/webhooks/:id/dead-letters/:deliveryId/retry',
+        upstream: 'WEBHOOK_SERVICE',
+        target: '/webhooks/:id/dead-letters/:deliveryId/retry',
+        description: 'Gửi lại delivery từ dead-letter list'
+    },
+
+    // =========================================================================
+    // KV SERVICE ROUTES
+    // =========================================================================
+    {
+        method: 'get',
+        path: '/api/kv',
+        upstream: 'KV_SERVICE',
+        target: '/kv',
+        description: 'Liệt kê keys theo prefix'
+    },
+    {
+        method: 'get',
+        path: '/api/kv/:key',
+        upstream: 'KV_SERVICE',
+        target: '/kv/:key',
+        responseHeaders: KV_RESPONSE_HEADERS,
+        description: 'Đọc value của key'
+    },
+    {
+        method: 'put',
+        path: '/api/kv/:key',
+        upstream: 'KV_SERVICE',
+        target: '/kv/:key',
+        forwardHeaders: KV_CONDITIONAL_HEADERS,
+        responseHeaders: KV_RESPONSE_HEADERS,
+        description: 'Ghi value (TTL, compare-and-set)'
+    },
+    {
+        method: 'delete',
+        path: '/api/kv/:key',
+        upstream: 'KV_SERVICE',
+        target: '/kv/:key',
+        forwardHeaders: KV_CONDITIONAL_HEADERS,
+        responseHeaders: KV_RESPONSE_HEADERS,
+        description: 'Xóa key'
+    }
+];
+
+module.exports = {
+    routes,
+    DEFAULT_TIMEOUT
+};
@@ -9,7 +9,20 @@
  * =============================================================================
  */
 
-const { Client } = require('cassandra-driver');
+const { Client, types } = require('cassandra-driver');
+const {
+    loadCassandraConfig,
+    toClientOptions,
+    buildReplicationCql,
+    describeConfig
+} = require('../config/cassandraConfig');
+const { createMigrator } = require('./migrator');
+const { createReplicationChecker } = require('./replication');
+const { describeCluster } = require('./topology');
+const { MemoryClient } = require('./memoryBackend');
+const { registry, describeQuery } = require('../utils/metrics');
+const { withSpan, getRequestId, flushSpans, SPAN_KIND } = require('../utils/tracing');
+const { resolveConsistency, recordConsistency } = require('../utils/consistency');
 
 /**
  * Hàm delay - Tạm dừng thực thi trong một khoảng thời gian
@@ -18,6 +31,16 @@ const { Client } = require('cassandra-driver');
  */
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
+/**
+ * Histogram đo latency của mọi query chạy qua executeQuery
+ * Được expose qua GET /metrics của User Service và Order Service
+ */
+const cassandraQueryDuration = registry.histogram(
+    'cassandra_query_duration_seconds',
+    'Cassandra query latency in seconds, measured in executeQuery',
+    ['operation', 'table', 'status']
+);
+
 /**
  * =============================================================================
  * CASSANDRA CLIENT CONFIGURATION
@@ -25,30 +48,35 @@ const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
  */
 
 /**
- * Cấu hình Cassandra Client với 3-node cluster setup
- * - contactPoints: Danh sách các Cassandra nodes để kết nối
- * - localDataCenter: Data center mà client thuộc về (quan trọng cho routing)
- * - protocolOptions: Cấu hình port kết nối
+ * Cấu hình Cassandra Client được load từ env / config file (xem config/cassandraConfig.js)
+ * - contactPoints: Danh sách các Cassandra nodes để kết nối (CASSANDRA_CONTACT_POINTS)
+ * - localDataCenter: Data center mà client thuộc về (CASSANDRA_LOCAL_DC)
+ * - protocolOptions: Cấu hình port kết nối (CASSANDRA_PORT)
+ * - keyspace, replication, credentials, TLS, pooling, timeouts, load balancing
+ * 
+ * Config không hợp lệ sẽ throw CassandraConfigError ngay khi load module
  */
-const client = new Client({
-    // Danh sách 3 Cassandra nodes trong cluster
-    contactPoints: [
-        'cassandra1',    // Node 1 - Port 9042 (internal)
-        'cassandra2',    // Node 2 - Port 9043 (external mapping)
-        'cassandra3'     // Node 3 - Port 9044 (external mapping)
-    ],
-    
-    
-    localDataCenter: 'datacenter1',
-    
-    // Cấu hình protocol connection
-    protocolOptions: {
-        port: 9042  // Default Cassandra port
-    },
-    
-    // Sử dụng default retry policy của cassandra-driver
-    // (Bỏ custom retry config vì format không đúng)
-});
+const cassandraConfig = loadCassandraConfig();
+
+/**
+ * Storage backend phía sau executeQuery / executeBatch / initializeDatabase
+ * - cassandra: cassandra-driver Client kết nối tới cluster (mặc định)
+ * - memory:    MemoryClient (database/memoryBackend.js), cùng interface execute / batch,
+ *              data nằm trong process - dùng cho local dev và CI không có cluster
+ * 
+ * @param {Object} config - Cassandra config đã validate
+ * @returns {Client|MemoryClient} Client
+ */
+function createClient(config) {
+    if (config.storageBackend === 'memory') {
+        return new MemoryClient({ localDataCenter: config.localDataCenter });
+    }
+    return new Client(toClientOptions(config));
+}
+
+const isMemoryBackend = cassandraConfig.storageBackend === 'memory';
+
+const client = createClient(cassandraConfig);
 
 /**
  * =============================================================================
@@ -120,32 +148,36 @@ async function waitForCassandraReady(maxRetries = 10, retryInterval = 5000) {
  */
 
 /**
- * Tạo keyspace cho application với replication factor = 3
+ * Tạo keyspace cho application theo replication settings trong config
  * Keyspace là namespace cao nhất trong Cassandra (tương đương database trong RDBMS)
  * 
  * @param {string} keyspaceName - Tên keyspace cần tạo
- * @param {number} replicationFactor - Số replica cho mỗi piece of data
+ * @param {number|Object} replication - Replication factor (SimpleStrategy) hoặc replication config
  * @returns {Promise<boolean>} true nếu tạo thành công
  */
-async function createKeyspace(keyspaceName = 'test_keyspace', replicationFactor = 3) {
+async function createKeyspace(keyspaceName = cassandraConfig.keyspace, replication = cassandraConfig.replication) {
     try {
         console.log('🏗️  Tạo keyspace:', keyspaceName);
         
-        // CQL command để tạo keyspace với SimpleStrategy
-        // SimpleStrategy: Replication strategy đơn giản, phù hợp cho single datacenter
+        // Số nguyên được hiểu là replication factor với SimpleStrategy
+        // SimpleStrategy: phù hợp cho single datacenter
+        // NetworkTopologyStrategy: replication factor riêng cho từng datacenter
+        const replicationCql = buildReplicationCql(typeof replication === 'number'
+            ? { class: 'SimpleStrategy', replicationFactor: replication }
+            : replication);
+        
         const query = `
             CREATE KEYSPACE IF NOT EXISTS ${keyspaceName}
-            WITH replication = {
-                'class': 'SimpleStrategy', 
-                'replication_factor': ${replicationFactor}
-            }
+            WITH replication = ${replicationCql}
         `;
         
         await client.execute(query);
-        console.log('✅ Keyspace', keyspaceName, 'đã được tạo với replication factor:', replicationFactor);
+        console.log('✅ Keyspace', keyspaceName, 'đã được tạo với replication:', replicationCql);
         
         // Đợi một chút để keyspace được propagate qua cluster
-        await delay(2000);
+        if (!isMemoryBackend) {
+            await delay(2000);
+        }
         return true;
         
     } catch (error) {
@@ -161,7 +193,7 @@ async function createKeyspace(keyspaceName = 'test_keyspace', replicationFactor
  * @param {string} keyspaceName - Tên keyspace để kết nối
  * @returns {Promise<boolean>} true nếu kết nối thành công
  */
-async function useKeyspace(keyspaceName = 'test_keyspace') {
+async function useKeyspace(keyspaceName = cassandraConfig.keyspace) {
     try {
         console.log('🔗 Kết nối tới keyspace:', keyspaceName);
         
@@ -176,63 +208,59 @@ async function useKeyspace(keyspaceName = 'test_keyspace') {
 }
 
 /**
- * Tạo table users với schema định nghĩa trước
+ * Tạo migrator cho keyspace hiện tại
+ * Schema (tables, indexes, ...) được quản lý bằng versioned migrations
+ * trong src/database/migrations, xem database/migrator.js
  * 
- * @returns {Promise<boolean>} true nếu tạo table thành công
+ * @param {Object} options - Override options cho createMigrator
+ * @returns {Object} Migrator API (migrate, status, check)
  */
-async function createUsersTable() {
-    try {
-        console.log('📋 Tạo table users...');
-        
-        const query = `
-            CREATE TABLE IF NOT EXISTS users (
-                id text PRIMARY KEY,        -- Primary key: Unique identifier
-                name text,                  -- Tên người dùng
-                email text,                 -- Email người dùng
-                created_at timestamp,       -- Thời gian tạo (thêm vào)
-                updated_at timestamp        -- Thời gian cập nhật (thêm vào)
-            )
-        `;
-        
-        await client.execute(query);
-        console.log('✅ Table users đã được tạo thành công');
-        return true;
-        
-    } catch (error) {
-        console.error('❌ Lỗi tạo table users:', error.message);
-        throw error;
-    }
+function getMigrator(options = {}) {
+    return createMigrator({
+        executeQuery,
+        scanRows,
+        client,
+        keyspace: cassandraConfig.keyspace,
+        config: cassandraConfig,
+        ...options
+    });
 }
 
 /**
- * Tạo table orders với schema định nghĩa trước
+ * Tạo replication checker cho keyspace hiện tại
+ * Đọc trực tiếp từng replica của một partition, xem database/replication.js
  * 
- * @returns {Promise<boolean>} true nếu tạo table thành công
+ * @returns {Object} Replication checker API (checkKey, checkSample, ...)
  */
-async function createOrdersTable() {
-    try {
-        console.log('📋 Tạo table orders...');
-        
-        const query = `
-            CREATE TABLE IF NOT EXISTS orders (
-                id text PRIMARY KEY,        -- Primary key: Unique identifier
-                user_id text,              -- Foreign key reference tới users
-                items text,                -- JSON string chứa danh sách items
-                total_amount decimal,      -- Tổng tiền
-                status text,               -- Trạng thái đơn hàng (thêm vào)
-                created_at timestamp,      -- Thời gian tạo (thêm vào)
-                updated_at timestamp       -- Thời gian cập nhật (thêm vào)
-            )
-        `;
-        
-        await client.execute(query);
-        console.log('✅ Table orders đã được tạo thành công');
-        return true;
-        
-    } catch (error) {
-        console.error('❌ Lỗi tạo table orders:', error.message);
-        throw error;
-    }
+function getReplicationChecker() {
+    return createReplicationChecker({ client, keyspace: cassandraConfig.keyspace });
+}
+
+/**
+ * Topology của cluster theo góc nhìn của client này
+ * (hosts up/down, DC/rack, connection pools, schema agreement, replication)
+ * 
+ * @returns {Promise<Object>} Topology, xem database/topology.js
+ */
+async function getClusterTopology() {
+    return describeCluster({
+        client,
+        keyspace: cassandraConfig.keyspace,
+        localDataCenter: cassandraConfig.localDataCenter
+    });
+}
+
+/**
+ * Apply tất cả pending schema migrations
+ * An toàn khi nhiều services khởi động cùng lúc (LWT lock)
+ * 
+ * @returns {Promise<Array<Object>>} Migrations đã apply
+ */
+async function runMigrations() {
+    console.log('📦 Kiểm tra schema migrations...');
+    const applied = await getMigrator().migrate();
+    console.log(`✅ Schema migrations hoàn tất (${applied.length} migration mới)`);
+    return applied;
 }
 
 /**
@@ -250,6 +278,10 @@ async function createOrdersTable() {
  */
 async function initializeDatabase(maxRetries = 5) {
     console.log('🚀 Bắt đầu khởi tạo Cassandra database...');
+    console.log('⚙️  Cassandra config:', describeConfig(cassandraConfig));
+    if (isMemoryBackend) {
+        console.log('🧪 STORAGE_BACKEND=memory: dùng in-memory stand-in, data không được lưu lại sau khi process dừng');
+    }
     
     // Bước 1: Đợi Cassandra cluster sẵn sàng
     const isClusterReady = await waitForCassandraReady();
@@ -263,20 +295,19 @@ async function initializeDatabase(maxRetries = 5) {
             console.log(`📝 Lần thử khởi tạo database: ${maxRetries - retries + 1}/${maxRetries}`);
             
             // Bước 2: Tạo keyspace
-            await createKeyspace('test_keyspace', 3);
+            await createKeyspace(cassandraConfig.keyspace, cassandraConfig.replication);
             
             // Bước 3: Kết nối tới keyspace
-            await useKeyspace('test_keyspace');
+            await useKeyspace(cassandraConfig.keyspace);
             
-            // Bước 4: Tạo tables
-            await createUsersTable();
-            await createOrdersTable();
+            // Bước 4: Apply schema migrations (tables, ...)
+            await runMigrations();
             
             console.log('🎉 Database đã được khởi tạo thành công!');
             console.log('📊 Schema summary:');
-            console.log('   - Keyspace: test_keyspace (RF=3)');
-            console.log('   - Tables: users, orders');
-            console.log('   - Cluster: 3 nodes (cassandra1, cassandra2, cassandra3)');
+            console.log('   - Keyspace:', cassandraConfig.keyspace, buildReplicationCql(cassandraConfig.replication));
+            console.log('   - Schema: managed by migrations (schema_migrations)');
+            console.log('   - Contact points:', isMemoryBackend ? '(memory backend)' : cassandraConfig.contactPoints.join(', '));
             
             return true;
             
@@ -304,34 +335,153 @@ async function initializeDatabase(maxRetries = 5) {
  * =============================================================================
  */
 
+/**
+ * Options cho một query: consistency theo loại operation (SELECT = read, còn lại = write),
+ * override bởi X-Consistency-Level của request hiện tại, trừ khi caller đã chỉ định
+ * SELECT được đánh dấu idempotent để retry / speculative execution áp dụng được
+ * 
+ * @param {string} operation - Operation từ describeQuery (SELECT, INSERT, ...)
+ * @param {Object} options - Options do caller truyền vào
+ * @returns {Object} Options cho client.execute
+ */
+function withConsistency(operation, options) {
+    const kind = operation === 'SELECT' ? 'read' : 'write';
+    const queryOptions = { ...options };
+    if (queryOptions.consistency === undefined) {
+        queryOptions.consistency = resolveConsistency(kind, cassandraConfig.consistency).value;
+    }
+    if (kind === 'read' && queryOptions.isIdempotent === undefined) {
+        queryOptions.isIdempotent = true;
+    }
+    recordConsistency(kind, queryOptions.consistency);
+    return queryOptions;
+}
+
 /**
  * Thực thi prepared statement một cách an toàn
  * Prepared statements giúp prevent injection và improve performance
  * 
  * @param {string} query - CQL query string
  * @param {Array} params - Parameters cho query
- * @param {Object} options - Options cho execution
+ * @param {Object} options - Options cho execution (consistency mặc định theo read / write)
  * @returns {Promise<Object>} Query result
  */
 async function executeQuery(query, params = [], options = { prepare: true }) {
-    try {
-        console.log('🔍 Executing query:', query);
-        console.log('📝 Parameters:', params);
-        
-        const result = await client.execute(query, params, options);
-        
-        // Add null check for result.rows
-        const rowCount = result && result.rows ? result.rows.length : 0;
-        console.log('✅ Query executed successfully, rows returned:', rowCount);
+    const { operation, table } = describeQuery(query);
+    const queryOptions = withConsistency(operation, options);
+    
+    // Span bao quanh query, là con của span HTTP request hiện tại (nếu có)
+    return withSpan(`cassandra.${operation.toLowerCase()} ${table}`, {
+        kind: SPAN_KIND.CLIENT,
+        attributes: {
+            'db.system': 'cassandra',
+            'db.operation': operation,
+            'db.cassandra.table': table,
+            'db.statement': query.trim().replace(/\s+/g, ' '),
+            'db.cassandra.consistency_level': types.consistencyToString[queryOptions.consistency]
+        }
+    }, async span => {
+        // Đo latency của query cho metric cassandra_query_duration_seconds
+        const endTimer = cassandraQueryDuration.startTimer({ operation, table });
         
-        return result;
+        try {
+            const requestId = getRequestId();
+            console.log('🔍 Executing query:', query);
+            console.log('📝 Parameters:', params);
+            if (requestId) {
+                console.log('🔗 Request ID:', requestId);
+            }
+            
+            const result = await client.execute(query, params, queryOptions);
+            endTimer({ status: 'success' });
+            
+            // Add null check for result.rows
+            const rowCount = result && result.rows ? result.rows.length : 0;
+            console.log('✅ Query executed successfully, rows returned:', rowCount);
+            span.setAttribute('db.rows_returned', rowCount);
+            if (result && result.info && result.info.queriedHost) {
+                span.setAttribute('net.peer.name', result.info.queriedHost);
+            }
+            
+            return result;
+            
+        } catch (error) {
+            endTimer({ status: 'error' });
+            console.error('❌ Query execution failed:', error.message);
+            console.error('📝 Query:', query);
+            console.error('📝 Parameters:', params);
+            throw error;
+        }
+    });
+}
+
+/**
+ * Execute nhiều statements trong một logged batch
+ * Logged batch đảm bảo tất cả statements cuối cùng đều được áp dụng (batchlog),
+ * dùng để giữ các bảng denormalized đồng bộ với nhau
+ * 
+ * @param {Array<{query: string, params: Array}>} queries - Danh sách statements
+ * @param {Object} options - Query options (mặc định prepare + logged)
+ * @returns {Promise} Batch result
+ */
+async function executeBatch(queries, options = { prepare: true, logged: true }) {
+    const tables = [...new Set(queries.map(({ query }) => describeQuery(query).table))];
+    const table = tables.join(',');
+    const batchOptions = withConsistency('BATCH', options);
+    
+    return withSpan(`cassandra.batch ${table}`, {
+        kind: SPAN_KIND.CLIENT,
+        attributes: {
+            'db.system': 'cassandra',
+            'db.operation': 'BATCH',
+            'db.cassandra.table': table,
+            'db.cassandra.batch_size': queries.length,
+            'db.cassandra.consistency_level': types.consistencyToString[batchOptions.consistency]
+        }
+    }, async () => {
+        const endTimer = cassandraQueryDuration.startTimer({ operation: 'BATCH', table });
         
-    } catch (error) {
-        console.error('❌ Query execution failed:', error.message);
-        console.error('📝 Query:', query);
-        console.error('📝 Parameters:', params);
-        throw error;
-    }
+        try {
+            const requestId = getRequestId();
+            console.log(`🔍 Executing batch (${queries.length} statements):`, tables.join(', '));
+            if (requestId) {
+                console.log('🔗 Request ID:', requestId);
+            }
+            
+            const result = await client.batch(queries, batchOptions);
+            endTimer({ status: 'success' });
+            console.log('✅ Batch executed successfully');
+            return result;
+            
+        } catch (error) {
+            endTimer({ status: 'error' });
+            console.error('❌ Batch execution failed:', error.message);
+            queries.forEach(({ query, params }) => console.error('📝 Statement:', query, params));
+            throw error;
+        }
+    });
+}
+
+/**
+ * Duyệt toàn bộ kết quả của một query theo từng trang (dùng paging state)
+ * Dùng cho migrations / backfill cần đọc cả table mà không load hết vào memory
+ * 
+ * @param {string} query - CQL query string
+ * @param {Array} params - Parameters cho query
+ * @param {number} fetchSize - Số rows mỗi trang
+ * @returns {AsyncGenerator<Object>} Từng row
+ */
+async function* scanRows(query, params = [], fetchSize = 500) {
+    let pageState;
+    do {
+        const options = { prepare: true, fetchSize };
+        if (pageState) {
+            options.pageState = pageState;
+        }
+        const result = await executeQuery(query, params, options);
+        yield* result.rows;
+        pageState = result.pageState;
+    } while (pageState);
 }
 
 /**
@@ -341,6 +491,7 @@ async function executeQuery(query, params = [], options = { prepare: true }) {
 async function closeConnection() {
     try {
         console.log('🔒 Đóng kết nối Cassandra...');
+        await flushSpans();  // Export các spans còn lại trước khi shutdown
         await client.shutdown();
         console.log('✅ Kết nối Cassandra đã được đóng');
     } catch (error) {
@@ -357,6 +508,8 @@ async function closeConnection() {
 module.exports = {
     // Client instance
     client,
+    cassandraConfig,
+    isMemoryBackend,
     
     // Health check functions
     checkCassandraHealth,
@@ -366,11 +519,17 @@ module.exports = {
     initializeDatabase,
     createKeyspace,
     useKeyspace,
-    createUsersTable,
-    createOrdersTable,
+    getMigrator,
+    runMigrations,
+    
+    // Cluster inspection (admin endpoints)
+    getReplicationChecker,
+    getClusterTopology,
     
     // Query helpers
     executeQuery,
+    executeBatch,
+    scanRows,
     closeConnection,
     
     // Utility
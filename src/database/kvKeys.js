@@ -0,0 +1,86 @@
+/**
+ * =============================================================================
+ * KV KEY DIRECTORIES
+ * =============================================================================
+ * 
+ * Partition keys của index data_keys (KV Service) theo directory của key:
+ * key 'config/checkout/limits' nằm trong bucket 'config/checkout/', mỗi directory
+ * cha có một marker trong bucket của cha nó ('config/' -> ROOT_BUCKET,
+ * 'config/checkout/' -> 'config/'). Prefix listing đi qua markers theo thứ tự
+ * clustering nên keys trả về theo thứ tự string, và không directory nào dồn cả
+ * keyspace vào một partition như khi chia theo ký tự đầu.
+ * =============================================================================
+ */
+
+const DELIMITER = '/';
+
+/**
+ * Bucket của keys không có '/' (partition key không được rỗng); không trùng
+ * directory nào vì directory luôn kết thúc bằng '/'
+ */
+const ROOT_BUCKET = '.';
+
+/**
+ * Directory marker: entry kết thúc bằng '/' trong data_keys
+ * 
+ * @param {string} entry - Clustering key của data_keys
+ * @returns {boolean}
+ */
+function isDirectory(entry) {
+    return entry.endsWith(DELIMITER);
+}
+
+/**
+ * Bucket chứa một key hoặc directory marker: phần trước '/' cuối cùng
+ * (không tính '/' kết thúc của chính marker)
+ * 
+ * @param {string} entry - vd: 'config/checkout/limits' hoặc 'config/checkout/'
+ * @returns {string} vd: 'config/checkout/' hoặc 'config/'
+ */
+function bucketFor(entry) {
+    const end = isDirectory(entry) ? entry.length - 2 : entry.length - 1;
+    const index = end < 0 ? -1 : entry.lastIndexOf(DELIMITER, end);
+    return index === -1 ? ROOT_BUCKET : entry.slice(0, index + 1);
+}
+
+/**
+ * Các entries của data_keys cho một key: chính key và marker của mọi directory cha
+ * 
+ * @param {string} key - Key (không kết thúc bằng '/')
+ * @returns {Array<Object>} [{ bucket, key }], key trước rồi tới các directories
+ */
+function indexEntries(key) {
+    const entries = [{ bucket: bucketFor(key), key }];
+    for (let index = key.indexOf(DELIMITER); index !== -1; index = key.indexOf(DELIMITER, index + 1)) {
+        const directory = key.slice(0, index + 1);
+        entries.push({ bucket: bucketFor(directory), key: directory });
+    }
+    return entries;
+}
+
+/**
+ * Entry trong một bucket chứa key `after` (để đọc tiếp từ cursor mà không
+ * quét lại các entries đứng trước)
+ * 
+ * @param {string} bucket - Bucket đang duyệt (directory hoặc ROOT_BUCKET)
+ * @param {string} after - Key cuối cùng đã trả về
+ * @returns {string|null} Key `after` hoặc marker của directory con chứa nó,
+ *                        null nếu `after` không nằm trong bucket
+ */
+function entryContaining(bucket, after) {
+    const directory = bucket === ROOT_BUCKET ? '' : bucket;
+    if (!after.startsWith(directory)) {
+        return null;
+    }
+    const index = after.indexOf(DELIMITER, directory.length);
+    return index === -1 ? after : after.slice(0, index + 1);
+}
+
+module.exports = {
+    DELIMITER,
+    ROOT_BUCKET,
+    isDirectory,
+    bucketFor,
+    indexEntries,
+    entryContaining
+};
@@ -0,0 +1,41 @@
+/**
+ * =============================================================================
+ * LEGACY ID RESOLUTION
+ * =============================================================================
+ * 
+ * Resolve ID dạng timestamp cũ sang TimeUUID mới (xem migration 003)
+ * Clients có thể vẫn giữ ID cũ; các endpoint /:id dùng helper này để
+ * tìm đúng row sau khi dữ liệu đã được migrate.
+ * =============================================================================
+ */
+
+const { isLegacyId } = require('../utils/idGenerator');
+
+/**
+ * Resolve ID của một entity
+ * 
+ * @param {string} entity - Tên entity (users, orders)
+ * @param {string} id - ID từ request
+ * @param {Function} query - executeQuery của database API mà service đang dùng
+ * @returns {Promise<string>} ID mới nếu là legacy ID đã được migrate, ngược lại giữ nguyên
+ */
+async function resolveId(entity, id, query) {
+    if (!isLegacyId(id)) {
+        return id;
+    }
+    
+    const result = await query(
+        'SELECT new_id FROM legacy_id_map WHERE entity = ? AND legacy_id = ?',
+        [entity, id]
+    );
+    
+    if (result.rows.length > 0) {
+        console.log(`🔁 Legacy ${entity} ID ${id} resolved to ${result.rows[0].new_id}`);
+        return result.rows[0].new_id;
+    }
+    return id;
+}
+
+module.exports = {
+    resolveId
+};
@@ -0,0 +1,1838 @@
+/**
+ * =============================================================================
+ * IN-MEMORY STORAGE BACKEND (CASSANDRA STAND-IN)
+ * =============================================================================
+ * 
+ * Client giả lập cassandra-driver Client (execute / batch / connect / shutdown),
+ * lưu data trong memory của process. Bật bằng STORAGE_BACKEND=memory
+ * (xem config/cassandraConfig.js và database/cassandraConnection.js) để chạy
+ * services và tests mà không cần Cassandra cluster.
+ * 
+ * Hỗ trợ tập con CQL mà services và migrations đang dùng:
+ * - CREATE KEYSPACE / USE / CREATE TABLE / CREATE TYPE / ALTER TABLE ADD / DROP TABLE / TRUNCATE
+ * - INSERT ... [IF NOT EXISTS] [USING TTL n]
+ * - UPDATE [USING TTL n] SET ... WHERE <primary key> [IF EXISTS | IF col = ? AND ...]
+ *   (SET col = ?, hoặc col = col + ? / col = col - ? cho set và list)
+ * - DELETE [columns] FROM ... WHERE <partition key> [AND clustering] [IF EXISTS | IF col = ?]
+ * - SELECT *, columns, TTL(col), WRITETIME(col), COUNT(*), now()
+ *   WHERE (=, IN, <, <=, >, >=) [ORDER BY clustering] [LIMIT n] [ALLOW FILTERING]
+ * - system.local, system_schema.keyspaces / tables / columns (read-only)
+ * - Logged batches (atomic, kể cả batch có điều kiện)
+ * - getReplicas() / hosts / getState(): một host duy nhất (address "memory") cho mọi partition
+ * - Paging bằng fetchSize / pageState như driver
+ * 
+ * Khác với Cassandra:
+ * - Chỉ có một "node": consistency level được nhận nhưng không có ý nghĩa
+ * - LWT là atomic vì mỗi statement chạy đồng bộ trên event loop
+ * - Data chỉ tồn tại trong process hiện tại: các services chạy ở processes
+ *   khác nhau KHÔNG chia sẻ data (outbox, ...); chạy chung một process
+ *   nếu cần (ví dụ integration test harness)
+ * - Partitions được duyệt theo thứ tự insert thay vì theo token
+ * =============================================================================
+ */
+
+const { types, errors } = require('cassandra-driver');
+
+const { Long, BigDecimal, TimeUuid, Uuid, responseErrorCodes } = types;
+
+const MEMORY_HOST = 'memory';
+const DEFAULT_FETCH_SIZE = 5000;    // Giống default của cassandra-driver
+const APPLIED = '[applied]';
+
+/**
+ * Error theo định dạng của driver (errors.ResponseError với code của Cassandra)
+ * để code xử lý lỗi hiện có không cần phân biệt backend
+ * 
+ * @param {string} message - Thông báo lỗi
+ * @param {number} code - types.responseErrorCodes (default: invalid)
+ * @returns {errors.ResponseError}
+ */
+function invalidRequest(message, code = responseErrorCodes.invalid) {
+    return new errors.ResponseError(code, message);
+}
+
+// =============================================================================
+// TOKENIZER
+// =============================================================================
+
+const PUNCTUATION = ['(', ')', ',', ';', '=', '<', '>', '*', '.', '+', '-', ':', '[', ']', '{', '}'];
+
+/**
+ * Tách CQL thành tokens, bỏ qua comments (--, //, /* *\/)
+ * 
+ * @param {string} cql - Câu CQL
+ * @returns {Array<Object>} Tokens { type: word|ident|string|number|param|op|punct, value }
+ */
+function tokenize(cql) {
+    const tokens = [];
+    let i = 0;
+    
+    while (i < cql.length) {
+        const char = cql[i];
+        const pair = cql.slice(i, i + 2);
+        
+        if (/\s/.test(char)) {
+            i++;
+        } else if (pair === '--' || pair === '//') {
+            while (i < cql.length && cql[i] !== '\n') {
+                i++;
+            }
+        } else if (pair === '/*') {
+            const end = cql.indexOf('*/', i + 2);
+            i = end === -1 ? cql.length : end + 2;
+        } else if (char === '\'' || char === '"') {
+            let value = '';
+            i++;
+            while (i < cql.length) {
+                if (cql[i] === char && cql[i + 1] === char) {
+                    value += char;
+                    i += 2;
+                } else if (cql[i] === char) {
+                    break;
+                } else {
+                    value += cql[i++];
+                }
+            }
+            if (i >= cql.length) {
+                throw invalidRequest(`Unterminated quoted value in: ${cql}`, responseErrorCodes.syntaxError);
+            }
+            i++;
+            tokens.push({ type: char === '"' ? 'ident' : 'string', value });
+        } else if (/\d/.test(char)) {
+            const match = /^\d+(\.\d+)?([eE][+-]?\d+)?/.exec(cql.slice(i));
+            tokens.push({ type: 'number', value: match[0] });
+            i += match[0].length;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(cql.slice(i));
+            tokens.push({ type: 'word', value: match[0], upper: match[0].toUpperCase() });
+            i += match[0].length;
+        } else if (char === '?') {
+            tokens.push({ type: 'param' });
+            i++;
+        } else if (pair === '<=' || pair === '>=' || pair === '!=') {
+            tokens.push({ type: 'op', value: pair });
+            i += 2;
+        } else if (PUNCTUATION.includes(char)) {
+            tokens.push({ type: 'punct', value: char });
+            i++;
+        } else {
+            throw invalidRequest(`Unexpected character "${char}" in: ${cql}`, responseErrorCodes.syntaxError);
+        }
+    }
+    
+    return tokens;
+}
+
+// =============================================================================
+// PARSER
+// =============================================================================
+
+const COMPARISON_OPS = ['=', '<', '>', '<=', '>=', '!='];
+
+/**
+ * Recursive descent parser cho tập con CQL ở trên
+ * Mỗi "?" được đánh số theo thứ tự xuất hiện (bind markers của driver)
+ */
+class Parser {
+    constructor(cql) {
+        this.cql = cql;
+        this.tokens = tokenize(cql);
+        this.pos = 0;
+        this.paramCount = 0;
+    }
+    
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset];
+    }
+    
+    next() {
+        const token = this.tokens[this.pos++];
+        if (!token) {
+            this.fail('unexpected end of statement');
+        }
+        return token;
+    }
+    
+    fail(message) {
+        const near = this.tokens.slice(this.pos, this.pos + 3)
+            .map(token => token.value || '?').join(' ');
+        throw invalidRequest(`line 1: ${message}${near ? ` near "${near}"` : ''} (${this.cql.trim()})`,
+            responseErrorCodes.syntaxError);
+    }
+    
+    isWord(word, offset = 0) {
+        const token = this.peek(offset);
+        return Boolean(token && token.type === 'word' && token.upper === word);
+    }
+    
+    acceptWord(word) {
+        if (this.isWord(word)) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+    
+    expectWord(word) {
+        if (!this.acceptWord(word)) {
+            this.fail(`expected ${word}`);
+        }
+    }
+    
+    isPunct(value, offset = 0) {
+        const token = this.peek(offset);
+        return Boolean(token && (token.type === 'punct' || token.type === 'op') && token.value === value);
+    }
+    
+    acceptPunct(value) {
+        if (this.isPunct(value)) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+    
+    expectPunct(value) {
+        if (!this.acceptPunct(value)) {
+            this.fail(`expected "${value}"`);
+        }
+    }
+    
+    /**
+     * Identifier: tên không quote được lowercase như Cassandra
+     */
+    identifier() {
+        const token = this.next();
+        if (token.type === 'ident') {
+            return token.value;
+        }
+        if (token.type !== 'word') {
+            this.pos--;
+            this.fail('expected identifier');
+        }
+        return token.value.toLowerCase();
+    }
+    
+    /**
+     * [keyspace.]name
+     */
+    qualifiedName() {
+        const first = this.identifier();
+        if (this.acceptPunct('.')) {
+            return { keyspace: first, name: this.identifier() };
+        }
+        return { keyspace: null, name: first };
+    }
+    
+    /**
+     * CQL type: text, bigint, list<frozen<order_item>>, map<text, int>, ...
+     */
+    type() {
+        const name = this.identifier();
+        if (!this.acceptPunct('<')) {
+            return { name };
+        }
+        const args = [this.type()];
+        while (this.acceptPunct(',')) {
+            args.push(this.type());
+        }
+        this.expectPunct('>');
+        return { name, args };
+    }
+    
+    /**
+     * Term: ?, literal string / number / boolean / null
+     */
+    term() {
+        const token = this.next();
+        if (token.type === 'param') {
+            return { param: this.paramCount++ };
+        }
+        if (token.type === 'string') {
+            return { literal: token.value };
+        }
+        if (token.type === 'number') {
+            return { literal: token.value };
+        }
+        if (token.type === 'punct' && token.value === '-' && this.peek() && this.peek().type === 'number') {
+            return { literal: `-${this.next().value}` };
+        }
+        if (token.type === 'word' && ['TRUE', 'FALSE'].includes(token.upper)) {
+            return { literal: token.upper === 'TRUE' };
+        }
+        if (token.type === 'word' && token.upper === 'NULL') {
+            return { literal: null };
+        }
+        this.pos--;
+        return this.fail('expected value');
+    }
+    
+    /**
+     * col op term | col IN (term, ...)
+     */
+    relation() {
+        const column = this.identifier();
+        if (this.acceptWord('IN')) {
+            this.expectPunct('(');
+            const terms = [this.term()];
+            while (this.acceptPunct(',')) {
+                terms.push(this.term());
+            }
+            this.expectPunct(')');
+            return { column, op: 'IN', terms };
+        }
+        const token = this.next();
+        if (!COMPARISON_OPS.includes(token.value)) {
+            this.pos--;
+            this.fail('expected comparison operator');
+        }
+        return { column, op: token.value, term: this.term() };
+    }
+    
+    where() {
+        if (!this.acceptWord('WHERE')) {
+            return [];
+        }
+        const relations = [this.relation()];
+        while (this.acceptWord('AND')) {
+            relations.push(this.relation());
+        }
+        return relations;
+    }
+    
+    /**
+     * IF EXISTS | IF NOT EXISTS | IF col op term [AND ...]
+     */
+    condition() {
+        if (!this.acceptWord('IF')) {
+            return null;
+        }
+        if (this.acceptWord('EXISTS')) {
+            return { exists: true };
+        }
+        if (this.acceptWord('NOT')) {
+            this.expectWord('EXISTS');
+            return { notExists: true };
+        }
+        const relations = [this.relation()];
+        while (this.acceptWord('AND')) {
+            relations.push(this.relation());
+        }
+        return { relations };
+    }
+    
+    /**
+     * USING TTL n [AND TIMESTAMP n]
+     */
+    using() {
+        const using = {};
+        if (!this.acceptWord('USING')) {
+            return using;
+        }
+        do {
+            if (this.acceptWord('TTL')) {
+                using.ttl = this.term();
+            } else if (this.acceptWord('TIMESTAMP')) {
+                using.timestamp = this.term();
+            } else {
+                this.fail('expected TTL or TIMESTAMP');
+            }
+        } while (this.acceptWord('AND'));
+        return using;
+    }
+    
+    /**
+     * [ASC | DESC], mặc định ASC
+     */
+    direction() {
+        if (this.acceptWord('DESC')) {
+            return 'DESC';
+        }
+        this.acceptWord('ASC');
+        return 'ASC';
+    }
+    
+    ifNotExists() {
+        if (this.acceptWord('IF')) {
+            this.expectWord('NOT');
+            this.expectWord('EXISTS');
+            return true;
+        }
+        return false;
+    }
+    
+    ifExists() {
+        if (this.acceptWord('IF')) {
+            this.expectWord('EXISTS');
+            return true;
+        }
+        return false;
+    }
+    
+    parse() {
+        const statement = this.statement();
+        this.acceptPunct(';');
+        if (this.peek()) {
+            this.fail('unexpected input');
+        }
+        statement.paramCount = this.paramCount;
+        return statement;
+    }
+    
+    statement() {
+        const token = this.peek();
+        const keyword = token && token.type === 'word' ? token.upper : null;
+        switch (keyword) {
+            case 'SELECT': return this.select();
+            case 'INSERT': return this.insert();
+            case 'UPDATE': return this.update();
+            case 'DELETE': return this.delete();
+            case 'CREATE': return this.create();
+            case 'ALTER': return this.alter();
+            case 'DROP': return this.drop();
+            case 'TRUNCATE': return this.truncate();
+            case 'USE':
+                this.next();
+                return { kind: 'use', keyspace: this.identifier() };
+            default:
+                return this.fail('unsupported statement');
+        }
+    }
+    
+    select() {
+        this.expectWord('SELECT');
+        const selectors = [];
+        if (this.acceptPunct('*')) {
+            selectors.push({ type: 'star' });
+        } else {
+            do {
+                selectors.push(this.selector());
+            } while (this.acceptPunct(','));
+        }
+        
+        this.expectWord('FROM');
+        const statement = { kind: 'select', ...this.qualifiedName(), selectors, where: this.where() };
+        
+        if (this.acceptWord('ORDER')) {
+            this.expectWord('BY');
+            statement.orderBy = [];
+            do {
+                statement.orderBy.push({ column: this.identifier(), direction: this.direction() });
+            } while (this.acceptPunct(','));
+        }
+        if (this.acceptWord('LIMIT')) {
+            statement.limit = this.term();
+        }
+        if (this.acceptWord('ALLOW')) {
+            this.expectWord('FILTERING');
+            statement.allowFiltering = true;
+        }
+        return statement;
+    }
+    
+    selector() {
+        let selector;
+        const token = this.peek();
+        const functionName = token && token.type === 'word' && this.isPunct('(', 1) ? token.upper : null;
+        
+        if (functionName === 'TTL' || functionName === 'WRITETIME') {
+            this.pos += 2;
+            selector = { type: functionName.toLowerCase(), column: this.identifier() };
+            this.expectPunct(')');
+        } else if (functionName === 'COUNT') {
+            this.pos += 2;
+            if (!this.acceptPunct('*')) {
+                this.identifier();
+            }
+            this.expectPunct(')');
+            selector = { type: 'count' };
+        } else if (functionName === 'NOW') {
+            this.pos += 2;
+            this.expectPunct(')');
+            selector = { type: 'now' };
+        } else if (functionName) {
+            this.fail(`unsupported function ${functionName}`);
+        } else {
+            selector = { type: 'column', column: this.identifier() };
+        }
+        
+        selector.alias = this.acceptWord('AS') ? this.identifier() : defaultAlias(selector);
+        return selector;
+    }
+    
+    insert() {
+        this.expectWord('INSERT');
+        this.expectWord('INTO');
+        const statement = { kind: 'insert', ...this.qualifiedName(), columns: [], values: [] };
+        
+        this.expectPunct('(');
+        do {
+            statement.columns.push(this.identifier());
+        } while (this.acceptPunct(','));
+        this.expectPunct(')');
+        
+        this.expectWord('VALUES');
+        this.expectPunct('(');
+        do {
+            statement.values.push(this.term());
+        } while (this.acceptPunct(','));
+        this.expectPunct(')');
+        
+        if (statement.columns.length !== statement.values.length) {
+            this.fail('unmatched column names / values');
+        }
+        
+        // IF NOT EXISTS và USING có thể đứng theo thứ tự bất kỳ
+        for (let i = 0; i < 2; i++) {
+            if (this.isWord('IF')) {
+                statement.condition = { notExists: this.ifNotExists() };
+            } else if (this.isWord('USING')) {
+                statement.using = this.using();
+            }
+        }
+        statement.using = statement.using || {};
+        statement.condition = statement.condition || null;
+        return statement;
+    }
+    
+    update() {
+        this.expectWord('UPDATE');
+        const statement = { kind: 'update', ...this.qualifiedName() };
+        statement.using = this.using();
+        
+        this.expectWord('SET');
+        statement.assignments = [];
+        do {
+            const column = this.identifier();
+            this.expectPunct('=');
+            // col = col + ? / col = col - ? (thêm / bớt phần tử của set, list)
+            const token = this.peek();
+            if (token && ['word', 'ident'].includes(token.type) && (this.isPunct('+', 1) || this.isPunct('-', 1))) {
+                if (this.identifier() !== column) {
+                    this.fail(`Only expressions of the form ${column} = ${column} + <value> are supported`);
+                }
+                const op = this.next().value;
+                statement.assignments.push({ column, op, term: this.term() });
+            } else {
+                statement.assignments.push({ column, term: this.term() });
+            }
+        } while (this.acceptPunct(','));
+        
+        statement.where = this.where();
+        statement.condition = this.condition();
+        if (statement.condition && statement.condition.notExists) {
+            this.fail('IF NOT EXISTS is not supported for UPDATE');
+        }
+        return statement;
+    }
+    
+    delete() {
+        this.expectWord('DELETE');
+        const columns = [];
+        while (!this.isWord('FROM')) {
+            columns.push(this.identifier());
+            this.acceptPunct(',');
+        }
+        this.expectWord('FROM');
+        const statement = { kind: 'delete', ...this.qualifiedName(), columns };
+        statement.using = this.using();
+        statement.where = this.where();
+        statement.condition = this.condition();
+        if (statement.condition && statement.condition.notExists) {
+            this.fail('IF NOT EXISTS is not supported for DELETE');
+        }
+        return statement;
+    }
+    
+    create() {
+        this.expectWord('CREATE');
+        if (this.acceptWord('KEYSPACE')) {
+            const ifNotExists = this.ifNotExists();
+            const keyspace = this.identifier();
+            return { kind: 'createKeyspace', keyspace, ifNotExists, replication: this.keyspaceReplication() };
+        }
+        if (this.acceptWord('TYPE')) {
+            const ifNotExists = this.ifNotExists();
+            const statement = { kind: 'createType', ...this.qualifiedName(), ifNotExists, fields: [] };
+            this.expectPunct('(');
+            do {
+                statement.fields.push({ name: this.identifier(), type: this.type() });
+            } while (this.acceptPunct(','));
+            this.expectPunct(')');
+            return statement;
+        }
+        this.expectWord('TABLE');
+        return this.createTable();
+    }
+    
+    /**
+     * WITH replication = { 'class': ..., ... } [AND durable_writes = ...]
+     * Replication map chỉ có ý nghĩa với cluster thật, được giữ lại dạng
+     * map<text, text> như system_schema.keyspaces để báo cáo
+     */
+    keyspaceReplication() {
+        const replication = {};
+        if (!this.acceptWord('WITH')) {
+            return replication;
+        }
+        do {
+            const option = this.identifier().toLowerCase();
+            this.expectPunct('=');
+            if (option !== 'replication') {
+                this.skipOptionValue();
+                continue;
+            }
+            this.expectPunct('{');
+            do {
+                const key = String(this.next().value);
+                this.expectPunct(':');
+                replication[key] = String(this.next().value);
+            } while (this.acceptPunct(','));
+            this.expectPunct('}');
+        } while (this.acceptWord('AND'));
+        
+        if (replication.class && !replication.class.includes('.')) {
+            replication.class = `org.apache.cassandra.locator.${replication.class}`;
+        }
+        return replication;
+    }
+    
+    createTable() {
+        const ifNotExists = this.ifNotExists();
+        const statement = {
+            kind: 'createTable',
+            ...this.qualifiedName(),
+            ifNotExists,
+            columns: [],
+            partitionKey: [],
+            clustering: [],
+            clusteringOrder: {}
+        };
+        
+        this.expectPunct('(');
+        do {
+            if (this.acceptWord('PRIMARY')) {
+                this.expectWord('KEY');
+                this.primaryKey(statement);
+                continue;
+            }
+            const column = { name: this.identifier(), type: this.type() };
+            if (this.acceptWord('STATIC')) {
+                this.fail('static columns are not supported by the memory backend');
+            }
+            if (this.acceptWord('PRIMARY')) {
+                this.expectWord('KEY');
+                statement.partitionKey = [column.name];
+            }
+            statement.columns.push(column);
+        } while (this.acceptPunct(','));
+        this.expectPunct(')');
+        
+        if (statement.partitionKey.length === 0) {
+            this.fail('PRIMARY KEY is required');
+        }
+        
+        // WITH CLUSTERING ORDER BY (...) [AND <option> = <value>] - các options khác bị bỏ qua
+        if (this.acceptWord('WITH')) {
+            do {
+                if (this.acceptWord('CLUSTERING')) {
+                    this.expectWord('ORDER');
+                    this.expectWord('BY');
+                    this.expectPunct('(');
+                    do {
+                        statement.clusteringOrder[this.identifier()] = this.direction();
+                    } while (this.acceptPunct(','));
+                    this.expectPunct(')');
+                } else {
+                    this.identifier();
+                    this.expectPunct('=');
+                    this.skipOptionValue();
+                }
+            } while (this.acceptWord('AND'));
+        }
+        return statement;
+    }
+    
+    /**
+     * PRIMARY KEY (pk, ck, ...) | PRIMARY KEY ((pk1, pk2), ck, ...)
+     */
+    primaryKey(statement) {
+        this.expectPunct('(');
+        if (this.acceptPunct('(')) {
+            do {
+                statement.partitionKey.push(this.identifier());
+            } while (this.acceptPunct(','));
+            this.expectPunct(')');
+        } else {
+            statement.partitionKey.push(this.identifier());
+        }
+        while (this.acceptPunct(',')) {
+            statement.clustering.push(this.identifier());
+        }
+        this.expectPunct(')');
+    }
+    
+    skipOptionValue() {
+        let depth = 0;
+        do {
+            const token = this.next();
+            if (token.value === '{' || token.value === '(') {
+                depth++;
+            } else if (token.value === '}' || token.value === ')') {
+                depth--;
+            }
+        } while (depth > 0);
+    }
+    
+    alter() {
+        this.expectWord('ALTER');
+        this.expectWord('TABLE');
+        const statement = { kind: 'alterTable', ...this.qualifiedName(), add: [] };
+        this.expectWord('ADD');
+        const parenthesized = this.acceptPunct('(');
+        do {
+            statement.add.push({ name: this.identifier(), type: this.type() });
+        } while (parenthesized && this.acceptPunct(','));
+        if (parenthesized) {
+            this.expectPunct(')');
+        }
+        return statement;
+    }
+    
+    drop() {
+        this.expectWord('DROP');
+        this.expectWord('TABLE');
+        const ifExists = this.ifExists();
+        return { kind: 'dropTable', ...this.qualifiedName(), ifExists };
+    }
+    
+    truncate() {
+        this.expectWord('TRUNCATE');
+        this.acceptWord('TABLE');
+        return { kind: 'truncate', ...this.qualifiedName() };
+    }
+}
+
+function defaultAlias(selector) {
+    switch (selector.type) {
+        case 'ttl': return `ttl(${selector.column})`;
+        case 'writetime': return `writetime(${selector.column})`;
+        case 'count': return 'count';
+        case 'now': return 'system.now()';
+        default: return selector.column;
+    }
+}
+
+/**
+ * Format type về dạng CQL (cho system_schema.columns)
+ */
+function formatType(type) {
+    return type.args ? `${type.name}<${type.args.map(formatType).join(', ')}>` : type.name;
+}
+
+// =============================================================================
+// VALUES: COERCE / COMPARE THEO CQL TYPE
+// =============================================================================
+
+const INTEGER_TYPES = ['int', 'smallint', 'tinyint'];
+const FLOAT_TYPES = ['float', 'double'];
+const LONG_TYPES = ['bigint', 'counter', 'varint'];
+const TEXT_TYPES = ['text', 'varchar', 'ascii', 'inet'];
+
+/**
+ * Chuyển giá trị bind / literal sang kiểu mà driver trả về cho column type đó
+ * (bigint -> Long, decimal -> BigDecimal, timestamp -> Date, timeuuid -> TimeUuid, ...)
+ * 
+ * @param {Object} type - Type đã parse
+ * @param {*} value - Giá trị từ params hoặc literal
+ * @param {Object} keyspace - Keyspace chứa UDTs
+ * @param {string} column - Tên column (cho thông báo lỗi)
+ * @returns {*} Giá trị đã chuyển, null nếu rỗng
+ */
+function coerce(type, value, keyspace, column) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    
+    const fail = () => {
+        throw new TypeError(`Invalid value for column ${column} of type ${formatType(type)}: ${String(value)}`);
+    };
+    
+    if (TEXT_TYPES.includes(type.name)) {
+        return String(value);
+    }
+    if (INTEGER_TYPES.includes(type.name) || FLOAT_TYPES.includes(type.name)) {
+        const number = Number(value);
+        if (Number.isNaN(number) || (INTEGER_TYPES.includes(type.name) && !Number.isInteger(number))) {
+            fail();
+        }
+        return number;
+    }
+    if (LONG_TYPES.includes(type.name)) {
+        if (value instanceof Long) {
+            return value;
+        }
+        if (!/^-?\d+$/.test(String(value))) {
+            fail();
+        }
+        return Long.fromString(String(value));
+    }
+    
+    switch (type.name) {
+        case 'decimal':
+            if (value instanceof BigDecimal) {
+                return value;
+            }
+            if (Number.isNaN(Number(value))) {
+                fail();
+            }
+            return BigDecimal.fromString(String(value));
+        case 'boolean':
+            if (typeof value === 'boolean') {
+                return value;
+            }
+            if (value !== 'true' && value !== 'false') {
+                fail();
+            }
+            return value === 'true';
+        case 'timestamp': {
+            const date = value instanceof Date
+                ? value
+                : new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+            if (Number.isNaN(date.getTime())) {
+                fail();
+            }
+            return date;
+        }
+        case 'timeuuid':
+            return value instanceof TimeUuid ? value : TimeUuid.fromString(String(value));
+        case 'uuid':
+            return value instanceof Uuid ? value : Uuid.fromString(String(value));
+        case 'blob':
+            return Buffer.isBuffer(value) ? value : Buffer.from(String(value).replace(/^0x/, ''), 'hex');
+        case 'frozen':
+            return coerce(type.args[0], value, keyspace, column);
+        case 'list':
+        case 'set': {
+            if (!Array.isArray(value)) {
+                fail();
+            }
+            let items = value.map(item => coerce(type.args[0], item, keyspace, column));
+            if (type.name === 'set') {
+                const unique = new Map(items.map(item => [keyString(item), item]));
+                items = [...unique.values()].sort((a, b) => compareValues(type.args[0], a, b));
+            }
+            return items.length > 0 ? items : null;  // Collection rỗng được đọc ra là null
+        }
+        case 'map': {
+            const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+            if (entries.length === 0) {
+                return null;
+            }
+            return Object.fromEntries(entries.map(([key, item]) => [
+                String(coerce(type.args[0], key, keyspace, column)),
+                coerce(type.args[1], item, keyspace, column)
+            ]));
+        }
+        default: {
+            const udt = keyspace && keyspace.types.get(type.name);
+            if (!udt) {
+                throw invalidRequest(`Unknown type ${formatType(type)} (column ${column})`);
+            }
+            if (typeof value !== 'object') {
+                fail();
+            }
+            return Object.fromEntries(udt.fields.map(field => [
+                field.name,
+                coerce(field.type, value[field.name], keyspace, `${column}.${field.name}`)
+            ]));
+        }
+    }
+}
+
+/**
+ * Thêm / bớt phần tử của set hoặc list (SET col = col + ? / col - ?),
+ * áp dụng lên giá trị hiện tại của cell khi ghi
+ */
+class CollectionUpdate {
+    constructor(type, op, items) {
+        this.type = type;
+        this.op = op;
+        this.items = items;
+    }
+    
+    /**
+     * @param {Array|null} current - Giá trị hiện tại (null nếu cell không tồn tại)
+     * @returns {Array|null} Giá trị mới, null khi collection rỗng
+     */
+    apply(current) {
+        const existing = current || [];
+        const keys = new Set(this.items.map(keyString));
+        let result;
+        if (this.op === '-') {
+            result = existing.filter(item => !keys.has(keyString(item)));
+        } else if (this.type.name === 'set') {
+            const merged = new Map([...existing, ...this.items].map(item => [keyString(item), item]));
+            result = [...merged.values()].sort((a, b) => compareValues(this.type.args[0], a, b));
+        } else {
+            result = [...existing, ...this.items];
+        }
+        return result.length > 0 ? result : null;
+    }
+}
+
+/**
+ * Key dạng string của một giá trị, dùng cho partition map và so sánh bằng
+ */
+function keyString(value) {
+    if (value === null || value === undefined) {
+        return '\u0000null';
+    }
+    if (value instanceof Date) {
+        return `d${value.getTime()}`;
+    }
+    if (Buffer.isBuffer(value)) {
+        return `b${value.toString('hex')}`;
+    }
+    if (Array.isArray(value) || (typeof value === 'object' && value.constructor === Object)) {
+        return JSON.stringify(value, (key, item) => (item instanceof Date ? item.getTime() : item));
+    }
+    return String(value);
+}
+
+/**
+ * So sánh hai giá trị theo thứ tự của Cassandra cho column type
+ * 
+ * @returns {number} < 0, 0, > 0
+ */
+function compareValues(type, a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) {
+        return (a === null || a === undefined ? 0 : 1) - (b === null || b === undefined ? 0 : 1);
+    }
+    const name = type.name === 'frozen' ? type.args[0].name : type.name;
+    
+    if (INTEGER_TYPES.includes(name) || FLOAT_TYPES.includes(name)) {
+        return Math.sign(a - b);
+    }
+    if (LONG_TYPES.includes(name) || name === 'decimal') {
+        return a.compare(b);
+    }
+    if (name === 'timestamp') {
+        return Math.sign(a.getTime() - b.getTime());
+    }
+    if (name === 'boolean') {
+        return Number(a) - Number(b);
+    }
+    if (name === 'timeuuid') {
+        // TimeUUIDs được sắp xếp theo thời điểm, sau đó theo bytes
+        const left = a.getDatePrecision();
+        const right = b.getDatePrecision();
+        return Math.sign(left.date.getTime() - right.date.getTime())
+            || Math.sign(left.ticks - right.ticks)
+            || compareStrings(a.toString(), b.toString());
+    }
+    return compareStrings(keyString(a), keyString(b));
+}
+
+function compareStrings(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Kiểm tra một relation (WHERE / IF) trên giá trị hiện tại
+ */
+function matches(type, current, op, expected) {
+    if (op === 'IN') {
+        return expected.some(value => compareValues(type, current, value) === 0 && keyString(current) === keyString(value));
+    }
+    if (op === '=' || op === '!=') {
+        const equal = keyString(current) === keyString(expected)
+            || (current !== null && expected !== null && compareValues(type, current, expected) === 0);
+        return op === '=' ? equal : !equal;
+    }
+    // So sánh thứ tự với null luôn false
+    if (current === null || current === undefined || expected === null) {
+        return false;
+    }
+    const order = compareValues(type, current, expected);
+    switch (op) {
+        case '<': return order < 0;
+        case '<=': return order <= 0;
+        case '>': return order > 0;
+        case '>=': return order >= 0;
+        default: return false;
+    }
+}
+
+// =============================================================================
+// RESULT SET
+// =============================================================================
+
+/**
+ * Result có cùng shape với ResultSet của driver (rows, first(), wasApplied(), pageState, info)
+ */
+function createResultSet(rows, { pageState = null, columns = null } = {}) {
+    return {
+        rows,
+        rowLength: rows.length,
+        columns,
+        pageState,
+        info: {
+            queriedHost: MEMORY_HOST,
+            triedHosts: { [MEMORY_HOST]: null },
+            speculativeExecutions: 0,
+            achievedConsistency: undefined
+        },
+        first() {
+            return rows[0] || null;
+        },
+        wasApplied() {
+            return rows.length === 0 || rows[0][APPLIED] === undefined || rows[0][APPLIED] === true;
+        }
+    };
+}
+
+function encodePageState(offset) {
+    return Buffer.from(`memory:${offset}`).toString('hex');
+}
+
+function decodePageState(pageState) {
+    const text = Buffer.isBuffer(pageState)
+        ? pageState.toString()
+        : Buffer.from(String(pageState), 'hex').toString();
+    const match = /^memory:(\d+)$/.exec(text);
+    if (!match) {
+        throw invalidRequest('Invalid value for the paging state', responseErrorCodes.protocolError);
+    }
+    return parseInt(match[1], 10);
+}
+
+// =============================================================================
+// MEMORY CLIENT
+// =============================================================================
+
+/**
+ * Client in-memory, thay thế cassandra-driver Client khi STORAGE_BACKEND=memory
+ */
+class MemoryClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.keyspace - Keyspace mặc định (như Client options.keyspace)
+     * @param {string} options.localDataCenter - Tên DC báo cáo trong system.local
+     */
+    constructor({ keyspace = null, localDataCenter = 'datacenter1' } = {}) {
+        this.keyspace = keyspace;
+        this.localDataCenter = localDataCenter;
+        this.keyspaces = new Map();     // name -> { name, replication, tables: Map, types: Map }
+        this.statements = new Map();    // CQL -> statement đã parse (như prepared statement cache)
+        this.lastWritetime = 0;
+        this.connected = false;
+        // Node duy nhất, cùng các fields tối thiểu của driver Host
+        this.host = {
+            address: MEMORY_HOST,
+            datacenter: localDataCenter,
+            rack: 'rack1',
+            cassandraVersion: 'memory',
+            isUp: () => this.connected
+        };
+        // Tập con metadata của driver dùng cho admin endpoints (topology, schema agreement)
+        this.hosts = { length: 1, values: () => [this.host] };
+        this.metadata = { checkSchemaAgreement: async () => true };
+    }
+    
+    async connect() {
+        this.connected = true;
+    }
+    
+    async shutdown() {
+        this.connected = false;
+    }
+    
+    /**
+     * Replicas của một partition key (cùng signature với Client#getReplicas)
+     * Chỉ có một node nên mọi partition đều nằm trên this.host
+     * 
+     * @param {string} keyspace - Keyspace
+     * @returns {Array<Object>|null} [host], null nếu keyspace chưa tồn tại (giống driver)
+     */
+    getReplicas(keyspace) {
+        return this.keyspaces.has(keyspace) ? [this.host] : null;
+    }
+    
+    /**
+     * Snapshot connection pools (cùng interface với ClientState của driver)
+     * Không có connection thật nên open connections / in-flight luôn là 0
+     * 
+     * @returns {Object} { getConnectedHosts, getOpenConnections, getInFlightQueries }
+     */
+    getState() {
+        return {
+            getConnectedHosts: () => (this.connected ? [this.host] : []),
+            getOpenConnections: () => 0,
+            getInFlightQueries: () => 0
+        };
+    }
+    
+    /**
+     * Xóa toàn bộ data và schema (dùng giữa các test)
+     */
+    reset() {
+        this.keyspaces.clear();
+        this.statements.clear();
+    }
+    
+    /**
+     * Execute một statement
+     * 
+     * @param {string} query - CQL
+     * @param {Array} params - Bind parameters theo thứ tự "?"
+     * @param {Object} options - fetchSize, pageState (các options khác được bỏ qua)
+     * @returns {Promise<Object>} Result giống ResultSet của driver
+     */
+    async execute(query, params = [], options = {}) {
+        // Driver tự connect ở lần execute đầu tiên
+        this.connected = true;
+        const statement = this.parse(query);
+        const values = this.bindValues(statement, params);
+        
+        switch (statement.kind) {
+            case 'select':
+                return this.select(statement, values, options);
+            case 'insert':
+            case 'update':
+            case 'delete': {
+                const mutation = this.planMutation(statement, values);
+                return createResultSet(this.applyMutations([mutation]));
+            }
+            default:
+                return createResultSet(this.executeSchema(statement));
+        }
+    }
+    
+    /**
+     * Execute logged batch: tất cả statements được áp dụng cùng lúc, hoặc không
+     * statement nào nếu một điều kiện IF không thỏa (hoặc một statement lỗi)
+     * 
+     * @param {Array<string|{query: string, params: Array}>} queries - Statements
+     * @returns {Promise<Object>} Result (có [applied] nếu batch có điều kiện)
+     */
+    async batch(queries) {
+        this.connected = true;
+        const mutations = queries.map(item => {
+            const { query, params = [] } = typeof item === 'string' ? { query: item } : item;
+            const statement = this.parse(query);
+            if (!['insert', 'update', 'delete'].includes(statement.kind)) {
+                throw invalidRequest(`Only INSERT, UPDATE and DELETE statements are allowed in BATCH: ${query}`);
+            }
+            return this.planMutation(statement, this.bindValues(statement, params));
+        });
+        
+        // Như Cassandra: chỉ cần một statement có IF là toàn bộ batch (kể cả các
+        // statements không điều kiện) phải nằm trong cùng một partition
+        if (mutations.some(mutation => mutation.condition)) {
+            const tables = new Set(mutations.map(mutation => mutation.table));
+            const partitions = new Set(mutations.map(mutation => mutation.partitionKey));
+            if (tables.size > 1 || partitions.size > 1) {
+                throw invalidRequest('Batch with conditions cannot span multiple tables or partitions');
+            }
+        }
+        return createResultSet(this.applyMutations(mutations));
+    }
+    
+    parse(query) {
+        let statement = this.statements.get(query);
+        if (!statement) {
+            statement = new Parser(query).parse();
+            this.statements.set(query, statement);
+        }
+        return statement;
+    }
+    
+    bindValues(statement, params) {
+        const values = Array.isArray(params) ? params : [];
+        if (values.length < statement.paramCount) {
+            throw new TypeError(`Expected ${statement.paramCount} parameters, got ${values.length}`);
+        }
+        return values;
+    }
+    
+    nextWritetime() {
+        // Microseconds, tăng dần trong process như client-side timestamps của driver
+        this.lastWritetime = Math.max(Date.now() * 1000, this.lastWritetime + 1);
+        return this.lastWritetime;
+    }
+    
+    // -------------------------------------------------------------------------
+    // Schema
+    // -------------------------------------------------------------------------
+    
+    getKeyspace(name, { required = true } = {}) {
+        const keyspaceName = name || this.keyspace;
+        if (!keyspaceName) {
+            throw invalidRequest('No keyspace has been specified. USE a keyspace, or explicitly specify keyspace.tablename');
+        }
+        const keyspace = this.keyspaces.get(keyspaceName);
+        if (!keyspace && required) {
+            throw invalidRequest(`Keyspace ${keyspaceName} does not exist`);
+        }
+        return keyspace;
+    }
+    
+    getTable(statement) {
+        const keyspace = this.getKeyspace(statement.keyspace);
+        const table = keyspace.tables.get(statement.name);
+        if (!table) {
+            throw invalidRequest(`unconfigured table ${statement.name}`);
+        }
+        return table;
+    }
+    
+    executeSchema(statement) {
+        switch (statement.kind) {
+            case 'createKeyspace':
+                if (this.keyspaces.has(statement.keyspace)) {
+                    if (!statement.ifNotExists) {
+                        throw invalidRequest(`Keyspace ${statement.keyspace} already exists`, responseErrorCodes.alreadyExists);
+                    }
+                    return [];
+                }
+                this.keyspaces.set(statement.keyspace, {
+                    name: statement.keyspace,
+                    replication: statement.replication,
+                    tables: new Map(),
+                    types: new Map()
+                });
+                return [];
+            case 'use':
+                this.getKeyspace(statement.keyspace);
+                this.keyspace = statement.keyspace;
+                return [];
+            case 'createType': {
+                const keyspace = this.getKeyspace(statement.keyspace);
+                if (keyspace.types.has(statement.name)) {
+                    if (!statement.ifNotExists) {
+                        throw invalidRequest(`A user type with name ${statement.name} already exists`, responseErrorCodes.alreadyExists);
+                    }
+                    return [];
+                }
+                keyspace.types.set(statement.name, { name: statement.name, fields: statement.fields });
+                return [];
+            }
+            case 'createTable':
+                return this.createTable(statement);
+            case 'alterTable': {
+                const table = this.getTable(statement);
+                statement.add.forEach(column => {
+                    if (table.columns.has(column.name)) {
+                        throw invalidRequest(`Column with name ${column.name} already exists`);
+                    }
+                    table.columns.set(column.name, column.type);
+                });
+                return [];
+            }
+            case 'dropTable': {
+                const keyspace = this.getKeyspace(statement.keyspace);
+                if (!keyspace.tables.delete(statement.name) && !statement.ifExists) {
+                    throw invalidRequest(`Table ${statement.name} does not exist`);
+                }
+                return [];
+            }
+            case 'truncate':
+                this.getTable(statement).partitions.clear();
+                return [];
+            default:
+                throw invalidRequest(`Unsupported statement: ${statement.kind}`);
+        }
+    }
+    
+    createTable(statement) {
+        const keyspace = this.getKeyspace(statement.keyspace);
+        if (keyspace.tables.has(statement.name)) {
+            if (!statement.ifNotExists) {
+                throw invalidRequest(`Table ${keyspace.name}.${statement.name} already exists`, responseErrorCodes.alreadyExists);
+            }
+            return [];
+        }
+        
+        const columns = new Map(statement.columns.map(column => [column.name, column.type]));
+        [...statement.partitionKey, ...statement.clustering].forEach(name => {
+            if (!columns.has(name)) {
+                throw invalidRequest(`Unknown definition ${name} referenced in PRIMARY KEY`);
+            }
+        });
+        
+        keyspace.tables.set(statement.name, {
+            keyspace,
+            name: statement.name,
+            columns,
+            partitionKey: statement.partitionKey,
+            clustering: statement.clustering,
+            // 1 = ASC, -1 = DESC
+            order: Object.fromEntries(statement.clustering.map(name => [
+                name, statement.clusteringOrder[name] === 'DESC' ? -1 : 1
+            ])),
+            partitions: new Map()       // partition key string -> { key, rows: [] }
+        });
+        return [];
+    }
+    
+    // -------------------------------------------------------------------------
+    // Rows
+    // -------------------------------------------------------------------------
+    
+    columnType(table, column) {
+        const type = table.columns.get(column);
+        if (!type) {
+            throw invalidRequest(`Undefined column name ${column} in table ${table.name}`);
+        }
+        return type;
+    }
+    
+    /**
+     * Giá trị của term (bind marker hoặc literal) đã coerce theo column type
+     */
+    resolve(term, values, type, table, column) {
+        const raw = term.param !== undefined ? values[term.param] : term.literal;
+        return coerce(type, raw, table && table.keyspace, column);
+    }
+    
+    /**
+     * Resolve relations WHERE / IF thành { column, op, value | values }
+     */
+    resolveRelations(table, relations, values) {
+        return relations.map(relation => {
+            const type = this.columnType(table, relation.column);
+            if (relation.op === 'IN') {
+                return {
+                    column: relation.column,
+                    op: 'IN',
+                    values: relation.terms.map(term => this.resolve(term, values, type, table, relation.column))
+                };
+            }
+            return {
+                column: relation.column,
+                op: relation.op,
+                value: this.resolve(relation.term, values, type, table, relation.column)
+            };
+        });
+    }
+    
+    resolveTtl(using, values) {
+        if (!using.ttl) {
+            return 0;
+        }
+        const ttl = Number(using.ttl.param !== undefined ? values[using.ttl.param] : using.ttl.literal);
+        if (!Number.isInteger(ttl) || ttl < 0) {
+            throw invalidRequest(`A TTL must be greater or equal to 0, but was ${ttl}`);
+        }
+        return ttl;
+    }
+    
+    partitionKeyString(table, keyValues) {
+        return table.partitionKey.map(column => keyString(keyValues[column])).join('\u0001');
+    }
+    
+    compareClustering(table, left, right) {
+        for (const column of table.clustering) {
+            const order = compareValues(table.columns.get(column), left[column], right[column]);
+            if (order !== 0) {
+                return order * table.order[column];
+            }
+        }
+        return 0;
+    }
+    
+    isAlive(cell, now) {
+        return Boolean(cell) && (!cell.expiresAt || cell.expiresAt > now);
+    }
+    
+    rowAlive(row, now) {
+        return this.isAlive(row.marker, now) || Object.values(row.cells).some(cell => this.isAlive(cell, now));
+    }
+    
+    findRow(table, partitionKey, clustering) {
+        const partition = table.partitions.get(partitionKey);
+        if (!partition) {
+            return null;
+        }
+        return partition.rows.find(row => this.compareClustering(table, row.clustering, clustering) === 0) || null;
+    }
+    
+    /**
+     * Row dạng object như driver trả về: mọi column, cell hết hạn / không có = null
+     */
+    materialize(table, partition, row, now) {
+        const result = {};
+        table.columns.forEach((type, column) => {
+            if (column in partition.key) {
+                result[column] = partition.key[column];
+            } else if (column in row.clustering) {
+                result[column] = row.clustering[column];
+            } else {
+                const cell = row.cells[column];
+                result[column] = this.isAlive(cell, now) ? cell.value : null;
+            }
+        });
+        return result;
+    }
+    
+    // -------------------------------------------------------------------------
+    // Mutations (INSERT / UPDATE / DELETE)
+    // -------------------------------------------------------------------------
+    
+    /**
+     * Resolve một mutation trước khi áp dụng (mọi lỗi xảy ra ở đây, trước khi ghi)
+     */
+    planMutation(statement, values) {
+        const table = this.getTable(statement);
+        const ttl = this.resolveTtl(statement.using, values);
+        const keyColumns = [...table.partitionKey, ...table.clustering];
+        const key = {};
+        const cells = {};
+        
+        if (statement.kind === 'insert') {
+            statement.columns.forEach((column, index) => {
+                const value = this.resolve(statement.values[index], values, this.columnType(table, column), table, column);
+                if (keyColumns.includes(column)) {
+                    key[column] = value;
+                } else {
+                    cells[column] = value;
+                }
+            });
+        } else {
+            this.resolveRelations(table, statement.where, values).forEach(relation => {
+                if (!keyColumns.includes(relation.column) || relation.op !== '=') {
+                    throw invalidRequest(`Only EQ relations on primary key columns are supported in ${statement.kind.toUpperCase()} (${relation.column})`);
+                }
+                key[relation.column] = relation.value;
+            });
+            (statement.assignments || []).forEach(({ column, op, term }) => {
+                if (keyColumns.includes(column)) {
+                    throw invalidRequest(`PRIMARY KEY part ${column} found in SET part`);
+                }
+                const type = this.columnType(table, column);
+                const value = this.resolve(term, values, type, table, column);
+                if (!op) {
+                    cells[column] = value;
+                    return;
+                }
+                if (!['set', 'list'].includes(type.name)) {
+                    throw invalidRequest(`Invalid operation (${column} = ${column} ${op} ?) for non collection column ${column}`);
+                }
+                cells[column] = new CollectionUpdate(type, op, value || []);
+            });
+        }
+        
+        table.partitionKey.forEach(column => {
+            if (key[column] === undefined || key[column] === null) {
+                throw invalidRequest(`Missing mandatory PRIMARY KEY part ${column}`);
+            }
+        });
+        // DELETE được phép chỉ định một phần clustering key (xóa nhiều rows)
+        const fullKey = table.clustering.every(column => key[column] !== undefined && key[column] !== null);
+        if (!fullKey && statement.kind !== 'delete') {
+            throw invalidRequest(`Missing mandatory PRIMARY KEY part ${table.clustering.find(column => key[column] === undefined)}`);
+        }
+        
+        let condition = null;
+        if (statement.condition) {
+            if (!fullKey) {
+                throw invalidRequest('DELETE statements must restrict all PRIMARY KEY columns with equality relations in order to use IF conditions');
+            }
+            condition = statement.condition.relations
+                ? { relations: this.resolveRelations(table, statement.condition.relations, values) }
+                : statement.condition;
+        }
+        
+        const clustering = {};
+        table.clustering.forEach(column => {
+            if (key[column] !== undefined) {
+                clustering[column] = key[column];
+            }
+        });
+        
+        return {
+            kind: statement.kind,
+            table,
+            partitionKey: this.partitionKeyString(table, key),
+            partitionValues: Object.fromEntries(table.partitionKey.map(column => [column, key[column]])),
+            clustering,
+            fullKey,
+            cells,
+            deleteColumns: statement.kind === 'delete' ? statement.columns : [],
+            ttl,
+            condition
+        };
+    }
+    
+    /**
+     * Kiểm tra điều kiện IF của một mutation
+     * @returns {Object|null} null nếu thỏa, ngược lại row kết quả ([applied] = false)
+     */
+    checkCondition(mutation, now) {
+        const { table, condition } = mutation;
+        const row = this.findRow(table, mutation.partitionKey, mutation.clustering);
+        const alive = row && this.rowAlive(row, now);
+        const current = alive
+            ? this.materialize(table, table.partitions.get(mutation.partitionKey), row, now)
+            : null;
+        
+        if (condition.notExists) {
+            return alive ? { [APPLIED]: false, ...current } : null;
+        }
+        if (condition.exists) {
+            return alive ? null : { [APPLIED]: false };
+        }
+        if (!alive) {
+            return { [APPLIED]: false };
+        }
+        
+        const satisfied = condition.relations.every(relation => matches(
+            table.columns.get(relation.column),
+            current[relation.column],
+            relation.op,
+            relation.op === 'IN' ? relation.values : relation.value
+        ));
+        if (satisfied) {
+            return null;
+        }
+        const failed = { [APPLIED]: false };
+        condition.relations.forEach(relation => {
+            failed[relation.column] = current[relation.column];
+        });
+        return failed;
+    }
+    
+    /**
+     * Áp dụng mutations (đã plan). Nếu có điều kiện không thỏa, không ghi gì cả.
+     * @returns {Array<Object>} Rows của result ([applied] với statements có điều kiện)
+     */
+    applyMutations(mutations) {
+        const now = Date.now();
+        const conditional = mutations.filter(mutation => mutation.condition);
+        
+        for (const mutation of conditional) {
+            const failed = this.checkCondition(mutation, now);
+            if (failed) {
+                return [failed];
+            }
+        }
+        
+        const writetime = this.nextWritetime();
+        mutations.forEach(mutation => {
+            if (mutation.kind === 'delete') {
+                this.applyDelete(mutation, now);
+            } else {
+                this.applyWrite(mutation, now, writetime);
+            }
+        });
+        return conditional.length > 0 ? [{ [APPLIED]: true }] : [];
+    }
+    
+    applyWrite(mutation, now, writetime) {
+        const { table } = mutation;
+        let partition = table.partitions.get(mutation.partitionKey);
+        if (!partition) {
+            partition = { key: mutation.partitionValues, rows: [] };
+            table.partitions.set(mutation.partitionKey, partition);
+        }
+        
+        let row = this.findRow(table, mutation.partitionKey, mutation.clustering);
+        if (!row) {
+            row = { clustering: mutation.clustering, marker: null, cells: {} };
+            const index = partition.rows.findIndex(existing => this.compareClustering(table, existing.clustering, row.clustering) > 0);
+            partition.rows.splice(index === -1 ? partition.rows.length : index, 0, row);
+        }
+        
+        const expiresAt = mutation.ttl > 0 ? now + mutation.ttl * 1000 : null;
+        const ttl = mutation.ttl > 0 ? mutation.ttl : null;
+        // INSERT tạo row marker: row tồn tại kể cả khi mọi column khác là null
+        if (mutation.kind === 'insert') {
+            row.marker = { expiresAt, ttl, writetime };
+        }
+        Object.entries(mutation.cells).forEach(([column, cellValue]) => {
+            const value = cellValue instanceof CollectionUpdate
+                ? cellValue.apply(this.isAlive(row.cells[column], now) ? row.cells[column].value : null)
+                : cellValue;
+            if (value === null) {
+                delete row.cells[column];
+            } else {
+                row.cells[column] = { value, expiresAt, ttl, writetime };
+            }
+        });
+        
+        if (!this.rowAlive(row, now)) {
+            this.removeRows(table, mutation.partitionKey, candidate => candidate === row);
+        }
+    }
+    
+    applyDelete(mutation, now) {
+        const { table } = mutation;
+        const inScope = row => Object.entries(mutation.clustering)
+            .every(([column, value]) => compareValues(table.columns.get(column), row.clustering[column], value) === 0);
+        
+        if (mutation.deleteColumns.length === 0) {
+            this.removeRows(table, mutation.partitionKey, inScope);
+            return;
+        }
+        
+        const partition = table.partitions.get(mutation.partitionKey);
+        (partition ? partition.rows : []).filter(inScope).forEach(row => {
+            mutation.deleteColumns.forEach(column => {
+                this.columnType(table, column);
+                delete row.cells[column];
+            });
+        });
+        this.removeRows(table, mutation.partitionKey, row => !this.rowAlive(row, now));
+    }
+    
+    removeRows(table, partitionKey, predicate) {
+        const partition = table.partitions.get(partitionKey);
+        if (!partition) {
+            return;
+        }
+        partition.rows = partition.rows.filter(row => !predicate(row));
+        if (partition.rows.length === 0) {
+            table.partitions.delete(partitionKey);
+        }
+    }
+    
+    // -------------------------------------------------------------------------
+    // SELECT
+    // -------------------------------------------------------------------------
+    
+    select(statement, values, options) {
+        const now = Date.now();
+        const virtual = this.virtualTable(statement);
+        const table = virtual || this.getTable(statement);
+        const relations = this.resolveRelations(table, statement.where, values);
+        
+        let rows = virtual ? virtual.rows : this.scan(table, relations, statement, now);
+        rows = rows.filter(row => relations.every(relation => matches(
+            table.columns.get(relation.column),
+            row[relation.column],
+            relation.op,
+            relation.op === 'IN' ? relation.values : relation.value
+        )));
+        
+        if (statement.orderBy) {
+            rows = this.orderRows(table, rows, statement.orderBy);
+        }
+        if (statement.limit) {
+            const limit = Number(statement.limit.param !== undefined ? values[statement.limit.param] : statement.limit.literal);
+            if (!Number.isInteger(limit) || limit <= 0) {
+                throw invalidRequest(`LIMIT must be strictly positive, got ${limit}`);
+            }
+            rows = rows.slice(0, limit);
+        }
+        
+        if (statement.selectors.some(selector => selector.type === 'count')) {
+            return createResultSet([this.project(table, statement.selectors, rows[0] || {}, now, rows.length)]);
+        }
+        
+        // Paging như driver: fetchSize rows mỗi trang, pageState để đọc trang tiếp
+        const fetchSize = options.fetchSize || DEFAULT_FETCH_SIZE;
+        const offset = options.pageState ? decodePageState(options.pageState) : 0;
+        const page = rows.slice(offset, offset + fetchSize);
+        const pageState = offset + fetchSize < rows.length ? encodePageState(offset + fetchSize) : null;
+        
+        return createResultSet(page.map(row => this.project(table, statement.selectors, row, now)), { pageState });
+    }
+    
+    /**
+     * Đọc rows của một table thật, chọn partitions theo WHERE trên partition key
+     * Giống Cassandra: filter trên column khác (hoặc thiếu partition key) cần ALLOW FILTERING
+     */
+    scan(table, relations, statement, now) {
+        const restricted = column => relations.filter(relation => relation.column === column);
+        const partitionRestrictions = table.partitionKey.map(column => restricted(column)
+            .find(relation => relation.op === '=' || relation.op === 'IN'));
+        const byPartition = partitionRestrictions.every(Boolean);
+        
+        const needsFiltering = relations.some(relation => {
+            if (table.partitionKey.includes(relation.column)) {
+                return !byPartition;
+            }
+            return !table.clustering.includes(relation.column) || !byPartition;
+        });
+        if (needsFiltering && !statement.allowFiltering) {
+            throw invalidRequest('Cannot execute this query as it might involve data filtering and thus may have '
+                + 'unpredictable performance. If you want to execute this query despite the performance '
+                + 'unpredictability, use ALLOW FILTERING');
+        }
+        
+        let partitions;
+        if (byPartition) {
+            // Tích Descartes của các giá trị = / IN trên partition key columns
+            let keys = [{}];
+            table.partitionKey.forEach((column, index) => {
+                const relation = partitionRestrictions[index];
+                const options = relation.op === 'IN' ? relation.values : [relation.value];
+                keys = keys.flatMap(key => options.map(value => ({ ...key, [column]: value })));
+            });
+            partitions = keys
+                .map(key => table.partitions.get(this.partitionKeyString(table, key)))
+                .filter(Boolean);
+        } else {
+            partitions = [...table.partitions.values()];
+        }
+        
+        const rows = [];
+        partitions.forEach(partition => {
+            partition.rows.forEach(row => {
+                if (this.rowAlive(row, now)) {
+                    rows.push(Object.defineProperty(this.materialize(table, partition, row, now), '__row', { value: row }));
+                }
+            });
+        });
+        return rows;
+    }
+    
+    /**
+     * ORDER BY: chỉ trên clustering columns, đảo thứ tự trong partition nếu ngược với table
+     */
+    orderRows(table, rows, orderBy) {
+        const [{ column, direction }] = orderBy;
+        if (!table.clustering || !table.clustering.includes(column)) {
+            throw invalidRequest(`Order by is currently only supported on the clustered columns of the PRIMARY KEY, got ${column}`);
+        }
+        const wanted = direction === 'DESC' ? -1 : 1;
+        if (table.order[column] === wanted) {
+            return rows;
+        }
+        
+        // Đảo từng partition, giữ thứ tự giữa các partitions
+        const groups = [];
+        rows.forEach(row => {
+            const partitionKey = this.partitionKeyString(table, row);
+            const last = groups[groups.length - 1];
+            if (last && last.partitionKey === partitionKey) {
+                last.rows.push(row);
+            } else {
+                groups.push({ partitionKey, rows: [row] });
+            }
+        });
+        return groups.flatMap(group => group.rows.reverse());
+    }
+    
+    project(table, selectors, row, now, count) {
+        const result = {};
+        selectors.forEach(selector => {
+            switch (selector.type) {
+                case 'star':
+                    table.columns.forEach((type, column) => {
+                        result[column] = row[column] === undefined ? null : row[column];
+                    });
+                    break;
+                case 'column':
+                    this.columnType(table, selector.column);
+                    result[selector.alias] = row[selector.column] === undefined ? null : row[selector.column];
+                    break;
+                case 'ttl':
+                case 'writetime': {
+                    this.columnType(table, selector.column);
+                    const cell = row.__row && row.__row.cells[selector.column];
+                    if (!this.isAlive(cell, now)) {
+                        result[selector.alias] = null;
+                    } else if (selector.type === 'writetime') {
+                        result[selector.alias] = Long.fromNumber(cell.writetime);
+                    } else {
+                        result[selector.alias] = cell.expiresAt ? Math.max(0, Math.ceil((cell.expiresAt - now) / 1000)) : null;
+                    }
+                    break;
+                }
+                case 'count':
+                    result[selector.alias] = Long.fromNumber(count);
+                    break;
+                case 'now':
+                    result[selector.alias] = TimeUuid.now();
+                    break;
+                default:
+                    break;
+            }
+        });
+        return result;
+    }
+    
+    // -------------------------------------------------------------------------
+    // System tables (read-only)
+    // -------------------------------------------------------------------------
+    
+    virtualTable(statement) {
+        const keyspace = statement.keyspace;
+        if (keyspace !== 'system' && keyspace !== 'system_schema') {
+            return null;
+        }
+        const text = { name: 'text' };
+        const table = (columns, rows) => ({
+            keyspace: null,
+            name: `${keyspace}.${statement.name}`,
+            columns: new Map(columns.map(column => [column, text])),
+            partitionKey: [],
+            clustering: [],
+            rows
+        });
+        const keyspaces = [...this.keyspaces.values()];
+        
+        switch (`${keyspace}.${statement.name}`) {
+            case 'system.local':
+                return table(['key', 'cluster_name', 'data_center', 'rack', 'release_version', 'broadcast_address'], [{
+                    key: 'local',
+                    cluster_name: 'memory',
+                    data_center: this.localDataCenter,
+                    rack: 'rack1',
+                    release_version: 'memory',
+                    broadcast_address: '127.0.0.1'
+                }]);
+            case 'system.peers':
+                return table(['peer', 'data_center', 'rack'], []);
+            case 'system_schema.keyspaces':
+                return table(['keyspace_name', 'replication'], keyspaces.map(({ name, replication }) => ({
+                    keyspace_name: name,
+                    replication
+                })));
+            case 'system_schema.tables':
+                return table(['keyspace_name', 'table_name'], keyspaces.flatMap(({ name, tables }) => [...tables.keys()]
+                    .map(tableName => ({ keyspace_name: name, table_name: tableName }))));
+            case 'system_schema.columns':
+                return table(
+                    ['keyspace_name', 'table_name', 'column_name', 'kind', 'position', 'type', 'clustering_order'],
+                    keyspaces.flatMap(({ name, tables }) => [...tables.values()].flatMap(target => [...target.columns]
+                        .map(([column, type]) => {
+                            const partitionIndex = target.partitionKey.indexOf(column);
+                            const clusteringIndex = target.clustering.indexOf(column);
+                            let kind = 'regular';
+                            if (partitionIndex !== -1) {
+                                kind = 'partition_key';
+                            } else if (clusteringIndex !== -1) {
+                                kind = 'clustering';
+                            }
+                            return {
+                                keyspace_name: name,
+                                table_name: target.name,
+                                column_name: column,
+                                kind,
+                                position: Math.max(partitionIndex, clusteringIndex),
+                                type: formatType(type),
+                                clustering_order: kind === 'clustering'
+                                    ? (target.order[column] === -1 ? 'desc' : 'asc')
+                                    : 'none'
+                            };
+                        })))
+                );
+            default:
+                throw invalidRequest(`unconfigured table ${statement.name}`);
+        }
+    }
+}
+
+module.exports = {
+    MemoryClient,
+    MEMORY_HOST,
+    tokenize,
+    coerce,
+    compareValues
+};
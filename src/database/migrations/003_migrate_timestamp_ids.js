@@ -0,0 +1,96 @@
+/**
+ * Migration 003: Chuyển ID dạng timestamp (Date.now().toString()) sang TimeUUID
+ * 
+ * - Tạo table legacy_id_map (entity, legacy_id) -> new_id để services vẫn
+ *   resolve được ID cũ mà clients đang giữ
+ * - Users: copy row sang ID mới (IF NOT EXISTS), xóa row cũ
+ * - Orders: copy row sang ID mới, đồng thời cập nhật user_id theo ID mới của user
+ * 
+ * Có thể chạy lại an toàn: mapping đã có được dùng lại, không sinh ID mới
+ */
+
+const { isLegacyId, legacyIdToTimeUuid } = require('../../utils/idGenerator');
+
+const description = 'Convert timestamp-string IDs of users and orders to TimeUUIDs';
+
+/**
+ * Lấy (hoặc tạo) mapping legacy ID -> TimeUUID cho một entity
+ */
+async function mapLegacyId(executeQuery, entity, legacyId) {
+    await executeQuery(
+        'INSERT INTO legacy_id_map (entity, legacy_id, new_id, migrated_at) VALUES (?, ?, ?, ?) IF NOT EXISTS',
+        [entity, legacyId, legacyIdToTimeUuid(legacyId), new Date()]
+    );
+    
+    // Đọc lại để dùng mapping đã tồn tại nếu lần chạy trước đã tạo
+    const result = await executeQuery(
+        'SELECT new_id FROM legacy_id_map WHERE entity = ? AND legacy_id = ?',
+        [entity, legacyId]
+    );
+    return result.rows[0].new_id;
+}
+
+/**
+ * Copy một row sang primary key mới rồi xóa row cũ
+ */
+async function moveRow(executeQuery, table, row, changes) {
+    const values = { ...row, ...changes };
+    const columns = Object.keys(values);
+    
+    await executeQuery(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) IF NOT EXISTS`,
+        columns.map(column => values[column])
+    );
+    await executeQuery(`DELETE FROM ${table} WHERE id = ?`, [row.id]);
+}
+
+async function up({ executeQuery, scanRows, log }) {
+    await executeQuery(`
+        CREATE TABLE IF NOT EXISTS legacy_id_map (
+            entity text,
+            legacy_id text,
+            new_id text,
+            migrated_at timestamp,
+            PRIMARY KEY (entity, legacy_id)
+        )
+    `, [], { prepare: false });
+    
+    // Bước 1: Users
+    let migratedUsers = 0;
+    for await (const user of scanRows('SELECT * FROM users')) {
+        if (isLegacyId(user.id)) {
+            const newId = await mapLegacyId(executeQuery, 'users', user.id);
+            await moveRow(executeQuery, 'users', user, { id: newId });
+            migratedUsers++;
+        }
+    }
+    log(`   - users: ${migratedUsers} legacy IDs migrated`);
+    
+    // Bước 2: Orders (ID của order và reference user_id)
+    let migratedOrders = 0;
+    for await (const order of scanRows('SELECT * FROM orders')) {
+        let newUserId = order.user_id;
+        if (isLegacyId(order.user_id)) {
+            const mapped = await executeQuery(
+                'SELECT new_id FROM legacy_id_map WHERE entity = ? AND legacy_id = ?',
+                ['users', order.user_id]
+            );
+            newUserId = mapped.rows.length > 0 ? mapped.rows[0].new_id : order.user_id;
+        }
+        
+        if (isLegacyId(order.id)) {
+            const newId = await mapLegacyId(executeQuery, 'orders', order.id);
+            await moveRow(executeQuery, 'orders', order, { id: newId, user_id: newUserId });
+            migratedOrders++;
+        } else if (newUserId !== order.user_id) {
+            await executeQuery('UPDATE orders SET user_id = ? WHERE id = ?', [newUserId, order.id]);
+            migratedOrders++;
+        }
+    }
+    log(`   - orders: ${migratedOrders} rows migrated`);
+}
+
+module.exports = {
+    description,
+    up
+};
@@ -0,0 +1,51 @@
+/**
+ * Migration 004: Lookup table users_by_email cho unique email
+ * 
+ * - Partition key là email đã normalize (trim + lowercase)
+ * - User Service claim email bằng lightweight transaction (IF NOT EXISTS)
+ * - Backfill từ users hiện có; email đã bị user khác claim sẽ được log lại
+ *   để xử lý thủ công (không tự động xóa dữ liệu)
+ */
+
+const description = 'Create users_by_email lookup table and backfill existing users';
+
+async function up({ executeQuery, scanRows, log }) {
+    await executeQuery(`
+        CREATE TABLE IF NOT EXISTS users_by_email (
+            email text PRIMARY KEY,     -- Email đã normalize
+            user_id text,               -- ID của user sở hữu email
+            created_at timestamp
+        )
+    `, [], { prepare: false });
+    
+    let claimed = 0;
+    const duplicates = [];
+    
+    for await (const user of scanRows('SELECT id, email, created_at FROM users')) {
+        if (!user.email) {
+            continue;
+        }
+        
+        const email = user.email.trim().toLowerCase();
+        const result = await executeQuery(
+            'INSERT INTO users_by_email (email, user_id, created_at) VALUES (?, ?, ?) IF NOT EXISTS',
+            [email, user.id, user.created_at || new Date()]
+        );
+        
+        if (result.rows[0]['[applied]']) {
+            claimed++;
+        } else if (result.rows[0].user_id !== user.id) {
+            duplicates.push({ email, userId: user.id, ownerId: result.rows[0].user_id });
+        }
+    }
+    
+    log(`   - users_by_email: ${claimed} emails backfilled`);
+    duplicates.forEach(({ email, userId, ownerId }) => {
+        log(`   ⚠️  Duplicate email ${email}: user ${userId} (owner: ${ownerId})`);
+    });
+}
+
+module.exports = {
+    description,
+    up
+};
@@ -0,0 +1,93 @@
+/**
+ * Migration 007: Order items dạng UDT thay cho JSON string
+ *
+ * - Tạo UDT order_item (sku, name, quantity, unit_price)
+ * - Thêm cột line_items list<frozen<order_item>> vào orders và orders_by_user
+ *   (Cassandra không cho đổi kiểu cột items từ text)
+ * - Convert items JSON của các rows hiện có sang line_items rồi xóa JSON cũ
+ * - Row có JSON hỏng được giữ nguyên và log lại để xử lý thủ công
+ */
+
+const description = 'Store order items as a list of order_item UDTs and convert JSON rows';
+
+/**
+ * Chuyển một item JSON cũ sang order_item
+ * Data cũ có thể là string ("item1") hoặc object với price/productId
+ */
+function toOrderItem(item) {
+    if (typeof item === 'string' || typeof item === 'number') {
+        return { sku: String(item), name: String(item), quantity: 1, unit_price: '0' };
+    }
+
+    const sku = item.sku || item.productId || item.product_id || item.id || item.name;
+    const price = item.unit_price !== undefined ? item.unit_price : (item.unitPrice !== undefined ? item.unitPrice : item.price);
+    const quantity = parseInt(item.quantity, 10);
+
+    return {
+        sku: String(sku),
+        name: String(item.name || sku),
+        quantity: quantity > 0 ? quantity : 1,
+        unit_price: price !== undefined && !isNaN(Number(price)) ? String(price) : '0'
+    };
+}
+
+async function up({ executeQuery, scanRows, log, addColumnIfMissing }) {
+    await executeQuery(`
+        CREATE TYPE IF NOT EXISTS order_item (
+            sku text,
+            name text,
+            quantity int,
+            unit_price decimal
+        )
+    `, [], { prepare: false });
+
+    await addColumnIfMissing('orders', 'line_items', 'list<frozen<order_item>>');
+    await addColumnIfMissing('orders_by_user', 'line_items', 'list<frozen<order_item>>');
+
+    let converted = 0;
+    const malformed = [];
+
+    for await (const order of scanRows('SELECT id, user_id, created_at, items FROM orders')) {
+        if (order.items === null || order.items === undefined) {
+            continue;
+        }
+
+        let lineItems;
+        try {
+            const parsed = JSON.parse(order.items);
+            if (!Array.isArray(parsed)) {
+                throw new Error('items is not an array');
+            }
+            lineItems = parsed.map(toOrderItem);
+        } catch (error) {
+            malformed.push({ id: order.id, error: error.message });
+            continue;
+        }
+
+        await executeQuery(
+            'UPDATE orders SET line_items = ?, items = null WHERE id = ?',
+            [lineItems, order.id]
+        );
+
+        if (order.user_id) {
+            // created_at null được lưu dưới dạng epoch trong orders_by_user (xem ordersByUser.js)
+            // IF EXISTS: không tạo row rỗng nếu order chưa được backfill sang orders_by_user
+            await executeQuery(
+                `UPDATE orders_by_user SET line_items = ?, items = null
+                 WHERE user_id = ? AND created_at = ? AND order_id = ? IF EXISTS`,
+                [lineItems, order.user_id, order.created_at || new Date(0), order.id]
+            );
+        }
+        converted++;
+    }
+
+    log(`   - orders: ${converted} rows converted to line_items`);
+    malformed.forEach(({ id, error }) => {
+        log(`   ⚠️  Order ${id}: malformed items JSON (${error}), left unchanged`);
+    });
+}
+
+module.exports = {
+    description,
+    up
+};
@@ -0,0 +1,18 @@
+/**
+ * Migration 008: Thêm cột currency (ISO 4217) cho orders và orders_by_user
+ * 
+ * Rows cũ giữ currency = null và được đọc như DEFAULT_CURRENCY (VND)
+ */
+
+const description = 'Add currency column to orders and orders_by_user';
+
+async function up({ log, addColumnIfMissing }) {
+    await addColumnIfMissing('orders', 'currency', 'text');
+    await addColumnIfMissing('orders_by_user', 'currency', 'text');
+    log('   - orders, orders_by_user: currency column added');
+}
+
+module.exports = {
+    description,
+    up
+};
@@ -0,0 +1,29 @@
+/**
+ * Migration 010: Thêm cột status cho users
+ *
+ * - null / 'active': user bình thường
+ * - 'deleting': đang xóa, Order Service không nhận order mới cho user này
+ *   (xem DELETE /users/:id trong userService.js)
+ * - open_order_scans: lần cuối Order Service liệt kê orders đang mở của user cho
+ *   DELETE /users/:id; order vừa tạo chỉ cần kiểm tra lại user nếu có lần liệt kê
+ *   sau lúc verify (xem recheckOrderOwner trong orderService.js)
+ */
+
+const description = 'Add status column to users and open_order_scans for coordinated deletion';
+
+async function up({ executeQuery, log, addColumnIfMissing }) {
+    await addColumnIfMissing('users', 'status', 'text');
+    
+    await executeQuery(`
+        CREATE TABLE IF NOT EXISTS open_order_scans (
+            user_id text PRIMARY KEY,
+            scanned_at timestamp
+        )
+    `, [], { prepare: false });
+    log('   - users: status column added; open_order_scans created');
+}
+
+module.exports = {
+    description,
+    up
+};
@@ -0,0 +1,70 @@
+/**
+ * Migration 013: KV Service trên table distributed_storage.data
+ * 
+ * - Keyspace / table data giống scripts/init-cassandra.cql (IF NOT EXISTS, cluster đã
+ *   chạy script thì giữ nguyên data); keyspace lấy từ config.kvKeyspace
+ * - Cột version (bigint): tăng 1 mỗi lần ghi, mọi thay đổi đi qua LWT (IF version = ?).
+ *   Rows cũ có version null, KV Service coi là version 0
+ * - data_keys: index cho prefix listing, partition theo directory của key (xem
+ *   database/kvKeys.js); backfill từ rows hiện có
+ */
+
+const { buildReplicationCql } = require('../../config/cassandraConfig');
+const { isDirectory, indexEntries } = require('../kvKeys');
+
+const description = 'Add version column to distributed_storage.data and create data_keys prefix index';
+
+async function up({ executeQuery, scanRows, config, log, addColumnIfMissing }) {
+    const kvKeyspace = config.kvKeyspace;
+    
+    await executeQuery(
+        `CREATE KEYSPACE IF NOT EXISTS ${kvKeyspace} WITH replication = ${buildReplicationCql(config.replication)}`,
+        [], { prepare: false }
+    );
+    
+    await executeQuery(`
+        CREATE TABLE IF NOT EXISTS ${kvKeyspace}.data (
+            key text PRIMARY KEY,
+            value text,
+            created_at timestamp,
+            updated_at timestamp
+        )
+    `, [], { prepare: false });
+    await addColumnIfMissing(`${kvKeyspace}.data`, 'version', 'bigint');
+    
+    await executeQuery(`
+        CREATE TABLE IF NOT EXISTS ${kvKeyspace}.data_keys (
+            bucket text,                -- Directory của key ('config/checkout/'), '.' cho keys không có '/'
+            key text,                   -- Key, hoặc marker của directory con (kết thúc bằng '/')
+            PRIMARY KEY (bucket, key)
+        ) WITH CLUSTERING ORDER BY (key ASC)
+    `, [], { prepare: false });
+    
+    let indexed = 0;
+    const skipped = [];
+    
+    for await (const row of scanRows(`SELECT key FROM ${kvKeyspace}.data`)) {
+        // Key kết thúc bằng '/' trùng với directory marker, không list được theo prefix
+        if (isDirectory(row.key)) {
+            skipped.push(row.key);
+            continue;
+        }
+        for (const entry of indexEntries(row.key)) {
+            await executeQuery(
+                `INSERT INTO ${kvKeyspace}.data_keys (bucket, key) VALUES (?, ?)`,
+                [entry.bucket, entry.key]
+            );
+        }
+        indexed++;
+    }
+    
+    log(`   - ${kvKeyspace}.data: version column added; data_keys: ${indexed} keys backfilled`);
+    skipped.forEach(key => {
+        log(`   ⚠️  Key ${key} kết thúc bằng '/', không được đưa vào data_keys`);
+    });
+}
+
+module.exports = {
+    description,
+    up
+};
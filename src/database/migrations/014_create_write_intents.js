@@ -0,0 +1,46 @@
+/**
+ * Migration 014: Write intents cho các thay đổi state dùng LWT
+ * 
+ * - write_intents: intent được ghi trước LWT, xóa cùng logged batch với follow-up
+ *   writes (orders_by_user, status history, outbox events), xem database/writeIntents.js
+ *   Partition theo (scope, bucket = YYYYMMDDHHmm UTC) để partitions nhỏ
+ * - write_intent_cursors: bucket đầu tiên reconciler cần đọc lại của mỗi scope
+ * - Cột pending_writes (set<timeuuid>) cho orders và users: LWT thêm write_id của
+ *   intent, follow-up batch xóa đi; reconciler dùng để biết LWT đã áp dụng chưa
+ */
+
+const description = 'Create write_intents tables and pending_writes columns for LWT follow-up reconciliation';
+
+async function up({ executeQuery, log, addColumnIfMissing }) {
+    await executeQuery(`
+        CREATE TABLE IF NOT EXISTS write_intents (
+            scope text,                 -- orders | users
+            bucket text,                -- YYYYMMDDHHmm (UTC) của created_at
+            write_id timeuuid,
+            kind text,                  -- order_created, order_status_changed, ...
+            aggregate_id text,          -- Primary key của row ghi bằng LWT
+            data text,                  -- JSON để dựng lại follow-up writes
+            attempts int,               -- Số lần reconciler đã xử lý
+            claimed_until timestamp,    -- Reconciler đang xử lý intent tới thời điểm này
+            created_at timestamp,
+            PRIMARY KEY ((scope, bucket), write_id)
+        ) WITH CLUSTERING ORDER BY (write_id ASC)
+    `, [], { prepare: false });
+    
+    await executeQuery(`
+        CREATE TABLE IF NOT EXISTS write_intent_cursors (
+            scope text PRIMARY KEY,
+            bucket text,
+            updated_at timestamp
+        )
+    `, [], { prepare: false });
+    
+    await addColumnIfMissing('orders', 'pending_writes', 'set<timeuuid>');
+    await addColumnIfMissing('users', 'pending_writes', 'set<timeuuid>');
+    log('   - write_intents, write_intent_cursors created; orders, users: pending_writes column added');
+}
+
+module.exports = {
+    description,
+    up
+};
@@ -0,0 +1,474 @@
+/**
+ * =============================================================================
+ * CQL SCHEMA MIGRATION SYSTEM
+ * =============================================================================
+ * 
+ * Versioned schema migrations cho Cassandra keyspace của application
+ * 
+ * - Migration files nằm trong src/database/migrations, đặt tên theo dạng
+ *   NNN_description.cql hoặc NNN_description.js (NNN = version tăng dần)
+ * - File .cql: nhiều statements, phân tách bằng dấu ";"
+ * - File .js:  export { description, up(context) } cho migrations cần xử lý data
+ *   context = { executeQuery, scanRows, client, keyspace, config, log, addColumnIfMissing }
+ * - Migrations đã chạy được ghi vào table schema_migrations (kèm checksum)
+ * - Lock dùng lightweight transaction (INSERT ... IF NOT EXISTS) trên table
+ *   schema_migration_lock, nên khi User Service và Order Service khởi động
+ *   cùng lúc chỉ có một instance chạy migrations, instance còn lại đợi
+ * - Lock có TTL (instance chết thì lock tự hết hạn) và được gia hạn định kỳ
+ *   bằng UPDATE ... IF owner = ? trong lúc migrations chạy; gia hạn thất bại
+ *   thì migration đang chạy bị dừng ở query kế tiếp (MigrationLockLostError)
+ * - Migration đã apply mà file bị sửa (checksum khác) thì migrate() từ chối chạy
+ *   (ModifiedMigrationsError) cho tới khi file được sửa lại, hoặc thay đổi được
+ *   chấp nhận bằng migrate({ acceptModified: true }) / migrate.js up --accept-modified
+ * =============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_REGEX = /^(\d+)_([\w-]+)\.(cql|js)$/;
+const MIGRATION_SCOPE = 'app';
+const LOCK_ID = 'schema';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Lock đã mất (hết hạn hoặc bị instance khác lấy) trong khi migrations đang chạy
+ */
+class MigrationLockLostError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MigrationLockLostError';
+    }
+}
+
+/**
+ * Có migration đã apply nhưng file hiện tại có checksum khác
+ */
+class ModifiedMigrationsError extends Error {
+    constructor(migrations) {
+        super(`Applied migrations were modified: ${migrations.map(m => `${m.version}_${m.name}`).join(', ')}. ` +
+            'Restore the original files, or accept the change with "node scripts/migrate.js up --accept-modified"');
+        this.name = 'ModifiedMigrationsError';
+        this.migrations = migrations;
+    }
+}
+
+/**
+ * Tách nội dung file .cql thành danh sách statements
+ * Bỏ comments (--) và dòng trống
+ * 
+ * @param {string} content - Nội dung file
+ * @returns {Array<string>} Statements
+ */
+function splitStatements(content) {
+    return content
+        .split('\n')
+        .map(line => line.replace(/--.*$/, ''))
+        .join('\n')
+        .split(';')
+        .map(statement => statement.trim())
+        .filter(statement => statement !== '');
+}
+
+/**
+ * Đọc tất cả migration files trong thư mục, sắp xếp theo version
+ * 
+ * @param {string} dir - Thư mục migrations
+ * @returns {Array<Object>} [{ version, name, file, type, checksum }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE_REGEX) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const fullPath = path.join(dir, file);
+            const content = fs.readFileSync(fullPath, 'utf8');
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                file: fullPath,
+                type: match[3],
+                checksum: crypto.createHash('sha256').update(content).digest('hex'),
+                content
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+    
+    // Version phải là duy nhất
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Duplicate migration version ${migration.version}: ` +
+                `${path.basename(migrations[index - 1].file)}, ${path.basename(migration.file)}`);
+        }
+    });
+    
+    return migrations;
+}
+
+/**
+ * Tạo migrator gắn với một Cassandra client/keyspace
+ * 
+ * @param {Object} options
+ * @param {Function} options.executeQuery - Hàm thực thi query (cassandraConnection.executeQuery)
+ * @param {Function} options.scanRows - Async generator duyệt toàn bộ rows (cassandraConnection.scanRows)
+ * @param {Object} options.client - cassandra-driver Client (truyền cho JS migrations)
+ * @param {string} options.keyspace - Keyspace đang dùng
+ * @param {Object} options.config - Cassandra config (replication, kvKeyspace) cho JS migrations
+ * @param {string} options.migrationsDir - Thư mục migrations
+ * @param {string} options.owner - Định danh instance giữ lock (default: hostname:pid)
+ * @param {number} options.lockTtlSeconds - TTL của lock (tránh deadlock nếu instance chết)
+ * @param {number} options.lockRenewIntervalMs - Chu kỳ gia hạn lock (default: 1/3 TTL)
+ * @param {number} options.lockTimeoutMs - Thời gian tối đa đợi lock
+ * @param {number} options.lockPollIntervalMs - Chu kỳ thử lại lock
+ * @returns {Object} Migrator API
+ */
+function createMigrator({
+    executeQuery,
+    scanRows,
+    client,
+    keyspace,
+    config = null,
+    migrationsDir = MIGRATIONS_DIR,
+    owner = `${os.hostname()}:${process.pid}`,
+    lockTtlSeconds = 300,
+    lockRenewIntervalMs = lockTtlSeconds * 1000 / 3,
+    lockTimeoutMs = 120000,
+    lockPollIntervalMs = 2000
+}) {
+    /**
+     * Heartbeat của lock đang giữ: { timer, renewedAt, lostError }
+     */
+    let heldLock = null;
+    
+    /**
+     * Tạo các tables dùng cho việc tracking migrations
+     */
+    async function ensureMigrationTables() {
+        await executeQuery(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                scope text,
+                version int,
+                name text,
+                checksum text,
+                applied_at timestamp,
+                applied_by text,
+                PRIMARY KEY (scope, version)
+            )
+        `, [], { prepare: false });
+        
+        await executeQuery(`
+            CREATE TABLE IF NOT EXISTS schema_migration_lock (
+                id text PRIMARY KEY,
+                owner text,
+                acquired_at timestamp
+            )
+        `, [], { prepare: false });
+    }
+
+    /**
+     * Lấy danh sách migrations đã apply
+     * @returns {Promise<Map<number, Object>>} version -> record
+     */
+    async function getAppliedMigrations() {
+        const result = await executeQuery(
+            'SELECT version, name, checksum, applied_at, applied_by FROM schema_migrations WHERE scope = ?',
+            [MIGRATION_SCOPE]
+        );
+        return new Map(result.rows.map(row => [row.version, row]));
+    }
+
+    /**
+     * Thử lấy lock bằng lightweight transaction
+     * @returns {Promise<boolean>} true nếu lấy được lock
+     */
+    async function tryAcquireLock() {
+        const result = await executeQuery(
+            `INSERT INTO schema_migration_lock (id, owner, acquired_at) VALUES (?, ?, ?) IF NOT EXISTS USING TTL ${lockTtlSeconds}`,
+            [LOCK_ID, owner, new Date()]
+        );
+        return result.rows[0]['[applied]'] === true;
+    }
+
+    /**
+     * Đợi cho tới khi lấy được lock hoặc hết lockTimeoutMs
+     */
+    async function acquireLock() {
+        const deadline = Date.now() + lockTimeoutMs;
+        
+        while (!(await tryAcquireLock())) {
+            if (Date.now() >= deadline) {
+                throw new Error(`Timed out after ${lockTimeoutMs}ms waiting for schema migration lock`);
+            }
+            console.log(`⏳ Migration lock đang được giữ bởi instance khác, đợi ${lockPollIntervalMs / 1000}s...`);
+            await delay(lockPollIntervalMs);
+        }
+        console.log('🔐 Đã lấy migration lock:', owner);
+        startHeartbeat();
+    }
+
+    /**
+     * Gia hạn TTL của lock (chỉ khi lock vẫn thuộc về instance này)
+     * Set lại owner để TTL của cột owner cũng được làm mới, row còn tồn tại cho IF NOT EXISTS
+     * @returns {Promise<boolean>} false nếu lock đã hết hạn hoặc thuộc instance khác
+     */
+    async function renewLock() {
+        const result = await executeQuery(
+            `UPDATE schema_migration_lock USING TTL ${lockTtlSeconds} SET owner = ?, acquired_at = ? WHERE id = ? IF owner = ?`,
+            [owner, new Date(), LOCK_ID, owner]
+        );
+        return result.rows[0]['[applied]'] === true;
+    }
+
+    /**
+     * Gia hạn lock định kỳ cho tới khi releaseLock()
+     * Lock bị coi là mất khi UPDATE không applied, hoặc khi các lần gia hạn lỗi
+     * liên tục lâu hơn TTL (lock có thể đã hết hạn)
+     */
+    function startHeartbeat() {
+        const lock = { timer: null, renewedAt: Date.now(), lostError: null };
+        
+        const schedule = () => {
+            lock.timer = setTimeout(async () => {
+                try {
+                    if (!(await renewLock())) {
+                        lock.lostError = new MigrationLockLostError(`Migration lock của ${owner} đã hết hạn hoặc bị instance khác lấy`);
+                    } else {
+                        lock.renewedAt = Date.now();
+                    }
+                } catch (error) {
+                    console.error('⚠️  Không gia hạn được migration lock:', error.message);
+                    if (Date.now() - lock.renewedAt >= lockTtlSeconds * 1000) {
+                        lock.lostError = new MigrationLockLostError(`Migration lock không được gia hạn trong ${lockTtlSeconds}s: ${error.message}`);
+                    }
+                }
+                
+                if (lock.lostError) {
+                    console.error('❌', lock.lostError.message);
+                } else if (heldLock === lock) {
+                    schedule();
+                }
+            }, lockRenewIntervalMs);
+        };
+        
+        heldLock = lock;
+        schedule();
+    }
+
+    /**
+     * Throw MigrationLockLostError nếu heartbeat đã mất lock
+     */
+    function assertLockHeld() {
+        if (heldLock && heldLock.lostError) {
+            throw heldLock.lostError;
+        }
+    }
+
+    /**
+     * Trả lock (chỉ khi lock vẫn thuộc về instance này)
+     */
+    async function releaseLock() {
+        if (heldLock) {
+            clearTimeout(heldLock.timer);
+            heldLock = null;
+        }
+        await executeQuery('DELETE FROM schema_migration_lock WHERE id = ? IF owner = ?', [LOCK_ID, owner]);
+        console.log('🔓 Đã trả migration lock:', owner);
+    }
+
+    /**
+     * Apply một migration và ghi lại vào schema_migrations
+     * @param {Object} migration - Migration từ loadMigrations
+     */
+    async function applyMigration(migration) {
+        console.log(`📦 Applying migration ${migration.version}_${migration.name} (${migration.type})...`);
+        
+        // Mọi query của migration kiểm tra lock trước, nên data migrations dài
+        // dừng lại ngay khi heartbeat mất lock thay vì chạy song song với instance khác
+        const guardedQuery = (...args) => {
+            assertLockHeld();
+            return executeQuery(...args);
+        };
+        async function* guardedScan(...args) {
+            for await (const row of scanRows(...args)) {
+                assertLockHeld();
+                yield row;
+            }
+        }
+        
+        /**
+         * ALTER TABLE ... ADD chỉ khi column chưa có (Cassandra không có ADD IF NOT EXISTS
+         * cho mọi version), để JS migrations chạy lại được an toàn
+         * table có thể kèm keyspace: 'distributed_storage.data'
+         */
+        const addColumnIfMissing = async (table, column, type) => {
+            const [tableKeyspace, tableName] = table.includes('.') ? table.split('.') : [keyspace, table];
+            const result = await guardedQuery(
+                'SELECT column_name FROM system_schema.columns WHERE keyspace_name = ? AND table_name = ? AND column_name = ?',
+                [tableKeyspace, tableName, column]
+            );
+            if (result.rows.length === 0) {
+                await guardedQuery(`ALTER TABLE ${table} ADD ${column} ${type}`, [], { prepare: false });
+            }
+        };
+        
+        if (migration.type === 'cql') {
+            for (const statement of splitStatements(migration.content)) {
+                await guardedQuery(statement, [], { prepare: false });
+            }
+        } else {
+            const { up } = require(migration.file);
+            await up({
+                executeQuery: guardedQuery,
+                scanRows: guardedScan,
+                client,
+                keyspace,
+                config,
+                log: console.log,
+                addColumnIfMissing
+            });
+        }
+        
+        await guardedQuery(
+            'INSERT INTO schema_migrations (scope, version, name, checksum, applied_at, applied_by) VALUES (?, ?, ?, ?, ?, ?)',
+            [MIGRATION_SCOPE, migration.version, migration.name, migration.checksum, new Date(), owner]
+        );
+        console.log(`✅ Migration ${migration.version}_${migration.name} applied`);
+    }
+
+    /**
+     * Ghi checksum hiện tại cho migration đã apply nhưng file bị sửa
+     * (migration không được chạy lại)
+     * @param {Object} migration - Migration từ loadMigrations
+     */
+    async function acceptModifiedMigration(migration) {
+        await executeQuery(
+            'UPDATE schema_migrations SET checksum = ? WHERE scope = ? AND version = ?',
+            [migration.checksum, MIGRATION_SCOPE, migration.version]
+        );
+        console.warn(`⚠️  Accepted modified migration ${migration.version}_${migration.name} (not re-applied)`);
+    }
+
+    /**
+     * Apply tất cả pending migrations (giữ lock trong suốt quá trình)
+     * Từ chối chạy nếu có migration đã apply bị sửa, trừ khi acceptModified
+     * 
+     * @param {Object} options
+     * @param {boolean} options.acceptModified - Ghi nhận checksum mới cho migrations bị sửa thay vì từ chối
+     * @returns {Promise<Array<Object>>} Migrations đã apply trong lần chạy này
+     * @throws {ModifiedMigrationsError} Khi có migration bị sửa và không acceptModified
+     */
+    async function migrate({ acceptModified = false } = {}) {
+        const migrations = loadMigrations(migrationsDir);
+        await ensureMigrationTables();
+        await acquireLock();
+        
+        try {
+            // Đọc lại sau khi có lock: instance khác có thể vừa apply xong
+            const applied = await getAppliedMigrations();
+            const modified = migrations.filter(migration =>
+                applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum);
+            
+            if (modified.length > 0) {
+                if (!acceptModified) {
+                    throw new ModifiedMigrationsError(modified);
+                }
+                for (const migration of modified) {
+                    await acceptModifiedMigration(migration);
+                }
+            }
+            
+            const pending = migrations.filter(migration => !applied.has(migration.version));
+            
+            if (pending.length === 0) {
+                console.log('✅ Schema đã ở version mới nhất, không có migration nào cần chạy');
+                return [];
+            }
+            
+            for (const migration of pending) {
+                await applyMigration(migration);
+            }
+            return pending;
+            
+        } finally {
+            await releaseLock();
+        }
+    }
+
+    /**
+     * Trạng thái của từng migration (applied / pending / checksum mismatch)
+     * @returns {Promise<Array<Object>>} Migration status list
+     */
+    async function status() {
+        const migrations = loadMigrations(migrationsDir);
+        await ensureMigrationTables();
+        const applied = await getAppliedMigrations();
+        
+        const rows = migrations.map(migration => {
+            const record = applied.get(migration.version);
+            return {
+                version: migration.version,
+                name: migration.name,
+                type: migration.type,
+                state: !record ? 'pending' : record.checksum === migration.checksum ? 'applied' : 'modified',
+                appliedAt: record && record.applied_at ? record.applied_at.toISOString() : null,
+                appliedBy: record ? record.applied_by : null
+            };
+        });
+        
+        // Migrations có trong database nhưng file đã bị xóa
+        applied.forEach((record, version) => {
+            if (!migrations.some(migration => migration.version === version)) {
+                rows.push({
+                    version,
+                    name: record.name,
+                    type: null,
+                    state: 'missing',
+                    appliedAt: record.applied_at ? record.applied_at.toISOString() : null,
+                    appliedBy: record.applied_by
+                });
+            }
+        });
+        
+        return rows.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Kiểm tra schema có đồng bộ với migration files không
+     * @returns {Promise<Object>} { ok, pending, modified, missing }
+     */
+    async function check() {
+        const rows = await status();
+        const byState = state => rows.filter(row => row.state === state);
+        const result = {
+            pending: byState('pending'),
+            modified: byState('modified'),
+            missing: byState('missing')
+        };
+        result.ok = result.pending.length === 0 && result.modified.length === 0 && result.missing.length === 0;
+        return result;
+    }
+
+    return {
+        ensureMigrationTables,
+        getAppliedMigrations,
+        acquireLock,
+        renewLock,
+        releaseLock,
+        migrate,
+        status,
+        check
+    };
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    MigrationLockLostError,
+    ModifiedMigrationsError,
+    loadMigrations,
+    splitStatements,
+    createMigrator
+};
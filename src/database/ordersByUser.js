@@ -0,0 +1,121 @@
+/**
+ * =============================================================================
+ * ORDERS BY USER (DENORMALIZED TABLE)
+ * =============================================================================
+ * 
+ * orders_by_user chứa bản sao của mỗi order, partition theo user_id và
+ * sắp xếp theo created_at giảm dần (xem migration 006).
+ * Mọi thao tác ghi vào orders phải ghi cả vào bảng này trong cùng một
+ * logged batch để hai bảng không bị lệch nhau.
+ * 
+ * Ngoại lệ: tạo order (INSERT ... IF NOT EXISTS, chống trùng ID) và đổi status
+ * (UPDATE ... IF status = ?, chống cập nhật đồng thời) là LWT, mà LWT không thể
+ * nằm trong logged batch nhiều partition. Với hai thao tác này orders_by_user
+ * được ghi trong logged batch follow-up ngay sau LWT, kèm write intent ghi trước
+ * LWT; nếu batch không được ghi, reconciler của Order Service ghi lại từ intent
+ * (xem database/writeIntents.js). Hai bảng có thể lệch nhau tối đa khoảng
+ * WRITE_INTENT_SETTLE_MS + WRITE_INTENT_RECONCILE_INTERVAL_MS.
+ * =============================================================================
+ */
+
+/**
+ * created_at là clustering key nên không được null.
+ * Order cũ thiếu created_at được xếp cuối danh sách (epoch).
+ * 
+ * @param {Object} order - Row của bảng orders
+ * @returns {Date} created_at dùng làm clustering key
+ */
+function clusteringTime(order) {
+    return order.created_at || new Date(0);
+}
+
+/**
+ * Statement INSERT một order vào orders_by_user (upsert)
+ * 
+ * @param {Object} order - Row dạng bảng orders (id, user_id, line_items, total_amount, ...)
+ * @returns {{query: string, params: Array}}
+ */
+function insertStatement(order) {
+    return {
+        query: `INSERT INTO orders_by_user (user_id, created_at, order_id, items, line_items, total_amount, currency, status, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        params: [
+            order.user_id,
+            clusteringTime(order),
+            order.id,
+            order.items,
+            order.line_items,
+            order.total_amount,
+            order.currency,
+            order.status,
+            order.updated_at
+        ]
+    };
+}
+
+/**
+ * Statement UPDATE các cột của order trong orders_by_user
+ * 
+ * @param {Object} order - Row hiện tại (cần id, user_id, created_at)
+ * @param {Object} changes - Map column -> giá trị mới
+ * @returns {{query: string, params: Array}}
+ */
+function updateStatement(order, changes) {
+    const columns = Object.keys(changes);
+    return {
+        query: `UPDATE orders_by_user SET ${columns.map(column => `${column} = ?`).join(', ')}
+                WHERE user_id = ? AND created_at = ? AND order_id = ?`,
+        params: [...columns.map(column => changes[column]), order.user_id, clusteringTime(order), order.id]
+    };
+}
+
+/**
+ * Statement DELETE order khỏi orders_by_user
+ * 
+ * @param {Object} order - Row hiện tại (cần id, user_id, created_at)
+ * @returns {{query: string, params: Array}}
+ */
+function deleteStatement(order) {
+    return {
+        query: 'DELETE FROM orders_by_user WHERE user_id = ? AND created_at = ? AND order_id = ?',
+        params: [order.user_id, clusteringTime(order), order.id]
+    };
+}
+
+/**
+ * Populate orders_by_user từ bảng orders
+ * Idempotent: INSERT là upsert nên chạy lại nhiều lần vẫn an toàn
+ * 
+ * @param {Object} db - Database API (executeQuery, scanRows), vd database/cassandraConnection
+ * @param {Function} log - Logger cho tiến độ
+ * @returns {Promise<{copied: number, skipped: number}>}
+ */
+async function backfillOrdersByUser({ executeQuery, scanRows }, log = console.log) {
+    let copied = 0;
+    let skipped = 0;
+    
+    for await (const order of scanRows('SELECT * FROM orders')) {
+        if (!order.user_id) {
+            skipped++;
+            log(`   ⚠️  Order ${order.id} không có user_id, bỏ qua`);
+            continue;
+        }
+        
+        const { query, params } = insertStatement(order);
+        await executeQuery(query, params);
+        copied++;
+        
+        if (copied % 1000 === 0) {
+            log(`   - ${copied} orders copied...`);
+        }
+    }
+    
+    return { copied, skipped };
+}
+
+module.exports = {
+    insertStatement,
+    updateStatement,
+    deleteStatement,
+    backfillOrdersByUser
+};
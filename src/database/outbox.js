@@ -0,0 +1,239 @@
+/**
+ * =============================================================================
+ * TRANSACTIONAL OUTBOX (DOMAIN EVENTS)
+ * =============================================================================
+ * 
+ * Domain events của User Service / Order Service được ghi vào outbox_events
+ * trong cùng logged batch với thay đổi state (xem migration 011).
+ * Event Relay (services/eventRelay.js) đọc outbox theo thứ tự event_id và
+ * deliver tới subscribers, lưu offset của mỗi consumer.
+ * 
+ * Lưu ý: LWT không thể nằm trong batch nhiều partition, nên với các thao tác
+ * dùng IF NOT EXISTS / IF EXISTS / IF status = ? event là follow-up của một
+ * write intent ghi trước LWT (database/writeIntents.js): logged batch ngay sau
+ * khi LWT được áp dụng, hoặc reconciler ghi lại nếu request dừng giữa chừng.
+ * =============================================================================
+ */
+
+const { types } = require('cassandra-driver');
+const { getContext } = require('../utils/tracing');
+
+const STREAM = 'domain';
+
+const EVENT_TYPES = {
+    USER_CREATED: 'UserCreated',
+    USER_UPDATED: 'UserUpdated',
+    USER_DELETED: 'UserDeleted',
+    ORDER_CREATED: 'OrderCreated',
+    ORDER_STATUS_CHANGED: 'OrderStatusChanged'
+};
+
+/**
+ * Bucket (partition) theo giờ UTC của một thời điểm
+ * 
+ * @param {Date} date
+ * @returns {string} vd: '2024010100'
+ */
+function bucketFor(date) {
+    return date.toISOString().slice(0, 13).replace(/[-T]/g, '');
+}
+
+/**
+ * Statements ghi một domain event vào outbox
+ * Trả về nhiều statements (event + bucket), caller spread vào logged batch
+ * 
+ * @param {Object} event
+ * @param {string} event.aggregateType - 'user' | 'order'
+ * @param {string} event.aggregateId - ID của aggregate
+ * @param {string} event.type - Một giá trị của EVENT_TYPES
+ * @param {Object} event.payload - Dữ liệu của event (serialize thành JSON)
+ * @param {Date} event.occurredAt - Thời điểm thay đổi state
+ * @returns {Array<{query: string, params: Array}>}
+ */
+function eventStatements({ aggregateType, aggregateId, type, payload, occurredAt = new Date() }) {
+    const bucket = bucketFor(occurredAt);
+    // fromDate tự tăng ticks trong cùng millisecond: events của một process luôn tăng dần
+    const eventId = types.TimeUuid.fromDate(occurredAt);
+    const context = getContext();
+    
+    return [
+        {
+            query: `INSERT INTO outbox_events (bucket, event_id, aggregate_type, aggregate_id, event_type, payload, trace_id)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            params: [
+                bucket,
+                eventId,
+                aggregateType,
+                String(aggregateId),
+                type,
+                JSON.stringify(payload),
+                context ? context.traceId : null
+            ]
+        },
+        {
+            query: 'INSERT INTO outbox_buckets (stream, bucket) VALUES (?, ?)',
+            params: [STREAM, bucket]
+        }
+    ];
+}
+
+/**
+ * Chuyển row của outbox_events thành event object (format được deliver)
+ * 
+ * @param {Object} row - Cassandra row
+ * @returns {Object} Event
+ */
+function formatEvent(row) {
+    let payload;
+    try {
+        payload = JSON.parse(row.payload);
+    } catch (error) {
+        payload = null;
+    }
+    
+    return {
+        id: row.event_id.toString(),
+        type: row.event_type,
+        aggregateType: row.aggregate_type,
+        aggregateId: row.aggregate_id,
+        occurredAt: row.event_id.getDate().toISOString(),
+        traceId: row.trace_id || null,
+        bucket: row.bucket,
+        payload
+    };
+}
+
+/**
+ * Vị trí bắt đầu đọc từ một thời điểm (bao gồm events tại thời điểm đó)
+ * 
+ * @param {Date} date
+ * @returns {{bucket: string, eventId: string}}
+ */
+function positionAt(date) {
+    return {
+        bucket: bucketFor(date),
+        eventId: types.TimeUuid.min(date).toString()
+    };
+}
+
+/**
+ * Vị trí ngay sau một event (event đó không được đọc lại)
+ * 
+ * @param {string} eventId - TimeUUID của event
+ * @returns {{bucket: string, eventId: string}}
+ * @throws {TypeError} Nếu eventId không phải TimeUUID
+ */
+function positionAfter(eventId) {
+    const id = types.TimeUuid.fromString(eventId);
+    return {
+        bucket: bucketFor(id.getDate()),
+        eventId: id.toString()
+    };
+}
+
+/**
+ * Đọc stream events và lưu offset của consumers trên một database API
+ * 
+ * @param {Object} db - Database API (executeQuery), vd database/cassandraConnection
+ * @returns {Object} API: readEvents, getOffset, saveOffset
+ */
+function createEventStream({ executeQuery }) {
+    /**
+     * Đọc events theo thứ tự, sau một vị trí
+     * 
+     * Chỉ trả về events cũ hơn `until`: batch ghi event có thể tới Cassandra
+     * chậm hơn một chút so với event_id, nên relay chừa một khoảng settle
+     * để không bỏ qua event commit muộn.
+     * 
+     * @param {Object} options
+     * @param {{bucket: string, eventId: string}|null} options.after - Vị trí bắt đầu (exclusive), null = từ đầu
+     * @param {number} options.limit - Số events tối đa
+     * @param {Date} options.until - Chỉ đọc events trước thời điểm này
+     * @returns {Promise<Array<Object>>} Events (formatEvent)
+     */
+    async function readEvents({ after = null, limit = 100, until = new Date() }) {
+        const untilBucket = bucketFor(until);
+        const upperBound = types.TimeUuid.min(until);
+        
+        const bucketRows = await executeQuery(
+            'SELECT bucket FROM outbox_buckets WHERE stream = ? AND bucket >= ? AND bucket <= ?',
+            [STREAM, after ? after.bucket : '', untilBucket]
+        );
+        
+        const events = [];
+        for (const { bucket } of bucketRows.rows) {
+            const remaining = limit - events.length;
+            if (remaining <= 0) {
+                break;
+            }
+            
+            const fromStart = !after || bucket !== after.bucket;
+            const query = fromStart
+                ? 'SELECT * FROM outbox_events WHERE bucket = ? AND event_id < ? LIMIT ?'
+                : 'SELECT * FROM outbox_events WHERE bucket = ? AND event_id > ? AND event_id < ? LIMIT ?';
+            const params = fromStart
+                ? [bucket, upperBound, remaining]
+                : [bucket, after.eventId, upperBound, remaining];
+            
+            const result = await executeQuery(query, params);
+            events.push(...result.rows.map(formatEvent));
+        }
+        
+        return events;
+    }
+    
+    // =============================================================================
+    // CONSUMER OFFSETS
+    // =============================================================================
+    
+    /**
+     * Offset hiện tại của consumer
+     * 
+     * @param {string} consumer - Tên consumer
+     * @returns {Promise<{bucket: string, eventId: string, updatedAt: string}|null>} null nếu chưa từng deliver
+     */
+    async function getOffset(consumer) {
+        const result = await executeQuery(
+            'SELECT bucket, event_id, updated_at FROM event_consumer_offsets WHERE consumer = ?',
+            [consumer]
+        );
+        const row = result.rows[0];
+        if (!row || !row.bucket) {
+            return null;
+        }
+        return {
+            bucket: row.bucket,
+            eventId: row.event_id.toString(),
+            updatedAt: row.updated_at ? row.updated_at.toISOString() : null
+        };
+    }
+    
+    /**
+     * Lưu offset của consumer (sau khi deliver event thành công)
+     * 
+     * @param {string} consumer - Tên consumer
+     * @param {{bucket: string, eventId: string}|null} position - null để đọc lại từ đầu stream
+     */
+    async function saveOffset(consumer, position) {
+        await executeQuery(
+            'UPDATE event_consumer_offsets SET bucket = ?, event_id = ?, updated_at = ? WHERE consumer = ?',
+            [position ? position.bucket : null, position ? position.eventId : null, new Date(), consumer]
+        );
+    }
+    
+    return {
+        readEvents,
+        getOffset,
+        saveOffset
+    };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    bucketFor,
+    eventStatements,
+    formatEvent,
+    positionAt,
+    positionAfter,
+    createEventStream
+};
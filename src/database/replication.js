@@ -0,0 +1,569 @@
+/**
+ * =============================================================================
+ * REPLICATION VERIFICATION
+ * =============================================================================
+ * 
+ * Kiểm tra một partition thực sự nằm trên mọi replica của nó:
+ * 1. Tìm replicas của partition key từ driver metadata (token ring + replication
+ *    strategy của keyspace), giống TokenAwarePolicy
+ * 2. Đọc partition trên từng replica: consistency ONE, pin host bằng option
+ *    `host` nên chính replica đó làm coordinator (và đọc data local của nó)
+ * 3. So sánh values và WRITETIME() của từng column giữa các replicas
+ * 
+ * Không có read repair hay retry sang host khác, nên kết quả phản ánh đúng
+ * data trên mỗi node tại thời điểm đọc. Lưu ý speculative_retry của table vẫn
+ * có thể khiến coordinator hỏi thêm một replica khác khi node chậm.
+ * 
+ * Với STORAGE_BACKEND=memory chỉ có một replica (MemoryClient.host), mọi
+ * partition luôn "consistent"; report có backend: 'memory' để phân biệt.
+ * =============================================================================
+ */
+
+const { types, Encoder, defaultOptions } = require('cassandra-driver');
+const { MemoryClient } = require('./memoryBackend');
+
+const { Long, Uuid, TimeUuid } = types;
+
+/**
+ * Số rows tối đa đọc từ một partition (tables có clustering columns)
+ */
+const MAX_ROWS_PER_PARTITION = 1000;
+
+/**
+ * Số rows tối đa được scan để chọn keys ngẫu nhiên cho sample mode
+ */
+const SAMPLE_SCAN_LIMIT = 10000;
+
+/**
+ * Native types có thể dùng với WRITETIME() (non-frozen collections / UDTs thì không)
+ */
+const NATIVE_TYPES = [
+    'ascii', 'bigint', 'blob', 'boolean', 'counter', 'date', 'decimal', 'double', 'duration',
+    'float', 'inet', 'int', 'smallint', 'text', 'time', 'timestamp', 'timeuuid', 'tinyint',
+    'uuid', 'varchar', 'varint'
+];
+
+/**
+ * Error của replication check, statusCode dùng cho HTTP response
+ * (400 key không hợp lệ, 404 table không tồn tại, 503 không có metadata)
+ */
+class ReplicationCheckError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ReplicationCheckError';
+        this.statusCode = statusCode;
+    }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Parse một giá trị partition key từ string (URL / CLI) theo CQL type
+ * 
+ * @param {string} type - CQL type từ system_schema.columns
+ * @param {string} raw - Giá trị dạng text
+ * @returns {*} Giá trị cho cassandra-driver
+ * @throws {ReplicationCheckError} Khi giá trị không hợp lệ hoặc type chưa hỗ trợ
+ */
+function parseKeyValue(type, raw) {
+    try {
+        switch (type) {
+            case 'text':
+            case 'varchar':
+            case 'ascii':
+                return raw;
+            case 'uuid':
+                return Uuid.fromString(raw);
+            case 'timeuuid':
+                return TimeUuid.fromString(raw);
+            case 'int':
+            case 'smallint':
+            case 'tinyint': {
+                if (!/^-?\d+$/.test(raw)) {
+                    throw new Error('not an integer');
+                }
+                return parseInt(raw, 10);
+            }
+            case 'bigint':
+            case 'counter':
+                if (!/^-?\d+$/.test(raw)) {
+                    throw new Error('not an integer');
+                }
+                return Long.fromString(raw);
+            case 'timestamp': {
+                const date = new Date(/^\d+$/.test(raw) ? Number(raw) : raw);
+                if (isNaN(date.getTime())) {
+                    throw new Error('not a timestamp');
+                }
+                return date;
+            }
+            default:
+                break;
+        }
+    } catch (error) {
+        throw new ReplicationCheckError(`Giá trị "${raw}" không hợp lệ cho partition key kiểu ${type}`);
+    }
+    throw new ReplicationCheckError(`Partition key kiểu ${type} chưa được hỗ trợ`);
+}
+
+/**
+ * Routing key (serialized partition key) như driver dùng để tính token:
+ * một component giữ nguyên bytes; composite key thì mỗi component là
+ * <2 bytes length><bytes><0x00>
+ * 
+ * @param {Array<Buffer>} parts - Từng component đã encode
+ * @returns {Buffer} Routing key
+ */
+function composeRoutingKey(parts) {
+    if (parts.length === 1) {
+        return parts[0];
+    }
+    return Buffer.concat(parts.map(part => {
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(part.length, 0);
+        return Buffer.concat([length, part, Buffer.from([0])]);
+    }));
+}
+
+/**
+ * Chuyển value của driver về dạng so sánh / serialize được (JSON)
+ */
+function normalizeValue(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (Buffer.isBuffer(value)) {
+        return value.toString('hex');
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value) || value instanceof Set) {
+        return [...value].map(normalizeValue);
+    }
+    if (value instanceof Map) {
+        return [...value].map(([key, item]) => [normalizeValue(key), normalizeValue(item)]);
+    }
+    if (typeof value === 'object') {
+        // Types của driver (Uuid, Long, BigDecimal, LocalDate, InetAddress, ...) có toString riêng
+        if (value.constructor && value.constructor !== Object) {
+            return value.toString();
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalizeValue(item)]));
+    }
+    return value;
+}
+
+/**
+ * Số replicas mong đợi theo replication settings của keyspace
+ * 
+ * @param {Object} replication - Map replication từ system_schema.keyspaces
+ * @returns {number|null} Replication factor tổng, null nếu không xác định được
+ */
+function expectedReplicaCount(replication) {
+    if (!replication || !replication.class) {
+        return null;
+    }
+    if (replication.class.endsWith('SimpleStrategy')) {
+        return parseInt(replication.replication_factor, 10) || null;
+    }
+    if (replication.class.endsWith('NetworkTopologyStrategy')) {
+        return Object.entries(replication)
+            .filter(([key]) => key !== 'class')
+            .reduce((sum, [, factor]) => sum + (parseInt(factor, 10) || 0), 0);
+    }
+    return null;
+}
+
+/**
+ * Chọn ngẫu nhiên tối đa n phần tử (reservoir sampling)
+ */
+function reservoirSample(iterable, n) {
+    const sample = [];
+    let seen = 0;
+    for (const item of iterable) {
+        seen++;
+        if (sample.length < n) {
+            sample.push(item);
+        } else {
+            const index = Math.floor(Math.random() * seen);
+            if (index < n) {
+                sample[index] = item;
+            }
+        }
+    }
+    return sample;
+}
+
+// =============================================================================
+// REPLICATION CHECKER
+// =============================================================================
+
+/**
+ * Tạo replication checker gắn với một client/keyspace
+ * 
+ * @param {Object} options
+ * @param {Object} options.client - cassandra-driver Client hoặc MemoryClient
+ * @param {string} options.keyspace - Keyspace của application
+ * @returns {Object} API: describeTable, getReplicas, findOwners, checkKey, checkSample
+ */
+function createReplicationChecker({ client, keyspace }) {
+    const encoder = new Encoder(4, defaultOptions());
+    const isMemory = client instanceof MemoryClient;
+    
+    /**
+     * Options đọc trên một replica: ONE, pin host, không retry sang host khác
+     */
+    const readOptions = host => ({
+        prepare: true,
+        consistency: types.consistencies.one,
+        host,
+        isIdempotent: false,
+        fetchSize: MAX_ROWS_PER_PARTITION
+    });
+    
+    /**
+     * Schema của table từ system_schema (partition key, clustering, regular columns)
+     * 
+     * @param {string} table - Tên table
+     * @returns {Promise<Object>} { name, partitionKey, clustering, regular } (mỗi column: { name, type })
+     * @throws {ReplicationCheckError} 404 khi table không tồn tại
+     */
+    async function describeTable(table) {
+        const result = await client.execute(
+            'SELECT column_name, kind, position, type FROM system_schema.columns WHERE keyspace_name = ? AND table_name = ?',
+            [keyspace, table],
+            { prepare: true }
+        );
+        if (result.rows.length === 0) {
+            throw new ReplicationCheckError(`Table ${keyspace}.${table} không tồn tại`, 404);
+        }
+        
+        const byKind = kind => result.rows
+            .filter(row => row.kind === kind)
+            .sort((a, b) => a.position - b.position)
+            .map(row => ({ name: row.column_name, type: row.type }));
+        
+        return {
+            name: table,
+            partitionKey: byKind('partition_key'),
+            clustering: byKind('clustering'),
+            regular: byKind('regular')
+        };
+    }
+    
+    async function getKeyspaceReplication() {
+        const result = await client.execute(
+            'SELECT replication FROM system_schema.keyspaces WHERE keyspace_name = ?',
+            [keyspace],
+            { prepare: true }
+        );
+        return result.rows.length > 0 ? result.rows[0].replication : null;
+    }
+    
+    /**
+     * Parse partition key values (composite key: các giá trị cách nhau bởi dấu phẩy)
+     */
+    function parsePartitionKey(schema, rawKey) {
+        const rawValues = Array.isArray(rawKey)
+            ? rawKey.map(String)
+            : (schema.partitionKey.length > 1 ? String(rawKey).split(',') : [String(rawKey)]);
+        if (rawValues.length !== schema.partitionKey.length) {
+            throw new ReplicationCheckError(
+                `Partition key của ${schema.name} gồm ${schema.partitionKey.length} column(s): ` +
+                schema.partitionKey.map(column => column.name).join(', ')
+            );
+        }
+        return schema.partitionKey.map((column, index) => parseKeyValue(column.type, rawValues[index]));
+    }
+    
+    /**
+     * Replicas của một partition key theo driver metadata
+     * 
+     * @param {Object} schema - Kết quả describeTable
+     * @param {Array} keyValues - Giá trị partition key (đã parse)
+     * @returns {{replicas: Array<Host>, token: string|null}} Hosts và token của partition
+     * @throws {ReplicationCheckError} 503 khi driver chưa có token / keyspace metadata
+     */
+    function getReplicas(schema, keyValues) {
+        const routingKey = composeRoutingKey(keyValues.map((value, index) =>
+            encoder.encode(value, schema.partitionKey[index].type)
+        ));
+        const replicas = client.getReplicas(keyspace, routingKey);
+        if (!replicas || replicas.length === 0) {
+            throw new ReplicationCheckError(
+                `Driver chưa có token metadata cho keyspace ${keyspace} (metadata sync bị tắt hoặc chưa kết nối)`,
+                503
+            );
+        }
+        const token = isMemory ? null : client.metadata.newToken(routingKey).toString();
+        return { replicas, token };
+    }
+    
+    /**
+     * Nodes sở hữu một partition key (không đọc data)
+     * 
+     * @param {string} table - Tên table
+     * @param {string|Array<string>} rawKey - Partition key (composite: "a,b" hoặc mảng)
+     * @returns {Promise<Object>} { keyspace, table, key, token, replication, replicas: [{ address, datacenter, rack, up }] }
+     */
+    async function findOwners(table, rawKey) {
+        const schema = await describeTable(table);
+        const keyValues = parsePartitionKey(schema, rawKey);
+        const { replicas, token } = getReplicas(schema, keyValues);
+        
+        return {
+            backend: isMemory ? 'memory' : 'cassandra',
+            keyspace,
+            table: schema.name,
+            key: Object.fromEntries(schema.partitionKey.map((column, index) => [column.name, normalizeValue(keyValues[index])])),
+            token,
+            replication: await getKeyspaceReplication(),
+            replicas: replicas.map(host => ({
+                address: host.address,
+                datacenter: host.datacenter,
+                rack: host.rack,
+                up: host.isUp()
+            }))
+        };
+    }
+    
+    /**
+     * Đọc partition trên một replica
+     * 
+     * @returns {Promise<Object>} { host, datacenter, rack, up, status, rows, error }
+     */
+    async function readReplica(host, schema, keyValues) {
+        const replica = {
+            host: host.address,
+            datacenter: host.datacenter,
+            rack: host.rack,
+            up: host.isUp()
+        };
+        if (!replica.up) {
+            return { ...replica, status: 'down', rows: null };
+        }
+        
+        const writetimeColumns = schema.regular.filter(column => NATIVE_TYPES.includes(column.type));
+        // CQL không cho phép kết hợp * với selectors khác, nên liệt kê từng column
+        const selectors = [
+            ...[...schema.partitionKey, ...schema.clustering, ...schema.regular].map(column => column.name),
+            ...writetimeColumns.map(column => `WRITETIME(${column.name})`)
+        ];
+        const where = schema.partitionKey.map(column => `${column.name} = ?`).join(' AND ');
+        const query = `SELECT ${selectors.join(', ')} FROM ${schema.name} WHERE ${where}`;
+        
+        try {
+            const result = await client.execute(query, keyValues, readOptions(host));
+            const rows = result.rows.map(row => {
+                const values = {};
+                const writetimes = {};
+                [...schema.clustering, ...schema.regular].forEach(({ name }) => {
+                    values[name] = normalizeValue(row[name]);
+                });
+                writetimeColumns.forEach(({ name }) => {
+                    const writetime = row[`writetime(${name})`];
+                    writetimes[name] = writetime === null || writetime === undefined ? null : writetime.toString();
+                });
+                const clusteringKey = JSON.stringify(schema.clustering.map(({ name }) => values[name]));
+                return { clusteringKey, values, writetimes };
+            });
+            return { ...replica, status: rows.length > 0 ? 'ok' : 'missing', rows };
+        } catch (error) {
+            return { ...replica, status: 'error', rows: null, error: error.message };
+        }
+    }
+    
+    /**
+     * So sánh rows giữa các replicas đã đọc được
+     * 
+     * @param {Array<Object>} replicas - Kết quả readReplica
+     * @returns {Array<Object>} Divergences: { row, column, kind: 'missing_row' | 'value' | 'writetime', replicas }
+     */
+    function compareReplicas(replicas) {
+        const readable = replicas.filter(replica => replica.rows);
+        const divergences = [];
+        const rowKeys = new Set(readable.flatMap(replica => replica.rows.map(row => row.clusteringKey)));
+        
+        rowKeys.forEach(rowKey => {
+            const rows = readable.map(replica => ({
+                host: replica.host,
+                row: replica.rows.find(row => row.clusteringKey === rowKey)
+            }));
+            const row = JSON.parse(rowKey);
+            
+            if (rows.some(entry => !entry.row)) {
+                divergences.push({
+                    row,
+                    kind: 'missing_row',
+                    replicas: Object.fromEntries(rows.map(entry => [entry.host, entry.row ? 'present' : 'missing']))
+                });
+                return;
+            }
+            
+            const columns = Object.keys(rows[0].row.values);
+            columns.forEach(column => {
+                const values = rows.map(entry => JSON.stringify(entry.row.values[column]));
+                const writetimes = rows.map(entry => entry.row.writetimes[column]);
+                const valueDiverges = new Set(values).size > 1;
+                const writetimeDiverges = new Set(writetimes).size > 1;
+                if (!valueDiverges && !writetimeDiverges) {
+                    return;
+                }
+                divergences.push({
+                    row,
+                    column,
+                    kind: valueDiverges ? 'value' : 'writetime',
+                    replicas: Object.fromEntries(rows.map(entry => [entry.host, {
+                        value: entry.row.values[column],
+                        writetime: entry.row.writetimes[column] === undefined ? null : entry.row.writetimes[column]
+                    }]))
+                });
+            });
+        });
+        
+        return divergences;
+    }
+    
+    /**
+     * Trạng thái tổng của một partition
+     * - not_found:        không replica nào có partition
+     * - consistent:       mọi replica có cùng values và writetimes
+     * - divergent:        có replica thiếu row hoặc khác value / writetime
+     * - under_replicated: ít replicas hơn replication factor của keyspace
+     * - incomplete:       không đọc được một số replicas (down / error), phần đọc được khớp nhau
+     */
+    function overallStatus(replicas, divergences, expectedReplicas) {
+        if (divergences.length > 0) {
+            return 'divergent';
+        }
+        if (replicas.every(replica => replica.status === 'missing')) {
+            return 'not_found';
+        }
+        if (replicas.some(replica => !replica.rows)) {
+            return 'incomplete';
+        }
+        if (expectedReplicas && replicas.length < expectedReplicas) {
+            return 'under_replicated';
+        }
+        return 'consistent';
+    }
+    
+    /**
+     * Kiểm tra một partition trên tất cả replicas
+     * 
+     * @param {string} table - Tên table
+     * @param {string|Array<string>} rawKey - Partition key (composite: "a,b" hoặc mảng)
+     * @param {Object} schema - (optional) describeTable đã có sẵn
+     * @returns {Promise<Object>} Report: { keyspace, table, key, token, status, replicas, divergences, ... }
+     */
+    async function checkKey(table, rawKey, schema = null) {
+        const tableSchema = schema || await describeTable(table);
+        const keyValues = parsePartitionKey(tableSchema, rawKey);
+        const { replicas: hosts, token } = getReplicas(tableSchema, keyValues);
+        const replication = await getKeyspaceReplication();
+        const expectedReplicas = isMemory ? 1 : expectedReplicaCount(replication);
+        
+        const replicas = await Promise.all(hosts.map(host => readReplica(host, tableSchema, keyValues)));
+        const divergences = compareReplicas(replicas);
+        
+        return {
+            backend: isMemory ? 'memory' : 'cassandra',
+            keyspace,
+            table: tableSchema.name,
+            key: Object.fromEntries(tableSchema.partitionKey.map((column, index) => [column.name, normalizeValue(keyValues[index])])),
+            token,
+            replication,
+            expectedReplicas,
+            status: overallStatus(replicas, divergences, expectedReplicas),
+            replicas: replicas.map(({ rows, ...replica }) => ({
+                ...replica,
+                rowCount: rows ? rows.length : null,
+                rows: rows ? rows.map(({ values, writetimes }) => ({ values, writetimes })) : null
+            })),
+            divergences
+        };
+    }
+    
+    /**
+     * Sample mode: kiểm tra N partitions ngẫu nhiên của một table
+     * Keys được chọn bằng reservoir sampling trên tối đa scanLimit rows đầu tiên
+     * 
+     * @param {string} table - Tên table
+     * @param {number} size - Số partitions cần kiểm tra
+     * @param {Object} options - { scanLimit }
+     * @returns {Promise<Object>} Summary: { table, sampled, counts theo status, problems }
+     */
+    async function checkSample(table, size, { scanLimit = SAMPLE_SCAN_LIMIT } = {}) {
+        const started = Date.now();
+        const schema = await describeTable(table);
+        const keyColumns = schema.partitionKey.map(column => column.name);
+        
+        // Scan partition keys (distinct) theo từng trang
+        const keys = new Map();
+        let pageState;
+        let scanned = 0;
+        do {
+            const options = { prepare: true, fetchSize: Math.min(1000, scanLimit) };
+            if (pageState) {
+                options.pageState = pageState;
+            }
+            const result = await client.execute(`SELECT ${keyColumns.join(', ')} FROM ${schema.name}`, [], options);
+            result.rows.forEach(row => {
+                const values = keyColumns.map(name => normalizeValue(row[name]));
+                keys.set(JSON.stringify(values), values.map(String));
+            });
+            scanned += result.rows.length;
+            pageState = result.pageState;
+        } while (pageState && scanned < scanLimit);
+        
+        const sample = reservoirSample(keys.values(), size);
+        const counts = { consistent: 0, divergent: 0, under_replicated: 0, incomplete: 0, not_found: 0 };
+        const problems = [];
+        
+        // Tuần tự để không dồn tải lên cluster
+        for (const rawKey of sample) {
+            const report = await checkKey(table, rawKey, schema);
+            counts[report.status] = (counts[report.status] || 0) + 1;
+            if (report.status !== 'consistent') {
+                problems.push({
+                    key: report.key,
+                    status: report.status,
+                    replicas: report.replicas.map(({ host, status, error }) => ({ host, status, error })),
+                    divergences: report.divergences
+                });
+            }
+        }
+        
+        return {
+            backend: isMemory ? 'memory' : 'cassandra',
+            keyspace,
+            table: schema.name,
+            requested: size,
+            sampled: sample.length,
+            partitionsScanned: keys.size,
+            ...counts,
+            durationMs: Date.now() - started,
+            problems
+        };
+    }
+    
+    return {
+        describeTable,
+        getReplicas,
+        findOwners,
+        checkKey,
+        checkSample
+    };
+}
+
+module.exports = {
+    ReplicationCheckError,
+    createReplicationChecker,
+    parseKeyValue,
+    composeRoutingKey,
+    normalizeValue,
+    expectedReplicaCount
+};
@@ -0,0 +1,37 @@
+/**
+ * =============================================================================
+ * TIME BUCKETS
+ * =============================================================================
+ * 
+ * Partition keys theo phút (UTC) cho các tables dạng hàng đợi theo thời gian
+ * (write_intents, webhook_delivery_schedule): mỗi phút là một partition, nên
+ * tombstones của rows đã xử lý không dồn vào một partition; reader đi qua các
+ * buckets theo thứ tự (so sánh string = so sánh thời gian) từ một cursor
+ * =============================================================================
+ */
+
+/**
+ * Bucket theo phút UTC của một thời điểm
+ * 
+ * @param {Date} date
+ * @returns {string} vd: '202401010005'
+ */
+function minuteBucket(date) {
+    return date.toISOString().slice(0, 16).replace(/[-T:]/g, '');
+}
+
+/**
+ * Bucket của phút tiếp theo
+ * 
+ * @param {string} bucket - vd: '202401010005'
+ * @returns {string} vd: '202401010006'
+ */
+function nextMinuteBucket(bucket) {
+    const [, year, month, day, hour, minute] = bucket.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+    return minuteBucket(new Date(Date.UTC(year, month - 1, day, hour, Number(minute) + 1)));
+}
+
+module.exports = {
+    minuteBucket,
+    nextMinuteBucket
+};
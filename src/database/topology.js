@@ -0,0 +1,102 @@
+/**
+ * =============================================================================
+ * CLUSTER TOPOLOGY
+ * =============================================================================
+ * 
+ * Trạng thái cluster theo góc nhìn của driver trong process hiện tại:
+ * - Hosts mà driver biết (control connection + system.peers): up/down, DC, rack, version
+ * - Connection pool của từng host: open connections và in-flight requests (ClientState)
+ * - Schema agreement giữa các nodes
+ * - Replication settings của các keyspaces (system_schema.keyspaces)
+ * 
+ * Mỗi service có client riêng nên các services có thể thấy trạng thái khác nhau
+ * (ví dụ một service mất kết nối tới một node); API Gateway gom các view này
+ * trong GET /monitoring.
+ * =============================================================================
+ */
+
+/**
+ * Keyspaces nội bộ của Cassandra, không báo cáo replication
+ */
+const SYSTEM_KEYSPACES = [
+    'system', 'system_auth', 'system_schema', 'system_distributed',
+    'system_traces', 'system_views', 'system_virtual_schema'
+];
+
+/**
+ * Thông tin một host kèm connection pool state
+ * 
+ * @param {Host} host - Host của driver (hoặc host của MemoryClient)
+ * @param {Object} state - ClientState snapshot
+ * @returns {Object} Host info
+ */
+function describeHost(host, state) {
+    return {
+        address: host.address,
+        datacenter: host.datacenter,
+        rack: host.rack,
+        cassandraVersion: host.cassandraVersion || null,
+        hostId: host.hostId ? host.hostId.toString() : null,
+        up: host.isUp(),
+        openConnections: state.getOpenConnections(host),
+        inFlight: state.getInFlightQueries(host)
+    };
+}
+
+/**
+ * Topology của cluster
+ * 
+ * @param {Object} options
+ * @param {Object} options.client - cassandra-driver Client hoặc MemoryClient
+ * @param {string} options.keyspace - Keyspace của application
+ * @param {string} options.localDataCenter - DC local của client
+ * @returns {Promise<Object>} { hosts, summary, schemaAgreement, keyspaces, ... }
+ */
+async function describeCluster({ client, keyspace, localDataCenter }) {
+    const state = client.getState();
+    const hosts = client.hosts.values()
+        .map(host => describeHost(host, state))
+        .sort((a, b) => a.address.localeCompare(b.address));
+    
+    // Schema agreement cần control connection; false nếu không kiểm tra được
+    let schemaAgreement;
+    try {
+        schemaAgreement = await client.metadata.checkSchemaAgreement();
+    } catch (error) {
+        console.error('❌ Schema agreement check failed:', error.message);
+        schemaAgreement = false;
+    }
+    
+    const result = await client.execute('SELECT keyspace_name, replication FROM system_schema.keyspaces', [], { prepare: true });
+    const keyspaces = Object.fromEntries(result.rows
+        .filter(row => !SYSTEM_KEYSPACES.includes(row.keyspace_name))
+        .map(row => [row.keyspace_name, row.replication]));
+    
+    const dataCenters = {};
+    hosts.forEach(host => {
+        const dc = dataCenters[host.datacenter] || (dataCenters[host.datacenter] = { up: 0, down: 0 });
+        dc[host.up ? 'up' : 'down']++;
+    });
+    
+    return {
+        keyspace,
+        localDataCenter,
+        summary: {
+            total: hosts.length,
+            up: hosts.filter(host => host.up).length,
+            down: hosts.filter(host => !host.up).length,
+            openConnections: hosts.reduce((sum, host) => sum + host.openConnections, 0),
+            inFlight: hosts.reduce((sum, host) => sum + host.inFlight, 0),
+            dataCenters
+        },
+        hosts,
+        schemaAgreement,
+        keyspaces,
+        timestamp: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    SYSTEM_KEYSPACES,
+    describeCluster
+};
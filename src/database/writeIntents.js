@@ -0,0 +1,334 @@
+/**
+ * =============================================================================
+ * WRITE INTENTS (LWT + FOLLOW-UP WRITES)
+ * =============================================================================
+ * 
+ * Thay đổi state dùng LWT (INSERT ... IF NOT EXISTS, UPDATE ... IF status = ?)
+ * không thể nằm trong logged batch nhiều partition, nên các writes đi kèm
+ * (orders_by_user, status history, outbox events) phải ghi sau LWT. Để các
+ * "follow-up writes" này không bị mất khi process chết hoặc batch lỗi:
+ * 
+ * 1. begin():    ghi intent (kind + data đủ để dựng lại follow-ups) vào
+ *                write_intents TRƯỚC khi chạy LWT
+ * 2. LWT thêm write_id của intent vào cột pending_writes (set<timeuuid>) của
+ *    chính row đó, trong cùng statement với thay đổi state
+ * 3. complete(): follow-ups + xóa write_id khỏi pending_writes + xóa intent
+ *                trong một logged batch
+ *    abandon():  LWT không được áp dụng -> chỉ xóa intent
+ * 4. reconcile() định kỳ xử lý các intents cũ hơn settle window: đọc row ở
+ *    consistency SERIAL (hoàn tất cả Paxos round đang dở dang); write_id có
+ *    trong pending_writes => LWT đã áp dụng, ghi lại follow-ups; không có =>
+ *    LWT không áp dụng, xóa intent. Hook reconciled(data, applied) của kind
+ *    xử lý phần ngoài database (trả stock, release email, ...)
+ * 
+ * Events do reconciler ghi có event_id mới (thời điểm reconcile) để Event Relay
+ * vẫn đọc được khi consumer offsets đã vượt qua thời điểm thay đổi state;
+ * payload giữ nguyên timestamps gốc. Delivery vẫn là at-least-once.
+ * 
+ * Intents partition theo (scope, bucket theo phút) nên tombstones của intents
+ * đã xóa không dồn vào một partition; reconciler đi qua các buckets theo thứ tự
+ * và lưu vị trí trong write_intent_cursors (xem migration 014).
+ * =============================================================================
+ */
+
+const { types } = require('cassandra-driver');
+const { minuteBucket, nextMinuteBucket } = require('./timeBuckets');
+
+const DEFAULT_SETTLE_MS = 60000;
+const DEFAULT_MAX_ATTEMPTS = 10;
+const CLAIM_MS = 60000;
+const FIRST_RUN_LOOKBACK_MS = 60 * 60 * 1000;
+const MAX_BUCKETS_PER_RUN = 720;
+
+/**
+ * Tạo write intents cho một table có cột pending_writes
+ * 
+ * @param {Object} options
+ * @param {Function} options.executeQuery - Hàm thực thi query
+ * @param {Function} options.executeBatch - Hàm thực thi logged batch
+ * @param {string} options.scope - Tên scope (vd: 'orders'), mỗi scope có cursor riêng
+ * @param {string} options.table - Table chứa row được ghi bằng LWT (có cột pending_writes)
+ * @param {string} options.keyColumn - Partition key của table (default: 'id')
+ * @param {Object} options.handlers - kind -> { followUps(data, { occurredAt }), reconciled?(data, applied) }
+ * @param {number} options.settleMs - Intent cũ hơn khoảng này mới được reconcile
+ * @param {number} options.maxAttempts - Số lần reconcile lỗi trước khi bỏ qua intent (để lại cho operator)
+ * @returns {Object} API: begin, complete, abandon, isApplied, reconcile
+ */
+function createWriteIntents({
+    executeQuery,
+    executeBatch,
+    scope,
+    table,
+    keyColumn = 'id',
+    handlers,
+    settleMs = DEFAULT_SETTLE_MS,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS
+}) {
+    function handlerFor(kind) {
+        const handler = handlers[kind];
+        if (!handler) {
+            throw new Error(`Unknown write intent kind "${kind}" (scope ${scope})`);
+        }
+        return handler;
+    }
+    
+    /**
+     * Ghi intent trước khi chạy LWT
+     * 
+     * @param {string} kind - Một key của handlers
+     * @param {string} aggregateId - Giá trị keyColumn của row sẽ ghi bằng LWT
+     * @param {Object} data - Data để dựng follow-ups (serialize thành JSON)
+     * @returns {Promise<Object>} Intent { writeId, bucket, kind, aggregateId, data }
+     *          writeId dùng làm phần tử thêm vào pending_writes trong LWT
+     */
+    async function begin(kind, aggregateId, data) {
+        handlerFor(kind);
+        const createdAt = new Date();
+        const intent = {
+            writeId: types.TimeUuid.fromDate(createdAt),
+            bucket: minuteBucket(createdAt),
+            kind,
+            aggregateId: String(aggregateId),
+            data
+        };
+        
+        await executeQuery(
+            `INSERT INTO write_intents (scope, bucket, write_id, kind, aggregate_id, data, attempts, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [scope, intent.bucket, intent.writeId, kind, intent.aggregateId, JSON.stringify(data), 0, createdAt]
+        );
+        return intent;
+    }
+    
+    /**
+     * Statements hoàn tất một intent: follow-ups + xóa write_id khỏi row + xóa intent
+     */
+    function completionStatements(intent, occurredAt) {
+        return [
+            ...handlerFor(intent.kind).followUps(intent.data, { occurredAt }),
+            {
+                query: `UPDATE ${table} SET pending_writes = pending_writes - ? WHERE ${keyColumn} = ?`,
+                params: [[intent.writeId], intent.aggregateId]
+            },
+            {
+                query: 'DELETE FROM write_intents WHERE scope = ? AND bucket = ? AND write_id = ?',
+                params: [scope, intent.bucket, intent.writeId]
+            }
+        ];
+    }
+    
+    /**
+     * LWT đã được áp dụng: ghi follow-ups trong một logged batch
+     * Lỗi không được throw: thay đổi state đã áp dụng, intent còn lại và
+     * reconciler sẽ ghi follow-ups sau settle window
+     * 
+     * @param {Object} intent - Intent từ begin()
+     * @param {Date} occurredAt - event_id của outbox events, nên là lúc ghi batch (default: now):
+     *                            Event Relay chỉ đọc tới now - settle window, event_id cũ hơn
+     *                            lúc event được ghi có thể nằm sau cursor của relay
+     * @returns {Promise<boolean>} true nếu follow-ups đã được ghi
+     */
+    async function complete(intent, occurredAt = new Date()) {
+        try {
+            await executeBatch(completionStatements(intent, occurredAt));
+            return true;
+        } catch (error) {
+            console.error(`⚠️  Follow-up writes của ${intent.kind} ${intent.aggregateId} lỗi, reconciler sẽ hoàn tất:`, error.message);
+            return false;
+        }
+    }
+    
+    /**
+     * LWT không được áp dụng: xóa intent
+     * Lỗi chỉ được log: reconciler thấy write_id không có trong row và tự xóa intent
+     * 
+     * @param {Object} intent - Intent từ begin()
+     */
+    async function abandon(intent) {
+        try {
+            await executeQuery(
+                'DELETE FROM write_intents WHERE scope = ? AND bucket = ? AND write_id = ?',
+                [scope, intent.bucket, intent.writeId]
+            );
+        } catch (error) {
+            console.error(`⚠️  Không xóa được write intent ${intent.writeId}:`, error.message);
+        }
+    }
+    
+    /**
+     * LWT của intent đã được áp dụng chưa
+     * Đọc ở SERIAL: Paxos round đang dở dang của row được hoàn tất trước khi đọc
+     * 
+     * @param {Object} intent - Intent từ begin() hoặc đọc lại từ write_intents
+     * @returns {Promise<boolean>}
+     */
+    async function isApplied(intent) {
+        const result = await executeQuery(
+            `SELECT pending_writes FROM ${table} WHERE ${keyColumn} = ?`,
+            [intent.aggregateId],
+            { prepare: true, consistency: types.consistencies.serial }
+        );
+        const row = result.rows[0];
+        const pending = row && row.pending_writes ? row.pending_writes : [];
+        return pending.some(writeId => writeId.equals(intent.writeId));
+    }
+    
+    /**
+     * Reconcile một intent đã quá settle window
+     * 
+     * @returns {Promise<string>} 'completed' | 'abandoned' | 'claimed' | 'retry' | 'parked'
+     */
+    async function reconcileIntent(row) {
+        const attempts = row.attempts || 0;
+        if (attempts >= maxAttempts) {
+            return 'parked';
+        }
+        if (row.claimed_until && row.claimed_until.getTime() > Date.now()) {
+            return 'claimed';
+        }
+        
+        // Claim intent (nhiều instances của service có thể cùng reconcile)
+        const claim = await executeQuery(
+            `UPDATE write_intents SET attempts = ?, claimed_until = ?
+             WHERE scope = ? AND bucket = ? AND write_id = ? IF attempts = ?`,
+            [attempts + 1, new Date(Date.now() + CLAIM_MS), scope, row.bucket, row.write_id, row.attempts]
+        );
+        if (!claim.rows[0]['[applied]']) {
+            return 'claimed';
+        }
+        
+        const intent = {
+            writeId: row.write_id,
+            bucket: row.bucket,
+            kind: row.kind,
+            aggregateId: row.aggregate_id,
+            data: JSON.parse(row.data)
+        };
+        const handler = handlerFor(intent.kind);
+        
+        try {
+            const applied = await isApplied(intent);
+            if (applied) {
+                await executeBatch(completionStatements(intent, new Date()));
+                console.log(`🩹 Write intent ${intent.kind} ${intent.aggregateId}: follow-up writes hoàn tất bởi reconciler`);
+                if (handler.reconciled) {
+                    await handler.reconciled(intent.data, true);
+                }
+            } else {
+                // reconciled() chạy trước khi xóa intent: lỗi (vd compensation) được thử lại lần sau
+                if (handler.reconciled) {
+                    await handler.reconciled(intent.data, false);
+                }
+                await executeQuery(
+                    'DELETE FROM write_intents WHERE scope = ? AND bucket = ? AND write_id = ?',
+                    [scope, intent.bucket, intent.writeId]
+                );
+                console.log(`🩹 Write intent ${intent.kind} ${intent.aggregateId}: LWT không được áp dụng, intent đã xóa`);
+            }
+            return applied ? 'completed' : 'abandoned';
+        } catch (error) {
+            const parked = attempts + 1 >= maxAttempts;
+            console.error(`❌ Reconcile write intent ${intent.writeId} (${intent.kind} ${intent.aggregateId}) lỗi` +
+                `${parked ? `, bỏ qua sau ${maxAttempts} lần` : ''}:`, error.message);
+            return parked ? 'parked' : 'retry';
+        }
+    }
+    
+    /**
+     * Reconcile các intents cũ hơn settle window, bắt đầu từ cursor của scope
+     * Cursor dừng ở bucket đầu tiên còn intent chưa xử lý xong (chưa settle,
+     * đang được claim hoặc lỗi) để lần chạy sau đọc lại từ đó
+     * 
+     * @returns {Promise<Object>} { completed, abandoned, retry, parked, buckets, cursor }
+     */
+    async function reconcile() {
+        const horizon = Date.now() - settleMs;
+        const lastBucket = minuteBucket(new Date(horizon));
+        const cursorRow = await executeQuery('SELECT bucket FROM write_intent_cursors WHERE scope = ?', [scope]);
+        const startBucket = cursorRow.rows[0] && cursorRow.rows[0].bucket
+            ? cursorRow.rows[0].bucket
+            : minuteBucket(new Date(horizon - FIRST_RUN_LOOKBACK_MS));
+        
+        const summary = { completed: 0, abandoned: 0, retry: 0, parked: 0, buckets: 0 };
+        let holdAt = null;
+        let bucket = startBucket;
+        
+        for (; bucket <= lastBucket && summary.buckets < MAX_BUCKETS_PER_RUN; bucket = nextMinuteBucket(bucket)) {
+            summary.buckets++;
+            // Bucket chứa horizon còn có thể nhận intents chưa settle
+            let unresolved = bucket === lastBucket;
+            
+            const result = await executeQuery(
+                'SELECT * FROM write_intents WHERE scope = ? AND bucket = ?',
+                [scope, bucket]
+            );
+            for (const row of result.rows) {
+                if (row.created_at.getTime() > horizon) {
+                    unresolved = true;
+                    continue;
+                }
+                const outcome = await reconcileIntent(row);
+                if (outcome === 'claimed') {
+                    unresolved = true;
+                } else {
+                    summary[outcome]++;
+                    unresolved = unresolved || outcome === 'retry';
+                }
+            }
+            
+            if (unresolved && holdAt === null) {
+                holdAt = bucket;
+            }
+        }
+        
+        summary.cursor = holdAt || bucket;
+        if (summary.cursor !== startBucket) {
+            await executeQuery(
+                'UPDATE write_intent_cursors SET bucket = ?, updated_at = ? WHERE scope = ?',
+                [summary.cursor, new Date(), scope]
+            );
+        }
+        return summary;
+    }
+    
+    return {
+        begin,
+        complete,
+        abandon,
+        isApplied,
+        reconcile
+    };
+}
+
+/**
+ * Chạy reconcile() định kỳ
+ * 
+ * @param {Object} writeIntents - Từ createWriteIntents
+ * @param {number} intervalMs - Chu kỳ reconcile
+ * @returns {Function} stop()
+ */
+function startReconciler(writeIntents, intervalMs) {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            const summary = await writeIntents.reconcile();
+            if (summary.completed + summary.abandoned + summary.retry > 0) {
+                console.log('🩹 Write intents reconciled:', summary);
+            }
+        } catch (error) {
+            console.error('❌ Write intent reconciler failed:', error.message);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    createWriteIntents,
+    startReconciler
+};
@@ -7,11 +7,12 @@
  * Chịu trách nhiệm route requests tới các microservices thích hợp
  * 
  * Features:
- * -  Request routing tới User Service & Order Service
+ * -  Request routing tới User, Order, Product, Webhook & KV Service
  * -  Health check và monitoring endpoints
  * -  Logging và metrics collection
  * -  Error handling và response transformation
  * -  Web-based log viewer
+ * -  Live order status feed (SSE + WebSocket)
  * 
  * Author: Distributed System Team
  * Version: 2.0.0
@@ -20,727 +21,1293 @@
 
 const express = require('express');
 const axios = require('axios');
-
-// =============================================================================
-// EXPRESS APP CONFIGURATION
-// =============================================================================
-
-const app = express();
+const { WebSocketServer } = require('ws');
+const { routes, DEFAULT_TIMEOUT } = require('../config/gatewayRoutes');
+const { loadExchangeRates } = require('../config/exchangeRates');
+const { normalizeCurrency, convertAmount, exchangeRate } = require('../utils/money');
+const { CircuitBreaker, CircuitOpenError, STATES } = require('../utils/circuitBreaker');
+const { OrderFeed } = require('../utils/orderFeed');
+const { CONSISTENCY_HEADER } = require('../utils/consistency');
+const {
+    registry,
+    upstreamUp,
+    httpMetricsMiddleware,
+    summarizeRequests,
+    sendMetrics
+} = require('../utils/metrics');
+const { tracingMiddleware, withSpan, getTraceHeaders, SPAN_KIND } = require('../utils/tracing');
 
 /**
- * Cấu hình body parser để parse JSON request bodies
- * Cho phép API Gateway nhận và xử lý JSON data từ clients
- */
-app.use(express.json());
-
-/**
- * Middleware để log tất cả incoming requests
- * Ghi lại timestamp, HTTP method, URL và headers cho debugging
+ * Tạo Express app của API Gateway (không listen)
+ * Dùng bởi main() bên dưới và bởi integration test harness (tests/harness.js)
+ * 
+ * @param {Object} config
+ * @param {number} config.port - Port để listen trong main() (default: PORT hoặc 3000)
+ * @param {Object} config.upstreamUrls - Override URL theo key của UPSTREAMS,
+ *                                       ví dụ { USER_SERVICE: 'http://127.0.0.1:4001' }
+ * @returns {express.Application} App; config đã resolve nằm trong app.locals.config,
+ *                                WebSocket handler trong app.locals.handleLiveSocket
  */
-app.use((req, res, next) => {
-    console.log(`📝 ${new Date().toISOString()} - ${req.method} ${req.url}`);
-    console.log('🔍 Request headers:', req.headers);
+function createApp({ port = process.env.PORT || 3000, upstreamUrls = {} } = {}) {
+    // =============================================================================
+    // EXPRESS APP CONFIGURATION
+    // =============================================================================
+    
+    const app = express();
+    
+    /**
+     * Middleware tạo trace context cho mỗi request vào gateway
+     * Gán W3C traceparent và x-request-id (nếu client chưa gửi), được forward
+     * tới User Service & Order Service trên mọi axios call
+     */
+    app.use(tracingMiddleware('api-gateway'));
+    
+    /**
+     * Cấu hình body parser để parse JSON request bodies
+     * Cho phép API Gateway nhận và xử lý JSON data từ clients
+     */
+    app.use(express.json());
     
-    // Log request body cho POST/PUT requests (nếu có)
-    if (req.body && Object.keys(req.body).length > 0) {
-        console.log('📋 Request body:', req.body);
+    /**
+     * Middleware đo request count và latency cho GET /metrics
+     */
+    app.use(httpMetricsMiddleware('api-gateway'));
+    
+    /**
+     * Middleware để log tất cả incoming requests
+     * Ghi lại timestamp, HTTP method, URL và headers cho debugging
+     */
+    app.use((req, res, next) => {
+        console.log(`📝 ${new Date().toISOString()} - ${req.method} ${req.url} [${req.requestId}]`);
+        console.log('🔍 Request headers:', req.headers);
+        
+        // Log request body cho POST/PUT requests (nếu có)
+        if (req.body && Object.keys(req.body).length > 0) {
+            console.log('📋 Request body:', req.body);
+        }
+        
+        next();
+    });
+    
+    // =============================================================================
+    // SERVICE DISCOVERY CONFIGURATION
+    // =============================================================================
+    
+    /**
+     * Định nghĩa URLs của các microservices
+     * Sử dụng Docker service names để kết nối trong container network
+     */
+    const USER_SERVICE = upstreamUrls.USER_SERVICE || process.env.USER_SERVICE_URL || 'http://user_service:3001';    // User microservice
+    const ORDER_SERVICE = upstreamUrls.ORDER_SERVICE || process.env.ORDER_SERVICE_URL || 'http://order_service:3002';  // Order microservice
+    const PRODUCT_SERVICE = upstreamUrls.PRODUCT_SERVICE || process.env.PRODUCT_SERVICE_URL || 'http://product_service:3004';  // Product/inventory microservice
+    const WEBHOOK_SERVICE = upstreamUrls.WEBHOOK_SERVICE || process.env.WEBHOOK_SERVICE_URL || 'http://webhook_service:3006';  // Webhook subscriptions & deliveries
+    const EVENT_RELAY = upstreamUrls.EVENT_RELAY || process.env.EVENT_RELAY_URL || 'http://event_relay:3005';  // Domain event stream (live order feed)
+    const KV_SERVICE = upstreamUrls.KV_SERVICE || process.env.KV_SERVICE_URL || 'http://kv_service:3007';  // Versioned key-value store
+    
+    /**
+     * Registry các upstream services, key trùng với field "upstream" trong route table
+     * Mỗi upstream có circuit breaker riêng để fail fast khi service đó down
+     * clusterAdmin: service có GET /admin/cluster (cluster topology trong /monitoring)
+     */
+    const UPSTREAMS = {
+        USER_SERVICE: {
+            name: 'User Service',
+            id: 'user-service',
+            monitoringKey: 'userService',
+            url: USER_SERVICE,
+            breaker: new CircuitBreaker('USER_SERVICE'),
+            clusterAdmin: true
+        },
+        ORDER_SERVICE: {
+            name: 'Order Service',
+            id: 'order-service',
+            monitoringKey: 'orderService',
+            url: ORDER_SERVICE,
+            breaker: new CircuitBreaker('ORDER_SERVICE'),
+            clusterAdmin: true
+        },
+        PRODUCT_SERVICE: {
+            name: 'Product Service',
+            id: 'product-service',
+            monitoringKey: 'productService',
+            url: PRODUCT_SERVICE,
+            breaker: new CircuitBreaker('PRODUCT_SERVICE'),
+            clusterAdmin: true
+        },
+        WEBHOOK_SERVICE: {
+            name: 'Webhook Service',
+            id: 'webhook-service',
+            monitoringKey: 'webhookService',
+            url: WEBHOOK_SERVICE,
+            breaker: new CircuitBreaker('WEBHOOK_SERVICE')
+        },
+        EVENT_RELAY: {
+            name: 'Event Relay',
+            id: 'event-relay',
+            monitoringKey: 'eventRelay',
+            url: EVENT_RELAY,
+            breaker: new CircuitBreaker('EVENT_RELAY')
+        },
+        KV_SERVICE: {
+            name: 'KV Service',
+            id: 'kv-service',
+            monitoringKey: 'kvService',
+            url: KV_SERVICE,
+            breaker: new CircuitBreaker('KV_SERVICE')
+        }
+    };
+    
+    /**
+     * Bảng tỷ giá local cho ?displayCurrency= (xem config/exchangeRates.js)
+     */
+    const exchangeRates = loadExchangeRates();
+    
+    /**
+     * Các endpoint nội bộ của gateway (không proxy)
+     * Kết hợp với route table để hiển thị danh sách endpoints
+     */
+    const GATEWAY_ENDPOINTS = [
+        { method: 'get', path: '/health', description: 'API Gateway health check' },
+        { method: 'get', path: '/monitoring', description: 'Complete system monitoring' },
+        { method: 'get', path: '/logs', description: 'Application logs viewer' },
+        { method: 'get', path: '/metrics', description: 'Performance metrics' },
+        { method: 'get', path: '/api/orders/:id/events', description: 'Live status của order (Server-Sent Events)' },
+        { method: 'ws', path: '/api/orders/live', description: 'Live status nhiều orders (WebSocket)' }
+    ];
+    
+    /**
+     * Format danh sách endpoints dạng "METHOD /path"
+     * 
+     * @returns {Array<Object>} Danh sách endpoints kèm description
+     */
+    function listEndpoints() {
+        return [...GATEWAY_ENDPOINTS, ...routes].map(endpoint => ({
+            endpoint: `${endpoint.method.toUpperCase()} ${endpoint.path}`,
+            description: endpoint.description
+        }));
     }
     
-    next();
-});
-
-// =============================================================================
-// SERVICE DISCOVERY CONFIGURATION
-// =============================================================================
-
-/**
- * Định nghĩa URLs của các microservices
- * Sử dụng Docker service names để kết nối trong container network
- */
-const USER_SERVICE = 'http://user_service:3001';    // User microservice
-const ORDER_SERVICE = 'http://order_service:3002';  // Order microservice
-
-console.log('🔗 Service Discovery Configuration:');
-console.log('   - User Service:', USER_SERVICE);
-console.log('   - Order Service:', ORDER_SERVICE);
-
-// =============================================================================
-// HEALTH CHECK & MONITORING ENDPOINTS
-// =============================================================================
-
-/**
- * API Gateway Health Check Endpoint
- * Kiểm tra trạng thái của API Gateway itself
- * 
- * GET /health
- * 
- * Response: {
- *   "status": "ok",
- *   "nodeId": 1,
- *   "service": "api-gateway",
- *   "timestamp": "2024-01-01T00:00:00.000Z",
- *   "uptime": 123.456
- * }
- */
-app.get('/health', (req, res) => {
-    console.log('❤️  Health check request received');
-    
-    const healthData = {
-        status: 'ok',
-        nodeId: 1,
-        service: 'api-gateway',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        version: '2.0.0'
+    /**
+     * Gauge trạng thái circuit breaker (0 = closed, 1 = half-open, 2 = open)
+     */
+    const CIRCUIT_STATE_VALUES = {
+        [STATES.CLOSED]: 0,
+        [STATES.HALF_OPEN]: 1,
+        [STATES.OPEN]: 2
     };
+    const circuitState = registry.gauge(
+        'gateway_circuit_state',
+        'Circuit breaker state per upstream (0 = closed, 1 = half-open, 2 = open)',
+        ['upstream']
+    );
     
-    console.log('✅ Health check response:', healthData);
-    res.status(200).json(healthData);
-});
-
-/**
- * System Monitoring Endpoint
- * Kiểm tra trạng thái của toàn bộ distributed system
- * Bao gồm API Gateway và tất cả connected microservices
- * 
- * GET /monitoring
- */
-app.get('/monitoring', async (req, res) => {
-    try {
-        console.log('📊 System monitoring request received');
+    app.locals.config = {
+        port,
+        upstreamUrls: { USER_SERVICE, ORDER_SERVICE, PRODUCT_SERVICE, WEBHOOK_SERVICE, EVENT_RELAY, KV_SERVICE }
+    };
+    app.locals.endpoints = listEndpoints();
+    app.locals.handleLiveSocket = handleLiveSocket;
+    
+    console.log('🔗 Service Discovery Configuration:');
+    console.log('   - User Service:', USER_SERVICE);
+    console.log('   - Order Service:', ORDER_SERVICE);
+    console.log('   - Product Service:', PRODUCT_SERVICE);
+    console.log('   - Webhook Service:', WEBHOOK_SERVICE);
+    console.log('   - Event Relay:', EVENT_RELAY);
+    console.log('   - KV Service:', KV_SERVICE);
+    
+    // =============================================================================
+    // HEALTH CHECK & MONITORING ENDPOINTS
+    // =============================================================================
+    
+    /**
+     * API Gateway Health Check Endpoint
+     * Kiểm tra trạng thái của API Gateway itself
+     * 
+     * GET /health
+     * 
+     * Response: {
+     *   "status": "ok",
+     *   "nodeId": 1,
+     *   "service": "api-gateway",
+     *   "timestamp": "2024-01-01T00:00:00.000Z",
+     *   "uptime": 123.456
+     * }
+     */
+    app.get('/health', (req, res) => {
+        console.log('❤️  Health check request received');
         
-        // Object để store status của tất cả services
-        const serviceStatus = {};
+        const healthData = {
+            status: 'ok',
+            nodeId: 1,
+            service: 'api-gateway',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            version: '2.0.0'
+        };
         
-        // =============================================================
-        // Test User Service Health
-        // =============================================================
-        console.log('🔍 Checking User Service health...');
-        try {
-            const startTime = Date.now();
-            const userHealthResponse = await axios.get(`${USER_SERVICE}/health`, { 
-                timeout: 5000  // 5 second timeout
-            });
-            const responseTime = Date.now() - startTime;
-            
-            serviceStatus.userService = {
-                status: 'healthy',
-                responseTime: responseTime + 'ms',
-                lastCheck: new Date().toISOString(),
-                data: userHealthResponse.data
-            };
-            console.log('✅ User Service is healthy, response time:', responseTime + 'ms');
-            
-        } catch (error) {
-            serviceStatus.userService = {
-                status: 'unhealthy',
-                error: error.message,
-                lastCheck: new Date().toISOString()
-            };
-            console.log('❌ User Service is unhealthy:', error.message);
-        }
+        console.log('✅ Health check response:', healthData);
+        res.status(200).json(healthData);
+    });
+    
+    /**
+     * Kiểm tra health của một upstream service qua endpoint /health
+     * Kết quả cũng được ghi vào gauge upstream_up để expose qua /metrics
+     * 
+     * @param {string} key - Key của upstream trong UPSTREAMS
+     * @returns {Promise<Object>} Service status
+     */
+    async function checkUpstreamHealth(key) {
+        const upstream = UPSTREAMS[key];
+        console.log(`🔍 Checking ${upstream.name} health...`);
         
-        // =============================================================
-        // Test Order Service Health
-        // =============================================================
-        console.log('🔍 Checking Order Service health...');
         try {
             const startTime = Date.now();
-            const orderHealthResponse = await axios.get(`${ORDER_SERVICE}/health`, { 
-                timeout: 5000  // 5 second timeout
+            const healthResponse = await axios.get(`${upstream.url}/health`, { 
+                timeout: 5000,  // 5 second timeout
+                headers: getTraceHeaders()
             });
             const responseTime = Date.now() - startTime;
             
-            serviceStatus.orderService = {
+            upstreamUp.set({ upstream: key }, 1);
+            console.log(`✅ ${upstream.name} is healthy, response time:`, responseTime + 'ms');
+            
+            return {
                 status: 'healthy',
                 responseTime: responseTime + 'ms',
                 lastCheck: new Date().toISOString(),
-                data: orderHealthResponse.data
+                data: healthResponse.data
             };
-            console.log('✅ Order Service is healthy, response time:', responseTime + 'ms');
             
         } catch (error) {
-            serviceStatus.orderService = {
+            upstreamUp.set({ upstream: key }, 0);
+            console.log(`❌ ${upstream.name} is unhealthy:`, error.message);
+            
+            return {
                 status: 'unhealthy',
                 error: error.message,
                 lastCheck: new Date().toISOString()
             };
-            console.log('❌ Order Service is unhealthy:', error.message);
         }
+    }
+    
+    /**
+     * Kiểm tra health của tất cả upstream services song song
+     * 
+     * @returns {Promise<Object>} Map monitoringKey -> service status
+     */
+    async function checkAllUpstreams() {
+        const keys = Object.keys(UPSTREAMS);
+        const results = await Promise.all(keys.map(checkUpstreamHealth));
         
-        // =============================================================
-        // Compile Complete Monitoring Data
-        // =============================================================
-        const monitoringData = {
-            // API Gateway status
-            gateway: {
-                status: 'ok',
-                uptime: process.uptime(),
-                memory: process.memoryUsage(),
-                cpu: process.cpuUsage(),
-                timestamp: new Date().toISOString(),
-                version: '2.0.0'
-            },
-            
-            // All microservices status
-            services: serviceStatus,
-            
-            // System information
-            system: {
-                platform: process.platform,
-                nodeVersion: process.version,
-                pid: process.pid,
-                environment: process.env.NODE_ENV || 'development'
-            },
-            
-            // Overall system health
-            overallHealth: Object.values(serviceStatus).every(service => service.status === 'healthy') ? 'healthy' : 'degraded'
-        };
-        
-        console.log('📊 Monitoring data compiled successfully');
-        res.json(monitoringData);
-        
-    } catch (error) {
-        console.error('❌ Error in monitoring endpoint:', error.message);
-        res.status(500).json({ 
-            error: 'Monitoring system failure',
-            details: error.message,
-            timestamp: new Date().toISOString()
+        const serviceStatus = {};
+        keys.forEach((key, index) => {
+            serviceStatus[UPSTREAMS[key].monitoringKey] = results[index];
         });
+        return serviceStatus;
     }
-});
-
-/**
- * Application Logs Viewer Endpoint
- * Đọc và trả về logs gần đây từ file system
- * Hữu ích cho debugging và monitoring
- * 
- * GET /logs
- * Query params:
- * - lines: số dòng log muốn xem (default: 50)
- */
-app.get('/logs', (req, res) => {
-    try {
-        console.log('📋 Logs viewer request received');
+    
+    /**
+     * Gom cluster topology từ các services có Cassandra (GET /admin/cluster)
+     * Mỗi service có driver riêng nên các views có thể khác nhau: host "partial"
+     * là host mà một số services thấy up, số khác thấy down
+     * 
+     * @returns {Promise<Object>} { status, summary, hosts, schemaAgreement, keyspaces, views }
+     */
+    async function collectClusterTopology() {
+        const keys = Object.keys(UPSTREAMS).filter(key => UPSTREAMS[key].clusterAdmin);
+        const results = await Promise.all(keys.map(async key => {
+            const upstream = UPSTREAMS[key];
+            try {
+                const response = await axios.get(`${upstream.url}/admin/cluster`, {
+                    timeout: 5000,
+                    headers: getTraceHeaders()
+                });
+                // Service cũ / proxy trả về body khác (không có hosts): coi như view không khả dụng
+                if (!response.data || !Array.isArray(response.data.hosts)) {
+                    throw new Error('Invalid cluster topology response (missing hosts array)');
+                }
+                return response.data;
+            } catch (error) {
+                console.log(`❌ Cluster topology from ${upstream.name} failed:`, error.message);
+                return { error: error.message };
+            }
+        }));
         
-        const fs = require('fs');
-        const path = require('path');
+        const views = {};
+        const hosts = new Map();
+        keys.forEach((key, index) => {
+            const view = results[index];
+            const viewer = UPSTREAMS[key].monitoringKey;
+            views[viewer] = view;
+            if (view.error) {
+                return;
+            }
+            view.hosts.forEach(host => {
+                const entry = hosts.get(host.address) || {
+                    address: host.address,
+                    datacenter: host.datacenter,
+                    rack: host.rack,
+                    cassandraVersion: host.cassandraVersion,
+                    upIn: [],
+                    downIn: [],
+                    openConnections: 0,
+                    inFlight: 0
+                };
+                entry[host.up ? 'upIn' : 'downIn'].push(viewer);
+                entry.openConnections += host.openConnections;
+                entry.inFlight += host.inFlight;
+                hosts.set(host.address, entry);
+            });
+        });
         
-        // Parse query parameters
-        const requestedLines = parseInt(req.query.lines) || 50;
-        console.log('📊 Requested log lines:', requestedLines);
+        const merged = [...hosts.values()].map(entry => ({
+            ...entry,
+            status: entry.downIn.length === 0 ? 'up' : (entry.upIn.length === 0 ? 'down' : 'partial')
+        }));
+        const available = Object.values(views).filter(view => !view.error);
+        const schemaAgreement = available.length > 0 && available.every(view => view.schemaAgreement);
         
-        // Đường dẫn tới log file
-        const logFile = path.join(__dirname, '../../logs/app.log');
-        console.log('📁 Log file path:', logFile);
+        let status = 'unknown';
+        if (available.length > 0) {
+            status = schemaAgreement && merged.every(host => host.status === 'up') ? 'healthy' : 'degraded';
+        }
         
-        if (fs.existsSync(logFile)) {
-            // Đọc toàn bộ log file
-            const logs = fs.readFileSync(logFile, 'utf8');
-            const logLines = logs.split('\n').filter(line => line.trim() !== '');
+        return {
+            status,
+            summary: {
+                total: merged.length,
+                up: merged.filter(host => host.status === 'up').length,
+                partial: merged.filter(host => host.status === 'partial').length,
+                down: merged.filter(host => host.status === 'down').length
+            },
+            hosts: merged,
+            schemaAgreement,
+            keyspaces: available.length > 0 ? available[0].keyspaces : {},
+            views
+        };
+    }
+    
+    /**
+     * System Monitoring Endpoint
+     * Kiểm tra trạng thái của toàn bộ distributed system
+     * Bao gồm API Gateway và tất cả connected microservices
+     * 
+     * GET /monitoring
+     */
+    app.get('/monitoring', async (req, res) => {
+        try {
+            console.log('📊 System monitoring request received');
             
-            // Lấy số dòng logs gần nhất theo yêu cầu
-            const recentLogs = logLines.slice(-requestedLines);
+            // Object để store status của tất cả services, cùng cluster topology
+            const [serviceStatus, cluster] = await Promise.all([
+                checkAllUpstreams(),
+                collectClusterTopology()
+            ]);
             
-            // Parse JSON logs nếu có thể, fallback về plain text
-            const parsedLogs = recentLogs.map((line, index) => {
-                try {
-                    return JSON.parse(line);
-                } catch (e) {
-                    return { 
-                        level: 'info',
-                        message: line, 
-                        timestamp: new Date().toISOString(),
-                        lineNumber: logLines.length - recentLogs.length + index + 1
-                    };
-                }
-            });
-            
-            const response = {
-                success: true,
-                totalLines: logLines.length,
-                requestedLines: requestedLines,
-                returnedLines: recentLogs.length,
-                lastUpdated: fs.statSync(logFile).mtime.toISOString(),
-                logs: parsedLogs
+            // =============================================================
+            // Compile Complete Monitoring Data
+            // =============================================================
+            const monitoringData = {
+                // API Gateway status
+                gateway: {
+                    status: 'ok',
+                    uptime: process.uptime(),
+                    memory: process.memoryUsage(),
+                    cpu: process.cpuUsage(),
+                    timestamp: new Date().toISOString(),
+                    version: '2.0.0'
+                },
+                
+                // All microservices status
+                services: serviceStatus,
+                
+                // Cassandra nodes theo góc nhìn của từng service (GET /admin/cluster)
+                cluster,
+                
+                // Circuit breaker state của từng upstream
+                circuitBreakers: Object.fromEntries(
+                    Object.entries(UPSTREAMS).map(([key, upstream]) => [key, upstream.breaker.getStatus()])
+                ),
+                
+                // Live order feed (SSE / WebSocket subscribers)
+                liveFeed: orderFeed.getStatus(),
+                
+                // System information
+                system: {
+                    platform: process.platform,
+                    nodeVersion: process.version,
+                    pid: process.pid,
+                    environment: process.env.NODE_ENV || 'development'
+                },
+                
+                // Overall system health (degraded nếu có service unhealthy, circuit không CLOSED
+                // hoặc Cassandra node down / schema disagreement)
+                overallHealth: Object.values(serviceStatus).every(service => service.status === 'healthy') &&
+                    Object.values(UPSTREAMS).every(upstream => upstream.breaker.state === STATES.CLOSED) &&
+                    cluster.status === 'healthy'
+                    ? 'healthy' : 'degraded'
             };
             
-            console.log('✅ Logs retrieved successfully, total lines:', logLines.length);
-            res.json(response);
+            console.log('📊 Monitoring data compiled successfully');
+            res.json(monitoringData);
             
-        } else {
-            console.log('⚠️  Log file not found');
-            res.json({
-                success: false,
-                message: 'Log file not found - may not have been created yet',
-                totalLines: 0,
-                logs: [],
-                suggestion: 'Make some requests to generate logs first'
+        } catch (error) {
+            console.error('❌ Error in monitoring endpoint:', error.message);
+            res.status(500).json({ 
+                error: 'Monitoring system failure',
+                details: error.message,
+                timestamp: new Date().toISOString()
             });
         }
-    } catch (error) {
-        console.error('❌ Error reading logs:', error.message);
-        res.status(500).json({ 
-            success: false,
-            error: 'Failed to read log file',
-            details: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
-
-/**
- * System Metrics Endpoint
- * Trả về performance metrics của API Gateway
- * Bao gồm thống kê process, memory, CPU usage
- * 
- * GET /metrics
- */
-app.get('/metrics', async (req, res) => {
-    try {
-        console.log('📈 Metrics request received');
-        
-        // Collect system metrics
-        const memoryUsage = process.memoryUsage();
-        const cpuUsage = process.cpuUsage();
-        
-        const metrics = {
-            timestamp: new Date().toISOString(),
+    });
+    
+    /**
+     * Application Logs Viewer Endpoint
+     * Đọc và trả về logs gần đây từ file system
+     * Hữu ích cho debugging và monitoring
+     * 
+     * GET /logs
+     * Query params:
+     * - lines: số dòng log muốn xem (default: 50)
+     */
+    app.get('/logs', (req, res) => {
+        try {
+            console.log('📋 Logs viewer request received');
             
-            // Process metrics
-            process: {
-                uptime: process.uptime(),
-                pid: process.pid,
-                version: process.version,
-                platform: process.platform
-            },
+            const fs = require('fs');
+            const path = require('path');
             
-            // Memory metrics (in MB)
-            memory: {
-                rss: Math.round(memoryUsage.rss / 1024 / 1024),           // Resident Set Size
-                heapTotal: Math.round(memoryUsage.heapTotal / 1024 / 1024), // Total heap
-                heapUsed: Math.round(memoryUsage.heapUsed / 1024 / 1024),   // Used heap
-                external: Math.round(memoryUsage.external / 1024 / 1024)    // External memory
-            },
+            // Parse query parameters
+            const requestedLines = parseInt(req.query.lines) || 50;
+            console.log('📊 Requested log lines:', requestedLines);
             
-            // CPU metrics (in microseconds)
-            cpu: {
-                user: cpuUsage.user,
-                system: cpuUsage.system
-            },
+            // Đường dẫn tới log file
+            const logFile = path.join(__dirname, '../../logs/app.log');
+            console.log('📁 Log file path:', logFile);
             
-            // Request statistics (simplified for demo)
-            requests: {
-                total: Math.floor(Math.random() * 1000) + 100,     // Mock data
-                success: Math.floor(Math.random() * 900) + 90,     // Mock data
-                errors: Math.floor(Math.random() * 10) + 1,        // Mock data
-                averageResponseTime: Math.floor(Math.random() * 100) + 50 + 'ms'
-            },
-            
-            // Service health summary
-            services: {
-                userService: 'unknown',      // Would be updated by actual health checks
-                orderService: 'unknown',     // Would be updated by actual health checks
-                cassandra: 'unknown'         // Would be updated by actual health checks
+            if (fs.existsSync(logFile)) {
+                // Đọc toàn bộ log file
+                const logs = fs.readFileSync(logFile, 'utf8');
+                const logLines = logs.split('\n').filter(line => line.trim() !== '');
+                
+                // Lấy số dòng logs gần nhất theo yêu cầu
+                const recentLogs = logLines.slice(-requestedLines);
+                
+                // Parse JSON logs nếu có thể, fallback về plain text
+                const parsedLogs = recentLogs.map((line, index) => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (e) {
+                        return { 
+                            level: 'info',
+                            message: line, 
+                            timestamp: new Date().toISOString(),
+                            lineNumber: logLines.length - recentLogs.length + index + 1
+                        };
+                    }
+                });
+                
+                const response = {
+                    success: true,
+                    totalLines: logLines.length,
+                    requestedLines: requestedLines,
+                    returnedLines: recentLogs.length,
+                    lastUpdated: fs.statSync(logFile).mtime.toISOString(),
+                    logs: parsedLogs
+                };
+                
+                console.log('✅ Logs retrieved successfully, total lines:', logLines.length);
+                res.json(response);
+                
+            } else {
+                console.log('⚠️  Log file not found');
+                res.json({
+                    success: false,
+                    message: 'Log file not found - may not have been created yet',
+                    totalLines: 0,
+                    logs: [],
+                    suggestion: 'Make some requests to generate logs first'
+                });
             }
-        };
-        
-        console.log('📊 Metrics compiled successfully');
-        res.json(metrics);
-        
-    } catch (error) {
-        console.error('❌ Error collecting metrics:', error.message);
-        res.status(500).json({ 
-            error: 'Failed to collect metrics',
-            details: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
-
-// =============================================================================
-// ORDER SERVICE PROXY ENDPOINTS
-// =============================================================================
-
-/**
- * Get All Orders - Proxy to Order Service
- * 
- * GET /api/orders
- * Query params được forward tới Order Service
- */
-app.get('/api/orders', async (req, res) => {
-    try {
-        console.log('🛒 GET /api/orders request received');
-        console.log('🔄 Forwarding to Order Service...');
-        
-        // Build query string từ request parameters
-        const queryString = Object.keys(req.query).length > 0 
-            ? '?' + new URLSearchParams(req.query).toString()
-            : '';
-        
-        const targetUrl = `${ORDER_SERVICE}/orders${queryString}`;
-        console.log('🎯 Target URL:', targetUrl);
-        
-        // Forward request tới Order Service
-        const response = await axios.get(targetUrl, {
-            timeout: 10000  // 10 second timeout
-        });
-        
-        console.log('✅ Response received from Order Service');
-        console.log('📊 Orders count:', response.data.orders ? response.data.orders.length : 'N/A');
-        
-        // Return response từ Order Service
-        res.json(response.data);
-        
-    } catch (error) {
-        console.error('❌ Error in /api/orders GET:', error.message);
-        
-        if (error.response) {
-            console.error('📝 Error response data:', error.response.data);
-            console.error('📝 Error status:', error.response.status);
+        } catch (error) {
+            console.error('❌ Error reading logs:', error.message);
+            res.status(500).json({ 
+                success: false,
+                error: 'Failed to read log file',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+    
+    /**
+     * System Metrics Endpoint
+     * Trả về performance metrics của API Gateway
+     * Bao gồm thống kê process, memory, CPU usage, request counters/latency
+     * và health của các upstream services
+     * 
+     * GET /metrics
+     * - Default: JSON
+     * - /metrics?format=prometheus hoặc header Accept: text/plain -> Prometheus text format
+     */
+    app.get('/metrics', async (req, res) => {
+        try {
+            console.log('📈 Metrics request received');
             
-            // Forward error response từ Order Service
-            res.status(error.response.status).json(error.response.data);
-        } else {
-            // Network hoặc timeout errors
-            res.status(503).json({ 
-                error: 'Order Service unavailable',
+            // Refresh upstream health gauges trước khi render
+            const serviceStatus = await checkAllUpstreams();
+            Object.entries(UPSTREAMS).forEach(([key, upstream]) => {
+                circuitState.set({ upstream: key }, CIRCUIT_STATE_VALUES[upstream.breaker.state]);
+            });
+            
+            sendMetrics(req, res, () => {
+                // Collect system metrics
+                const memoryUsage = process.memoryUsage();
+                const cpuUsage = process.cpuUsage();
+                
+                // Cassandra status được suy ra từ health data của các services
+                const cassandraHealthy = Object.values(serviceStatus)
+                    .some(service => service.data && service.data.cluster_health === true);
+                
+                const metrics = {
+                    timestamp: new Date().toISOString(),
+                    
+                    // Process metrics
+                    process: {
+                        uptime: process.uptime(),
+                        pid: process.pid,
+                        version: process.version,
+                        platform: process.platform
+                    },
+                    
+                    // Memory metrics (in MB)
+                    memory: {
+                        rss: Math.round(memoryUsage.rss / 1024 / 1024),           // Resident Set Size
+                        heapTotal: Math.round(memoryUsage.heapTotal / 1024 / 1024), // Total heap
+                        heapUsed: Math.round(memoryUsage.heapUsed / 1024 / 1024),   // Used heap
+                        external: Math.round(memoryUsage.external / 1024 / 1024)    // External memory
+                    },
+                    
+                    // CPU metrics (in microseconds)
+                    cpu: {
+                        user: cpuUsage.user,
+                        system: cpuUsage.system
+                    },
+                    
+                    // Request statistics (tổng hợp từ http_requests_total)
+                    requests: summarizeRequests(),
+                    
+                    // Service health summary
+                    services: {
+                        userService: serviceStatus.userService.status,
+                        orderService: serviceStatus.orderService.status,
+                        productService: serviceStatus.productService.status,
+                        webhookService: serviceStatus.webhookService.status,
+                        eventRelay: serviceStatus.eventRelay.status,
+                        kvService: serviceStatus.kvService.status,
+                        cassandra: cassandraHealthy ? 'healthy' : 'unhealthy'
+                    },
+                    
+                    // Chi tiết counters/histograms theo route, method, status, upstream
+                    breakdown: registry.toJSON()
+                };
+                
+                console.log('📊 Metrics compiled successfully');
+                return metrics;
+            });
+            
+        } catch (error) {
+            console.error('❌ Error collecting metrics:', error.message);
+            res.status(500).json({ 
+                error: 'Failed to collect metrics',
                 details: error.message,
-                service: 'order-service'
+                timestamp: new Date().toISOString()
             });
         }
-    }
-});
-
-/**
- * Get Order by ID - Proxy to Order Service
- * 
- * GET /api/orders/:id
- */
-app.get('/api/orders/:id', async (req, res) => {
-    try {
-        const orderId = req.params.id;
-        console.log('🔍 GET /api/orders/:id request received, ID:', orderId);
-        
-        const targetUrl = `${ORDER_SERVICE}/orders/${orderId}`;
-        console.log('🎯 Target URL:', targetUrl);
-        
-        const response = await axios.get(targetUrl, {
-            timeout: 10000
-        });
-        
-        console.log('✅ Order details retrieved successfully');
-        res.json(response.data);
-        
-    } catch (error) {
-        console.error('❌ Error in /api/orders/:id GET:', error.message);
+    });
+    
+    // =============================================================================
+    // DISPLAY CURRENCY CONVERSION
+    // =============================================================================
+    
+    /**
+     * Query params chỉ gateway xử lý, không forward tới upstream
+     */
+    const GATEWAY_QUERY_PARAMS = ['displayCurrency'];
+    
+    /**
+     * Thêm block "display" với số tiền quy đổi sang displayCurrency cho một order
+     * Số tiền gốc (totalAmount, currency) được giữ nguyên
+     * 
+     * @param {Object} order - Order object từ Order Service
+     * @param {string} displayCurrency - Currency hiển thị (đã normalize)
+     * @returns {Object} Order kèm field display
+     */
+    function addDisplayAmounts(order, displayCurrency) {
+        if (!order || !order.currency || order.totalAmount === undefined || order.totalAmount === null) {
+            return order;
+        }
         
-        if (error.response) {
-            res.status(error.response.status).json(error.response.data);
-        } else {
-            res.status(503).json({ 
-                error: 'Order Service unavailable',
-                details: error.message
-            });
+        try {
+            return {
+                ...order,
+                display: {
+                    currency: displayCurrency,
+                    rate: exchangeRate(order.currency, displayCurrency, exchangeRates.rates),
+                    totalAmount: convertAmount(order.totalAmount, order.currency, displayCurrency, exchangeRates.rates),
+                    items: Array.isArray(order.items) ? order.items
+                        .filter(item => item && item.unit_price !== undefined && item.unit_price !== null)
+                        .map(item => ({
+                            sku: item.sku,
+                            unit_price: convertAmount(item.unit_price, order.currency, displayCurrency, exchangeRates.rates)
+                        })) : undefined
+                }
+            };
+        } catch (error) {
+            return { ...order, display: { currency: displayCurrency, error: error.message } };
         }
     }
-});
-
-/**
- * Create New Order - Proxy to Order Service
- * Thực hiện field mapping nếu cần thiết
- * 
- * POST /api/orders
- * Body: {
- *   "user_id": "123",          // Mapped to "userId"
- *   "items": [...],
- *   "total_amount": 250000     // Mapped to "totalAmount"
- * }
- */
-app.post('/api/orders', async (req, res) => {
-    try {
-        console.log('📝 POST /api/orders request received');
-        console.log('📋 Original request body:', req.body);
-        
-        /**
-         * Field Mapping: External API format -> Internal Service format
-         * Gateway làm translator giữa external clients và internal services
-         */
-        const requestBody = {
-            userId: req.body.user_id || req.body.userId,           // Support both formats
-            items: req.body.items,
-            totalAmount: req.body.total_amount || req.body.totalAmount  // Support both formats
+    
+    /**
+     * Áp dụng displayCurrency cho response body (một order hoặc danh sách orders)
+     * 
+     * @param {Object} data - Response body từ Order Service
+     * @param {string} displayCurrency - Currency hiển thị
+     * @returns {Object} Response body đã thêm display amounts
+     */
+    function applyDisplayCurrency(data, displayCurrency) {
+        if (data && Array.isArray(data.orders)) {
+            return { ...data, displayCurrency, orders: data.orders.map(order => addDisplayAmounts(order, displayCurrency)) };
+        }
+        if (data && data.id) {
+            return addDisplayAmounts(data, displayCurrency);
+        }
+        return data;
+    }
+    
+    // =============================================================================
+    // LIVE ORDER STATUS FEED (SSE + WEBSOCKET)
+    // =============================================================================
+    
+    /**
+     * Cấu hình live feed
+     * - LIVE_FEED_HEARTBEAT_MS: chu kỳ heartbeat (SSE comment / WebSocket ping)
+     * - LIVE_FEED_RETRY_MS: thời gian EventSource đợi trước khi tự kết nối lại
+     * - LIVE_FEED_MAX_ORDERS: số orders tối đa mỗi WebSocket connection
+     */
+    const LIVE_FEED_HEARTBEAT_MS = parseInt(process.env.LIVE_FEED_HEARTBEAT_MS) || 15000;
+    const LIVE_FEED_RETRY_MS = parseInt(process.env.LIVE_FEED_RETRY_MS) || 3000;
+    const LIVE_FEED_MAX_ORDERS = parseInt(process.env.LIVE_FEED_MAX_ORDERS) || 50;
+    
+    const liveConnections = registry.gauge(
+        'gateway_live_connections',
+        'Open live order feed connections',
+        ['transport']
+    );
+    
+    /**
+     * Hub đọc domain events từ Event Relay (qua circuit breaker của EVENT_RELAY)
+     */
+    const orderFeed = new OrderFeed(async ({ after, from, limit }) => {
+        const response = await UPSTREAMS.EVENT_RELAY.breaker.execute(() => axios.get(`${EVENT_RELAY}/events`, {
+            params: { after, from, limit },
+            timeout: DEFAULT_TIMEOUT
+        }));
+        return response.data;
+    });
+    
+    /**
+     * Lấy trạng thái hiện tại của order, gửi làm snapshot trước các live events
+     * 
+     * @param {string} orderId - Order ID
+     * @returns {Promise<Object>} { orderId, status, updated_at }
+     * @throws {Error} Axios error (404 nếu order không tồn tại) hoặc CircuitOpenError
+     */
+    async function fetchOrderSnapshot(orderId) {
+        const response = await UPSTREAMS.ORDER_SERVICE.breaker.execute(() => axios.get(
+            `${ORDER_SERVICE}/orders/${encodeURIComponent(orderId)}`,
+            { timeout: DEFAULT_TIMEOUT, headers: getTraceHeaders() }
+        ));
+        return {
+            orderId: response.data.id,
+            status: response.data.status,
+            updated_at: response.data.updated_at
         };
+    }
+    
+    /**
+     * Đăng ký live feed cho một order rồi mới lấy snapshot, để status change xảy ra
+     * trong lúc lấy snapshot không bị lỡ; messages tới trước khi caller gửi snapshot
+     * được giữ lại cho tới start()
+     * 
+     * @param {string} orderId - Order ID (ID cũ được resolve theo snapshot)
+     * @param {Function} onMessage - Nhận status messages sau start()
+     * @param {Object} options - { lastEventId }
+     * @returns {Promise<Object>} { snapshot, subscription, start }
+     * @throws {Error} Lỗi của fetchOrderSnapshot (subscription đã được hủy)
+     */
+    async function subscribeWithSnapshot(orderId, onMessage, { lastEventId } = {}) {
+        let held = [];
+        const subscription = orderFeed.subscribe([orderId], message => {
+            if (held) {
+                held.push(message);
+            } else {
+                onMessage(message);
+            }
+        }, { lastEventId });
         
-        console.log('🔄 Mapped request body:', requestBody);
-        
-        // Validation cơ bản
-        if (!requestBody.userId || !requestBody.items || !requestBody.totalAmount) {
-            console.log('❌ Validation failed - missing required fields');
-            return res.status(400).json({
-                error: 'Missing required fields',
-                required: ['user_id', 'items', 'total_amount'],
-                received: Object.keys(req.body)
-            });
+        let snapshot;
+        try {
+            snapshot = await fetchOrderSnapshot(orderId);
+        } catch (error) {
+            subscription.unsubscribe();
+            throw error;
         }
         
-        const targetUrl = `${ORDER_SERVICE}/orders`;
-        console.log('🎯 Target URL:', targetUrl);
-        
-        const response = await axios.post(targetUrl, requestBody, {
-            timeout: 10000
-        });
-        
-        console.log('✅ Order created successfully via proxy');
-        res.status(201).json(response.data);
+        // ID cũ (legacy) được resolve sang ID hiện tại: events mang ID hiện tại
+        if (snapshot.orderId !== orderId) {
+            subscription.unsubscribe();
+            return subscribeWithSnapshot(snapshot.orderId, onMessage, { lastEventId });
+        }
         
-    } catch (error) {
-        console.error('❌ Error in /api/orders POST:', error.message);
+        return {
+            snapshot,
+            subscription,
+            start() {
+                const messages = held;
+                held = null;
+                messages.forEach(onMessage);
+            }
+        };
+    }
+    
+    /**
+     * Ghi một SSE message
+     * 
+     * @param {Object} res - Express response đang stream
+     * @param {Object} message - { id, event, data }
+     */
+    function writeSse(res, { id, event, data }) {
+        if (id) {
+            res.write(`id: ${id}\n`);
+        }
+        res.write(`event: ${event}\n`);
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+    }
+    
+    /**
+     * Live Status Của Một Order (Server-Sent Events)
+     * 
+     * GET /api/orders/:id/events
+     * - event "snapshot": trạng thái hiện tại khi kết nối
+     * - event "status":   mỗi lần status thay đổi (SSE id = event ID)
+     * 
+     * Khi kết nối lại, EventSource tự gửi header Last-Event-ID (hoặc dùng
+     * ?lastEventId=) để nhận lại các status changes bị lỡ.
+     */
+    app.get('/api/orders/:id/events', async (req, res) => {
+        res.locals.upstream = 'EVENT_RELAY';
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
         
-        if (error.response) {
-            console.error('📝 Error details:', error.response.data);
-            res.status(error.response.status).json(error.response.data);
-        } else {
-            res.status(503).json({ 
+        let live;
+        try {
+            live = await subscribeWithSnapshot(req.params.id, message => {
+                writeSse(res, { id: message.id, event: 'status', data: message });
+            }, { lastEventId });
+        } catch (error) {
+            console.error('❌ Live feed snapshot failed:', error.message);
+            if (error.response) {
+                return res.status(error.response.status).json(error.response.data);
+            }
+            return res.status(503).json({
                 error: 'Order Service unavailable',
-                details: error.message
+                details: error.message,
+                service: 'order-service'
             });
         }
-    }
-});
-
-// =============================================================================
-// USER SERVICE PROXY ENDPOINTS
-// =============================================================================
-
-/**
- * Get All Users - Proxy to User Service
- * 
- * GET /api/users
- */
-app.get('/api/users', async (req, res) => {
-    try {
-        console.log('👤 GET /api/users request received');
-        console.log('🔄 Forwarding to User Service...');
-        
-        const queryString = Object.keys(req.query).length > 0 
-            ? '?' + new URLSearchParams(req.query).toString()
-            : '';
         
-        const targetUrl = `${USER_SERVICE}/users${queryString}`;
-        console.log('🎯 Target URL:', targetUrl);
+        const { snapshot, subscription } = live;
+        // Client đã đóng connection trong lúc lấy snapshot
+        if (req.socket.destroyed) {
+            subscription.unsubscribe();
+            return;
+        }
+        console.log(`📡 SSE connected for order ${snapshot.orderId}`, lastEventId ? `(Last-Event-ID: ${lastEventId})` : '');
         
-        const response = await axios.get(targetUrl, {
-            timeout: 10000
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
         });
+        res.write(`retry: ${LIVE_FEED_RETRY_MS}\n\n`);
+        writeSse(res, { event: 'snapshot', data: snapshot });
+        live.start();
+        liveConnections.inc({ transport: 'sse' });
         
-        console.log('✅ Response received from User Service');
-        console.log('📊 Users count:', response.data.users ? response.data.users.length : 'N/A');
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), LIVE_FEED_HEARTBEAT_MS);
         
-        res.json(response.data);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            subscription.unsubscribe();
+            liveConnections.dec({ transport: 'sse' });
+            console.log(`📡 SSE disconnected for order ${snapshot.orderId}`);
+        });
+    });
+    
+    /**
+     * Live Status Nhiều Orders (WebSocket)
+     * 
+     * ws://<gateway>/api/orders/live?orderIds=<id>,<id>&lastEventId=<event id>
+     * 
+     * Client -> server:
+     *   { "type": "subscribe", "orderIds": ["..."], "lastEventId": "..." }
+     *   { "type": "unsubscribe", "orderIds": ["..."] }
+     * Server -> client:
+     *   { "type": "snapshot", "orderId", "status", "updated_at" }
+     *   { "type": "status", "id", "orderId", "from", "to", "actor", "reason", "changedAt" }
+     *   { "type": "error", "orderId", "error" }
+     * 
+     * @param {WebSocket} socket - Connection
+     * @param {Object} req - HTTP upgrade request
+     */
+    function handleLiveSocket(socket, req) {
+        const subscriptions = new Map();   // orderId -> subscription
+        const pending = new Set();         // orderIds đang lấy snapshot (đã giữ chỗ trong giới hạn)
+        const send = message => {
+            if (socket.readyState === socket.OPEN) {
+                socket.send(JSON.stringify(message));
+            }
+        };
         
-    } catch (error) {
-        console.error('❌ Error in /api/users GET:', error.message);
+        const subscribe = async (orderIds, lastEventId) => {
+            for (const orderId of orderIds) {
+                if (subscriptions.has(orderId) || pending.has(orderId)) {
+                    continue;
+                }
+                // Giữ chỗ trước khi await: các subscribe messages chạy đồng thời
+                // cùng đếm các orders đang lấy snapshot nên không vượt quá giới hạn
+                if (subscriptions.size + pending.size >= LIVE_FEED_MAX_ORDERS) {
+                    send({ type: 'error', orderId, error: `Tối đa ${LIVE_FEED_MAX_ORDERS} orders mỗi connection` });
+                    continue;
+                }
+                pending.add(orderId);
+                
+                try {
+                    const live = await subscribeWithSnapshot(orderId, message => {
+                        send({ type: 'status', ...message });
+                    }, { lastEventId });
+                    // Đã unsubscribe (hoặc connection đóng) trong lúc lấy snapshot
+                    if (socket.readyState !== socket.OPEN || !pending.has(orderId)) {
+                        live.subscription.unsubscribe();
+                        continue;
+                    }
+                    send({ type: 'snapshot', ...live.snapshot });
+                    live.start();
+                    subscriptions.set(orderId, live.subscription);
+                } catch (error) {
+                    send({
+                        type: 'error',
+                        orderId,
+                        error: error.response && error.response.status === 404 ? 'Order không tìm thấy' : 'Order Service unavailable'
+                    });
+                } finally {
+                    pending.delete(orderId);
+                }
+            }
+        };
         
-        if (error.response) {
-            console.error('📝 Error response:', error.response.data);
-            res.status(error.response.status).json(error.response.data);
-        } else {
-            res.status(503).json({ 
-                error: 'User Service unavailable',
-                details: error.message
+        const unsubscribe = orderIds => {
+            orderIds.forEach(orderId => {
+                pending.delete(orderId);
+                const subscription = subscriptions.get(orderId);
+                if (subscription) {
+                    subscription.unsubscribe();
+                    subscriptions.delete(orderId);
+                }
             });
-        }
-    }
-});
-
-/**
- * Get User by ID - Proxy to User Service
- * 
- * GET /api/users/:id
- */
-app.get('/api/users/:id', async (req, res) => {
-    try {
-        const userId = req.params.id;
-        console.log('🔍 GET /api/users/:id request received, ID:', userId);
+        };
         
-        const targetUrl = `${USER_SERVICE}/users/${userId}`;
-        console.log('🎯 Target URL:', targetUrl);
+        liveConnections.inc({ transport: 'websocket' });
+        console.log('🔌 WebSocket connected:', req.url);
         
-        const response = await axios.get(targetUrl, {
-            timeout: 10000
-        });
+        // Không nhận được pong trong một chu kỳ heartbeat -> connection chết, terminate
+        let alive = true;
+        socket.on('pong', () => { alive = true; });
+        const heartbeat = setInterval(() => {
+            if (!alive) {
+                return socket.terminate();
+            }
+            alive = false;
+            socket.ping();
+        }, LIVE_FEED_HEARTBEAT_MS);
         
-        console.log('✅ User details retrieved successfully');
-        res.json(response.data);
+        socket.on('message', raw => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch (error) {
+                return send({ type: 'error', error: 'Message phải là JSON' });
+            }
+            
+            const orderIds = Array.isArray(message.orderIds) ? message.orderIds.map(String) : [];
+            if (message.type === 'subscribe') {
+                subscribe(orderIds, message.lastEventId);
+            } else if (message.type === 'unsubscribe') {
+                unsubscribe(orderIds);
+            } else {
+                send({ type: 'error', error: `Unknown message type: ${message.type}` });
+            }
+        });
         
-    } catch (error) {
-        console.error('❌ Error in /api/users/:id GET:', error.message);
+        socket.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe([...subscriptions.keys()]);
+            liveConnections.dec({ transport: 'websocket' });
+            console.log('🔌 WebSocket disconnected');
+        });
         
-        if (error.response) {
-            res.status(error.response.status).json(error.response.data);
-        } else {
-            res.status(503).json({ 
-                error: 'User Service unavailable',
-                details: error.message
-            });
+        // Subscribe ngay từ query string (?orderIds=a,b&lastEventId=...)
+        const query = new URL(req.url, 'http://gateway').searchParams;
+        const initialOrderIds = (query.get('orderIds') || '').split(',').map(id => id.trim()).filter(Boolean);
+        if (initialOrderIds.length > 0) {
+            subscribe(initialOrderIds, query.get('lastEventId') || undefined);
         }
     }
-});
-
-/**
- * Create New User - Proxy to User Service
- * Thực hiện field mapping cho compatibility
- * 
- * POST /api/users
- * Body: {
- *   "username": "John Doe",    // Mapped to "name"
- *   "email": "john@example.com"
- * }
- */
-app.post('/api/users', async (req, res) => {
-    try {
-        console.log('📝 POST /api/users request received');
-        console.log('📋 Original request body:', req.body);
-        
-        /**
-         * Field Mapping: External API format -> Internal Service format
-         * External clients có thể sử dụng "username", nhưng User Service expect "name"
-         */
-        const requestBody = {
-            name: req.body.username || req.body.name,  // Support both "username" and "name"
-            email: req.body.email
-        };
-        
-        console.log('🔄 Mapped request body:', requestBody);
+    
+    // =============================================================================
+    // PROXY ENDPOINTS (BUILT FROM ROUTE TABLE)
+    // =============================================================================
+    
+    /**
+     * Áp dụng field mapping: External API format -> Internal Service format
+     * Với mỗi field nội bộ, lấy giá trị của alias đầu tiên có trong request body
+     * 
+     * @param {Object} body - Request body từ client
+     * @param {Object} fieldMapping - Mapping field nội bộ -> danh sách alias
+     * @returns {Object} Body đã được mapping cho upstream service
+     */
+    function mapRequestBody(body = {}, fieldMapping) {
+        if (!fieldMapping) {
+            return body;
+        }
         
-        // Validation cơ bản
-        if (!requestBody.name || !requestBody.email) {
-            console.log('❌ Validation failed - missing required fields');
-            return res.status(400).json({
-                error: 'Missing required fields',
-                required: ['username or name', 'email'],
-                received: Object.keys(req.body)
-            });
+        const mapped = {};
+        for (const [field, aliases] of Object.entries(fieldMapping)) {
+            const alias = aliases.find(name => body[name] !== undefined);
+            if (alias) {
+                mapped[field] = body[alias];
+            }
         }
+        return mapped;
+    }
+    
+    /**
+     * Build URL tới upstream từ target pattern, path params và query string
+     * 
+     * @param {Object} route - Route definition từ route table
+     * @param {Object} req - Express request
+     * @returns {string} Full target URL
+     */
+    function buildTargetUrl(route, req) {
+        const targetPath = route.target.replace(/:(\w+)/g, (match, name) =>
+            encodeURIComponent(req.params[name])
+        );
         
-        const targetUrl = `${USER_SERVICE}/users`;
-        console.log('🎯 Target URL:', targetUrl);
+        const query = { ...req.query };
+        GATEWAY_QUERY_PARAMS.forEach(param => delete query[param]);
         
-        const response = await axios.post(targetUrl, requestBody, {
-            timeout: 10000
+        const queryString = Object.keys(query).length > 0 
+            ? '?' + new URLSearchParams(query).toString()
+            : '';
+        
+        return `${UPSTREAMS[route.upstream].url}${targetPath}${queryString}`;
+    }
+    
+    /**
+     * Headers luôn được forward tới upstream và trả lại cho client trên mọi proxy route
+     * X-Consistency-Level: client chọn consistency, service trả về levels đã dùng
+     */
+    const PASSTHROUGH_HEADERS = [CONSISTENCY_HEADER];
+    
+    /**
+     * Lấy các headers có tên trong danh sách (không phân biệt hoa thường)
+     * Dùng cho route.forwardHeaders (request) và route.responseHeaders (response)
+     * 
+     * @param {Object} headers - req.headers hoặc axios response headers
+     * @param {Array<string>} names - Tên headers
+     * @returns {Object} Headers có giá trị
+     */
+    function pickHeaders(headers = {}, names) {
+        const picked = {};
+        names.forEach(name => {
+            const value = headers[name.toLowerCase()];
+            if (value !== undefined) {
+                picked[name] = value;
+            }
         });
+        return picked;
+    }
+    
+    /**
+     * Tạo Express handler forward request tới upstream theo route definition
+     * 
+     * @param {Object} route - Route definition từ route table
+     * @returns {Function} Express async handler
+     */
+    function createProxyHandler(route) {
+        const upstream = UPSTREAMS[route.upstream];
+        const label = `${route.method.toUpperCase()} ${route.path}`;
         
-        console.log('✅ User created successfully via proxy');
-        res.status(201).json(response.data);
+        return async (req, res) => {
+            // Label "upstream" cho http metrics
+            res.locals.upstream = route.upstream;
+            
+            try {
+                console.log(`🔄 ${label} request received, forwarding to ${upstream.name}...`);
+                
+                const requestBody = mapRequestBody(req.body, route.fieldMapping);
+                if (route.fieldMapping) {
+                    console.log('🔄 Mapped request body:', requestBody);
+                }
+                
+                // Validation cơ bản cho các field bắt buộc
+                const missing = (route.required || []).filter(field =>
+                    requestBody[field] === undefined || requestBody[field] === null || requestBody[field] === ''
+                );
+                if (missing.length > 0) {
+                    console.log('❌ Validation failed - missing required fields:', missing);
+                    return res.status(400).json({
+                        error: 'Missing required fields',
+                        required: route.required.map(field => route.fieldMapping[field].join(' or ')),
+                        received: Object.keys(req.body || {})
+                    });
+                }
+                
+                // ?displayCurrency= chỉ áp dụng cho routes trả về orders
+                let displayCurrency = null;
+                if (route.displayCurrency && req.query.displayCurrency !== undefined) {
+                    displayCurrency = normalizeCurrency(req.query.displayCurrency);
+                    if (!displayCurrency || !exchangeRates.rates[displayCurrency]) {
+                        return res.status(400).json({
+                            error: 'Unsupported displayCurrency',
+                            provided: req.query.displayCurrency,
+                            supported: Object.keys(exchangeRates.rates)
+                        });
+                    }
+                }
+                
+                const targetUrl = buildTargetUrl(route, req);
+                console.log('🎯 Target URL:', targetUrl);
+                
+                // Forward request tới upstream service thông qua circuit breaker
+                // Client span bao quanh axios call, trace headers được forward theo request
+                const response = await upstream.breaker.execute(() => withSpan(`proxy ${label}`, {
+                    kind: SPAN_KIND.CLIENT,
+                    attributes: {
+                        'http.method': route.method.toUpperCase(),
+                        'http.url': targetUrl,
+                        'peer.service': upstream.id
+                    }
+                }, async span => {
+                    const upstreamResponse = await axios.request({
+                        method: route.method,
+                        url: targetUrl,
+                        data: ['post', 'put'].includes(route.method) ? requestBody : undefined,
+                        timeout: route.timeout || DEFAULT_TIMEOUT,
+                        headers: {
+                            ...getTraceHeaders(),
+                            ...pickHeaders(req.headers, [...PASSTHROUGH_HEADERS, ...(route.forwardHeaders || [])])
+                        }
+                    });
+                    span.setAttribute('http.status_code', upstreamResponse.status);
+                    return upstreamResponse;
+                }));
+                
+                console.log(`✅ Response received from ${upstream.name}, status:`, response.status);
+                
+                // Return response từ upstream service (kèm số tiền quy đổi nếu có displayCurrency)
+                res.set(pickHeaders(response.headers, [...PASSTHROUGH_HEADERS, ...(route.responseHeaders || [])]));
+                res.status(response.status).json(
+                    displayCurrency ? applyDisplayCurrency(response.data, displayCurrency) : response.data
+                );
+                
+            } catch (error) {
+                console.error(`❌ Error in ${label}:`, error.message);
+                
+                if (error instanceof CircuitOpenError) {
+                    // Circuit đang mở: fail fast, không gọi tới upstream
+                    res.set('Retry-After', Math.ceil(error.retryAfterMs / 1000).toString());
+                    return res.status(503).json({
+                        error: `${upstream.name} unavailable (circuit ${error.state})`,
+                        details: `Requests to ${upstream.name} are short-circuited until the upstream recovers`,
+                        service: upstream.id,
+                        circuit: {
+                            name: error.circuit,
+                            state: error.state,
+                            retryAfterMs: error.retryAfterMs
+                        }
+                    });
+                }
+                
+                if (error.response) {
+                    console.error('📝 Error response data:', error.response.data);
+                    console.error('📝 Error status:', error.response.status);
+                    
+                    // Forward error response từ upstream service
+                    res.set(pickHeaders(error.response.headers, [...PASSTHROUGH_HEADERS, ...(route.responseHeaders || [])]));
+                    res.status(error.response.status).json(error.response.data);
+                } else {
+                    // Network hoặc timeout errors
+                    res.status(503).json({ 
+                        error: `${upstream.name} unavailable`,
+                        details: error.message,
+                        service: upstream.id
+                    });
+                }
+            }
+        };
+    }
+    
+    /**
+     * Đăng ký tất cả proxy routes từ route table
+     */
+    routes.forEach(route => {
+        app[route.method](route.path, createProxyHandler(route));
+    });
+    
+    // =============================================================================
+    // ERROR HANDLING & MIDDLEWARE
+    // =============================================================================
+    
+    /**
+     * Global Error Handler Middleware
+     * Catch tất cả unhandled errors và return proper error response
+     */
+    app.use((err, req, res, next) => {
+        console.error('💥 Unhandled error caught by global handler:', err);
+        console.error('📝 Stack trace:', err.stack);
         
-    } catch (error) {
-        console.error('❌ Error in /api/users POST:', error.message);
+        res.status(500).json({ 
+            error: 'Internal server error',
+            message: 'An unexpected error occurred in API Gateway',
+            timestamp: new Date().toISOString(),
+            requestId: req.requestId || req.headers['x-request-id'] || 'unknown'
+        });
+    });
+    
+    /**
+     * 404 Not Found Handler
+     * Handle tất cả requests không match với routes đã define
+     */
+    app.use((req, res) => {
+        console.log('🔍 404 Not Found:', req.method, req.url);
+        console.log('🌐 Available endpoints:');
+        listEndpoints().forEach(({ endpoint, description }) => {
+            console.log(`   - ${endpoint.padEnd(32)} - ${description}`);
+        });
         
-        if (error.response) {
-            console.error('📝 Error details:', error.response.data);
-            res.status(error.response.status).json(error.response.data);
-        } else {
-            res.status(503).json({ 
-                error: 'User Service unavailable',
-                details: error.message
-            });
-        }
-    }
-});
+        res.status(404).json({ 
+            error: 'Endpoint not found',
+            method: req.method,
+            path: req.url,
+            timestamp: new Date().toISOString(),
+            availableEndpoints: listEndpoints().map(({ endpoint }) => endpoint)
+        });
+    });
+    
+    return app;
+}
 
 // =============================================================================
-// ERROR HANDLING & MIDDLEWARE
+// SERVER STARTUP
 // =============================================================================
 
 /**
- * Global Error Handler Middleware
- * Catch tất cả unhandled errors và return proper error response
+ * Gắn WebSocket server của live order feed vào HTTP server của gateway
+ * 
+ * @param {http.Server} server - Server đang chạy app
+ * @param {express.Application} app - App từ createApp
+ * @returns {WebSocketServer} WebSocket server
  */
-app.use((err, req, res, next) => {
-    console.error('💥 Unhandled error caught by global handler:', err);
-    console.error('📝 Stack trace:', err.stack);
-    
-    res.status(500).json({ 
-        error: 'Internal server error',
-        message: 'An unexpected error occurred in API Gateway',
-        timestamp: new Date().toISOString(),
-        requestId: req.headers['x-request-id'] || 'unknown'
-    });
-});
+function attachLiveSocketServer(server, app) {
+    const liveSocketServer = new WebSocketServer({ server, path: '/api/orders/live' });
+    liveSocketServer.on('connection', app.locals.handleLiveSocket);
+    return liveSocketServer;
+}
 
 /**
- * 404 Not Found Handler
- * Handle tất cả requests không match với routes đã define
+ * Chạy API Gateway như một process độc lập (npm run start:gateway)
  */
-app.use((req, res) => {
-    console.log('🔍 404 Not Found:', req.method, req.url);
-    console.log('🌐 Available endpoints:');
-    console.log('   - GET  /health          - API Gateway health check');
-    console.log('   - GET  /monitoring      - System monitoring');
-    console.log('   - GET  /logs           - View application logs');
-    console.log('   - GET  /metrics        - System metrics');
-    console.log('   - GET  /api/users      - Get all users');
-    console.log('   - POST /api/users      - Create new user');
-    console.log('   - GET  /api/orders     - Get all orders');
-    console.log('   - POST /api/orders     - Create new order');
-    
-    res.status(404).json({ 
-        error: 'Endpoint not found',
-        method: req.method,
-        path: req.url,
-        timestamp: new Date().toISOString(),
-        availableEndpoints: [
-            'GET /health', 'GET /monitoring', 'GET /logs', 'GET /metrics',
-            'GET /api/users', 'POST /api/users', 'GET /api/orders', 'POST /api/orders'
-        ]
-    });
-});
-
-// =============================================================================
-// SERVER STARTUP
-// =============================================================================
+function main() {
+    const app = createApp();
+    const { port: PORT } = app.locals.config;
+    const {
+        USER_SERVICE,
+        ORDER_SERVICE,
+        PRODUCT_SERVICE,
+        WEBHOOK_SERVICE,
+        EVENT_RELAY,
+        KV_SERVICE
+    } = app.locals.config.upstreamUrls;
+    
+    /**
+     * Start API Gateway Server
+     * Khởi động server và log thông tin configuration
+     * Port mặc định 3000 (PORT), Docker map ra 3003
+     */
+    const server = app.listen(PORT, () => {
+        console.log('\n' + '='.repeat(80));
+        console.log('🚀 API GATEWAY STARTING...');
+        console.log('='.repeat(80));
+        
+        console.log('📊 Server Information:');
+        console.log('   - Service: API Gateway');
+        console.log('   - Port:', PORT);
+        console.log('   - Version: 2.0.0');
+        console.log('   - Node.js:', process.version);
+        console.log('   - Environment:', process.env.NODE_ENV || 'development');
+        
+        console.log('\n🔗 Service Discovery:');
+        console.log('   - User Service:', USER_SERVICE);
+        console.log('   - Order Service:', ORDER_SERVICE);
+        console.log('   - Product Service:', PRODUCT_SERVICE);
+        console.log('   - Webhook Service:', WEBHOOK_SERVICE);
+        console.log('   - Event Relay:', EVENT_RELAY);
+        console.log('   - KV Service:', KV_SERVICE);
+        
+        console.log('\n🌐 Available Endpoints:');
+        app.locals.endpoints.forEach(({ endpoint, description }) => {
+            console.log(`   - ${endpoint.padEnd(32)} - ${description}`);
+        });
+        
+        console.log('\n🛡️  Gateway Features:');
+        console.log('   - Request routing và load balancing');
+        console.log('   - Health checking các microservices');
+        console.log('   - Request/response logging');
+        console.log('   - Field mapping và validation');
+        console.log('   - Error handling và retry logic');
+        console.log('   - Circuit breaker cho từng upstream service');
+        console.log('   - Distributed tracing (W3C traceparent / x-request-id)');
+        console.log('   - Live order status feed (SSE + WebSocket)');
+        
+        console.log('\n' + '='.repeat(80));
+        console.log('🎉 API Gateway is ready to handle requests!');
+        console.log('='.repeat(80) + '\n');
+    }); 
+    
+    /**
+     * WebSocket server cho live order feed, dùng chung HTTP server với Express
+     */
+    attachLiveSocketServer(server, app);
+}
 
-/**
- * Start API Gateway Server
- * Khởi động server và log thông tin configuration
- */
-const PORT = process.env.PORT || 3000;  // Changed from 3003 to 3000 to match Docker mapping
+if (require.main === module) {
+    main();
+}
 
-app.listen(PORT, () => {
-    console.log('\n' + '='.repeat(80));
-    console.log('🚀 API GATEWAY STARTING...');
-    console.log('='.repeat(80));
-    
-    console.log('📊 Server Information:');
-    console.log('   - Service: API Gateway');
-    console.log('   - Port:', PORT);
-    console.log('   - Version: 2.0.0');
-    console.log('   - Node.js:', process.version);
-    console.log('   - Environment:', process.env.NODE_ENV || 'development');
-    
-    console.log('\n🔗 Service Discovery:');
-    console.log('   - User Service:', USER_SERVICE);
-    console.log('   - Order Service:', ORDER_SERVICE);
-    
-    console.log('\n🌐 Available Endpoints:');
-    console.log('   - GET    /health         - API Gateway health check');
-    console.log('   - GET    /monitoring     - Complete system monitoring');
-    console.log('   - GET    /logs          - Application logs viewer');
-    console.log('   - GET    /metrics       - Performance metrics');
-    console.log('   - GET    /api/users     - Proxy to User Service');
-    console.log('   - POST   /api/users     - Create user via proxy');
-    console.log('   - GET    /api/orders    - Proxy to Order Service');
-    console.log('   - POST   /api/orders    - Create order via proxy');
-    
-    console.log('\n🛡️  Gateway Features:');
-    console.log('   - Request routing và load balancing');
-    console.log('   - Health checking các microservices');
-    console.log('   - Request/response logging');
-    console.log('   - Field mapping và validation');
-    console.log('   - Error handling và retry logic');
-    
-    console.log('\n' + '='.repeat(80));
-    console.log('🎉 API Gateway is ready to handle requests!');
-    console.log('='.repeat(80) + '\n');
-}); 
\ No newline at end of file
+module.exports = {
+    createApp,
+    attachLiveSocketServer
+};
@@ -0,0 +1,602 @@
+/**
+ * =============================================================================
+ * EVENT RELAY - DISTRIBUTED MICROSERVICE
+ * =============================================================================
+ * 
+ * Relay đọc domain events từ transactional outbox (outbox_events) và deliver
+ * tới các subscribers (EVENT_SUBSCRIBERS) bằng HTTP POST
+ * Chạy trên port 3005 và kết nối tới 3-node Cassandra cluster
+ * 
+ * Features:
+ * -  At-least-once delivery: offset của consumer chỉ tăng sau khi subscriber trả về 2xx
+ * -  Thứ tự theo event_id: events của cùng aggregate luôn được deliver theo thứ tự
+ * -  Consumer offsets lưu trong Cassandra (event_consumer_offsets)
+ * -  Replay từ một thời điểm / event ID
+ * -  Pull API (GET /events) cho consumers tự đọc stream
+ * 
+ * Author: Distributed System Team
+ * Version: 2.0.0
+ * =============================================================================
+ */
+
+const express = require('express');
+const axios = require('axios');
+const database = require('../database/cassandraConnection');
+const { buildReplicationCql } = require('../config/cassandraConfig');
+const { loadEventSubscribers } = require('../config/eventSubscribers');
+const {
+    positionAt,
+    positionAfter,
+    createEventStream
+} = require('../database/outbox');
+const {
+    registry,
+    upstreamUp,
+    httpMetricsMiddleware,
+    summarizeRequests,
+    sendMetrics
+} = require('../utils/metrics');
+const { tracingMiddleware } = require('../utils/tracing');
+const { consistencyMiddleware } = require('../utils/consistency');
+const logger = require('../utils/logger');
+
+/**
+ * Tạo Express app của Event Relay (không listen, không chạy relay loop,
+ * không đăng ký signal handlers)
+ * Dùng bởi main() bên dưới và bởi tests; relay loop gọi app.locals.relayTick
+ * 
+ * @param {Object} config
+ * @param {number} config.port - Port báo cáo trong /health (default: 3005)
+ * @param {Array<Object>} config.subscribers - [{ name, url }] (default: EVENT_SUBSCRIBERS)
+ * @param {Object} config.db - Database API (executeQuery, checkCassandraHealth),
+ *                             default: database/cassandraConnection
+ * @returns {express.Application} App, config đã resolve nằm trong app.locals.config
+ */
+function createApp({
+    port = 3005,
+    subscribers = loadEventSubscribers(),
+    db = database
+} = {}) {
+    const { checkCassandraHealth } = db;
+    const { readEvents, getOffset, saveOffset } = createEventStream(db);
+    
+    // =============================================================================
+    // EXPRESS APP CONFIGURATION
+    // =============================================================================
+    
+    const app = express();
+    
+    /**
+     * Cấu hình relay
+     * - EVENT_RELAY_INTERVAL_MS: chu kỳ poll outbox
+     * - EVENT_RELAY_BATCH_SIZE: số events tối đa mỗi lần poll cho một consumer
+     * - EVENT_RELAY_SETTLE_MS: chỉ deliver events cũ hơn khoảng này (tránh bỏ sót batch commit muộn)
+     * - EVENT_DELIVERY_TIMEOUT_MS: timeout cho mỗi lần POST tới subscriber
+     * - EVENT_RETRY_BASE_MS / EVENT_RETRY_MAX_MS: exponential backoff khi deliver lỗi
+     */
+    const RELAY_INTERVAL_MS = parseInt(process.env.EVENT_RELAY_INTERVAL_MS, 10) || 1000;
+    const RELAY_BATCH_SIZE = parseInt(process.env.EVENT_RELAY_BATCH_SIZE, 10) || 100;
+    const RELAY_SETTLE_MS = parseInt(process.env.EVENT_RELAY_SETTLE_MS, 10) || 2000;
+    const DELIVERY_TIMEOUT_MS = parseInt(process.env.EVENT_DELIVERY_TIMEOUT_MS, 10) || 5000;
+    const RETRY_BASE_MS = parseInt(process.env.EVENT_RETRY_BASE_MS, 10) || 1000;
+    const RETRY_MAX_MS = parseInt(process.env.EVENT_RETRY_MAX_MS, 10) || 60000;
+    
+    /**
+     * State trong memory của mỗi consumer
+     * generation tăng mỗi lần replay để vòng deliver đang chạy không ghi đè offset mới
+     */
+    const consumers = new Map(subscribers.map(({ name, url }) => [name, {
+        name,
+        url,
+        running: false,
+        generation: 0,
+        failures: 0,
+        nextAttemptAt: 0,
+        lastError: null,
+        lastDeliveredAt: null
+    }]));
+    
+    const eventsDelivered = registry.counter(
+        'events_delivered_total',
+        'Domain events delivered to subscribers',
+        ['consumer', 'type']
+    );
+    
+    const eventDeliveryFailures = registry.counter(
+        'event_delivery_failures_total',
+        'Failed domain event deliveries (retried with backoff)',
+        ['consumer']
+    );
+    
+    app.locals.config = {
+        port,
+        subscribers: [...consumers.values()].map(({ name, url }) => ({ name, url })),
+        relayIntervalMs: RELAY_INTERVAL_MS,
+        relayBatchSize: RELAY_BATCH_SIZE,
+        relaySettleMs: RELAY_SETTLE_MS
+    };
+    
+    // Middleware tạo trace context (traceparent / x-request-id) cho mỗi request
+    app.use(tracingMiddleware('event-relay'));
+    
+    // Consistency level theo request (header X-Consistency-Level), levels đã dùng trả về trong response header
+    app.use(consistencyMiddleware());
+    
+    // Middleware để parse JSON request body
+    app.use(express.json());
+    
+    // Log mỗi request kèm requestId/traceId (logger tự gắn trace context)
+    app.use((req, res, next) => {
+        logger.info('Incoming request', { service: 'event-relay', method: req.method, url: req.originalUrl });
+        next();
+    });
+    
+    // Middleware đo request count và latency cho GET /metrics
+    app.use(httpMetricsMiddleware('event-relay'));
+    
+    // =============================================================================
+    // HEALTH CHECK ENDPOINT
+    // =============================================================================
+    
+    /**
+     * Health Check Endpoint
+     * Kiểm tra trạng thái service và database connection
+     * 
+     * GET /health
+     */
+    app.get('/health', async (req, res) => {
+        try {
+            console.log('🔍 Health check request received');
+            
+            // Kiểm tra database health
+            const isDatabaseHealthy = await checkCassandraHealth();
+            
+            const healthStatus = {
+                status: isDatabaseHealthy ? 'ok' : 'degraded',
+                service: 'event-relay',
+                port: port,
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                database: isDatabaseHealthy ? 'cassandra-connected' : 'cassandra-disconnected',
+                cluster_health: isDatabaseHealthy,
+                consumers: consumers.size,
+                version: '2.0.0'
+            };
+            
+            console.log('✅ Health check completed:', healthStatus.status);
+            
+            // Return appropriate HTTP status
+            const statusCode = isDatabaseHealthy ? 200 : 503;
+            res.status(statusCode).json(healthStatus);
+            
+        } catch (error) {
+            console.error('❌ Health check failed:', error.message);
+            
+            res.status(503).json({
+                status: 'error',
+                service: 'event-relay',
+                port: port,
+                timestamp: new Date().toISOString(),
+                error: error.message
+            });
+        }
+    });
+    
+    /**
+     * Metrics Endpoint
+     * Request metrics + events_delivered_total / event_delivery_failures_total
+     * 
+     * GET /metrics
+     * - Default: JSON
+     * - /metrics?format=prometheus hoặc header Accept: text/plain -> Prometheus text format
+     */
+    app.get('/metrics', async (req, res) => {
+        try {
+            console.log('📈 Metrics request received');
+            
+            // Refresh Cassandra health gauge trước khi render
+            const isDatabaseHealthy = await checkCassandraHealth();
+            upstreamUp.set({ upstream: 'cassandra' }, isDatabaseHealthy ? 1 : 0);
+            
+            sendMetrics(req, res, () => ({
+                timestamp: new Date().toISOString(),
+                service: 'event-relay',
+                process: {
+                    uptime: process.uptime(),
+                    pid: process.pid,
+                    memory: process.memoryUsage(),
+                    cpu: process.cpuUsage()
+                },
+                requests: summarizeRequests(),
+                services: {
+                    cassandra: isDatabaseHealthy ? 'healthy' : 'unhealthy'
+                },
+                breakdown: registry.toJSON()
+            }));
+            
+        } catch (error) {
+            console.error('❌ Error collecting metrics:', error.message);
+            res.status(500).json({
+                error: 'Failed to collect metrics',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+    
+    // =============================================================================
+    // RELAY LOOP
+    // =============================================================================
+    
+    /**
+     * Parse vị trí đọc stream từ request
+     * - from: ISO timestamp (bao gồm events tại thời điểm đó)
+     * - after: event ID (exclusive)
+     * 
+     * @param {Object} source - req.query hoặc req.body
+     * @returns {{bucket: string, eventId: string}|null} null = từ đầu stream
+     * @throws {RangeError} Nếu from / after không hợp lệ
+     */
+    function parsePosition(source) {
+        if (source.after) {
+            try {
+                return positionAfter(String(source.after));
+            } catch (error) {
+                throw new RangeError(`Invalid event ID: ${source.after}`);
+            }
+        }
+        if (source.from) {
+            const date = new Date(source.from);
+            if (isNaN(date.getTime())) {
+                throw new RangeError(`Invalid timestamp: ${source.from}`);
+            }
+            return positionAt(date);
+        }
+        return null;
+    }
+    
+    /**
+     * POST một event tới subscriber
+     * Subscriber phải idempotent theo X-Event-Id (at-least-once: event có thể được gửi lại)
+     * 
+     * @param {Object} consumer - State của consumer
+     * @param {Object} event - Event (formatEvent)
+     * @throws {Error} Khi subscriber không trả về 2xx
+     */
+    async function deliver(consumer, event) {
+        const { bucket, ...body } = event;
+        await axios.post(consumer.url, body, {
+            timeout: DELIVERY_TIMEOUT_MS,
+            headers: {
+                'X-Event-Id': event.id,
+                'X-Event-Type': event.type,
+                'X-Event-Consumer': consumer.name
+            }
+        });
+    }
+    
+    /**
+     * Deliver các events mới cho một consumer, theo thứ tự
+     * Dừng ở event lỗi đầu tiên (không bỏ qua để giữ thứ tự) và retry với backoff
+     * 
+     * @param {Object} consumer - State của consumer
+     */
+    async function relayConsumer(consumer) {
+        consumer.running = true;
+        const generation = consumer.generation;
+        
+        try {
+            const offset = await getOffset(consumer.name);
+            const events = await readEvents({
+                after: offset,
+                limit: RELAY_BATCH_SIZE,
+                until: new Date(Date.now() - RELAY_SETTLE_MS)
+            });
+            
+            for (const event of events) {
+                await deliver(consumer, event);
+                
+                // Replay trong lúc đang deliver: bỏ vòng này, lần poll sau đọc từ offset mới
+                if (consumer.generation !== generation) {
+                    return;
+                }
+                await saveOffset(consumer.name, { bucket: event.bucket, eventId: event.id });
+                
+                eventsDelivered.inc({ consumer: consumer.name, type: event.type });
+                consumer.lastDeliveredAt = new Date().toISOString();
+            }
+            
+            consumer.failures = 0;
+            consumer.nextAttemptAt = 0;
+            consumer.lastError = null;
+            
+        } catch (error) {
+            consumer.failures++;
+            const backoff = Math.min(RETRY_BASE_MS * 2 ** (consumer.failures - 1), RETRY_MAX_MS);
+            consumer.nextAttemptAt = Date.now() + backoff;
+            consumer.lastError = {
+                message: error.response ? `HTTP ${error.response.status}` : error.message,
+                at: new Date().toISOString()
+            };
+            eventDeliveryFailures.inc({ consumer: consumer.name });
+            console.error(`❌ Relay to ${consumer.name} failed (attempt ${consumer.failures}, retry in ${backoff}ms):`, consumer.lastError.message);
+            
+        } finally {
+            consumer.running = false;
+        }
+    }
+    
+    /**
+     * Một vòng poll: chạy relay cho các consumers đang rảnh và hết thời gian backoff
+     */
+    function relayTick() {
+        const now = Date.now();
+        consumers.forEach(consumer => {
+            if (!consumer.running && consumer.nextAttemptAt <= now) {
+                relayConsumer(consumer);
+            }
+        });
+    }
+    app.locals.relayTick = relayTick;
+    
+    // =============================================================================
+    // EVENT STREAM & CONSUMER ENDPOINTS
+    // =============================================================================
+    
+    /**
+     * Đọc Domain Events (pull API)
+     * 
+     * GET /events
+     * Query params (optional):
+     * - from: ISO timestamp, đọc từ thời điểm này
+     * - after: event ID, đọc các events sau event này (dùng nextAfter của response trước)
+     * - limit: Số events tối đa (default: 100, max: 1000)
+     * 
+     * Response: { events: [...], count, nextAfter }
+     */
+    app.get('/events', async (req, res) => {
+        try {
+            console.log('📜 Read events - Request received:', req.query);
+            
+            const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+            const events = await readEvents({
+                after: parsePosition(req.query),
+                limit,
+                until: new Date(Date.now() - RELAY_SETTLE_MS)
+            });
+            
+            res.json({
+                events: events.map(({ bucket, ...event }) => event),
+                count: events.length,
+                nextAfter: events.length > 0 ? events[events.length - 1].id : (req.query.after || null),
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            if (error instanceof RangeError) {
+                console.log('❌ Validation failed:', error.message);
+                return res.status(400).json({ error: error.message });
+            }
+            
+            console.error('❌ Error reading events:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi đọc events',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Danh Sách Consumers Kèm Offset
+     * 
+     * GET /consumers
+     */
+    app.get('/consumers', async (req, res) => {
+        try {
+            console.log('📋 List consumers - Request received');
+            
+            const result = await Promise.all([...consumers.values()].map(async consumer => ({
+                name: consumer.name,
+                url: consumer.url,
+                offset: await getOffset(consumer.name),
+                failures: consumer.failures,
+                lastError: consumer.lastError,
+                lastDeliveredAt: consumer.lastDeliveredAt,
+                nextAttemptAt: consumer.nextAttemptAt ? new Date(consumer.nextAttemptAt).toISOString() : null
+            })));
+            
+            res.json({
+                consumers: result,
+                count: result.length,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error listing consumers:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi lấy danh sách consumers',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Replay Events Cho Consumer
+     * Đặt lại offset; các events từ vị trí mới được deliver lại theo thứ tự
+     * 
+     * POST /consumers/:name/replay
+     * Body (một trong các field):
+     * - { "from": "2024-01-01T00:00:00.000Z" }  -> từ thời điểm (inclusive)
+     * - { "after": "<event id>" }                -> sau event (exclusive)
+     * - {}                                       -> từ đầu stream
+     */
+    app.post('/consumers/:name/replay', async (req, res) => {
+        try {
+            const consumer = consumers.get(req.params.name);
+            console.log('⏪ Replay - Request received:', req.params.name, req.body);
+            
+            if (!consumer) {
+                return res.status(404).json({
+                    error: 'Consumer không tồn tại',
+                    consumer: req.params.name,
+                    available_consumers: [...consumers.keys()]
+                });
+            }
+            
+            const position = parsePosition(req.body || {});
+            
+            consumer.generation++;
+            await saveOffset(consumer.name, position);
+            consumer.failures = 0;
+            consumer.nextAttemptAt = 0;
+            
+            console.log('✅ Consumer offset reset:', consumer.name, position);
+            
+            res.json({
+                consumer: consumer.name,
+                offset: position,
+                message: 'Consumer sẽ nhận lại events từ vị trí mới',
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            if (error instanceof RangeError) {
+                console.log('❌ Validation failed:', error.message);
+                return res.status(400).json({ error: error.message });
+            }
+            
+            console.error('❌ Error replaying events:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi replay events',
+                details: error.message
+            });
+        }
+    });
+    
+    return app;
+}
+
+// =============================================================================
+// SERVER STARTUP & SHUTDOWN HANDLERS
+// =============================================================================
+
+/**
+ * Chạy Event Relay như một process độc lập (npm run start:relay)
+ */
+function main() {
+    const app = createApp();
+    const { port, subscribers, relayIntervalMs, relayBatchSize, relaySettleMs } = app.locals.config;
+    const { initializeDatabase, closeConnection, cassandraConfig } = database;
+    
+    let relayTimer = null;
+    
+    /**
+     * Graceful Shutdown Handler
+     * Dừng relay loop và đóng kết nối database khi server shutdown
+     */
+    process.on('SIGINT', async () => {
+        console.log('\n🛑 SIGINT received. Shutting down gracefully...');
+        
+        try {
+            clearInterval(relayTimer);
+            await closeConnection();
+            console.log('✅ Event Relay shutdown completed');
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Error during shutdown:', error.message);
+            process.exit(1);
+        }
+    });
+    
+    process.on('SIGTERM', async () => {
+        console.log('\n🛑 SIGTERM received. Shutting down gracefully...');
+        
+        try {
+            clearInterval(relayTimer);
+            await closeConnection();
+            console.log('✅ Event Relay shutdown completed');
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Error during shutdown:', error.message);
+            process.exit(1);
+        }
+    });
+    
+    /**
+     * Khởi Động Server
+     * 
+     * Sequence:
+     * 1. Initialize Cassandra database
+     * 2. Start relay loop
+     * 3. Log startup information
+     */
+    app.listen(port, async () => {
+        try {
+            console.log('\n' + '='.repeat(80));
+            console.log('🚀 EVENT RELAY STARTING...');
+            console.log('='.repeat(80));
+            
+            // Step 1: Initialize database
+            console.log('📊 Step 1: Initializing Cassandra database...');
+            await initializeDatabase();
+            
+            // Step 2: Start relay loop
+            console.log('📮 Step 2: Starting relay loop...');
+            relayTimer = setInterval(app.locals.relayTick, relayIntervalMs);
+            
+            // Step 3: Log startup success
+            console.log('\n✅ EVENT RELAY STARTED SUCCESSFULLY!');
+            console.log('📊 Service Information:');
+            console.log('   - Service: Event Relay');
+            console.log('   - Port:', port);
+            console.log('   - Version: 2.0.0');
+            console.log('   - Node.js:', process.version);
+            console.log('   - Environment:', process.env.NODE_ENV || 'development');
+            console.log('   - Uptime: 0s');
+            
+            console.log('\n🔗 Available Endpoints:');
+            console.log('   - GET    /health                  - Health check');
+            console.log('   - GET    /metrics                 - Request & delivery metrics');
+            console.log('   - GET    /events                  - Đọc domain events (from / after / limit)');
+            console.log('   - GET    /consumers               - Consumers kèm offset');
+            console.log('   - POST   /consumers/:name/replay  - Replay events cho consumer');
+            
+            console.log('\n📮 Subscribers:');
+            if (subscribers.length === 0) {
+                console.log('   - (none, cấu hình qua EVENT_SUBSCRIBERS)');
+            }
+            subscribers.forEach(subscriber => console.log(`   - ${subscriber.name}: ${subscriber.url}`));
+            console.log('   - Poll interval:', relayIntervalMs, 'ms, batch:', relayBatchSize, ', settle:', relaySettleMs, 'ms');
+            
+            console.log('\n🗄️  Database Information:');
+            console.log('   - Database: Apache Cassandra');
+            console.log('   - Contact points:', cassandraConfig.contactPoints.join(', '));
+            console.log('   - Local DC:', cassandraConfig.localDataCenter);
+            console.log('   - Keyspace:', cassandraConfig.keyspace);
+            console.log('   - Replication:', buildReplicationCql(cassandraConfig.replication));
+            console.log('   - Tables: outbox_events, outbox_buckets, event_consumer_offsets');
+            
+            console.log('\n' + '='.repeat(80));
+            console.log('🎉 Ready to relay events!');
+            console.log('='.repeat(80) + '\n');
+            
+        } catch (error) {
+            console.error('\n💥 STARTUP FAILED!');
+            console.error('❌ Error:', error.message);
+            console.error('📝 Stack trace:', error.stack);
+            console.error('\n🛑 Shutting down due to startup failure...');
+            process.exit(1);
+        }
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    createApp
+};
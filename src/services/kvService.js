@@ -0,0 +1,893 @@
+/**
+ * =============================================================================
+ * KV SERVICE - DISTRIBUTED MICROSERVICE
+ * =============================================================================
+ * 
+ * Generic versioned key-value store trên table distributed_storage.data (RF=3)
+ * Chạy trên port 3007, dùng cho shared config và feature data giữa các team
+ * 
+ * Features:
+ * -  GET / PUT / DELETE theo key, value là JSON bất kỳ
+ * -  TTL theo từng key (seconds)
+ * -  Mỗi key có version, mọi thay đổi dùng lightweight transaction
+ * -  Compare-and-set qua If-Match (version) và If-None-Match: * (chỉ tạo mới)
+ * -  Prefix listing theo directory của key ('/'), cursor pagination
+ * -  Consistency level theo từng request (?consistency=QUORUM)
+ * 
+ * Author: Distributed System Team
+ * Version: 2.0.0
+ * =============================================================================
+ */
+
+const express = require('express');
+const database = require('../database/cassandraConnection');
+const { buildReplicationCql } = require('../config/cassandraConfig');
+const { isDirectory, bucketFor, indexEntries, entryContaining } = require('../database/kvKeys');
+const {
+    registry,
+    upstreamUp,
+    httpMetricsMiddleware,
+    summarizeRequests,
+    sendMetrics
+} = require('../utils/metrics');
+const { tracingMiddleware } = require('../utils/tracing');
+const {
+    InvalidPageTokenError,
+    parsePageParams,
+    encodePageToken
+} = require('../utils/pagination');
+const {
+    InvalidConsistencyError,
+    parseConsistency,
+    resolveConsistency,
+    consistencyMiddleware
+} = require('../utils/consistency');
+const logger = require('../utils/logger');
+
+/**
+ * Tạo Express app của KV Service (không listen, không đăng ký signal handlers)
+ * Dùng bởi main() bên dưới và bởi tests
+ * 
+ * @param {Object} config
+ * @param {number} config.port - Port báo cáo trong /health (default: 3007)
+ * @param {Object} config.db - Database API (executeQuery, checkCassandraHealth),
+ *                             default: database/cassandraConnection
+ * @param {string} config.keyspace - Keyspace chứa data / data_keys
+ *                                   (default: cassandraConfig.kvKeyspace)
+ * @returns {express.Application} App, config đã resolve nằm trong app.locals.config
+ */
+function createApp({ port = 3007, db = database, keyspace = database.cassandraConfig.kvKeyspace } = {}) {
+    const { executeQuery, checkCassandraHealth } = db;
+    const DATA_TABLE = `${keyspace}.data`;
+    const KEYS_TABLE = `${keyspace}.data_keys`;
+    
+    // =============================================================================
+    // EXPRESS APP CONFIGURATION
+    // =============================================================================
+    
+    const app = express();
+    
+    /**
+     * Cấu hình KV Service
+     * - KV_READ_CONSISTENCY / KV_WRITE_CONSISTENCY: level mặc định khi request không chỉ định
+     * - KV_LWT_MAX_ATTEMPTS: số lần retry PUT không có If-Match khi key bị ghi đồng thời
+     * - KV_MAX_KEY_LENGTH / KV_MAX_VALUE_BYTES: giới hạn kích thước key và value (JSON)
+     */
+    const DEFAULT_READ_CONSISTENCY = parseConsistency(process.env.KV_READ_CONSISTENCY || 'LOCAL_QUORUM', 'read').name;
+    const DEFAULT_WRITE_CONSISTENCY = parseConsistency(process.env.KV_WRITE_CONSISTENCY || 'LOCAL_QUORUM', 'write').name;
+    const KV_LWT_MAX_ATTEMPTS = parseInt(process.env.KV_LWT_MAX_ATTEMPTS, 10) || 5;
+    const KV_MAX_KEY_LENGTH = parseInt(process.env.KV_MAX_KEY_LENGTH, 10) || 256;
+    const KV_MAX_VALUE_BYTES = parseInt(process.env.KV_MAX_VALUE_BYTES, 10) || 65536;
+    
+    app.locals.config = {
+        port,
+        keyspace,
+        readConsistency: DEFAULT_READ_CONSISTENCY,
+        writeConsistency: DEFAULT_WRITE_CONSISTENCY
+    };
+    
+    /**
+     * Code point lớn nhất, dùng làm cận trên cho range query theo prefix
+     */
+    const MAX_CODE_POINT = '\u{10FFFF}';
+    
+    // Middleware tạo trace context (traceparent / x-request-id) cho mỗi request
+    app.use(tracingMiddleware('kv-service'));
+    
+    // Consistency level theo request (header X-Consistency-Level), levels đã dùng trả về trong response header
+    app.use(consistencyMiddleware());
+    
+    // Middleware để parse JSON request body (value có thể lớn hơn default 100kb)
+    app.use(express.json({ limit: KV_MAX_VALUE_BYTES * 2 }));
+    
+    // Log mỗi request kèm requestId/traceId (logger tự gắn trace context)
+    app.use((req, res, next) => {
+        logger.info('Incoming request', { service: 'kv-service', method: req.method, url: req.originalUrl });
+        next();
+    });
+    
+    // Middleware đo request count và latency cho GET /metrics
+    app.use(httpMetricsMiddleware('kv-service'));
+    
+    // =============================================================================
+    // HEALTH CHECK ENDPOINT
+    // =============================================================================
+    
+    /**
+     * Health Check Endpoint
+     * Kiểm tra trạng thái service và database connection
+     * 
+     * GET /health
+     */
+    app.get('/health', async (req, res) => {
+        try {
+            console.log('🔍 Health check request received');
+            
+            // Kiểm tra database health
+            const isDatabaseHealthy = await checkCassandraHealth();
+            
+            const healthStatus = {
+                status: isDatabaseHealthy ? 'ok' : 'degraded',
+                service: 'kv-service',
+                port: port,
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                database: isDatabaseHealthy ? 'cassandra-connected' : 'cassandra-disconnected',
+                cluster_health: isDatabaseHealthy,
+                version: '2.0.0'
+            };
+            
+            console.log('✅ Health check completed:', healthStatus.status);
+            
+            // Return appropriate HTTP status
+            const statusCode = isDatabaseHealthy ? 200 : 503;
+            res.status(statusCode).json(healthStatus);
+            
+        } catch (error) {
+            console.error('❌ Health check failed:', error.message);
+            
+            res.status(503).json({
+                status: 'error',
+                service: 'kv-service',
+                port: port,
+                timestamp: new Date().toISOString(),
+                error: error.message
+            });
+        }
+    });
+    
+    /**
+     * Metrics Endpoint
+     * Request counters/latency theo route, method, status và Cassandra query latency
+     * 
+     * GET /metrics
+     * - Default: JSON
+     * - /metrics?format=prometheus hoặc header Accept: text/plain -> Prometheus text format
+     */
+    app.get('/metrics', async (req, res) => {
+        try {
+            console.log('📈 Metrics request received');
+            
+            // Refresh Cassandra health gauge trước khi render
+            const isDatabaseHealthy = await checkCassandraHealth();
+            upstreamUp.set({ upstream: 'cassandra' }, isDatabaseHealthy ? 1 : 0);
+            
+            sendMetrics(req, res, () => ({
+                timestamp: new Date().toISOString(),
+                service: 'kv-service',
+                process: {
+                    uptime: process.uptime(),
+                    pid: process.pid,
+                    memory: process.memoryUsage(),
+                    cpu: process.cpuUsage()
+                },
+                requests: summarizeRequests(),
+                services: {
+                    cassandra: isDatabaseHealthy ? 'healthy' : 'unhealthy'
+                },
+                breakdown: registry.toJSON()
+            }));
+            
+        } catch (error) {
+            console.error('❌ Error collecting metrics:', error.message);
+            res.status(500).json({
+                error: 'Failed to collect metrics',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+    
+    // =============================================================================
+    // KV HELPERS
+    // =============================================================================
+    
+    /**
+     * Error khi request không hợp lệ (key, value, ttl, If-Match, ...), map sang HTTP 400
+     */
+    class KvValidationError extends Error {
+        constructor(message, details = {}) {
+            super(message);
+            this.name = 'KvValidationError';
+            this.details = details;
+        }
+    }
+    
+    /**
+     * Kiểm tra key hợp lệ
+     * 
+     * @param {string} key - Key (đã decode từ URL)
+     * @throws {KvValidationError} Khi key rỗng, quá dài hoặc kết thúc bằng '/'
+     */
+    function validateKey(key) {
+        if (!key || key.length > KV_MAX_KEY_LENGTH) {
+            throw new KvValidationError(`key phải có từ 1 đến ${KV_MAX_KEY_LENGTH} ký tự`, { key });
+        }
+        // Entry kết thúc bằng '/' trong data_keys là directory marker
+        if (isDirectory(key)) {
+            throw new KvValidationError('key không được kết thúc bằng "/"', { key });
+        }
+    }
+    
+    /**
+     * Options cho executeQuery với consistency level của request
+     * Thứ tự ưu tiên: ?consistency= > header X-Consistency-Level > default của KV Service
+     * 
+     * @param {Object} req - Express request (?consistency=)
+     * @param {string} operation - 'read' hoặc 'write'
+     * @returns {Object} { name, options } - Tên level và query options
+     * @throws {InvalidConsistencyError} Khi ?consistency= không hợp lệ cho operation
+     */
+    function consistencyOptions(req, operation) {
+        const { name, value } = req.query.consistency
+            ? parseConsistency(req.query.consistency, operation)
+            : resolveConsistency(operation, { read: DEFAULT_READ_CONSISTENCY, write: DEFAULT_WRITE_CONSISTENCY });
+        return { name, options: { prepare: true, consistency: value } };
+    }
+    
+    /**
+     * Parse version từ header If-Match: "3", 3 hoặc W/"3"
+     * 
+     * @param {string} header - Giá trị header
+     * @returns {number|undefined} Version, undefined nếu không có header
+     * @throws {KvValidationError} Khi header không phải version hợp lệ
+     */
+    function parseIfMatch(header) {
+        if (header === undefined) {
+            return undefined;
+        }
+        const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+        if (!match) {
+            throw new KvValidationError('If-Match phải là version của key, ví dụ "3"', { if_match: header });
+        }
+        return parseInt(match[1], 10);
+    }
+    
+    /**
+     * Parse TTL (seconds) từ body; 0 hoặc không có = không hết hạn
+     * 
+     * @param {*} ttl - Giá trị từ request body
+     * @returns {number} TTL seconds
+     * @throws {KvValidationError} Khi ttl không phải số nguyên không âm
+     */
+    function parseTtl(ttl) {
+        if (ttl === undefined || ttl === null) {
+            return 0;
+        }
+        if (!Number.isInteger(ttl) || ttl < 0) {
+            throw new KvValidationError('ttl phải là số nguyên không âm (seconds)', { ttl });
+        }
+        return ttl;
+    }
+    
+    /**
+     * Version của row; rows ghi trước migration 013 không có version -> 0
+     * 
+     * @param {Object} row - Row của table data
+     * @returns {number}
+     */
+    function versionOf(row) {
+        return row.version ? row.version.toNumber() : 0;
+    }
+    
+    /**
+     * Điều kiện LWT cho version mong đợi
+     * Version 0 = row cũ có cột version null; value != null để key không tồn tại
+     * không thỏa điều kiện
+     * 
+     * @param {number} version
+     * @returns {Object} { cql, params }
+     */
+    function versionCondition(version) {
+        return version === 0
+            ? { cql: 'IF value != null AND version = null', params: [] }
+            : { cql: 'IF version = ?', params: [version] };
+    }
+    
+    /**
+     * Version hiện tại sau một LWT không được áp dụng
+     * Row trả về không phân biệt key không tồn tại với row cũ có version null,
+     * khi đó đọc lại key
+     * 
+     * @param {string} key - Key
+     * @param {Object} row - Row trả về của LWT ([applied] = false)
+     * @param {Object} options - Query options (consistency)
+     * @returns {Promise<number|null>} Version, null nếu key không tồn tại
+     */
+    async function versionAfterConflict(key, row, options) {
+        if (row.version) {
+            return row.version.toNumber();
+        }
+        const current = await readEntry(key, options);
+        return current && current.value !== null ? versionOf(current) : null;
+    }
+    
+    /**
+     * Value trong response: JSON, rows cũ có thể là text thường
+     * 
+     * @param {string} value - Cột value
+     * @returns {*}
+     */
+    function parseValue(value) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    }
+    
+    /**
+     * Format row thành response object
+     * 
+     * @param {Object} row - Row của table data (kèm cột ttl = TTL(value))
+     * @returns {Object} { key, value, version, ttl, expires_at, created_at, updated_at }
+     */
+    function formatEntry(row) {
+        const ttl = row.ttl === null || row.ttl === undefined ? null : row.ttl;
+        return {
+            key: row.key,
+            value: parseValue(row.value),
+            version: versionOf(row),
+            ttl,
+            expires_at: ttl === null ? null : new Date(Date.now() + ttl * 1000).toISOString(),
+            created_at: row.created_at ? row.created_at.toISOString() : null,
+            updated_at: row.updated_at ? row.updated_at.toISOString() : null
+        };
+    }
+    
+    /**
+     * Đọc một entry
+     * 
+     * @param {string} key - Key
+     * @param {Object} options - Query options (consistency)
+     * @returns {Promise<Object|null>} Row, null nếu không tồn tại / đã hết hạn
+     */
+    async function readEntry(key, options) {
+        const result = await executeQuery(
+            `SELECT key, value, version, created_at, updated_at, TTL(value) AS ttl
+             FROM ${DATA_TABLE} WHERE key = ?`,
+            [key],
+            options
+        );
+        return result.rows[0] || null;
+    }
+    
+    /**
+     * Ghi key vào index data_keys: entry của key cùng TTL với value, markers của các
+     * directories cha không có TTL (directory có thể còn keys khác không hết hạn)
+     * 
+     * @param {string} key - Key
+     * @param {number} ttl - TTL seconds của entry
+     * @param {Object} options - Query options (consistency)
+     */
+    async function indexKey(key, ttl, options) {
+        const [entry, ...directories] = indexEntries(key);
+        await Promise.all([
+            executeQuery(`INSERT INTO ${KEYS_TABLE} (bucket, key) VALUES (?, ?) USING TTL ?`, [entry.bucket, entry.key, ttl], options),
+            ...directories.map(directory => executeQuery(
+                `INSERT INTO ${KEYS_TABLE} (bucket, key) VALUES (?, ?)`,
+                [directory.bucket, directory.key],
+                options
+            ))
+        ]);
+    }
+    
+    /**
+     * Ghi value cho key bằng LWT
+     * 
+     * - expectedVersion = null: chỉ tạo mới (INSERT ... IF NOT EXISTS)
+     * - expectedVersion = số:   chỉ ghi khi version hiện tại khớp (UPDATE ... IF version = ?)
+     * - expectedVersion = undefined: ghi đè, đọc version hiện tại rồi CAS, retry khi conflict
+     * 
+     * Mọi cột được ghi lại cùng TTL để cả row hết hạn cùng lúc.
+     * Version 0 (row cũ chưa có version) được so sánh bằng IF version = null.
+     * 
+     * @param {string} key - Key
+     * @param {string} value - Value đã serialize (JSON)
+     * @param {Object} options - { ttl, expectedVersion, queryOptions }
+     * @returns {Promise<Object>} { applied, created, version } hoặc { applied: false, reason, currentVersion }
+     */
+    async function writeEntry(key, value, { ttl, expectedVersion, queryOptions }) {
+        const attempts = expectedVersion === undefined ? KV_LWT_MAX_ATTEMPTS : 1;
+        
+        // Row hiện tại: version cho lần CAS đầu tiên và created_at để ghi lại cùng TTL
+        let current = expectedVersion === null ? null : await readEntry(key, queryOptions);
+        
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            const now = new Date();
+            const createNew = expectedVersion === null || (expectedVersion === undefined && !current);
+            let result;
+            let nextVersion;
+            
+            if (createNew) {
+                nextVersion = 1;
+                result = await executeQuery(
+                    `INSERT INTO ${DATA_TABLE} (key, value, version, created_at, updated_at)
+                     VALUES (?, ?, ?, ?, ?) IF NOT EXISTS USING TTL ?`,
+                    [key, value, nextVersion, now, now, ttl],
+                    queryOptions
+                );
+            } else {
+                const currentVersion = expectedVersion === undefined ? versionOf(current) : expectedVersion;
+                const condition = versionCondition(currentVersion);
+                nextVersion = currentVersion + 1;
+                result = await executeQuery(
+                    `UPDATE ${DATA_TABLE} USING TTL ? SET value = ?, version = ?, created_at = ?, updated_at = ?
+                     WHERE key = ? ${condition.cql}`,
+                    [ttl, value, nextVersion, current && current.created_at ? current.created_at : now, now, key, ...condition.params],
+                    queryOptions
+                );
+            }
+            
+            const row = result.rows[0];
+            if (row['[applied]']) {
+                await indexKey(key, ttl, queryOptions);
+                return { applied: true, created: createNew, version: nextVersion };
+            }
+            
+            // Not applied: Cassandra trả về row hiện tại (nếu có) kèm [applied] = false
+            if (expectedVersion !== undefined) {
+                return { applied: false, reason: 'version_mismatch', currentVersion: await versionAfterConflict(key, row, queryOptions) };
+            }
+            
+            console.log(`🔁 Key ${key} changed concurrently, retrying (${attempt}/${attempts})`);
+            current = await readEntry(key, queryOptions);
+        }
+        
+        return { applied: false, reason: 'contention' };
+    }
+    
+    /**
+     * Duyệt keys của một bucket theo thứ tự clustering, đi vào directory markers:
+     * keys của directory 'a/' đứng ngay sau marker 'a/' theo thứ tự string, nên
+     * keys được trả về theo thứ tự string trên toàn bộ index
+     * 
+     * @param {string} bucket - Bucket cần duyệt
+     * @param {string} lower - Cận dưới (>=) của entries trong bucket
+     * @param {string} upper - Cận trên (<)
+     * @param {string|undefined} after - Cursor: chỉ trả về keys lớn hơn key này
+     * @param {Object} options - Query options (consistency, fetchSize)
+     * @returns {AsyncGenerator<string>} Keys
+     */
+    async function* walkKeys(bucket, lower, upper, after, options) {
+        // Bỏ qua các entries đứng trước entry chứa cursor
+        const resumeAt = after ? entryContaining(bucket, after) : null;
+        const start = resumeAt && resumeAt > lower ? resumeAt : lower;
+        
+        let pageState;
+        do {
+            const result = await executeQuery(
+                `SELECT key FROM ${KEYS_TABLE} WHERE bucket = ? AND key >= ? AND key < ?`,
+                [bucket, start, upper],
+                pageState ? { ...options, pageState } : options
+            );
+            for (const { key } of result.rows) {
+                if (isDirectory(key)) {
+                    yield* walkKeys(key, key, key + MAX_CODE_POINT, after, options);
+                } else if (!after || key > after) {
+                    yield key;
+                }
+            }
+            pageState = result.pageState;
+        } while (pageState);
+    }
+    
+    /**
+     * Response cho các lỗi validation / consistency / pageToken (400)
+     * 
+     * @param {Error} error - Error bắt được trong route handler
+     * @param {Object} res - Express response
+     * @returns {boolean} true nếu error đã được xử lý
+     */
+    function handleClientError(error, res) {
+        if (error instanceof KvValidationError) {
+            console.log('❌ Validation failed:', error.message);
+            res.status(400).json({ error: error.message, ...error.details });
+            return true;
+        }
+        if (error instanceof InvalidConsistencyError) {
+            console.log('❌ Validation failed:', error.message);
+            res.status(400).json({ error: error.message, allowed: error.allowed });
+            return true;
+        }
+        if (error instanceof InvalidPageTokenError) {
+            console.log('❌ Validation failed:', error.message);
+            res.status(400).json({ error: error.message });
+            return true;
+        }
+        return false;
+    }
+    
+    // =============================================================================
+    // KV OPERATIONS
+    // =============================================================================
+    
+    /**
+     * Liệt Kê Keys Theo Prefix
+     * 
+     * GET /kv?prefix=config/&limit=&pageToken=&consistency=
+     * - prefix: bắt buộc, ít nhất một ký tự; keys theo thứ tự string, kể cả keys
+     *   trong các directories con ('config/' trả về cả 'config/checkout/limits')
+     * - Keys đã hết hạn hoặc bị xóa không xuất hiện trong kết quả
+     * - pageToken: key cuối cùng của trang trước
+     */
+    app.get('/kv', async (req, res) => {
+        try {
+            const prefix = req.query.prefix;
+            console.log('📋 List keys by prefix - Request received:', prefix);
+            
+            if (typeof prefix !== 'string' || prefix === '') {
+                throw new KvValidationError('prefix là bắt buộc', { provided_prefix: prefix === undefined ? null : prefix });
+            }
+            
+            const { name: consistency, options } = consistencyOptions(req, 'read');
+            const resource = `kv:${prefix}`;
+            const page = parsePageParams(req.query, resource, { maxLimit: 100 });
+            
+            // Cursor là key cuối cùng đã trả về, encode hex như paging state
+            const after = page.pageState ? Buffer.from(page.pageState, 'hex').toString('utf8') : undefined;
+            const keys = [];
+            let lastKey = null;
+            const walk = walkKeys(bucketFor(prefix), prefix, prefix + MAX_CODE_POINT, after, {
+                ...options,
+                fetchSize: page.limit + 1
+            });
+            for await (const key of walk) {
+                if (keys.length === page.limit) {
+                    lastKey = keys[keys.length - 1];
+                    break;
+                }
+                keys.push(key);
+            }
+            
+            // Index có thể còn key đã hết hạn / bị xóa: table data là nguồn chính xác
+            const rows = await Promise.all(keys.map(key => readEntry(key, options)));
+            const entries = rows.filter(row => row && row.value !== null).map(formatEntry);
+            
+            console.log('✅ Keys retrieved successfully. Count:', entries.length);
+            
+            res.json({
+                prefix,
+                entries,
+                count: entries.length,
+                limit: page.limit,
+                consistency,
+                nextPageToken: lastKey === null ? null : encodePageToken(Buffer.from(lastKey).toString('hex'), resource),
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            if (handleClientError(error, res)) {
+                return;
+            }
+            console.error('❌ Error listing keys:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi liệt kê keys',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+    
+    /**
+     * Lấy Value Của Key
+     * 
+     * GET /kv/:key?consistency=
+     * Response header ETag: "<version>"
+     */
+    app.get('/kv/:key', async (req, res) => {
+        try {
+            const key = req.params.key;
+            console.log('🔍 Get key - Request received:', key);
+            validateKey(key);
+            
+            const { name: consistency, options } = consistencyOptions(req, 'read');
+            const row = await readEntry(key, options);
+            if (!row || row.value === null) {
+                console.log('❌ Key not found:', key);
+                return res.status(404).json({
+                    error: 'Key không tìm thấy',
+                    key,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const entry = formatEntry(row);
+            res.set('ETag', `"${entry.version}"`);
+            res.json({ ...entry, consistency });
+            
+        } catch (error) {
+            if (handleClientError(error, res)) {
+                return;
+            }
+            console.error('❌ Error getting key:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi đọc key',
+                details: error.message,
+                key: req.params.key
+            });
+        }
+    });
+    
+    /**
+     * Ghi Value Cho Key
+     * 
+     * PUT /kv/:key?consistency=
+     * Body: { "value": <JSON bất kỳ>, "ttl": 3600 }   // ttl optional (seconds, 0 = không hết hạn)
+     * Headers (optional):
+     * - If-Match: "<version>"  -> chỉ ghi khi version hiện tại khớp, sai -> 412
+     * - If-None-Match: *       -> chỉ tạo key mới, đã tồn tại -> 412
+     * Không có header: ghi đè (vẫn qua LWT để version tăng tuần tự)
+     * 
+     * Response: 201 khi tạo mới, 200 khi cập nhật, header ETag: "<version mới>"
+     */
+    app.put('/kv/:key', async (req, res) => {
+        try {
+            const key = req.params.key;
+            console.log('✏️  Put key - Request received:', key);
+            validateKey(key);
+            
+            if (!req.body || req.body.value === undefined) {
+                throw new KvValidationError('value là bắt buộc', { required_fields: ['value'] });
+            }
+            const value = JSON.stringify(req.body.value);
+            if (Buffer.byteLength(value) > KV_MAX_VALUE_BYTES) {
+                throw new KvValidationError(`value vượt quá ${KV_MAX_VALUE_BYTES} bytes`, { size: Buffer.byteLength(value) });
+            }
+            const ttl = parseTtl(req.body.ttl);
+            
+            let expectedVersion = parseIfMatch(req.get('If-Match'));
+            if (req.get('If-None-Match') !== undefined) {
+                if (req.get('If-None-Match').trim() !== '*' || expectedVersion !== undefined) {
+                    throw new KvValidationError('If-None-Match chỉ hỗ trợ "*" và không dùng chung với If-Match');
+                }
+                expectedVersion = null;
+            }
+            
+            const { name: consistency, options } = consistencyOptions(req, 'write');
+            const result = await writeEntry(key, value, { ttl, expectedVersion, queryOptions: options });
+            
+            if (result.reason === 'version_mismatch') {
+                console.log('❌ Precondition failed:', key, 'expected', expectedVersion, 'current', result.currentVersion);
+                if (result.currentVersion !== null) {
+                    res.set('ETag', `"${result.currentVersion}"`);
+                }
+                return res.status(412).json({
+                    error: expectedVersion === null ? 'Key đã tồn tại' : 'Version không khớp, key đã bị thay đổi',
+                    key,
+                    expected_version: expectedVersion,
+                    current_version: result.currentVersion
+                });
+            }
+            if (!result.applied) {
+                return res.status(503).json({
+                    error: 'Key đang được ghi đồng thời, vui lòng thử lại',
+                    key
+                });
+            }
+            
+            console.log('✅ Key written successfully:', key, 'version', result.version);
+            
+            res.set('ETag', `"${result.version}"`);
+            res.status(result.created ? 201 : 200).json({
+                key,
+                value: req.body.value,
+                version: result.version,
+                ttl: ttl || null,
+                expires_at: ttl ? new Date(Date.now() + ttl * 1000).toISOString() : null,
+                consistency,
+                message: result.created ? 'Key đã được tạo' : 'Key đã được cập nhật'
+            });
+            
+        } catch (error) {
+            if (handleClientError(error, res)) {
+                return;
+            }
+            console.error('❌ Error writing key:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi ghi key',
+                details: error.message,
+                key: req.params.key
+            });
+        }
+    });
+    
+    /**
+     * Xóa Key
+     * 
+     * DELETE /kv/:key?consistency=
+     * Header If-Match: "<version>" (optional) -> chỉ xóa khi version khớp, sai -> 412
+     */
+    app.delete('/kv/:key', async (req, res) => {
+        try {
+            const key = req.params.key;
+            console.log('🗑️  Delete key - Request received:', key);
+            validateKey(key);
+            
+            const expectedVersion = parseIfMatch(req.get('If-Match'));
+            const { name: consistency, options } = consistencyOptions(req, 'write');
+            
+            const condition = expectedVersion === undefined
+                ? { cql: 'IF EXISTS', params: [] }
+                : versionCondition(expectedVersion);
+            const result = await executeQuery(
+                `DELETE FROM ${DATA_TABLE} WHERE key = ? ${condition.cql}`,
+                [key, ...condition.params],
+                options
+            );
+            
+            const row = result.rows[0];
+            if (!row['[applied]']) {
+                const currentVersion = expectedVersion === undefined ? null : await versionAfterConflict(key, row, options);
+                if (currentVersion === null) {
+                    return res.status(404).json({ error: 'Key không tìm thấy', key });
+                }
+                res.set('ETag', `"${currentVersion}"`);
+                return res.status(412).json({
+                    error: 'Version không khớp, key đã bị thay đổi',
+                    key,
+                    expected_version: expectedVersion,
+                    current_version: currentVersion
+                });
+            }
+            
+            // Markers của directories cha được giữ lại (có thể còn keys khác)
+            await executeQuery(`DELETE FROM ${KEYS_TABLE} WHERE bucket = ? AND key = ?`, [bucketFor(key), key], options);
+            
+            console.log('✅ Key deleted successfully:', key);
+            
+            res.json({
+                message: 'Key đã được xóa thành công',
+                key,
+                consistency,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            if (handleClientError(error, res)) {
+                return;
+            }
+            console.error('❌ Error deleting key:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi xóa key',
+                details: error.message,
+                key: req.params.key
+            });
+        }
+    });
+    
+    return app;
+}
+
+// =============================================================================
+// SERVER STARTUP & SHUTDOWN HANDLERS
+// =============================================================================
+
+/**
+ * Chạy KV Service như một process độc lập (npm run start:kv)
+ */
+function main() {
+    const app = createApp();
+    const { port, keyspace, readConsistency, writeConsistency } = app.locals.config;
+    const { initializeDatabase, closeConnection, cassandraConfig } = database;
+    
+    /**
+     * Graceful Shutdown Handler
+     * Đóng kết nối database khi server shutdown
+     */
+    process.on('SIGINT', async () => {
+        console.log('\n🛑 SIGINT received. Shutting down gracefully...');
+        
+        try {
+            await closeConnection();
+            console.log('✅ KV Service shutdown completed');
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Error during shutdown:', error.message);
+            process.exit(1);
+        }
+    });
+    
+    process.on('SIGTERM', async () => {
+        console.log('\n🛑 SIGTERM received. Shutting down gracefully...');
+        
+        try {
+            await closeConnection();
+            console.log('✅ KV Service shutdown completed');
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Error during shutdown:', error.message);
+            process.exit(1);
+        }
+    });
+    
+    /**
+     * Khởi Động Server
+     * 
+     * Sequence:
+     * 1. Initialize Cassandra database
+     * 2. Start Express server
+     * 3. Log startup information
+     */
+    app.listen(port, async () => {
+        try {
+            console.log('\n' + '='.repeat(80));
+            console.log('🚀 KV SERVICE STARTING...');
+            console.log('='.repeat(80));
+            
+            // Step 1: Initialize database
+            console.log('📊 Step 1: Initializing Cassandra database...');
+            await initializeDatabase();
+            
+            // Step 2: Log startup success
+            console.log('\n✅ KV SERVICE STARTED SUCCESSFULLY!');
+            console.log('📊 Service Information:');
+            console.log('   - Service: KV Service');
+            console.log('   - Port:', port);
+            console.log('   - Version: 2.0.0');
+            console.log('   - Node.js:', process.version);
+            console.log('   - Environment:', process.env.NODE_ENV || 'development');
+            console.log('   - Default consistency: read', readConsistency, '/ write', writeConsistency);
+            
+            console.log('\n🔗 Available Endpoints:');
+            console.log('   - GET    /health                  - Health check');
+            console.log('   - GET    /metrics                 - Request & Cassandra metrics');
+            console.log('   - GET    /kv?prefix=              - Liệt kê keys theo prefix');
+            console.log('   - GET    /kv/:key                 - Đọc value');
+            console.log('   - PUT    /kv/:key                 - Ghi value (TTL, If-Match / If-None-Match)');
+            console.log('   - DELETE /kv/:key                 - Xóa key (If-Match)');
+            
+            console.log('\n🗄️  Database Information:');
+            console.log('   - Database: Apache Cassandra');
+            console.log('   - Contact points:', cassandraConfig.contactPoints.join(', '));
+            console.log('   - Local DC:', cassandraConfig.localDataCenter);
+            console.log('   - Keyspace:', cassandraConfig.keyspace);
+            console.log('   - Replication:', buildReplicationCql(cassandraConfig.replication));
+            console.log('   - KV keyspace:', keyspace);
+            console.log('   - Tables: data, data_keys');
+            
+            console.log('\n' + '='.repeat(80));
+            console.log('🎉 Ready to accept requests!');
+            console.log('='.repeat(80) + '\n');
+            
+        } catch (error) {
+            console.error('\n💥 STARTUP FAILED!');
+            console.error('❌ Error:', error.message);
+            console.error('📝 Stack trace:', error.stack);
+            console.error('\n🛑 Shutting down due to startup failure...');
+            process.exit(1);
+        }
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    createApp
+};
@@ -20,610 +20,1645 @@
  */
 
 const express = require('express');
-const { 
-    initializeDatabase, 
-    executeQuery, 
-    checkCassandraHealth,
-    closeConnection 
-} = require('../database/cassandraConnection');
-
-// =============================================================================
-// EXPRESS APP CONFIGURATION
-// =============================================================================
-
-const app = express();
-const port = 3002;
-
-// Middleware để parse JSON request body
-app.use(express.json());
-
-// =============================================================================
-// HEALTH CHECK ENDPOINT
-// =============================================================================
+const axios = require('axios');
+const database = require('../database/cassandraConnection');
+const { buildReplicationCql } = require('../config/cassandraConfig');
+const { resolveId: resolveLegacyId } = require('../database/legacyIds');
+const ordersByUser = require('../database/ordersByUser');
+const { EVENT_TYPES, eventStatements } = require('../database/outbox');
+const { createWriteIntents, startReconciler } = require('../database/writeIntents');
+const { validateItems, calculateTotal, totalsMatch } = require('../utils/orderItems');
+const {
+    CURRENCY_MINOR_UNITS,
+    DEFAULT_CURRENCY,
+    normalizeCurrency,
+    roundAmount
+} = require('../utils/money');
+const { generateId } = require('../utils/idGenerator');
+const {
+    ORDER_STATUSES,
+    INITIAL_STATUS,
+    isValidStatus,
+    allowedTransitions,
+    canTransition,
+    isTerminal
+} = require('../utils/orderStatus');
+const { types } = require('cassandra-driver');
+const {
+    registry,
+    upstreamUp,
+    httpMetricsMiddleware,
+    summarizeRequests,
+    sendMetrics
+} = require('../utils/metrics');
+const { tracingMiddleware, getTraceHeaders } = require('../utils/tracing');
+const { consistencyMiddleware } = require('../utils/consistency');
+const { adminRouter } = require('../utils/adminRoutes');
+const {
+    InvalidPageTokenError,
+    parsePageParams,
+    pageQueryOptions,
+    encodePageToken
+} = require('../utils/pagination');
+const logger = require('../utils/logger');
 
 /**
- * Health Check Endpoint
- * Kiểm tra trạng thái service và database connection
+ * Tạo Express app của Order Service (không listen, không đăng ký signal handlers)
+ * Dùng bởi main() bên dưới và bởi integration test harness (tests/harness.js)
  * 
- * GET /health
- * 
- * Response format:
- * {
- *   "status": "ok",
- *   "service": "order-service", 
- *   "port": 3002,
- *   "timestamp": "2024-01-01T00:00:00.000Z",
- *   "uptime": 123.456,
- *   "database": "cassandra-connected",
- *   "cluster_health": true
- * }
+ * @param {Object} config
+ * @param {number} config.port - Port báo cáo trong /health (default: 3002)
+ * @param {string} config.userServiceUrl - URL của User Service (default: USER_SERVICE_URL)
+ * @param {string} config.productServiceUrl - URL của Product Service (default: PRODUCT_SERVICE_URL)
+ * @param {number} config.userCacheTtlMs - TTL cache "user tồn tại" (default: USER_CACHE_TTL_MS)
+ * @param {number} config.writeIntentSettleMs - Tuổi tối thiểu của write intent trước khi reconcile
+ *                                              (default: WRITE_INTENT_SETTLE_MS)
+ * @param {Object} config.db - Database API (executeQuery, executeBatch, scanRows, checkCassandraHealth),
+ *                             default: database/cassandraConnection
+ * @returns {express.Application} App, config đã resolve nằm trong app.locals.config,
+ *                                 write intents (reconcile) trong app.locals.writeIntents
  */
-app.get('/health', async (req, res) => {
-    try {
-        console.log('🔍 Health check request received');
-        
-        // Kiểm tra database health
-        const isDatabaseHealthy = await checkCassandraHealth();
-        
-        const healthStatus = {
-            status: isDatabaseHealthy ? 'ok' : 'degraded',
-            service: 'order-service',
-            port: port,
-            timestamp: new Date().toISOString(),
-            uptime: process.uptime(),
-            database: isDatabaseHealthy ? 'cassandra-connected' : 'cassandra-disconnected',
-            cluster_health: isDatabaseHealthy,
-            version: '2.0.0'
-        };
-        
-        console.log('✅ Health check completed:', healthStatus.status);
-        
-        // Return appropriate HTTP status
-        const statusCode = isDatabaseHealthy ? 200 : 503;
-        res.status(statusCode).json(healthStatus);
-        
-    } catch (error) {
-        console.error('❌ Health check failed:', error.message);
-        
-        res.status(503).json({
-            status: 'error',
-            service: 'order-service',
-            port: port,
-            timestamp: new Date().toISOString(),
-            error: error.message
-        });
-    }
-});
-
-// =============================================================================
-// ORDER CRUD OPERATIONS
-// =============================================================================
-
-/**
- * Tạo Order Mới
- * 
- * POST /orders
- * Body: {
- *   "userId": "1704067200000",
- *   "items": [
- *     {"name": "Product A", "quantity": 2, "price": 100000},
- *     {"name": "Product B", "quantity": 1, "price": 50000}
- *   ],
- *   "totalAmount": 250000
- * }
- * 
- * Response: {
- *   "id": "1704067300000",
- *   "userId": "1704067200000",
- *   "items": [...],
- *   "totalAmount": 250000,
- *   "status": "pending",
- *   "created_at": "2024-01-01T00:05:00.000Z"
- * }
- */
-app.post('/orders', async (req, res) => {
-    try {
-        console.log('🛒 Tạo order mới - Request received');
-        console.log('📝 Request body:', req.body);
-        
-        // Validation input
-        const { userId, items, totalAmount } = req.body;
-        
-        if (!userId || !items || !totalAmount) {
-            console.log('❌ Validation failed: Missing required fields');
-            return res.status(400).json({ 
-                error: 'userId, items và totalAmount là bắt buộc',
-                required_fields: ['userId', 'items', 'totalAmount']
-            });
-        }
-        
-        // Validate items format
-        if (!Array.isArray(items) || items.length === 0) {
-            console.log('❌ Validation failed: Invalid items format');
-            return res.status(400).json({ 
-                error: 'Items phải là array không rỗng',
-                provided_items: items
+function createApp({
+    port = 3002,
+    userServiceUrl = process.env.USER_SERVICE_URL || 'http://user_service:3001',
+    productServiceUrl = process.env.PRODUCT_SERVICE_URL || 'http://product_service:3004',
+    userCacheTtlMs = parseInt(process.env.USER_CACHE_TTL_MS, 10) || 30000,
+    writeIntentSettleMs = parseInt(process.env.WRITE_INTENT_SETTLE_MS, 10) || 60000,
+    db = database
+} = {}) {
+    const { executeQuery, executeBatch, scanRows, checkCassandraHealth } = db;
+    const resolveId = (entity, id) => resolveLegacyId(entity, id, executeQuery);
+    
+    // =============================================================================
+    // EXPRESS APP CONFIGURATION
+    // =============================================================================
+    
+    const app = express();
+    
+    /**
+     * Product Service: kiểm tra product tồn tại và giữ stock khi tạo order
+     */
+    const PRODUCT_SERVICE = productServiceUrl;
+    const PRODUCT_SERVICE_TIMEOUT = 5000;
+    const COMPENSATION_ATTEMPTS = 3;
+    const COMPENSATION_RETRY_DELAY_MS = 500;
+    
+    /**
+     * User Service: kiểm tra user tồn tại trước khi tạo order
+     * Kết quả "user tồn tại" được cache ngắn hạn để không gọi User Service cho mỗi order
+     */
+    const USER_SERVICE = userServiceUrl;
+    const USER_SERVICE_TIMEOUT = 5000;
+    const USER_CACHE_TTL_MS = userCacheTtlMs;
+    
+    /**
+     * Sai lệch đồng hồ tối đa giữa các instances khi so sánh thời điểm verify user
+     * với open_order_scans.scanned_at (xem recheckOrderOwner)
+     */
+    const OPEN_ORDER_SCAN_SKEW_MS = 5000;
+    
+    app.locals.config = { port, userServiceUrl: USER_SERVICE, productServiceUrl: PRODUCT_SERVICE, userCacheTtlMs };
+    
+    // Middleware tạo trace context (traceparent / x-request-id) cho mỗi request
+    app.use(tracingMiddleware('order-service'));
+    
+    // Consistency level theo request (header X-Consistency-Level), levels đã dùng trả về trong response header
+    app.use(consistencyMiddleware());
+    
+    // Middleware để parse JSON request body
+    app.use(express.json());
+    
+    // Log mỗi request kèm requestId/traceId (logger tự gắn trace context)
+    app.use((req, res, next) => {
+        logger.info('Incoming request', { service: 'order-service', method: req.method, url: req.originalUrl });
+        next();
+    });
+    
+    // Middleware đo request count và latency cho GET /metrics
+    app.use(httpMetricsMiddleware('order-service'));
+    
+    // =============================================================================
+    // HEALTH CHECK ENDPOINT
+    // =============================================================================
+    
+    /**
+     * Health Check Endpoint
+     * Kiểm tra trạng thái service và database connection
+     * 
+     * GET /health
+     * 
+     * Response format:
+     * {
+     *   "status": "ok",
+     *   "service": "order-service", 
+     *   "port": 3002,
+     *   "timestamp": "2024-01-01T00:00:00.000Z",
+     *   "uptime": 123.456,
+     *   "database": "cassandra-connected",
+     *   "cluster_health": true
+     * }
+     */
+    app.get('/health', async (req, res) => {
+        try {
+            console.log('🔍 Health check request received');
+            
+            // Kiểm tra database health
+            const isDatabaseHealthy = await checkCassandraHealth();
+            
+            const healthStatus = {
+                status: isDatabaseHealthy ? 'ok' : 'degraded',
+                service: 'order-service',
+                port: port,
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                database: isDatabaseHealthy ? 'cassandra-connected' : 'cassandra-disconnected',
+                cluster_health: isDatabaseHealthy,
+                version: '2.0.0'
+            };
+            
+            console.log('✅ Health check completed:', healthStatus.status);
+            
+            // Return appropriate HTTP status
+            const statusCode = isDatabaseHealthy ? 200 : 503;
+            res.status(statusCode).json(healthStatus);
+            
+        } catch (error) {
+            console.error('❌ Health check failed:', error.message);
+            
+            res.status(503).json({
+                status: 'error',
+                service: 'order-service',
+                port: port,
+                timestamp: new Date().toISOString(),
+                error: error.message
             });
         }
-        
-        // Validate totalAmount
-        if (typeof totalAmount !== 'number' || totalAmount <= 0) {
-            console.log('❌ Validation failed: Invalid totalAmount');
-            return res.status(400).json({ 
-                error: 'totalAmount phải là số dương',
-                provided_amount: totalAmount
+    });
+    
+    /**
+     * Metrics Endpoint
+     * Request counters/latency theo route, method, status và Cassandra query latency
+     * 
+     * GET /metrics
+     * - Default: JSON
+     * - /metrics?format=prometheus hoặc header Accept: text/plain -> Prometheus text format
+     */
+    app.get('/metrics', async (req, res) => {
+        try {
+            console.log('📈 Metrics request received');
+            
+            // Refresh Cassandra health gauge trước khi render
+            const isDatabaseHealthy = await checkCassandraHealth();
+            upstreamUp.set({ upstream: 'cassandra' }, isDatabaseHealthy ? 1 : 0);
+            
+            sendMetrics(req, res, () => ({
+                timestamp: new Date().toISOString(),
+                service: 'order-service',
+                process: {
+                    uptime: process.uptime(),
+                    pid: process.pid,
+                    memory: process.memoryUsage(),
+                    cpu: process.cpuUsage()
+                },
+                requests: summarizeRequests(),
+                services: {
+                    cassandra: isDatabaseHealthy ? 'healthy' : 'unhealthy'
+                },
+                breakdown: registry.toJSON()
+            }));
+            
+        } catch (error) {
+            console.error('❌ Error collecting metrics:', error.message);
+            res.status(500).json({ 
+                error: 'Failed to collect metrics',
+                details: error.message,
+                timestamp: new Date().toISOString()
             });
         }
-        
-        // Generate unique ID using timestamp
-        const id = Date.now().toString();
-        const created_at = new Date();
-        const status = 'pending'; // Default status
-        
-        console.log('🔄 Inserting order vào database...');
-        console.log('📊 Order data:', { id, userId, items, totalAmount, status, created_at });
-        
-        // Sử dụng prepared statement để insert order
-        // Serialize items array thành JSON string để lưu trong Cassandra
-        const query = `
-            INSERT INTO orders (id, user_id, items, total_amount, status, created_at, updated_at) 
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-        `;
-        
-        const params = [
-            id, 
-            userId, 
-            JSON.stringify(items),  // Convert array to JSON string
-            totalAmount, 
-            status,
-            created_at, 
-            created_at
-        ];
-        
-        // Execute query through centralized connection
-        await executeQuery(query, params);
-        
-        // Response data
-        const responseData = {
-            id,
-            userId,
-            items,
-            totalAmount,
-            status,
-            created_at: created_at.toISOString(),
-            message: 'Order đã được tạo thành công'
+    });
+    
+    /**
+     * Admin Endpoints - replication verification và cluster topology (xem utils/adminRoutes.js)
+     * GET /admin/replication/:table/:id
+     * GET /admin/replication/:table?sample=N
+     * GET /admin/cluster
+     * GET /admin/cluster/owners/:table/:id
+     */
+    app.use(adminRouter({ db }));
+    
+    // =============================================================================
+    // ORDER STATUS HISTORY
+    // =============================================================================
+    
+    /**
+     * Statement ghi một transition vào order_status_history
+     * (được ghi cùng batch với orders_by_user)
+     * 
+     * @param {string} orderId - ID của order
+     * @param {string|null} fromStatus - Trạng thái trước (null khi order mới tạo)
+     * @param {string} toStatus - Trạng thái sau
+     * @param {string} actor - Người/hệ thống thực hiện
+     * @param {string|null} reason - Lý do chuyển trạng thái
+     * @param {string} historyId - TimeUUID (changed_at) của entry, cố định trong write intent
+     *                             nên reconciler ghi lại không tạo entry trùng
+     * @returns {{query: string, params: Array}}
+     */
+    function statusChangeStatement(orderId, fromStatus, toStatus, actor, reason, historyId) {
+        return {
+            query: `INSERT INTO order_status_history (order_id, changed_at, from_status, to_status, actor, reason)
+                    VALUES (?, ?, ?, ?, ?, ?)`,
+            params: [orderId, types.TimeUuid.fromString(historyId), fromStatus, toStatus, actor || 'system', reason || null]
         };
-        
-        console.log('✅ Order created successfully:', responseData);
-        res.status(201).json(responseData);
-        
-    } catch (error) {
-        console.error('❌ Error creating order:', error.message);
-        console.error('📝 Stack trace:', error.stack);
-        
-        res.status(500).json({ 
-            error: 'Lỗi server khi tạo order',
-            details: error.message,
-            timestamp: new Date().toISOString()
-        });
     }
-});
-
-/**
- * Lấy Danh Sách Tất Cả Orders
- * 
- * GET /orders
- * Query params (optional):
- * - limit: Giới hạn số lượng records (default: 100)
- * - userId: Filter theo user ID
- * 
- * Response: [
- *   {
- *     "id": "1704067300000",
- *     "userId": "1704067200000",
- *     "items": [...],
- *     "totalAmount": 250000,
- *     "status": "pending",
- *     "created_at": "2024-01-01T00:05:00.000Z"
- *   }
- * ]
- */
-app.get('/orders', async (req, res) => {
-    try {
-        console.log('📋 Get all orders - Request received');
-        
-        // Parse query parameters
-        const limit = parseInt(req.query.limit) || 100;
-        const userId = req.query.userId;
-        console.log('📊 Query params:', { limit, userId });
-        
-        let query, params;
-        
-        // Build query based on filters
-        if (userId) {
-            // Filter by user ID - Note: Trong production nên có secondary index
-            query = 'SELECT * FROM orders WHERE user_id = ? LIMIT ? ALLOW FILTERING';
-            params = [userId, limit];
-            console.log('🔍 Filtering orders by userId:', userId);
-        } else {
-            query = 'SELECT * FROM orders LIMIT ?';
-            params = [limit];
+    
+    // =============================================================================
+    // FOLLOW-UP WRITES (WRITE INTENTS)
+    // =============================================================================
+    
+    /**
+     * LWT trên orders (IF NOT EXISTS khi tạo, IF status = ? khi đổi trạng thái) không thể
+     * nằm chung logged batch với orders_by_user, status history và outbox events.
+     * Các follow-up writes này được dựng từ data của write intent (ghi trước LWT), nên
+     * nếu request dừng giữa chừng reconciler sẽ ghi lại chúng (database/writeIntents.js)
+     */
+    const writeIntents = createWriteIntents({
+        executeQuery,
+        executeBatch,
+        scope: 'orders',
+        table: 'orders',
+        settleMs: writeIntentSettleMs,
+        handlers: {
+            // data: { order: payload của OrderCreated, actor, historyId }
+            order_created: {
+                followUps({ order, actor, historyId }, { occurredAt }) {
+                    const created_at = new Date(order.created_at);
+                    return [
+                        ordersByUser.insertStatement({
+                            id: order.id,
+                            user_id: order.userId,
+                            line_items: order.items,
+                            total_amount: order.totalAmount,
+                            currency: order.currency,
+                            status: order.status,
+                            created_at,
+                            updated_at: created_at
+                        }),
+                        statusChangeStatement(order.id, null, order.status, actor, 'Order created', historyId),
+                        ...eventStatements({
+                            aggregateType: 'order',
+                            aggregateId: order.id,
+                            type: EVENT_TYPES.ORDER_CREATED,
+                            payload: order,
+                            occurredAt
+                        })
+                    ];
+                },
+                // Order không được ghi (request dừng sau khi giữ stock, insert lỗi / timeout):
+                // trả stock đã giữ, release lỗi thì intent được reconcile lại lần sau
+                // Order đã được ghi: orders_by_user vừa được ghi nên kiểm tra lại user
+                async reconciled({ order }, applied) {
+                    if (!applied) {
+                        if (!(await compensateReservation(order.id))) {
+                            throw new Error(`Stock reservation of order ${order.id} was not released`);
+                        }
+                    } else {
+                        await recheckOrderOwner(order.id, order.userId);
+                    }
+                }
+            },
+            // data: { change: payload của OrderStatusChanged, created_at của order, historyId }
+            order_status_changed: {
+                followUps({ change, created_at, historyId }, { occurredAt }) {
+                    const statements = [
+                        statusChangeStatement(change.id, change.from, change.to, change.actor, change.reason, historyId),
+                        ...eventStatements({
+                            aggregateType: 'order',
+                            aggregateId: change.id,
+                            type: EVENT_TYPES.ORDER_STATUS_CHANGED,
+                            payload: change,
+                            occurredAt
+                        })
+                    ];
+                    if (change.userId) {
+                        const order = { id: change.id, user_id: change.userId, created_at: created_at ? new Date(created_at) : null };
+                        statements.push(ordersByUser.updateStatement(order, {
+                            status: change.to,
+                            updated_at: new Date(change.changed_at)
+                        }));
+                    }
+                    return statements;
+                },
+                // Request dừng trước khi release stock của order bị hủy (release idempotent)
+                async reconciled({ change }, applied) {
+                    if (applied && change.to === 'cancelled') {
+                        await compensateReservation(change.id);
+                    }
+                }
+            }
+        }
+    });
+    app.locals.writeIntents = writeIntents;
+    
+    /**
+     * Đọc items của một row
+     * line_items (UDT) là nguồn chính; cột items (JSON) chỉ còn ở rows chưa migrate được.
+     * JSON hỏng không làm fail cả request: trả về null và log lại.
+     * 
+     * @param {Object} row - Cassandra row
+     * @returns {Array<Object>|null} Items
+     */
+    function readItems(row) {
+        if (row.line_items) {
+            return row.line_items.map(item => ({
+                sku: item.sku,
+                name: item.name,
+                quantity: item.quantity,
+                unit_price: item.unit_price ? item.unit_price.toString() : null // Decimal string, chính xác
+            }));
         }
         
-        console.log('🔍 Executing query to get orders...');
-        
-        // Execute query
-        const result = await executeQuery(query, params);
+        if (!row.items) {
+            return [];
+        }
         
-        // Transform result để parse JSON items và format timestamps
-        const orders = result.rows.map(row => ({
-            id: row.id,
+        try {
+            return JSON.parse(row.items); // Legacy JSON string
+        } catch (error) {
+            console.error('⚠️  Malformed items JSON for order:', row.id || row.order_id, error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Chuyển row (orders hoặc orders_by_user) thành response object
+     * 
+     * @param {Object} row - Cassandra row
+     * @returns {Object} Order
+     */
+    function formatOrder(row) {
+        const currency = row.currency || DEFAULT_CURRENCY;
+        return {
+            id: row.id || row.order_id,
             userId: row.user_id,
-            items: JSON.parse(row.items), // Parse JSON string back to array
-            totalAmount: parseFloat(row.total_amount),
+            items: readItems(row),
+            totalAmount: row.total_amount ? roundAmount(row.total_amount.toString(), currency) : null,
+            currency,
             status: row.status || 'pending',
-            created_at: row.created_at ? row.created_at.toISOString() : null,
+            created_at: row.created_at && row.created_at.getTime() > 0 ? row.created_at.toISOString() : null,
             updated_at: row.updated_at ? row.updated_at.toISOString() : null
-        }));
-        
-        console.log('✅ Orders retrieved successfully. Count:', orders.length);
-        console.log('📊 Sample data:', orders.slice(0, 2)); // Log first 2 records only
-        
-        res.json({
-            orders,
-            count: orders.length,
-            limit: limit,
-            userId: userId || null,
-            timestamp: new Date().toISOString()
-        });
-        
-    } catch (error) {
-        console.error('❌ Error getting orders:', error.message);
-        console.error('📝 Stack trace:', error.stack);
-        
-        res.status(500).json({ 
-            error: 'Lỗi server khi lấy danh sách orders',
-            details: error.message,
-            timestamp: new Date().toISOString()
-        });
+        };
     }
-});
-
-/**
- * Lấy Chi Tiết Order Theo ID
- * 
- * GET /orders/:id
- * 
- * Response: {
- *   "id": "1704067300000",
- *   "userId": "1704067200000",
- *   "items": [...],
- *   "totalAmount": 250000,
- *   "status": "pending",
- *   "created_at": "2024-01-01T00:05:00.000Z"
- * }
- */
-app.get('/orders/:id', async (req, res) => {
-    try {
-        const orderId = req.params.id;
-        console.log('🔍 Get order by ID - Request received:', orderId);
-        
-        // Validate ID format
-        if (!orderId || orderId.trim() === '') {
-            console.log('❌ Validation failed: Invalid order ID');
-            return res.status(400).json({ 
-                error: 'Order ID không hợp lệ',
-                provided_id: orderId
-            });
+    
+    // =============================================================================
+    // USER VERIFICATION (USER SERVICE)
+    // =============================================================================
+    
+    // userId -> verifiedAt (ms), chỉ cache kết quả user tồn tại
+    const userCache = new Map();
+    
+    /**
+     * Kiểm tra user tồn tại và không đang bị xóa
+     * 
+     * @param {string} userId - ID của user
+     * @param {Object} options
+     * @param {boolean} options.useCache - Dùng kết quả đã cache (default: true)
+     * @returns {Promise<number|null>} Thời điểm (ms) User Service xác nhận user (có thể từ cache),
+     *                                 null nếu user không tồn tại hoặc đang bị xóa
+     * @throws {Error} Khi không gọi được User Service
+     */
+    async function verifyUser(userId, { useCache = true } = {}) {
+        const cachedAt = userCache.get(userId);
+        if (useCache && cachedAt && cachedAt + USER_CACHE_TTL_MS > Date.now()) {
+            return cachedAt;
         }
+        userCache.delete(userId);
         
-        console.log('🔍 Executing query to get order by ID...');
-        
-        // Query order by ID
-        const query = 'SELECT * FROM orders WHERE id = ?';
-        const params = [orderId];
-        
-        const result = await executeQuery(query, params);
+        const verifiedAt = Date.now();
         
-        // Check if order exists
-        if (result.rows.length === 0) {
-            console.log('❌ Order not found:', orderId);
-            return res.status(404).json({ 
-                error: 'Order không tìm thấy',
-                order_id: orderId,
-                timestamp: new Date().toISOString()
+        try {
+            const response = await axios.get(`${USER_SERVICE}/users/${encodeURIComponent(userId)}`, {
+                timeout: USER_SERVICE_TIMEOUT,
+                headers: getTraceHeaders()
             });
+            
+            // User đang được xóa (status 'deleting') không nhận order mới
+            if (response.data.status && response.data.status !== 'active') {
+                return null;
+            }
+            
+            userCache.set(userId, verifiedAt);
+            return verifiedAt;
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return null;
+            }
+            throw error;
         }
-        
-        // Transform result
-        const order = result.rows[0];
-        const responseData = {
-            id: order.id,
-            userId: order.user_id,
-            items: JSON.parse(order.items),
-            totalAmount: parseFloat(order.total_amount),
-            status: order.status || 'pending',
-            created_at: order.created_at ? order.created_at.toISOString() : null,
-            updated_at: order.updated_at ? order.updated_at.toISOString() : null
-        };
-        
-        console.log('✅ Order found successfully:', responseData);
-        res.json(responseData);
-        
-    } catch (error) {
-        console.error('❌ Error getting order by ID:', error.message);
-        console.error('📝 Stack trace:', error.stack);
-        
-        res.status(500).json({ 
-            error: 'Lỗi server khi lấy thông tin order',
-            details: error.message,
-            order_id: req.params.id,
-            timestamp: new Date().toISOString()
-        });
     }
-});
-
-/**
- * Cập Nhật Trạng Thái Order
- * 
- * PUT /orders/:id
- * Body: {
- *   "status": "completed",
- *   "items": [...], // optional
- *   "totalAmount": 300000 // optional
- * }
- */
-app.put('/orders/:id', async (req, res) => {
-    try {
-        const orderId = req.params.id;
-        const { status, items, totalAmount } = req.body;
-        
-        console.log('✏️  Update order - Request received:', orderId);
-        console.log('📝 Update data:', { status, items, totalAmount });
-        
-        // Validation - ít nhất một field cần được update
-        if (!status && !items && !totalAmount) {
-            return res.status(400).json({ 
-                error: 'Cần ít nhất một field để cập nhật (status, items, hoặc totalAmount)' 
-            });
+    
+    /**
+     * Bỏ cache của user (gọi khi User Service bắt đầu xóa user)
+     */
+    function invalidateUser(userId) {
+        userCache.delete(userId);
+    }
+    
+    /**
+     * Ghi lại lần liệt kê orders đang mở của user (DELETE /users/:id, xem recheckOrderOwner)
+     * Được ghi trước khi đọc orders_by_user
+     */
+    async function recordOpenOrderScan(userId) {
+        await executeQuery(
+            'INSERT INTO open_order_scans (user_id, scanned_at) VALUES (?, ?)',
+            [userId, new Date()]
+        );
+    }
+    
+    /**
+     * Lấy tất cả orders chưa ở trạng thái cuối (pending / processing) của user
+     * 
+     * @param {string} userId - ID của user
+     * @returns {Promise<Array<Object>>} Rows của orders_by_user
+     */
+    async function findOpenOrders(userId) {
+        const openOrders = [];
+        for await (const row of scanRows('SELECT * FROM orders_by_user WHERE user_id = ?', [userId])) {
+            if (!isTerminal(row.status || INITIAL_STATUS)) {
+                openOrders.push(row);
+            }
         }
-        
-        // Validate status nếu có
-        const validStatuses = ['pending', 'processing', 'completed', 'cancelled'];
-        if (status && !validStatuses.includes(status)) {
-            return res.status(400).json({ 
-                error: 'Status không hợp lệ',
-                valid_statuses: validStatuses,
-                provided_status: status
-            });
+        return openOrders;
+    }
+    
+    // =============================================================================
+    // STOCK RESERVATION (PRODUCT SERVICE)
+    // =============================================================================
+    
+    /**
+     * Giữ stock cho tất cả items của order (tất cả hoặc không, xem productService.js)
+     * Product Service so sánh unit_price / currency của items với catalog trước khi giữ stock
+     * 
+     * @param {string} orderId - ID của order
+     * @param {Array<Object>} items - Items đã validate (sku, quantity, unit_price)
+     * @param {string} currency - Currency của order
+     * @returns {Promise<Object>} Reservation từ Product Service
+     * @throws {Error} axios error (error.response có status 404/409/422 khi thiếu product/hàng, sai giá)
+     */
+    async function reserveStock(orderId, items, currency) {
+        const response = await axios.post(`${PRODUCT_SERVICE}/reservations`, {
+            orderId,
+            items: items.map(({ sku, quantity, unit_price }) => ({ sku, quantity, unit_price, currency }))
+        }, {
+            timeout: PRODUCT_SERVICE_TIMEOUT,
+            headers: getTraceHeaders()
+        });
+        return response.data;
+    }
+    
+    /**
+     * Trả lại stock đã giữ cho order (idempotent)
+     * 
+     * @param {string} orderId - ID của order
+     * @returns {Promise<Object>} { orderId, released }
+     */
+    async function releaseStock(orderId) {
+        const response = await axios.post(
+            `${PRODUCT_SERVICE}/reservations/${encodeURIComponent(orderId)}/release`,
+            {},
+            { timeout: PRODUCT_SERVICE_TIMEOUT, headers: getTraceHeaders() }
+        );
+        return response.data;
+    }
+    
+    /**
+     * Release stock khi tạo order thất bại sau khi đã giữ (compensation)
+     * Release idempotent nên được thử lại COMPENSATION_ATTEMPTS lần; lỗi cuối cùng
+     * chỉ được log lại, không che lỗi gốc của request
+     * 
+     * @param {string} orderId - ID của order
+     * @returns {Promise<boolean>} true nếu reservation đã được release
+     */
+    async function compensateReservation(orderId) {
+        for (let attempt = 1; attempt <= COMPENSATION_ATTEMPTS; attempt++) {
+            try {
+                const release = await releaseStock(orderId);
+                console.log('↩️  Stock reservation released for failed order:', orderId, release.released);
+                return true;
+            } catch (error) {
+                const details = error.response ? JSON.stringify(error.response.data) : error.message;
+                console.error(`❌ Failed to release stock for order ${orderId} (${attempt}/${COMPENSATION_ATTEMPTS}) -`, details);
+                if (attempt < COMPENSATION_ATTEMPTS) {
+                    await new Promise(resolve => setTimeout(resolve, COMPENSATION_RETRY_DELAY_MS * attempt));
+                }
+            }
         }
-        
+        console.error('🚨 Stock reservation of order', orderId, 'was not released, release manually: POST',
+            `${PRODUCT_SERVICE}/reservations/${orderId}/release`);
+        return false;
+    }
+    
+    /**
+     * Chuyển trạng thái một order (transition đã được kiểm tra bởi caller)
+     * 
+     * - UPDATE ... IF status = ?: không áp dụng nếu request khác vừa đổi status
+     * - Đồng bộ orders_by_user + ghi status history + OrderStatusChanged event trong một logged batch
+     *   (follow-ups của write intent, reconciler ghi lại nếu batch lỗi)
+     * - Chuyển sang cancelled: trả lại stock đã giữ (Product Service)
+     * 
+     * @param {Object} order - Row hiện tại (id, user_id, status, created_at)
+     * @param {string} toStatus - Trạng thái mới
+     * @param {Object} options - { actor, reason }
+     * @returns {Promise<Object>} { applied: true, previousStatus, updated_at, stockReleased }
+     *          hoặc { applied: false, currentStatus } khi bị request khác cập nhật trước
+     */
+    async function applyStatusChange(order, toStatus, { actor, reason } = {}) {
+        const previousStatus = order.status || INITIAL_STATUS;
         const updated_at = new Date();
         
-        // Build dynamic update query
-        let setParts = [];
-        let params = [];
+        const intent = await writeIntents.begin('order_status_changed', order.id, {
+            change: {
+                id: order.id,
+                userId: order.user_id,
+                from: previousStatus,
+                to: toStatus,
+                actor: actor || 'system',
+                reason: reason || null,
+                changed_at: updated_at.toISOString()
+            },
+            created_at: order.created_at ? order.created_at.toISOString() : null,
+            historyId: types.TimeUuid.fromDate(updated_at).toString()
+        });
         
-        if (status) {
-            setParts.push('status = ?');
-            params.push(status);
-        }
+        // Conditional update: chỉ áp dụng nếu status chưa bị request khác thay đổi
+        // Lỗi (vd timeout): intent còn lại, reconciler xác định LWT đã áp dụng hay chưa
+        const result = await executeQuery(
+            'UPDATE orders SET status = ?, updated_at = ?, pending_writes = pending_writes + ? WHERE id = ? IF status = ?',
+            [toStatus, updated_at, [intent.writeId], order.id, order.status]
+        );
         
-        if (items) {
-            setParts.push('items = ?');
-            params.push(JSON.stringify(items));
+        if (!result.rows[0]['[applied]']) {
+            await writeIntents.abandon(intent);
+            return { applied: false, currentStatus: result.rows[0].status || INITIAL_STATUS };
         }
         
-        if (totalAmount) {
-            setParts.push('total_amount = ?');
-            params.push(totalAmount);
+        // Đồng bộ orders_by_user, ghi status history và domain event trong một logged batch.
+        // event_id lấy lúc ghi batch (changed_at nằm trong payload): relay đã có thể đọc
+        // qua updated_at nếu request chậm
+        await writeIntents.complete(intent, new Date());
+        
+        // Order bị hủy: trả lại stock đã giữ
+        // Release idempotent, nếu lỗi có thể gọi lại trực tiếp trên Product Service
+        let stockReleased;
+        if (toStatus === 'cancelled') {
+            try {
+                const release = await releaseStock(order.id);
+                stockReleased = release.released;
+                console.log('🔓 Stock released for cancelled order:', order.id, stockReleased);
+            } catch (error) {
+                console.error('❌ Failed to release stock for cancelled order', order.id, '-', error.message);
+                stockReleased = false;
+            }
         }
         
-        setParts.push('updated_at = ?');
-        params.push(updated_at);
-        params.push(orderId); // WHERE clause parameter
-        
-        const query = `UPDATE orders SET ${setParts.join(', ')} WHERE id = ?`;
-        
-        await executeQuery(query, params);
-        
-        console.log('✅ Order updated successfully:', orderId);
-        
-        res.json({
-            id: orderId,
-            status: status || undefined,
-            items: items || undefined,
-            totalAmount: totalAmount || undefined,
-            updated_at: updated_at.toISOString(),
-            message: 'Order đã được cập nhật thành công'
-        });
-        
-    } catch (error) {
-        console.error('❌ Error updating order:', error.message);
-        
-        res.status(500).json({ 
-            error: 'Lỗi server khi cập nhật order',
-            details: error.message
-        });
+        return { applied: true, previousStatus, updated_at, stockReleased };
     }
-});
-
-/**
- * Xóa Order
- * 
- * DELETE /orders/:id
- */
-app.delete('/orders/:id', async (req, res) => {
-    try {
-        const orderId = req.params.id;
-        console.log('🗑️  Delete order - Request received:', orderId);
-        
-        // Delete query
-        const query = 'DELETE FROM orders WHERE id = ?';
-        const params = [orderId];
-        
-        await executeQuery(query, params);
-        
-        console.log('✅ Order deleted successfully:', orderId);
-        
-        res.json({
-            message: 'Order đã được xóa thành công',
-            order_id: orderId,
-            timestamp: new Date().toISOString()
-        });
-        
-    } catch (error) {
-        console.error('❌ Error deleting order:', error.message);
-        
-        res.status(500).json({ 
-            error: 'Lỗi server khi xóa order',
-            details: error.message
-        });
+    
+    /**
+     * Hủy một order chưa ở trạng thái cuối (retry một lần khi bị cập nhật đồng thời)
+     * Đọc lại từ bảng chính: status ở orders là nguồn sự thật cho LWT
+     * 
+     * @param {string} orderId - ID của order
+     * @param {Object} options - { actor, reason }
+     * @returns {Promise<string>} 'cancelled' | 'skipped' (đã bị xóa / ở trạng thái cuối) | 'conflict'
+     */
+    async function cancelOrder(orderId, { actor, reason }) {
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const current = await executeQuery(
+                'SELECT id, user_id, status, created_at FROM orders WHERE id = ?',
+                [orderId]
+            );
+            const order = current.rows[0];
+            if (!order || isTerminal(order.status || INITIAL_STATUS)) {
+                return 'skipped';
+            }
+            const outcome = await applyStatusChange(order, 'cancelled', { actor, reason });
+            if (outcome.applied) {
+                return 'cancelled';
+            }
+        }
+        return 'conflict';
     }
-});
-
-// =============================================================================
-// BUSINESS LOGIC ENDPOINTS
-// =============================================================================
-
-/**
- * Lấy Orders Theo User ID
- * Endpoint tiện ích để lấy tất cả orders của một user
- * 
- * GET /orders/user/:userId
- */
-app.get('/orders/user/:userId', async (req, res) => {
-    try {
-        const userId = req.params.userId;
-        console.log('👤 Get orders by user ID - Request received:', userId);
-        
-        const query = 'SELECT * FROM orders WHERE user_id = ? ALLOW FILTERING';
-        const params = [userId];
-        
-        const result = await executeQuery(query, params);
-        
-        const orders = result.rows.map(row => ({
-            id: row.id,
-            userId: row.user_id,
-            items: JSON.parse(row.items),
-            totalAmount: parseFloat(row.total_amount),
-            status: row.status || 'pending',
-            created_at: row.created_at ? row.created_at.toISOString() : null,
-            updated_at: row.updated_at ? row.updated_at.toISOString() : null
-        }));
-        
-        console.log('✅ User orders retrieved successfully. Count:', orders.length);
-        
-        res.json({
-            userId: userId,
-            orders,
-            count: orders.length,
-            timestamp: new Date().toISOString()
-        });
+    
+    /**
+     * Kiểm tra lại user sau khi order đã được ghi vào orders_by_user
+     * 
+     * DELETE /users/:id đặt status 'deleting' rồi mới liệt kê orders đang mở qua
+     * Order Service, và lần liệt kê ghi open_order_scans trước khi đọc orders_by_user.
+     * Order được verify trước đó (hoặc từ cache) có thể được ghi sau khi danh sách
+     * đã đọc xong; khi đó lần đọc open_order_scans ở đây (sau khi orders_by_user đã
+     * được ghi) thấy lần liệt kê đó. Không có lần liệt kê nào từ lúc verify thì
+     * DELETE sau này sẽ thấy order, nên không cần gọi lại User Service.
+     * 
+     * Order chỉ bị hủy khi User Service trả lời chắc chắn (404 hoặc 'deleting').
+     * User Service lỗi / không phản hồi: order được giữ, DELETE (liệt kê lại orders
+     * đang mở mỗi lần được gọi lại) quyết định.
+     * 
+     * @param {string} orderId - ID của order vừa tạo
+     * @param {string} userId - Owner của order
+     * @param {number} verifiedAt - Thời điểm (ms) user được verify, 0 nếu không biết
+     * @returns {Promise<Object>} { active: true } hoặc { active: false, reason, outcome }
+     */
+    async function recheckOrderOwner(orderId, userId, verifiedAt = 0) {
+        try {
+            const scan = await executeQuery('SELECT scanned_at FROM open_order_scans WHERE user_id = ?', [userId]);
+            const scannedAt = scan.rows.length > 0 && scan.rows[0].scanned_at ? scan.rows[0].scanned_at.getTime() : null;
+            if (scannedAt === null || scannedAt < verifiedAt - OPEN_ORDER_SCAN_SKEW_MS) {
+                return { active: true };
+            }
+        } catch (error) {
+            console.error('⚠️  Could not read open order scans, re-verifying user:', error.message);
+        }
         
-    } catch (error) {
-        console.error('❌ Error getting orders by user ID:', error.message);
+        try {
+            if (await verifyUser(userId, { useCache: false })) {
+                return { active: true };
+            }
+        } catch (error) {
+            console.error('⚠️  User re-verification failed, order kept (user deletion re-lists open orders):', error.message);
+            return { active: true };
+        }
         
-        res.status(500).json({ 
-            error: 'Lỗi server khi lấy orders theo user ID',
-            details: error.message
-        });
+        const reason = 'User deleted while order was being created';
+        console.log('🧹 Cancelling order of user being deleted:', orderId, userId);
+        const outcome = await cancelOrder(orderId, { actor: 'order-service', reason });
+        return { active: false, reason, outcome };
     }
-});
+    
+    // =============================================================================
+    // ORDER CRUD OPERATIONS
+    // =============================================================================
+    
+    /**
+     * Tạo Order Mới
+     * 
+     * Tổng tiền được server tính từ items (quantity * unit_price) bằng decimal chính xác,
+     * làm tròn theo minor units của currency. Số tiền trong response là string.
+     * totalAmount là optional; nếu client gửi mà không khớp thì request bị từ chối.
+     * 
+     * POST /orders
+     * Body: {
+     *   "userId": "b4cc8001-a838-11ee-9c1b-5a2ff80820ea",
+     *   "items": [
+     *     {"sku": "SKU-A", "name": "Product A", "quantity": 2, "unit_price": 100000},
+     *     {"sku": "SKU-B", "name": "Product B", "quantity": 1, "unit_price": "50000"}
+     *   ],
+     *   "currency": "VND", // optional, ISO 4217 (default: DEFAULT_CURRENCY)
+     *   "totalAmount": "250000" // optional
+     * }
+     * 
+     * Response: {
+     *   "id": "d8f0c801-a838-11ee-9c1b-5a2ff80820ea",
+     *   "userId": "b4cc8001-a838-11ee-9c1b-5a2ff80820ea",
+     *   "items": [...],
+     *   "totalAmount": "250000",
+     *   "currency": "VND",
+     *   "status": "pending",
+     *   "created_at": "2024-01-01T00:05:00.000Z"
+     * }
+     * 
+     * unit_price và currency phải khớp catalog của Product Service (kiểm tra khi giữ stock).
+     * 
+     * Errors:
+     * - 422: User không tồn tại hoặc đang bị xóa / product không tồn tại / giá không khớp catalog
+     *        (user chuyển sang 'deleting' trong lúc tạo: order đã ghi bị hủy, response có order_id)
+     * - 503: User Service hoặc Product Service không phản hồi
+     */
+    app.post('/orders', async (req, res) => {
+        try {
+            console.log('🛒 Tạo order mới - Request received');
+            console.log('📝 Request body:', req.body);
+            
+            // Validation input
+            const { userId, totalAmount } = req.body;
+            
+            if (!userId || !req.body.items) {
+                console.log('❌ Validation failed: Missing required fields');
+                return res.status(400).json({ 
+                    error: 'userId và items là bắt buộc',
+                    required_fields: ['userId', 'items']
+                });
+            }
+            
+            // Validate từng item (sku, name, quantity, unit_price)
+            const { items, errors } = validateItems(req.body.items);
+            if (errors.length > 0) {
+                console.log('❌ Validation failed: Invalid items', errors);
+                return res.status(400).json({ 
+                    error: 'Items không hợp lệ',
+                    item_errors: errors
+                });
+            }
+            
+            // Validate currency (ISO 4217)
+            const currency = normalizeCurrency(req.body.currency || DEFAULT_CURRENCY);
+            if (!currency) {
+                console.log('❌ Validation failed: Unsupported currency', req.body.currency);
+                return res.status(400).json({ 
+                    error: 'Currency không được hỗ trợ',
+                    provided_currency: req.body.currency,
+                    supported_currencies: Object.keys(CURRENCY_MINOR_UNITS)
+                });
+            }
+            
+            // Total luôn do server tính; total của client chỉ dùng để đối chiếu
+            const total = roundAmount(calculateTotal(items), currency);
+            if (totalAmount !== undefined && !totalsMatch(totalAmount, total)) {
+                console.log('❌ Validation failed: totalAmount mismatch', { totalAmount, total });
+                return res.status(400).json({ 
+                    error: 'totalAmount không khớp với tổng tiền của items',
+                    provided_amount: totalAmount,
+                    calculated_amount: total,
+                    currency
+                });
+            }
+            
+            // Generate collision-free ID (TimeUUID)
+            const id = generateId();
+            const created_at = new Date();
+            const status = INITIAL_STATUS; // Default status
+            
+            // User ID dạng timestamp cũ được resolve sang TimeUUID đã migrate
+            const ownerId = await resolveId('users', userId);
+            
+            // Referential check: user phải tồn tại trên User Service
+            let verifiedAt;
+            try {
+                verifiedAt = await verifyUser(ownerId);
+            } catch (error) {
+                console.error('❌ User verification failed:', error.message);
+                return res.status(503).json({ 
+                    error: 'User Service unavailable, không thể kiểm tra user',
+                    details: error.response ? error.response.data : error.message
+                });
+            }
+            
+            if (!verifiedAt) {
+                console.log('❌ Unknown user:', ownerId);
+                return res.status(422).json({ 
+                    error: 'User không tồn tại hoặc đang bị xóa',
+                    user_id: ownerId
+                });
+            }
+            
+            // Write intent ghi trước khi giữ stock và trước LWT: bản denormalized (orders_by_user),
+            // entry đầu tiên của status timeline và OrderCreated event được dựng lại từ intent
+            // nếu request dừng sau khi order đã được ghi; request dừng trước khi ghi order
+            // (kể cả ngay sau khi giữ stock) thì reconciler trả stock
+            const intent = await writeIntents.begin('order_created', id, {
+                order: {
+                    id,
+                    userId: ownerId,
+                    items,
+                    totalAmount: total,
+                    currency,
+                    status,
+                    created_at: created_at.toISOString()
+                },
+                actor: req.body.actor || null,
+                historyId: types.TimeUuid.fromDate(created_at).toString()
+            });
+            
+            // Giữ stock trước khi ghi order; products không tồn tại / hết hàng => từ chối
+            console.log('🔒 Reserving stock via Product Service...');
+            try {
+                await reserveStock(id, items, currency);
+            } catch (error) {
+                // 4xx: Product Service đã trả lại các SKU giữ được, order sẽ không được ghi
+                if (error.response && error.response.status < 500) {
+                    await writeIntents.abandon(intent);
+                }
+                if (error.response && error.response.status === 404) {
+                    console.log('❌ Unknown product:', error.response.data);
+                    return res.status(422).json({ 
+                        error: 'Product không tồn tại',
+                        sku: error.response.data.sku
+                    });
+                }
+                if (error.response && error.response.status === 409) {
+                    console.log('❌ Insufficient stock:', error.response.data);
+                    return res.status(409).json({ 
+                        error: 'Không đủ hàng trong kho',
+                        sku: error.response.data.sku,
+                        requested: error.response.data.requested,
+                        available: error.response.data.available
+                    });
+                }
+                if (error.response && error.response.status === 422) {
+                    console.log('❌ Items không khớp catalog:', error.response.data);
+                    return res.status(422).json({ 
+                        error: 'unit_price hoặc currency của items không khớp catalog',
+                        mismatches: error.response.data.mismatches
+                    });
+                }
+                // Timeout / 5xx: reservation có thể đã (một phần) được ghi trên Product Service.
+                // Release không thành công thì intent được giữ lại để reconciler release sau
+                console.error('❌ Stock reservation failed:', error.message);
+                if (await compensateReservation(id)) {
+                    await writeIntents.abandon(intent);
+                }
+                return res.status(503).json({ 
+                    error: 'Product Service unavailable, không thể giữ stock',
+                    details: error.response ? error.response.data : error.message
+                });
+            }
+            
+            console.log('🔄 Inserting order vào database...');
+            console.log('📊 Order data:', { id, userId: ownerId, items, total, currency, status, created_at });
+            
+            // Sử dụng prepared statement để insert order
+            // items được lưu dưới dạng list<frozen<order_item>> (UDT)
+            // IF NOT EXISTS: không bao giờ ghi đè order đã tồn tại (INSERT của Cassandra là upsert)
+            const query = `
+                INSERT INTO orders (id, user_id, line_items, total_amount, currency, status, created_at, updated_at, pending_writes) 
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                IF NOT EXISTS
+            `;
+            
+            const params = [
+                id, 
+                ownerId, 
+                items,
+                total, // Decimal string, driver encode chính xác
+                currency,
+                status,
+                created_at, 
+                created_at,
+                [intent.writeId]
+            ];
+            
+            // Execute query through centralized connection
+            // Lỗi (vd timeout): LWT có thể đã được áp dụng, nên không trả stock ngay;
+            // reconciler xác định kết quả và trả stock nếu order không được ghi
+            const result = await executeQuery(query, params);
+            
+            if (!result.rows[0]['[applied]']) {
+                console.log('❌ Duplicate order ID, insert rejected:', id);
+                await writeIntents.abandon(intent);
+                await compensateReservation(id);
+                return res.status(409).json({ 
+                    error: 'Order ID đã tồn tại',
+                    order_id: id,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            // LWT không thể nằm trong batch nhiều partition, nên sau khi claim ID
+            // ghi follow-ups của intent trong một logged batch. Batch lỗi không làm
+            // request thất bại: order đã được ghi, reconciler hoàn tất follow-ups.
+            // event_id lấy lúc ghi batch, không phải created_at (lấy trước khi gọi User /
+            // Product Service): relay đã đọc qua created_at nếu các bước trên chậm
+            const completed = await writeIntents.complete(intent, new Date());
+            
+            // User có thể đã chuyển sang 'deleting' sau lần verify ở trên (xem recheckOrderOwner).
+            // Follow-ups lỗi: orders_by_user chưa được ghi, reconciler kiểm tra lại sau khi ghi
+            const owner = completed ? await recheckOrderOwner(id, ownerId, verifiedAt) : { active: true };
+            if (!owner.active) {
+                return res.status(422).json({ 
+                    error: 'User đã bị xóa trong lúc tạo order, order đã bị hủy',
+                    user_id: ownerId,
+                    order_id: id,
+                    cancelled: owner.outcome === 'cancelled'
+                });
+            }
+            
+            // Response data
+            const responseData = {
+                id,
+                userId: ownerId,
+                items,
+                totalAmount: total,
+                currency,
+                status,
+                created_at: created_at.toISOString(),
+                message: 'Order đã được tạo thành công'
+            };
+            
+            console.log('✅ Order created successfully:', responseData);
+            res.status(201).json(responseData);
+            
+        } catch (error) {
+            console.error('❌ Error creating order:', error.message);
+            console.error('📝 Stack trace:', error.stack);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi tạo order',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+    
+    /**
+     * Lấy Danh Sách Tất Cả Orders
+     * 
+     * GET /orders
+     * Query params (optional):
+     * - limit: Số records mỗi trang (default: 100, max: 1000)
+     * - pageToken: nextPageToken từ response trước để lấy trang tiếp theo
+     * - userId: Filter theo user ID
+     * 
+     * Response: {
+     *   "orders": [
+     *     {
+     *       "id": "d8f0c801-a838-11ee-9c1b-5a2ff80820ea",
+     *       "userId": "b4cc8001-a838-11ee-9c1b-5a2ff80820ea",
+     *       "items": [...],
+     *       "totalAmount": "250000",
+     *       "currency": "VND",
+     *       "status": "pending",
+     *       "created_at": "2024-01-01T00:05:00.000Z"
+     *     }
+     *   ],
+     *   "count": 1,
+     *   "limit": 100,
+     *   "nextPageToken": "eyJyIjoi..." // null khi hết dữ liệu
+     * }
+     */
+    app.get('/orders', async (req, res) => {
+        try {
+            console.log('📋 Get all orders - Request received');
+            
+            // Parse query parameters
+            // Token gắn với filter userId, không dùng lại được cho filter khác
+            const userId = req.query.userId ? await resolveId('users', req.query.userId) : undefined;
+            const resource = userId ? `orders:user:${userId}` : 'orders';
+            const page = parsePageParams(req.query, resource);
+            const limit = page.limit;
+            console.log('📊 Query params:', { limit, userId, hasPageToken: Boolean(page.pageState) });
+            
+            let query, params;
+            
+            // Build query based on filters
+            // Page size được điều khiển bằng fetchSize thay vì LIMIT
+            if (userId) {
+                // Filter by user ID: đọc một partition của orders_by_user (mới nhất trước)
+                query = 'SELECT * FROM orders_by_user WHERE user_id = ?';
+                params = [userId];
+                console.log('🔍 Filtering orders by userId:', userId);
+            } else {
+                query = 'SELECT * FROM orders';
+                params = [];
+            }
+            
+            console.log('🔍 Executing query to get orders...');
+            
+            // Execute query (chỉ lấy một trang)
+            const result = await executeQuery(query, params, pageQueryOptions(page));
+            
+            // Transform result để parse JSON items và format timestamps
+            const orders = result.rows.map(formatOrder);
+            
+            console.log('✅ Orders retrieved successfully. Count:', orders.length);
+            console.log('📊 Sample data:', orders.slice(0, 2)); // Log first 2 records only
+            
+            res.json({
+                orders,
+                count: orders.length,
+                limit: limit,
+                userId: userId || null,
+                nextPageToken: encodePageToken(result.pageState, resource),
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            if (error instanceof InvalidPageTokenError) {
+                console.log('❌ Validation failed:', error.message);
+                return res.status(400).json({ 
+                    error: error.message,
+                    provided_page_token: req.query.pageToken
+                });
+            }
+            
+            console.error('❌ Error getting orders:', error.message);
+            console.error('📝 Stack trace:', error.stack);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi lấy danh sách orders',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+    
+    /**
+     * Lấy Chi Tiết Order Theo ID
+     * 
+     * GET /orders/:id
+     * 
+     * Response: {
+     *   "id": "d8f0c801-a838-11ee-9c1b-5a2ff80820ea",
+     *   "userId": "b4cc8001-a838-11ee-9c1b-5a2ff80820ea",
+     *   "items": [...],
+     *   "totalAmount": "250000",
+     *   "currency": "VND",
+     *   "status": "pending",
+     *   "created_at": "2024-01-01T00:05:00.000Z"
+     * }
+     */
+    app.get('/orders/:id', async (req, res) => {
+        try {
+            const orderId = await resolveId('orders', req.params.id);
+            console.log('🔍 Get order by ID - Request received:', orderId);
+            
+            // Validate ID format
+            if (!orderId || orderId.trim() === '') {
+                console.log('❌ Validation failed: Invalid order ID');
+                return res.status(400).json({ 
+                    error: 'Order ID không hợp lệ',
+                    provided_id: orderId
+                });
+            }
+            
+            console.log('🔍 Executing query to get order by ID...');
+            
+            // Query order by ID
+            const query = 'SELECT * FROM orders WHERE id = ?';
+            const params = [orderId];
+            
+            const result = await executeQuery(query, params);
+            
+            // Check if order exists
+            if (result.rows.length === 0) {
+                console.log('❌ Order not found:', orderId);
+                return res.status(404).json({ 
+                    error: 'Order không tìm thấy',
+                    order_id: orderId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            // Transform result
+            const responseData = formatOrder(result.rows[0]);
+            
+            console.log('✅ Order found successfully:', responseData);
+            res.json(responseData);
+            
+        } catch (error) {
+            console.error('❌ Error getting order by ID:', error.message);
+            console.error('📝 Stack trace:', error.stack);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi lấy thông tin order',
+                details: error.message,
+                order_id: req.params.id,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+    
+    /**
+     * Cập Nhật Trạng Thái Order
+     * 
+     * Status phải đi theo transition graph (xem utils/orderStatus.js):
+     * pending -> processing -> completed, pending/processing -> cancelled
+     * Update là conditional (UPDATE ... IF status = ?) nên hai request đồng thời
+     * không thể cùng chuyển trạng thái từ một trạng thái cũ.
+     * Mỗi transition được ghi vào order_status_history.
+     * 
+     * Chuyển sang cancelled sẽ trả lại stock đã giữ cho order (Product Service).
+     * Items không thay đổi được sau khi tạo (stock đã được giữ theo items);
+     * totalAmount (nếu có) chỉ dùng để đối chiếu với total hiện tại.
+     * 
+     * PUT /orders/:id
+     * Body: {
+     *   "status": "completed",
+     *   "totalAmount": "300000", // optional, chỉ dùng để đối chiếu
+     *   "actor": "admin@shop", // optional, người thực hiện
+     *   "reason": "Đã giao hàng" // optional, lý do chuyển trạng thái
+     * }
+     */
+    app.put('/orders/:id', async (req, res) => {
+        try {
+            const orderId = await resolveId('orders', req.params.id);
+            const { status, items, totalAmount, actor, reason } = req.body;
+            
+            console.log('✏️  Update order - Request received:', orderId);
+            console.log('📝 Update data:', { status, items, totalAmount, actor, reason });
+            
+            // Validation - ít nhất một field cần được update
+            if (!status && !items && !totalAmount) {
+                return res.status(400).json({ 
+                    error: 'Cần ít nhất một field để cập nhật (status hoặc totalAmount)' 
+                });
+            }
+            
+            // Validate status nếu có
+            if (status && !isValidStatus(status)) {
+                return res.status(400).json({ 
+                    error: 'Status không hợp lệ',
+                    valid_statuses: ORDER_STATUSES,
+                    provided_status: status
+                });
+            }
+            
+            // Stock đã được giữ theo items lúc tạo order nên items không đổi được
+            if (items) {
+                return res.status(409).json({ 
+                    error: 'Không thể thay đổi items sau khi order đã giữ stock; hãy hủy order và tạo order mới',
+                    order_id: orderId
+                });
+            }
+            
+            // Lấy trạng thái hiện tại để kiểm tra transition
+            const existing = await executeQuery(
+                'SELECT id, user_id, status, total_amount, currency, created_at FROM orders WHERE id = ?',
+                [orderId]
+            );
+            if (existing.rows.length === 0) {
+                console.log('❌ Order not found:', orderId);
+                return res.status(404).json({ 
+                    error: 'Order không tìm thấy',
+                    order_id: orderId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const storedStatus = existing.rows[0].status;
+            const currentStatus = storedStatus || INITIAL_STATUS;
+            const statusChanged = Boolean(status) && status !== currentStatus;
+            
+            if (statusChanged && !canTransition(currentStatus, status)) {
+                console.log('❌ Invalid status transition:', currentStatus, '->', status);
+                return res.status(409).json({ 
+                    error: 'Không thể chuyển trạng thái order',
+                    order_id: orderId,
+                    current_status: currentStatus,
+                    provided_status: status,
+                    allowed_statuses: allowedTransitions(currentStatus)
+                });
+            }
+            
+            // Total do server tính lúc tạo order; currency không đổi sau khi tạo
+            const currency = existing.rows[0].currency || DEFAULT_CURRENCY;
+            const currentTotal = existing.rows[0].total_amount;
+            const total = currentTotal ? roundAmount(currentTotal.toString(), currency) : null;
+            if (totalAmount !== undefined && (total === null || !totalsMatch(totalAmount, total))) {
+                console.log('❌ Validation failed: totalAmount mismatch', { totalAmount, total });
+                return res.status(400).json({ 
+                    error: 'totalAmount không khớp với tổng tiền của items',
+                    provided_amount: totalAmount,
+                    calculated_amount: total,
+                    currency
+                });
+            }
+            
+            let transition = null;
+            if (statusChanged) {
+                transition = await applyStatusChange(existing.rows[0], status, { actor, reason });
+                
+                if (!transition.applied) {
+                    console.log('❌ Concurrent status change detected:', currentStatus, '->', transition.currentStatus);
+                    return res.status(409).json({ 
+                        error: 'Order đã được cập nhật bởi request khác, vui lòng thử lại',
+                        order_id: orderId,
+                        expected_status: currentStatus,
+                        current_status: transition.currentStatus
+                    });
+                }
+            }
+            
+            console.log('✅ Order updated successfully:', orderId);
+            
+            res.json({
+                id: orderId,
+                status: status || undefined,
+                previous_status: statusChanged ? currentStatus : undefined,
+                totalAmount: total !== null ? total : undefined,
+                currency,
+                stock_released: transition ? transition.stockReleased : undefined,
+                updated_at: transition ? transition.updated_at.toISOString() : undefined,
+                message: 'Order đã được cập nhật thành công'
+            });
+            
+        } catch (error) {
+            console.error('❌ Error updating order:', error.message);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi cập nhật order',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Lấy Lịch Sử Trạng Thái Order
+     * 
+     * GET /orders/:id/history
+     * 
+     * Response: {
+     *   "orderId": "d8f0c801-a838-11ee-9c1b-5a2ff80820ea",
+     *   "history": [
+     *     { "from": null, "to": "pending", "actor": "system", "reason": "Order created", "changed_at": "..." },
+     *     { "from": "pending", "to": "processing", "actor": "admin@shop", "reason": null, "changed_at": "..." }
+     *   ],
+     *   "count": 2
+     * }
+     */
+    app.get('/orders/:id/history', async (req, res) => {
+        try {
+            const orderId = await resolveId('orders', req.params.id);
+            console.log('📜 Get order status history - Request received:', orderId);
+            
+            const order = await executeQuery('SELECT id, status FROM orders WHERE id = ?', [orderId]);
+            if (order.rows.length === 0) {
+                console.log('❌ Order not found:', orderId);
+                return res.status(404).json({ 
+                    error: 'Order không tìm thấy',
+                    order_id: orderId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const result = await executeQuery(
+                'SELECT * FROM order_status_history WHERE order_id = ?',
+                [orderId]
+            );
+            
+            const history = result.rows.map(row => ({
+                from: row.from_status || null,
+                to: row.to_status,
+                actor: row.actor,
+                reason: row.reason || null,
+                changed_at: row.changed_at.getDate().toISOString()
+            }));
+            
+            console.log('✅ Order history retrieved successfully. Count:', history.length);
+            
+            res.json({
+                orderId,
+                status: order.rows[0].status || INITIAL_STATUS,
+                history,
+                count: history.length,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error getting order history:', error.message);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi lấy lịch sử order',
+                details: error.message,
+                order_id: req.params.id
+            });
+        }
+    });
+    
+    /**
+     * Xóa Order
+     * Stock đang giữ cho order (chưa completed) được release trước khi xóa;
+     * release thất bại thì order chưa bị xóa để có thể gọi lại
+     * 
+     * DELETE /orders/:id
+     * 
+     * Errors:
+     * - 503: Product Service không release được reservation
+     */
+    app.delete('/orders/:id', async (req, res) => {
+        try {
+            const orderId = await resolveId('orders', req.params.id);
+            console.log('🗑️  Delete order - Request received:', orderId);
+            
+            // Cần user_id + created_at để xóa bản ghi tương ứng trong orders_by_user
+            const existing = await executeQuery(
+                'SELECT id, user_id, status, created_at FROM orders WHERE id = ?',
+                [orderId]
+            );
+            
+            // Order completed đã dùng stock; các trạng thái khác trả lại stock đang giữ (idempotent)
+            if (existing.rows.length > 0 && existing.rows[0].status !== 'completed') {
+                try {
+                    const release = await releaseStock(orderId);
+                    console.log('🔓 Stock released for deleted order:', orderId, release.released);
+                } catch (error) {
+                    console.error('❌ Failed to release stock, order not deleted:', orderId, '-', error.message);
+                    return res.status(503).json({ 
+                        error: 'Không release được stock của order, order chưa bị xóa',
+                        order_id: orderId,
+                        details: error.response ? error.response.data : error.message
+                    });
+                }
+            }
+            
+            const statements = [{ query: 'DELETE FROM orders WHERE id = ?', params: [orderId] }];
+            if (existing.rows.length > 0 && existing.rows[0].user_id) {
+                statements.push(ordersByUser.deleteStatement(existing.rows[0]));
+            }
+            
+            // Xóa khỏi cả hai bảng trong một logged batch
+            await executeBatch(statements);
+            
+            console.log('✅ Order deleted successfully:', orderId);
+            
+            res.json({
+                message: 'Order đã được xóa thành công',
+                order_id: orderId,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error deleting order:', error.message);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi xóa order',
+                details: error.message
+            });
+        }
+    });
+    
+    // =============================================================================
+    // BUSINESS LOGIC ENDPOINTS
+    // =============================================================================
+    
+    /**
+     * Lấy Orders Theo User ID
+     * Endpoint tiện ích để lấy orders của một user, mới nhất trước
+     * Đọc từ bảng orders_by_user (một partition) thay vì ALLOW FILTERING
+     * 
+     * GET /orders/user/:userId
+     * Query params (optional):
+     * - limit: Số records mỗi trang (default: 100, max: 1000)
+     * - pageToken: nextPageToken từ response trước để lấy trang tiếp theo
+     */
+    app.get('/orders/user/:userId', async (req, res) => {
+        try {
+            const userId = await resolveId('users', req.params.userId);
+            console.log('👤 Get orders by user ID - Request received:', userId);
+            
+            // Cùng resource với GET /orders?userId= nên token dùng được cho cả hai
+            const resource = `orders:user:${userId}`;
+            const page = parsePageParams(req.query, resource);
+            
+            const query = 'SELECT * FROM orders_by_user WHERE user_id = ?';
+            const params = [userId];
+            
+            const result = await executeQuery(query, params, pageQueryOptions(page));
+            
+            const orders = result.rows.map(formatOrder);
+            
+            console.log('✅ User orders retrieved successfully. Count:', orders.length);
+            
+            res.json({
+                userId: userId,
+                orders,
+                count: orders.length,
+                limit: page.limit,
+                nextPageToken: encodePageToken(result.pageState, resource),
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            if (error instanceof InvalidPageTokenError) {
+                console.log('❌ Validation failed:', error.message);
+                return res.status(400).json({ 
+                    error: error.message,
+                    provided_page_token: req.query.pageToken
+                });
+            }
+            
+            console.error('❌ Error getting orders by user ID:', error.message);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi lấy orders theo user ID',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Orders Đang Mở Của User
+     * Dùng bởi User Service khi xóa user (USER_DELETE_POLICY=block)
+     * 
+     * GET /orders/user/:userId/open
+     */
+    app.get('/orders/user/:userId/open', async (req, res) => {
+        try {
+            const userId = await resolveId('users', req.params.userId);
+            console.log('👤 Get open orders by user ID - Request received:', userId);
+            
+            // User có thể đang bị xóa: không dùng kết quả verify đã cache
+            invalidateUser(userId);
+            await recordOpenOrderScan(userId);
+            
+            const orders = (await findOpenOrders(userId)).map(formatOrder);
+            
+            console.log('✅ Open orders retrieved. Count:', orders.length);
+            
+            res.json({
+                userId,
+                orders,
+                count: orders.length,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error getting open orders by user ID:', error.message);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi lấy orders đang mở của user',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Hủy Tất Cả Orders Đang Mở Của User
+     * Dùng bởi User Service khi xóa user (USER_DELETE_POLICY=cascade)
+     * Idempotent: gọi lại chỉ hủy các orders còn đang mở
+     * 
+     * POST /orders/user/:userId/cancel-open
+     * Body (optional): { "actor": "user-service", "reason": "User deleted" }
+     * 
+     * Response: {
+     *   "userId": "...",
+     *   "cancelled": ["order-id", ...],
+     *   "failed": [{ "id": "order-id", "error": "..." }]
+     * }
+     */
+    app.post('/orders/user/:userId/cancel-open', async (req, res) => {
+        try {
+            const userId = await resolveId('users', req.params.userId);
+            const actor = req.body.actor || 'user-service';
+            const reason = req.body.reason || 'User deleted';
+            console.log('🧹 Cancel open orders by user ID - Request received:', userId);
+            
+            invalidateUser(userId);
+            await recordOpenOrderScan(userId);
+            
+            const cancelled = [];
+            const failed = [];
+            
+            for (const openOrder of await findOpenOrders(userId)) {
+                const orderId = openOrder.order_id;
+                try {
+                    const outcome = await cancelOrder(orderId, { actor, reason });
+                    if (outcome === 'conflict') {
+                        failed.push({ id: orderId, error: 'Concurrent status change' });
+                    } else if (outcome === 'cancelled') {
+                        cancelled.push(orderId);
+                    }
+                } catch (error) {
+                    console.error('❌ Failed to cancel order', orderId, '-', error.message);
+                    failed.push({ id: orderId, error: error.message });
+                }
+            }
+            
+            console.log('✅ Open orders cancelled:', cancelled.length, 'failed:', failed.length);
+            
+            res.json({
+                userId,
+                cancelled,
+                failed,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error cancelling open orders:', error.message);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi hủy orders đang mở của user',
+                details: error.message
+            });
+        }
+    });
+    
+    return app;
+}
 
 // =============================================================================
 // SERVER STARTUP & SHUTDOWN HANDLERS
 // =============================================================================
 
 /**
- * Graceful Shutdown Handler
- * Đóng kết nối database khi server shutdown
+ * Chạy Order Service như một process độc lập (npm run start:order)
  */
-process.on('SIGINT', async () => {
-    console.log('\n🛑 SIGINT received. Shutting down gracefully...');
-    
-    try {
-        await closeConnection();
-        console.log('✅ Order Service shutdown completed');
-        process.exit(0);
-    } catch (error) {
-        console.error('❌ Error during shutdown:', error.message);
-        process.exit(1);
-    }
-});
+function main() {
+    const app = createApp();
+    const { port, userServiceUrl, productServiceUrl, userCacheTtlMs } = app.locals.config;
+    const { initializeDatabase, closeConnection, cassandraConfig } = database;
+    
+    // Chu kỳ reconcile write intents (xem database/writeIntents.js)
+    const WRITE_INTENT_RECONCILE_INTERVAL_MS = parseInt(process.env.WRITE_INTENT_RECONCILE_INTERVAL_MS, 10) || 30000;
+    
+    /**
+     * Graceful Shutdown Handler
+     * Đóng kết nối database khi server shutdown
+     */
+    process.on('SIGINT', async () => {
+        console.log('\n🛑 SIGINT received. Shutting down gracefully...');
+        
+        try {
+            await closeConnection();
+            console.log('✅ Order Service shutdown completed');
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Error during shutdown:', error.message);
+            process.exit(1);
+        }
+    });
+    
+    process.on('SIGTERM', async () => {
+        console.log('\n🛑 SIGTERM received. Shutting down gracefully...');
+        
+        try {
+            await closeConnection();
+            console.log('✅ Order Service shutdown completed');
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Error during shutdown:', error.message);
+            process.exit(1);
+        }
+    });
+    
+    /**
+     * Khởi Động Server
+     * 
+     * Sequence:
+     * 1. Initialize Cassandra database
+     * 2. Start Express server  
+     * 3. Log startup information
+     */
+    app.listen(port, async () => {
+        try {
+            console.log('\n' + '='.repeat(80));
+            console.log('🚀 ORDER SERVICE STARTING...');
+            console.log('='.repeat(80));
+            
+            // Step 1: Initialize database
+            console.log('📊 Step 1: Initializing Cassandra database...');
+            await initializeDatabase();
+            
+            // Step 2: Reconciler cho follow-up writes của LWT (orders_by_user, history, events)
+            startReconciler(app.locals.writeIntents, WRITE_INTENT_RECONCILE_INTERVAL_MS);
+            
+            // Step 3: Log startup success
+            console.log('\n✅ ORDER SERVICE STARTED SUCCESSFULLY!');
+            console.log('📊 Service Information:');
+            console.log('   - Service: Order Service');
+            console.log('   - Port:', port);
+            console.log('   - Version: 2.0.0');
+            console.log('   - Node.js:', process.version);
+            console.log('   - Environment:', process.env.NODE_ENV || 'development');
+            console.log('   - Uptime: 0s');
+            
+            console.log('\n🔗 Available Endpoints:');
+            console.log('   - GET    /health            - Health check');
+            console.log('   - GET    /metrics           - Request & Cassandra metrics');
+            console.log('   - GET    /orders            - Lấy danh sách orders');
+            console.log('   - GET    /orders/:id        - Lấy order theo ID');
+            console.log('   - GET    /orders/:id/history - Lịch sử trạng thái order');
+            console.log('   - GET    /orders/user/:userId - Lấy orders theo user ID');
+            console.log('   - GET    /orders/user/:userId/open - Orders đang mở của user');
+            console.log('   - POST   /orders/user/:userId/cancel-open - Hủy orders đang mở của user');
+            console.log('   - POST   /orders            - Tạo order mới');
+            console.log('   - PUT    /orders/:id        - Cập nhật order');
+            console.log('   - DELETE /orders/:id        - Xóa order');
+            
+            console.log('\n🗄️  Database Information:');
+            console.log('   - Database: Apache Cassandra');
+            console.log('   - Contact points:', cassandraConfig.contactPoints.join(', '));
+            console.log('   - Local DC:', cassandraConfig.localDataCenter);
+            console.log('   - Keyspace:', cassandraConfig.keyspace);
+            console.log('   - Replication:', buildReplicationCql(cassandraConfig.replication));
+            console.log('   - Tables: orders, orders_by_user, order_status_history, outbox_events, write_intents');
+            console.log('   - Write intent reconcile: every', WRITE_INTENT_RECONCILE_INTERVAL_MS, 'ms');
+            
+            console.log('\n📊 Business Logic:');
+            console.log('   - Order items dạng UDT (order_item), total tính phía server');
+            console.log('   - Stock reservation qua Product Service:', productServiceUrl);
+            console.log('   - User verification qua User Service:', userServiceUrl, `(cache ${userCacheTtlMs}ms)`);
+            console.log('   - Exact decimal money (string) + currency ISO 4217, default:', DEFAULT_CURRENCY);
+            console.log('   - Status state machine (pending -> processing -> completed, -> cancelled)');
+            console.log('   - User-order relationship management');
+            console.log('   - Validation cho business rules');
+            
+            console.log('\n' + '='.repeat(80));
+            console.log('🎉 Ready to accept requests!');
+            console.log('='.repeat(80) + '\n');
+            
+        } catch (error) {
+            console.error('\n💥 STARTUP FAILED!');
+            console.error('❌ Error:', error.message);
+            console.error('📝 Stack trace:', error.stack);
+            console.error('\n🛑 Shutting down due to startup failure...');
+            process.exit(1);
+        }
+    });
+}
 
-process.on('SIGTERM', async () => {
-    console.log('\n🛑 SIGTERM received. Shutting down gracefully...');
-    
-    try {
-        await closeConnection();
-        console.log('✅ Order Service shutdown completed');
-        process.exit(0);
-    } catch (error) {
-        console.error('❌ Error during shutdown:', error.message);
-        process.exit(1);
-    }
-});
+if (require.main === module) {
+    main();
+}
 
-/**
- * Khởi Động Server
- * 
- * Sequence:
- * 1. Initialize Cassandra database
- * 2. Start Express server  
- * 3. Log startup information
- */
-app.listen(port, async () => {
-    try {
-        console.log('\n' + '='.repeat(80));
-        console.log('🚀 ORDER SERVICE STARTING...');
-        console.log('='.repeat(80));
-        
-        // Step 1: Initialize database
-        console.log('📊 Step 1: Initializing Cassandra database...');
-        await initializeDatabase();
-        
-        // Step 2: Log startup success
-        console.log('\n✅ ORDER SERVICE STARTED SUCCESSFULLY!');
-        console.log('📊 Service Information:');
-        console.log('   - Service: Order Service');
-        console.log('   - Port:', port);
-        console.log('   - Version: 2.0.0');
-        console.log('   - Node.js:', process.version);
-        console.log('   - Environment:', process.env.NODE_ENV || 'development');
-        console.log('   - Uptime: 0s');
-        
-        console.log('\n🔗 Available Endpoints:');
-        console.log('   - GET    /health            - Health check');
-        console.log('   - GET    /orders            - Lấy danh sách orders');
-        console.log('   - GET    /orders/:id        - Lấy order theo ID');
-        console.log('   - GET    /orders/user/:userId - Lấy orders theo user ID');
-        console.log('   - POST   /orders            - Tạo order mới');
-        console.log('   - PUT    /orders/:id        - Cập nhật order');
-        console.log('   - DELETE /orders/:id        - Xóa order');
-        
-        console.log('\n🗄️  Database Information:');
-        console.log('   - Database: Apache Cassandra');
-        console.log('   - Cluster: 3 nodes');
-        console.log('   - Keyspace: test_keyspace');
-        console.log('   - Replication Factor: 3');
-        console.log('   - Table: orders');
-        
-        console.log('\n📊 Business Logic:');
-        console.log('   - JSON serialization cho items');
-        console.log('   - Status tracking (pending/processing/completed/cancelled)');
-        console.log('   - User-order relationship management');
-        console.log('   - Validation cho business rules');
-        
-        console.log('\n' + '='.repeat(80));
-        console.log('🎉 Ready to accept requests!');
-        console.log('='.repeat(80) + '\n');
-        
-    } catch (error) {
-        console.error('\n💥 STARTUP FAILED!');
-        console.error('❌ Error:', error.message);
-        console.error('📝 Stack trace:', error.stack);
-        console.error('\n🛑 Shutting down due to startup failure...');
-        process.exit(1);
-    }
-}); 
\ No newline at end of file
+module.exports = {
+    createApp
+};
@@ -0,0 +1,1252 @@
+/**
+ * =============================================================================
+ * PRODUCT SERVICE - DISTRIBUTED MICROSERVICE
+ * =============================================================================
+ * 
+ * Service này quản lý product catalog và tồn kho (stock)
+ * Chạy trên port 3004 và kết nối tới 3-node Cassandra cluster
+ * 
+ * Features:
+ * -  CRUD operations cho Products (key = SKU)
+ * -  Stock tracking, mọi thay đổi stock dùng lightweight transactions
+ * -  Stock reservation cho orders (Order Service gọi khi tạo / hủy order)
+ * -  Health check endpoint
+ * -  Detailed logging
+ * 
+ * Author: Distributed System Team
+ * Version: 2.0.0
+ * =============================================================================
+ */
+
+const express = require('express');
+const database = require('../database/cassandraConnection');
+const { buildReplicationCql } = require('../config/cassandraConfig');
+const {
+    CURRENCY_MINOR_UNITS,
+    DEFAULT_CURRENCY,
+    normalizeCurrency,
+    roundAmount
+} = require('../utils/money');
+const { parseDecimal, compare } = require('../utils/decimal');
+const {
+    registry,
+    upstreamUp,
+    httpMetricsMiddleware,
+    summarizeRequests,
+    sendMetrics
+} = require('../utils/metrics');
+const { tracingMiddleware } = require('../utils/tracing');
+const { consistencyMiddleware } = require('../utils/consistency');
+const { adminRouter } = require('../utils/adminRoutes');
+const {
+    InvalidPageTokenError,
+    parsePageParams,
+    pageQueryOptions,
+    encodePageToken
+} = require('../utils/pagination');
+const logger = require('../utils/logger');
+
+/**
+ * Tạo Express app của Product Service (không listen, không đăng ký signal handlers)
+ * Dùng bởi main() bên dưới và bởi integration test harness (tests/harness.js)
+ * 
+ * @param {Object} config
+ * @param {number} config.port - Port báo cáo trong /health (default: 3004)
+ * @param {Object} config.db - Database API (executeQuery, checkCassandraHealth),
+ *                             default: database/cassandraConnection
+ * @returns {express.Application} App, config đã resolve nằm trong app.locals.config
+ */
+function createApp({ port = 3004, db = database } = {}) {
+    const { executeQuery, checkCassandraHealth } = db;
+    
+    // =============================================================================
+    // EXPRESS APP CONFIGURATION
+    // =============================================================================
+    
+    const app = express();
+    app.locals.config = { port };
+    
+    /**
+     * Số lần retry khi LWT trên product_stock bị conflict (request khác vừa đổi stock)
+     */
+    const STOCK_LWT_MAX_ATTEMPTS = parseInt(process.env.STOCK_LWT_MAX_ATTEMPTS, 10) || 5;
+    
+    // Middleware tạo trace context (traceparent / x-request-id) cho mỗi request
+    app.use(tracingMiddleware('product-service'));
+    
+    // Consistency level theo request (header X-Consistency-Level), levels đã dùng trả về trong response header
+    app.use(consistencyMiddleware());
+    
+    // Middleware để parse JSON request body
+    app.use(express.json());
+    
+    // Log mỗi request kèm requestId/traceId (logger tự gắn trace context)
+    app.use((req, res, next) => {
+        logger.info('Incoming request', { service: 'product-service', method: req.method, url: req.originalUrl });
+        next();
+    });
+    
+    // Middleware đo request count và latency cho GET /metrics
+    app.use(httpMetricsMiddleware('product-service'));
+    
+    // =============================================================================
+    // HEALTH CHECK ENDPOINT
+    // =============================================================================
+    
+    /**
+     * Health Check Endpoint
+     * Kiểm tra trạng thái service và database connection
+     * 
+     * GET /health
+     */
+    app.get('/health', async (req, res) => {
+        try {
+            console.log('🔍 Health check request received');
+            
+            // Kiểm tra database health
+            const isDatabaseHealthy = await checkCassandraHealth();
+            
+            const healthStatus = {
+                status: isDatabaseHealthy ? 'ok' : 'degraded',
+                service: 'product-service',
+                port: port,
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                database: isDatabaseHealthy ? 'cassandra-connected' : 'cassandra-disconnected',
+                cluster_health: isDatabaseHealthy,
+                version: '2.0.0'
+            };
+            
+            console.log('✅ Health check completed:', healthStatus.status);
+            
+            // Return appropriate HTTP status
+            const statusCode = isDatabaseHealthy ? 200 : 503;
+            res.status(statusCode).json(healthStatus);
+            
+        } catch (error) {
+            console.error('❌ Health check failed:', error.message);
+            
+            res.status(503).json({
+                status: 'error',
+                service: 'product-service',
+                port: port,
+                timestamp: new Date().toISOString(),
+                error: error.message
+            });
+        }
+    });
+    
+    /**
+     * Metrics Endpoint
+     * Request counters/latency theo route, method, status và Cassandra query latency
+     * 
+     * GET /metrics
+     * - Default: JSON
+     * - /metrics?format=prometheus hoặc header Accept: text/plain -> Prometheus text format
+     */
+    app.get('/metrics', async (req, res) => {
+        try {
+            console.log('📈 Metrics request received');
+            
+            // Refresh Cassandra health gauge trước khi render
+            const isDatabaseHealthy = await checkCassandraHealth();
+            upstreamUp.set({ upstream: 'cassandra' }, isDatabaseHealthy ? 1 : 0);
+            
+            sendMetrics(req, res, () => ({
+                timestamp: new Date().toISOString(),
+                service: 'product-service',
+                process: {
+                    uptime: process.uptime(),
+                    pid: process.pid,
+                    memory: process.memoryUsage(),
+                    cpu: process.cpuUsage()
+                },
+                requests: summarizeRequests(),
+                services: {
+                    cassandra: isDatabaseHealthy ? 'healthy' : 'unhealthy'
+                },
+                breakdown: registry.toJSON()
+            }));
+            
+        } catch (error) {
+            console.error('❌ Error collecting metrics:', error.message);
+            res.status(500).json({
+                error: 'Failed to collect metrics',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+    
+    /**
+     * Admin Endpoints - replication verification và cluster topology (xem utils/adminRoutes.js)
+     * GET /admin/replication/:table/:id
+     * GET /admin/replication/:table?sample=N
+     * GET /admin/cluster
+     * GET /admin/cluster/owners/:table/:id
+     */
+    app.use(adminRouter({ db }));
+    
+    // =============================================================================
+    // STOCK OPERATIONS (LIGHTWEIGHT TRANSACTIONS)
+    // =============================================================================
+    
+    /**
+     * Tạo lại row product_stock bị thiếu từ products.initial_stock
+     * POST /products ghi products rồi product_stock (hai partitions, không cùng một LWT);
+     * request dừng giữa hai lần ghi để lại product chưa có stock row.
+     * INSERT ... IF NOT EXISTS nên không ghi đè row vừa được tạo bởi request khác.
+     * 
+     * @param {string} sku - SKU của product
+     * @returns {Promise<boolean>} false nếu product không tồn tại
+     */
+    async function ensureStockRow(sku) {
+        const product = await executeQuery('SELECT initial_stock FROM products WHERE sku = ?', [sku]);
+        if (product.rows.length === 0) {
+            return false;
+        }
+        
+        const result = await executeQuery(
+            'INSERT INTO product_stock (sku, available, reserved, version, updated_at) VALUES (?, ?, ?, ?, ?) IF NOT EXISTS',
+            [sku, product.rows[0].initial_stock || 0, 0, 0, new Date()]
+        );
+        if (result.rows[0]['[applied]']) {
+            console.log('🩹 Missing stock row of', sku, 'recreated from initial_stock');
+        }
+        return true;
+    }
+    
+    /**
+     * Thay đổi stock của một SKU bằng compare-and-set
+     * Đọc giá trị hiện tại rồi UPDATE ... IF version = ?; nếu request khác vừa
+     * thay đổi stock thì đọc lại và thử lại.
+     * 
+     * change(stock) nhận { available, reserved, heldBy } và trả về:
+     * - { available, reserved, hold? }: giá trị mới; hold = { op: '+' | '-', orderId }
+     *   thêm / bớt order trong held_by cùng lần cập nhật
+     * - { unchanged: true }: không cần cập nhật
+     * - { error }: hủy
+     * 
+     * @param {string} sku - SKU cần thay đổi
+     * @param {Function} change - (stock) => thay đổi như trên
+     * @returns {Promise<Object>} { applied, available, reserved, unchanged? } hoặc { applied: false, error }
+     */
+    async function updateStock(sku, change) {
+        for (let attempt = 1; attempt <= STOCK_LWT_MAX_ATTEMPTS; attempt++) {
+            const current = await executeQuery(
+                'SELECT available, reserved, held_by, version FROM product_stock WHERE sku = ?',
+                [sku]
+            );
+            if (current.rows.length === 0) {
+                if (attempt === 1 && await ensureStockRow(sku)) {
+                    continue;
+                }
+                return { applied: false, error: 'not_found' };
+            }
+            
+            const row = current.rows[0];
+            const stock = {
+                available: row.available || 0,
+                reserved: row.reserved || 0,
+                heldBy: row.held_by || []
+            };
+            const next = change(stock);
+            if (next.error) {
+                return { applied: false, error: next.error, available: stock.available, reserved: stock.reserved };
+            }
+            if (next.unchanged) {
+                return { applied: true, unchanged: true, available: stock.available, reserved: stock.reserved };
+            }
+            
+            const hold = next.hold ? `, held_by = held_by ${next.hold.op} ?` : '';
+            const result = await executeQuery(
+                `UPDATE product_stock SET available = ?, reserved = ?, version = ?, updated_at = ?${hold}
+                 WHERE sku = ? IF version = ?`,
+                [
+                    next.available,
+                    next.reserved,
+                    (row.version || 0) + 1,
+                    new Date(),
+                    ...(next.hold ? [[next.hold.orderId]] : []),
+                    sku,
+                    row.version
+                ]
+            );
+            
+            if (result.rows[0]['[applied]']) {
+                return { applied: true, available: next.available, reserved: next.reserved };
+            }
+            console.log(`🔁 Stock of ${sku} changed concurrently, retrying (${attempt}/${STOCK_LWT_MAX_ATTEMPTS})`);
+        }
+        
+        return { applied: false, error: 'contention' };
+    }
+    
+    /**
+     * Giữ quantity đơn vị của SKU cho order: available -= quantity, reserved += quantity
+     * Order được thêm vào held_by cùng lần cập nhật, nên release biết stock đã bị
+     * trừ kể cả khi request dừng trước khi row chuyển pending -> reserved
+     */
+    function reserveStock(sku, quantity, orderId) {
+        return updateStock(sku, stock => stock.available < quantity
+            ? { error: 'insufficient_stock' }
+            : {
+                available: stock.available - quantity,
+                reserved: stock.reserved + quantity,
+                hold: { op: '+', orderId }
+            });
+    }
+    
+    /**
+     * Bỏ order khỏi held_by sau khi row đã chuyển sang 'reserved' (stock vẫn được giữ)
+     */
+    function clearHold(sku, orderId) {
+        return updateStock(sku, stock => !stock.heldBy.includes(orderId)
+            ? { unchanged: true }
+            : { available: stock.available, reserved: stock.reserved, hold: { op: '-', orderId } });
+    }
+    
+    /**
+     * Trả lại quantity đơn vị của row 'reserved' vừa được claim: available += quantity,
+     * reserved -= quantity (bỏ order khỏi held_by nếu còn)
+     */
+    function releaseStock(sku, quantity, orderId) {
+        return updateStock(sku, stock => ({
+            available: stock.available + quantity,
+            reserved: Math.max(stock.reserved - quantity, 0),
+            hold: stock.heldBy.includes(orderId) ? { op: '-', orderId } : null
+        }));
+    }
+    
+    /**
+     * Trả lại stock của row 'cancelled' chỉ khi order còn trong held_by
+     * Không có trong held_by: stock chưa bị trừ hoặc đã được trả, gọi lại nhiều lần
+     * (request đang giữ stock, release đồng thời) chỉ trả một lần
+     */
+    function returnHeldStock(sku, quantity, orderId) {
+        return updateStock(sku, stock => !stock.heldBy.includes(orderId)
+            ? { unchanged: true }
+            : {
+                available: stock.available + quantity,
+                reserved: Math.max(stock.reserved - quantity, 0),
+                hold: { op: '-', orderId }
+            });
+    }
+    
+    /**
+     * Gộp items có cùng SKU thành { sku: quantity }
+     */
+    function sumQuantities(items) {
+        return items.reduce((totals, item) => {
+            totals[item.sku] = (totals[item.sku] || 0) + item.quantity;
+            return totals;
+        }, {});
+    }
+    
+    /**
+     * Chuyển status của một reservation row bằng LWT
+     * 
+     * @returns {Promise<Object>} { applied, status } - status hiện tại khi không được áp dụng
+     */
+    async function transitionReservation(orderId, sku, from, to) {
+        const result = await executeQuery(
+            `UPDATE stock_reservations SET status = ?, updated_at = ?
+             WHERE order_id = ? AND sku = ? IF status = ?`,
+            [to, new Date(), orderId, sku, from]
+        );
+        const row = result.rows[0];
+        return { applied: row['[applied]'], status: row.status };
+    }
+    
+    /**
+     * Trả stock của một reservation row vừa được chuyển reserved -> released
+     * Trả thất bại (contention kéo dài, product đã bị xóa): row được chuyển lại
+     * 'reserved' để lần release sau thử lại, stock không bị mất
+     * 
+     * @returns {Promise<boolean>} true nếu stock đã được trả
+     */
+    async function returnReservedStock(orderId, sku, quantity) {
+        const result = await releaseStock(sku, quantity, orderId);
+        if (result.applied) {
+            return true;
+        }
+        
+        console.error(`❌ Could not return ${quantity} x ${sku} to stock (order ${orderId}), kept as reserved:`, result.error);
+        await transitionReservation(orderId, sku, 'released', 'reserved');
+        return false;
+    }
+    
+    /**
+     * Release toàn bộ reservation của một order
+     * - Row 'reserved' được chuyển reserved -> released bằng LWT trước khi trả stock,
+     *   nên gọi lại nhiều lần (retry, release đồng thời) không trả stock hai lần
+     * - Row 'pending' được chuyển sang 'cancelled'; stock có thể đã bị trừ (request
+     *   đang giữ stock, hoặc đã dừng trước khi chuyển row sang 'reserved'), nên
+     *   stock được trả theo held_by. Row 'cancelled' từ lần gọi trước cũng được
+     *   kiểm tra lại held_by, vì vậy gọi lại release sau crash vẫn trả được stock.
+     * 
+     * @param {string} orderId - ID của order
+     * @returns {Promise<Object>} { released, failed } - SKU đã trả / chưa trả được stock trong lần gọi này
+     */
+    async function releaseReservation(orderId) {
+        const reservations = await executeQuery(
+            'SELECT sku, quantity, status FROM stock_reservations WHERE order_id = ?',
+            [orderId]
+        );
+        
+        const released = [];
+        const failed = [];
+        for (const row of reservations.rows) {
+            const item = { sku: row.sku, quantity: row.quantity };
+            let status = row.status;
+            if (status === 'pending') {
+                const cancel = await transitionReservation(orderId, row.sku, 'pending', 'cancelled');
+                status = cancel.applied ? 'cancelled' : cancel.status; // Hoặc vừa được chuyển sang 'reserved'
+            }
+            
+            if (status === 'cancelled') {
+                const result = await returnHeldStock(row.sku, row.quantity, orderId);
+                if (!result.applied) {
+                    console.error(`❌ Could not return ${row.quantity} x ${row.sku} held for order ${orderId}:`, result.error);
+                    failed.push(item);
+                } else if (!result.unchanged) {
+                    released.push(item);
+                }
+                continue;
+            }
+            if (status !== 'reserved') {
+                continue;
+            }
+            
+            const claim = await transitionReservation(orderId, row.sku, 'reserved', 'released');
+            if (!claim.applied) {
+                continue; // Request khác đã release SKU này
+            }
+            
+            if (await returnReservedStock(orderId, row.sku, row.quantity)) {
+                released.push(item);
+            } else {
+                failed.push(item);
+            }
+        }
+        
+        return { released, failed };
+    }
+    
+    /**
+     * So sánh giá / currency của items với catalog
+     * Items không gửi unit_price / currency thì không được so sánh
+     * 
+     * @param {Array<Object>} items - { sku, quantity, unit_price?, currency? }
+     * @returns {Promise<Object>} { missingSku } hoặc { mismatches: [{ sku, provided_price, provided_currency, unit_price, currency }] }
+     */
+    async function checkCatalogPrices(items) {
+        const catalog = new Map();
+        const mismatches = [];
+        
+        for (const item of items) {
+            if (item.unit_price === undefined && item.currency === undefined) {
+                continue;
+            }
+            if (!catalog.has(item.sku)) {
+                const result = await executeQuery('SELECT unit_price, currency FROM products WHERE sku = ?', [item.sku]);
+                catalog.set(item.sku, result.rows[0] || null);
+            }
+            const product = catalog.get(item.sku);
+            if (!product) {
+                return { missingSku: item.sku };
+            }
+            
+            const currency = product.currency || DEFAULT_CURRENCY;
+            const unitPrice = product.unit_price ? roundAmount(product.unit_price.toString(), currency) : null;
+            const providedPrice = item.unit_price === undefined ? null : parseDecimal(item.unit_price);
+            const priceMatches = providedPrice === null
+                || (unitPrice !== null && compare(providedPrice, parseDecimal(unitPrice)) === 0);
+            const currencyMatches = item.currency === undefined || item.currency === currency;
+            
+            if (!priceMatches || !currencyMatches) {
+                mismatches.push({
+                    sku: item.sku,
+                    provided_price: item.unit_price,
+                    provided_currency: item.currency,
+                    unit_price: unitPrice,
+                    currency
+                });
+            }
+        }
+        
+        return { mismatches };
+    }
+    
+    /**
+     * Chuyển row products (+ stock) thành response object
+     */
+    function formatProduct(row, stock) {
+        const currency = row.currency || DEFAULT_CURRENCY;
+        return {
+            sku: row.sku,
+            name: row.name,
+            description: row.description || null,
+            unitPrice: row.unit_price ? roundAmount(row.unit_price.toString(), currency) : null,
+            currency,
+            stock: stock ? {
+                available: stock.available || 0,
+                reserved: stock.reserved || 0
+            } : undefined,
+            created_at: row.created_at ? row.created_at.toISOString() : null,
+            updated_at: row.updated_at ? row.updated_at.toISOString() : null
+        };
+    }
+    
+    // =============================================================================
+    // PRODUCT CRUD OPERATIONS
+    // =============================================================================
+    
+    /**
+     * Tạo Product Mới
+     * 
+     * POST /products
+     * Body: {
+     *   "sku": "SKU-A",
+     *   "name": "Product A",
+     *   "description": "...",   // optional
+     *   "unitPrice": "100000",
+     *   "currency": "VND",      // optional
+     *   "stock": 50             // optional, số lượng ban đầu (default: 0)
+     * }
+     */
+    app.post('/products', async (req, res) => {
+        try {
+            console.log('📦 Tạo product mới - Request received');
+            console.log('📝 Request body:', req.body);
+            
+            const { sku, name, description, unitPrice } = req.body;
+            const stock = req.body.stock === undefined ? 0 : req.body.stock;
+            
+            if (!sku || !name || unitPrice === undefined) {
+                console.log('❌ Validation failed: Missing required fields');
+                return res.status(400).json({
+                    error: 'sku, name và unitPrice là bắt buộc',
+                    required_fields: ['sku', 'name', 'unitPrice']
+                });
+            }
+            
+            const price = parseDecimal(unitPrice);
+            if (!price || price.units < 0n) {
+                return res.status(400).json({
+                    error: 'unitPrice phải là số không âm',
+                    provided_price: unitPrice
+                });
+            }
+            
+            if (!Number.isInteger(stock) || stock < 0) {
+                return res.status(400).json({
+                    error: 'stock phải là số nguyên không âm',
+                    provided_stock: stock
+                });
+            }
+            
+            const currency = normalizeCurrency(req.body.currency || DEFAULT_CURRENCY);
+            if (!currency) {
+                return res.status(400).json({
+                    error: 'Currency không được hỗ trợ',
+                    provided_currency: req.body.currency,
+                    supported_currencies: Object.keys(CURRENCY_MINOR_UNITS)
+                });
+            }
+            
+            const created_at = new Date();
+            
+            // IF NOT EXISTS: SKU là duy nhất, không ghi đè product đã có
+            // initial_stock cho phép tạo lại stock row nếu request dừng trước khi ghi nó
+            const result = await executeQuery(
+                `INSERT INTO products (sku, name, description, unit_price, currency, initial_stock, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?) IF NOT EXISTS`,
+                [sku, name, description || null, roundAmount(unitPrice, currency), currency, stock, created_at, created_at]
+            );
+            
+            if (!result.rows[0]['[applied]']) {
+                console.log('❌ Duplicate SKU, insert rejected:', sku);
+                // Client gọi lại sau khi lần tạo trước dừng giữa chừng: hoàn tất stock row
+                await ensureStockRow(sku);
+                return res.status(409).json({
+                    error: 'SKU đã tồn tại',
+                    sku,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            await executeQuery(
+                'INSERT INTO product_stock (sku, available, reserved, version, updated_at) VALUES (?, ?, ?, ?, ?) IF NOT EXISTS',
+                [sku, stock, 0, 0, created_at]
+            );
+            
+            const responseData = {
+                sku,
+                name,
+                description: description || null,
+                unitPrice: roundAmount(unitPrice, currency),
+                currency,
+                stock: { available: stock, reserved: 0 },
+                created_at: created_at.toISOString(),
+                message: 'Product đã được tạo thành công'
+            };
+            
+            console.log('✅ Product created successfully:', responseData);
+            res.status(201).json(responseData);
+            
+        } catch (error) {
+            console.error('❌ Error creating product:', error.message);
+            console.error('📝 Stack trace:', error.stack);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi tạo product',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+    
+    /**
+     * Lấy Danh Sách Products
+     * 
+     * GET /products
+     * Query params (optional):
+     * - limit: Số records mỗi trang (default: 100, max: 1000)
+     * - pageToken: nextPageToken từ response trước để lấy trang tiếp theo
+     */
+    app.get('/products', async (req, res) => {
+        try {
+            console.log('📋 Get all products - Request received');
+            
+            const page = parsePageParams(req.query, 'products');
+            const result = await executeQuery('SELECT * FROM products', [], pageQueryOptions(page));
+            
+            const products = result.rows.map(row => formatProduct(row));
+            
+            console.log('✅ Products retrieved successfully. Count:', products.length);
+            
+            res.json({
+                products,
+                count: products.length,
+                limit: page.limit,
+                nextPageToken: encodePageToken(result.pageState, 'products'),
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            if (error instanceof InvalidPageTokenError) {
+                console.log('❌ Validation failed:', error.message);
+                return res.status(400).json({
+                    error: error.message,
+                    provided_page_token: req.query.pageToken
+                });
+            }
+            
+            console.error('❌ Error getting products:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi lấy danh sách products',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+    
+    /**
+     * Lấy Chi Tiết Product (kèm stock)
+     * 
+     * GET /products/:sku
+     */
+    app.get('/products/:sku', async (req, res) => {
+        try {
+            const sku = req.params.sku;
+            console.log('🔍 Get product by SKU - Request received:', sku);
+            
+            const result = await executeQuery('SELECT * FROM products WHERE sku = ?', [sku]);
+            if (result.rows.length === 0) {
+                console.log('❌ Product not found:', sku);
+                return res.status(404).json({
+                    error: 'Product không tìm thấy',
+                    sku,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            let stock = await executeQuery('SELECT available, reserved FROM product_stock WHERE sku = ?', [sku]);
+            if (stock.rows.length === 0 && await ensureStockRow(sku)) {
+                stock = await executeQuery('SELECT available, reserved FROM product_stock WHERE sku = ?', [sku]);
+            }
+            
+            res.json(formatProduct(result.rows[0], stock.rows[0] || { available: 0, reserved: 0 }));
+            
+        } catch (error) {
+            console.error('❌ Error getting product:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi lấy thông tin product',
+                details: error.message,
+                sku: req.params.sku
+            });
+        }
+    });
+    
+    /**
+     * Cập Nhật Product
+     * 
+     * PUT /products/:sku
+     * Body: { "name": "...", "description": "...", "unitPrice": "120000" } // ít nhất một field
+     */
+    app.put('/products/:sku', async (req, res) => {
+        try {
+            const sku = req.params.sku;
+            const { name, description, unitPrice } = req.body;
+            console.log('✏️  Update product - Request received:', sku);
+            
+            if (!name && description === undefined && unitPrice === undefined) {
+                return res.status(400).json({
+                    error: 'Cần ít nhất một field để cập nhật (name, description, hoặc unitPrice)'
+                });
+            }
+            
+            const existing = await executeQuery('SELECT currency FROM products WHERE sku = ?', [sku]);
+            if (existing.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Product không tìm thấy',
+                    sku,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            const currency = existing.rows[0].currency || DEFAULT_CURRENCY;
+            
+            const changes = {};
+            if (name) {
+                changes.name = name;
+            }
+            if (description !== undefined) {
+                changes.description = description;
+            }
+            if (unitPrice !== undefined) {
+                const price = parseDecimal(unitPrice);
+                if (!price || price.units < 0n) {
+                    return res.status(400).json({
+                        error: 'unitPrice phải là số không âm',
+                        provided_price: unitPrice
+                    });
+                }
+                changes.unit_price = roundAmount(unitPrice, currency);
+            }
+            changes.updated_at = new Date();
+            
+            const columns = Object.keys(changes);
+            await executeQuery(
+                `UPDATE products SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE sku = ? IF EXISTS`,
+                [...columns.map(column => changes[column]), sku]
+            );
+            
+            console.log('✅ Product updated successfully:', sku);
+            
+            res.json({
+                sku,
+                name: changes.name,
+                description: changes.description,
+                unitPrice: changes.unit_price,
+                currency,
+                updated_at: changes.updated_at.toISOString(),
+                message: 'Product đã được cập nhật thành công'
+            });
+            
+        } catch (error) {
+            console.error('❌ Error updating product:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi cập nhật product',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Điều Chỉnh Tồn Kho
+     * Nhập thêm hàng (delta > 0) hoặc xuất bớt (delta < 0), dùng LWT
+     * 
+     * PUT /products/:sku/stock
+     * Body: { "delta": 20 }
+     */
+    app.put('/products/:sku/stock', async (req, res) => {
+        try {
+            const sku = req.params.sku;
+            const { delta } = req.body;
+            console.log('📦 Adjust stock - Request received:', sku, delta);
+            
+            if (!Number.isInteger(delta) || delta === 0) {
+                return res.status(400).json({
+                    error: 'delta phải là số nguyên khác 0',
+                    provided_delta: delta
+                });
+            }
+            
+            const result = await updateStock(sku, stock => stock.available + delta < 0
+                ? { error: 'insufficient_stock' }
+                : { available: stock.available + delta, reserved: stock.reserved });
+            
+            if (result.error === 'not_found') {
+                return res.status(404).json({ error: 'Product không tìm thấy', sku });
+            }
+            if (result.error === 'insufficient_stock') {
+                return res.status(409).json({
+                    error: 'Không đủ hàng để xuất',
+                    sku,
+                    available: result.available,
+                    provided_delta: delta
+                });
+            }
+            if (!result.applied) {
+                return res.status(503).json({
+                    error: 'Stock đang được cập nhật đồng thời, vui lòng thử lại',
+                    sku
+                });
+            }
+            
+            console.log('✅ Stock adjusted successfully:', sku, result);
+            
+            res.json({
+                sku,
+                stock: { available: result.available, reserved: result.reserved },
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error adjusting stock:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi điều chỉnh stock',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Xóa Product
+     * Không cho xóa khi còn hàng đang được giữ cho orders
+     * 
+     * DELETE /products/:sku
+     */
+    app.delete('/products/:sku', async (req, res) => {
+        try {
+            const sku = req.params.sku;
+            console.log('🗑️  Delete product - Request received:', sku);
+            
+            // Stock row được xóa trước bằng LWT: reservation đồng thời không bị mất,
+            // và request dừng giữa chừng không để lại stock row của product đã xóa
+            const stock = await executeQuery('DELETE FROM product_stock WHERE sku = ? IF reserved = 0', [sku]);
+            const deleted = stock.rows[0];
+            if (!deleted['[applied]'] && deleted.reserved !== undefined && deleted.reserved !== null) {
+                return res.status(409).json({
+                    error: 'Product đang có stock được giữ cho orders',
+                    sku,
+                    reserved: deleted.reserved
+                });
+            }
+            
+            await executeQuery('DELETE FROM products WHERE sku = ?', [sku]);
+            
+            console.log('✅ Product deleted successfully:', sku);
+            
+            res.json({
+                message: 'Product đã được xóa thành công',
+                sku,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error deleting product:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi xóa product',
+                details: error.message
+            });
+        }
+    });
+    
+    // =============================================================================
+    // STOCK RESERVATIONS (GỌI TỪ ORDER SERVICE)
+    // =============================================================================
+    
+    /**
+     * Giữ Stock Cho Order
+     * Tất cả hoặc không: nếu một SKU không đủ hàng, các SKU đã giữ được trả lại.
+     * 
+     * 1. Claim reservation rows bằng INSERT ... IF NOT EXISTS (status 'pending'):
+     *    idempotent theo orderId, gọi lại cho order đã có reservation trả về reservation cũ
+     * 2. Giữ stock từng SKU (LWT trên product_stock, order được thêm vào held_by)
+     * 3. Chuyển row pending -> reserved (IF status = 'pending'); nếu order vừa được
+     *    release song song, stock vừa giữ được trả lại
+     * Stock chỉ bị trừ khi đã có row ghi nhận reservation, nên release luôn tìm thấy nó;
+     * request dừng giữa bước 2 và 3 để lại row 'pending', release trả stock theo held_by.
+     * 
+     * POST /reservations
+     * Body: {
+     *   "orderId": "d8f0c801-a838-11ee-9c1b-5a2ff80820ea",
+     *   "items": [{ "sku": "SKU-A", "quantity": 2, "unit_price": "100000", "currency": "VND" }]
+     * }
+     * unit_price / currency (optional) được so sánh với catalog trước khi giữ stock
+     * 
+     * Errors:
+     * - 404: SKU không tồn tại
+     * - 409: Không đủ hàng, hoặc reservation của order đang được xử lý / đã bị release
+     * - 422: unit_price / currency không khớp catalog
+     * - 503: Stock bị cập nhật đồng thời quá nhiều lần
+     */
+    app.post('/reservations', async (req, res) => {
+        try {
+            const { orderId, items } = req.body;
+            console.log('🔒 Reserve stock - Request received:', orderId);
+            
+            if (!orderId || !Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({
+                    error: 'orderId và items là bắt buộc',
+                    required_fields: ['orderId', 'items']
+                });
+            }
+            if (items.some(item => !item || typeof item.sku !== 'string' || !Number.isInteger(item.quantity) || item.quantity <= 0)) {
+                return res.status(400).json({
+                    error: 'Mỗi item cần sku và quantity là số nguyên dương'
+                });
+            }
+            
+            // Giá / currency theo catalog: order không được tính theo giá client tự đặt
+            const prices = await checkCatalogPrices(items);
+            if (prices.missingSku) {
+                return res.status(404).json({ error: 'Product không tồn tại', sku: prices.missingSku });
+            }
+            if (prices.mismatches.length > 0) {
+                console.log('❌ Items không khớp catalog:', prices.mismatches);
+                return res.status(422).json({
+                    error: 'unit_price hoặc currency không khớp catalog',
+                    mismatches: prices.mismatches
+                });
+            }
+            
+            // Bước 1: claim reservation rows (chưa giữ stock)
+            const quantities = sumQuantities(items);
+            const now = new Date();
+            const claimed = [];
+            let duplicate = false;
+            
+            for (const [sku, quantity] of Object.entries(quantities)) {
+                const claim = await executeQuery(
+                    `INSERT INTO stock_reservations (order_id, sku, quantity, status, created_at, updated_at)
+                     VALUES (?, ?, ?, 'pending', ?, ?) IF NOT EXISTS`,
+                    [orderId, sku, quantity, now, now]
+                );
+                if (!claim.rows[0]['[applied]']) {
+                    duplicate = true;
+                    break;
+                }
+                claimed.push({ sku, quantity });
+            }
+            
+            if (duplicate) {
+                // Order đã có reservation: bỏ các rows vừa claim (chưa giữ stock)
+                for (const { sku } of claimed) {
+                    await executeQuery(
+                        "DELETE FROM stock_reservations WHERE order_id = ? AND sku = ? IF status = 'pending'",
+                        [orderId, sku]
+                    );
+                }
+                
+                const existing = await executeQuery(
+                    'SELECT sku, quantity, status FROM stock_reservations WHERE order_id = ?',
+                    [orderId]
+                );
+                const existingItems = existing.rows.map(row => ({ sku: row.sku, quantity: row.quantity, status: row.status }));
+                if (existingItems.every(item => item.status === 'reserved')) {
+                    console.log('ℹ️  Reservation already exists for order:', orderId);
+                    return res.json({
+                        orderId,
+                        items: existingItems,
+                        message: 'Reservation đã tồn tại'
+                    });
+                }
+                console.log('❌ Reservation of order is in progress or released:', orderId, existingItems);
+                return res.status(409).json({
+                    error: 'Reservation của order đang được xử lý hoặc đã được release',
+                    orderId,
+                    items: existingItems
+                });
+            }
+            
+            // Bước 2 + 3: giữ stock, rồi pending -> reserved
+            let failure = null;
+            
+            for (const { sku, quantity } of claimed) {
+                const result = await reserveStock(sku, quantity, orderId);
+                if (!result.applied) {
+                    failure = { sku, quantity, ...result };
+                    break;
+                }
+                
+                const mark = await transitionReservation(orderId, sku, 'pending', 'reserved');
+                if (!mark.applied) {
+                    // Order vừa được release song song (row 'cancelled'): trả lại stock vừa giữ.
+                    // Không trả được thì order vẫn trong held_by, lần release sau trả lại
+                    await returnHeldStock(sku, quantity, orderId);
+                    failure = { sku, quantity, error: 'released' };
+                    break;
+                }
+                
+                // Row đã 'reserved' (release trả stock theo row): held_by còn order
+                // chỉ khi bước này lỗi, và releaseStock bỏ nó cùng lúc trả stock
+                const cleared = await clearHold(sku, orderId);
+                if (!cleared.applied) {
+                    console.log('⚠️  Could not clear stock hold of', orderId, 'on', sku, '-', cleared.error);
+                }
+            }
+            
+            if (failure) {
+                // Compensation: trả lại các SKU đã giữ trước đó, rows còn pending chuyển sang released
+                const compensation = await releaseReservation(orderId);
+                if (compensation.failed.length > 0) {
+                    console.error('❌ Compensation could not return stock, will be retried by the next release:',
+                        orderId, compensation.failed);
+                }
+                
+                console.log('❌ Stock reservation failed:', failure);
+                if (failure.error === 'not_found') {
+                    return res.status(404).json({ error: 'Product không tồn tại', sku: failure.sku });
+                }
+                if (failure.error === 'insufficient_stock') {
+                    return res.status(409).json({
+                        error: 'Không đủ hàng',
+                        sku: failure.sku,
+                        requested: failure.quantity,
+                        available: failure.available
+                    });
+                }
+                if (failure.error === 'released') {
+                    return res.status(409).json({
+                        error: 'Reservation của order đã được release trong lúc giữ stock',
+                        orderId,
+                        sku: failure.sku
+                    });
+                }
+                return res.status(503).json({
+                    error: 'Stock đang được cập nhật đồng thời, vui lòng thử lại',
+                    sku: failure.sku
+                });
+            }
+            
+            console.log('✅ Stock reserved successfully:', orderId, claimed);
+            
+            res.status(201).json({
+                orderId,
+                items: claimed.map(item => ({ ...item, status: 'reserved' })),
+                message: 'Stock đã được giữ cho order'
+            });
+            
+        } catch (error) {
+            console.error('❌ Error reserving stock:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi giữ stock',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Lấy Reservation Của Order
+     * 
+     * GET /reservations/:orderId
+     */
+    app.get('/reservations/:orderId', async (req, res) => {
+        try {
+            const orderId = req.params.orderId;
+            const result = await executeQuery(
+                'SELECT sku, quantity, status, created_at, updated_at FROM stock_reservations WHERE order_id = ?',
+                [orderId]
+            );
+            
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'Reservation không tìm thấy', orderId });
+            }
+            
+            res.json({
+                orderId,
+                items: result.rows.map(row => ({
+                    sku: row.sku,
+                    quantity: row.quantity,
+                    status: row.status,
+                    updated_at: row.updated_at ? row.updated_at.toISOString() : null
+                }))
+            });
+            
+        } catch (error) {
+            console.error('❌ Error getting reservation:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi lấy reservation',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Release Reservation Của Order (khi order bị hủy / bị xóa)
+     * Idempotent: gọi lại nhiều lần không trả stock hai lần
+     * 503 khi có SKU chưa trả được stock (gọi lại để thử lại)
+     * 
+     * POST /reservations/:orderId/release
+     */
+    app.post('/reservations/:orderId/release', async (req, res) => {
+        try {
+            const orderId = req.params.orderId;
+            console.log('🔓 Release reservation - Request received:', orderId);
+            
+            const { released, failed } = await releaseReservation(orderId);
+            
+            // SKU chưa trả được stock vẫn ở 'reserved' (hoặc còn trong held_by): caller gọi lại để thử lại
+            if (failed.length > 0) {
+                console.error('❌ Reservation partially released:', orderId, { released, failed });
+                return res.status(503).json({
+                    error: 'Chưa trả được stock cho một số SKU, vui lòng gọi lại',
+                    orderId,
+                    released,
+                    failed
+                });
+            }
+            
+            console.log('✅ Reservation released:', orderId, released);
+            
+            res.json({
+                orderId,
+                released,
+                message: released.length > 0 ? 'Stock đã được trả lại' : 'Không có stock nào cần trả lại'
+            });
+            
+        } catch (error) {
+            console.error('❌ Error releasing reservation:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi release reservation',
+                details: error.message
+            });
+        }
+    });
+    
+    return app;
+}
+
+// =============================================================================
+// SERVER STARTUP & SHUTDOWN HANDLERS
+// =============================================================================
+
+/**
+ * Chạy Product Service như một process độc lập (npm run start:product)
+ */
+function main() {
+    const app = createApp();
+    const { port } = app.locals.config;
+    const { initializeDatabase, closeConnection, cassandraConfig } = database;
+    
+    /**
+     * Graceful Shutdown Handler
+     * Đóng kết nối database khi server shutdown
+     */
+    process.on('SIGINT', async () => {
+        console.log('\n🛑 SIGINT received. Shutting down gracefully...');
+        
+        try {
+            await closeConnection();
+            console.log('✅ Product Service shutdown completed');
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Error during shutdown:', error.message);
+            process.exit(1);
+        }
+    });
+    
+    process.on('SIGTERM', async () => {
+        console.log('\n🛑 SIGTERM received. Shutting down gracefully...');
+        
+        try {
+            await closeConnection();
+            console.log('✅ Product Service shutdown completed');
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Error during shutdown:', error.message);
+            process.exit(1);
+        }
+    });
+    
+    /**
+     * Khởi Động Server
+     * 
+     * Sequence:
+     * 1. Initialize Cassandra database
+     * 2. Start Express server
+     * 3. Log startup information
+     */
+    app.listen(port, async () => {
+        try {
+            console.log('\n' + '='.repeat(80));
+            console.log('🚀 PRODUCT SERVICE STARTING...');
+            console.log('='.repeat(80));
+            
+            // Step 1: Initialize database
+            console.log('📊 Step 1: Initializing Cassandra database...');
+            await initializeDatabase();
+            
+            // Step 2: Log startup success
+            console.log('\n✅ PRODUCT SERVICE STARTED SUCCESSFULLY!');
+            console.log('📊 Service Information:');
+            console.log('   - Service: Product Service');
+            console.log('   - Port:', port);
+            console.log('   - Version: 2.0.0');
+            console.log('   - Node.js:', process.version);
+            console.log('   - Environment:', process.env.NODE_ENV || 'development');
+            console.log('   - Uptime: 0s');
+            
+            console.log('\n🔗 Available Endpoints:');
+            console.log('   - GET    /health                  - Health check');
+            console.log('   - GET    /metrics                 - Request & Cassandra metrics');
+            console.log('   - GET    /products                - Lấy danh sách products');
+            console.log('   - GET    /products/:sku           - Lấy product (kèm stock)');
+            console.log('   - POST   /products                - Tạo product mới');
+            console.log('   - PUT    /products/:sku           - Cập nhật product');
+            console.log('   - PUT    /products/:sku/stock     - Điều chỉnh tồn kho');
+            console.log('   - DELETE /products/:sku           - Xóa product');
+            console.log('   - POST   /reservations            - Giữ stock cho order');
+            console.log('   - GET    /reservations/:orderId   - Lấy reservation của order');
+            console.log('   - POST   /reservations/:orderId/release - Trả stock khi order bị hủy');
+            
+            console.log('\n🗄️  Database Information:');
+            console.log('   - Database: Apache Cassandra');
+            console.log('   - Contact points:', cassandraConfig.contactPoints.join(', '));
+            console.log('   - Local DC:', cassandraConfig.localDataCenter);
+            console.log('   - Keyspace:', cassandraConfig.keyspace);
+            console.log('   - Replication:', buildReplicationCql(cassandraConfig.replication));
+            console.log('   - Tables: products, product_stock, stock_reservations');
+            
+            console.log('\n' + '='.repeat(80));
+            console.log('🎉 Ready to accept requests!');
+            console.log('='.repeat(80) + '\n');
+            
+        } catch (error) {
+            console.error('\n💥 STARTUP FAILED!');
+            console.error('❌ Error:', error.message);
+            console.error('📝 Stack trace:', error.stack);
+            console.error('\n🛑 Shutting down due to startup failure...');
+            process.exit(1);
+        }
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    createApp
+};
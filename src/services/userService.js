@@ -19,487 +19,1101 @@
  */
 
 const express = require('express');
-const { 
-    initializeDatabase, 
-    executeQuery, 
-    checkCassandraHealth,
-    closeConnection 
-} = require('../database/cassandraConnection');
-
-// =============================================================================
-// EXPRESS APP CONFIGURATION
-// =============================================================================
-
-const app = express();
-const port = 3001;
-
-// Middleware để parse JSON request body
-app.use(express.json());
-
-// =============================================================================
-// HEALTH CHECK ENDPOINT
-// =============================================================================
+const axios = require('axios');
+const database = require('../database/cassandraConnection');
+const { buildReplicationCql } = require('../config/cassandraConfig');
+const { resolveId: resolveLegacyId } = require('../database/legacyIds');
+const { EVENT_TYPES, eventStatements } = require('../database/outbox');
+const { createWriteIntents, startReconciler } = require('../database/writeIntents');
+const { generateId } = require('../utils/idGenerator');
+const {
+    registry,
+    upstreamUp,
+    httpMetricsMiddleware,
+    summarizeRequests,
+    sendMetrics
+} = require('../utils/metrics');
+const { tracingMiddleware, getTraceHeaders } = require('../utils/tracing');
+const { consistencyMiddleware } = require('../utils/consistency');
+const { adminRouter } = require('../utils/adminRoutes');
+const {
+    InvalidPageTokenError,
+    parsePageParams,
+    pageQueryOptions,
+    encodePageToken
+} = require('../utils/pagination');
+const logger = require('../utils/logger');
 
 /**
- * Health Check Endpoint
- * Kiểm tra trạng thái service và database connection
- * 
- * GET /health
+ * Tạo Express app của User Service (không listen, không đăng ký signal handlers)
+ * Dùng bởi main() bên dưới và bởi integration test harness (tests/harness.js)
  * 
- * Response format:
- * {
- *   "status": "ok",
- *   "service": "user-service", 
- *   "port": 3001,
- *   "timestamp": "2024-01-01T00:00:00.000Z",
- *   "uptime": 123.456,
- *   "database": "cassandra-connected",
- *   "cluster_health": true
- * }
+ * @param {Object} config
+ * @param {number} config.port - Port báo cáo trong /health (default: 3001)
+ * @param {string} config.orderServiceUrl - URL của Order Service (default: ORDER_SERVICE_URL)
+ * @param {string} config.deletePolicy - 'block' | 'cascade' (default: USER_DELETE_POLICY)
+ * @param {number} config.writeIntentSettleMs - Tuổi tối thiểu của write intent trước khi reconcile
+ *                                              (default: WRITE_INTENT_SETTLE_MS)
+ * @param {Object} config.db - Database API (executeQuery, executeBatch, checkCassandraHealth),
+ *                             default: database/cassandraConnection
+ * @returns {express.Application} App, config đã resolve nằm trong app.locals.config,
+ *                                 write intents (reconcile) trong app.locals.writeIntents
  */
-app.get('/health', async (req, res) => {
-    try {
-        console.log('🔍 Health check request received');
-        
-        // Kiểm tra database health
-        const isDatabaseHealthy = await checkCassandraHealth();
-        
-        const healthStatus = {
-            status: isDatabaseHealthy ? 'ok' : 'degraded',
-            service: 'user-service',
-            port: port,
-            timestamp: new Date().toISOString(),
-            uptime: process.uptime(),
-            database: isDatabaseHealthy ? 'cassandra-connected' : 'cassandra-disconnected',
-            cluster_health: isDatabaseHealthy,
-            version: '2.0.0'
-        };
-        
-        console.log('✅ Health check completed:', healthStatus.status);
-        
-        // Return appropriate HTTP status
-        const statusCode = isDatabaseHealthy ? 200 : 503;
-        res.status(statusCode).json(healthStatus);
-        
-    } catch (error) {
-        console.error('❌ Health check failed:', error.message);
-        
-        res.status(503).json({
-            status: 'error',
-            service: 'user-service',
-            port: port,
-            timestamp: new Date().toISOString(),
-            error: error.message
-        });
-    }
-});
-
-// =============================================================================
-// USER CRUD OPERATIONS
-// =============================================================================
-
-/**
- * Tạo User Mới
- * 
- * POST /users
- * Body: {
- *   "name": "Nguyen Van A",
- *   "email": "nguyenvana@example.com"
- * }
- * 
- * Response: {
- *   "id": "1704067200000",
- *   "name": "Nguyen Van A", 
- *   "email": "nguyenvana@example.com",
- *   "created_at": "2024-01-01T00:00:00.000Z"
- * }
- */
-app.post('/users', async (req, res) => {
-    try {
-        console.log('👤 Tạo user mới - Request received');
-        console.log('📝 Request body:', req.body);
-        
-        // Validation input
-        const { name, email } = req.body;
-        
-        if (!name || !email) {
-            console.log('❌ Validation failed: Missing required fields');
-            return res.status(400).json({ 
-                error: 'Name và email là bắt buộc',
-                required_fields: ['name', 'email']
+function createApp({
+    port = 3001,
+    orderServiceUrl = process.env.ORDER_SERVICE_URL || 'http://order_service:3002',
+    deletePolicy = process.env.USER_DELETE_POLICY,
+    writeIntentSettleMs = parseInt(process.env.WRITE_INTENT_SETTLE_MS, 10) || 60000,
+    db = database
+} = {}) {
+    const { executeQuery, executeBatch, checkCassandraHealth } = db;
+    const resolveId = (entity, id) => resolveLegacyId(entity, id, executeQuery);
+    
+    // =============================================================================
+    // EXPRESS APP CONFIGURATION
+    // =============================================================================
+    
+    const app = express();
+    
+    /**
+     * Order Service: được gọi khi xóa user để xử lý orders đang mở
+     */
+    const ORDER_SERVICE = orderServiceUrl;
+    const ORDER_SERVICE_TIMEOUT = 10000;
+    
+    /**
+     * Policy khi xóa user còn orders đang mở (pending / processing):
+     * - block:   từ chối xóa (409) cho tới khi các orders được hoàn tất hoặc hủy
+     * - cascade: hủy tất cả orders đang mở rồi mới xóa user
+     */
+    const USER_DELETE_POLICIES = ['block', 'cascade'];
+    const USER_DELETE_POLICY = USER_DELETE_POLICIES.includes(deletePolicy) ? deletePolicy : 'block';
+    
+    app.locals.config = { port, orderServiceUrl: ORDER_SERVICE, deletePolicy: USER_DELETE_POLICY };
+    
+    // Middleware tạo trace context (traceparent / x-request-id) cho mỗi request
+    app.use(tracingMiddleware('user-service'));
+    
+    // Consistency level theo request (header X-Consistency-Level), levels đã dùng trả về trong response header
+    app.use(consistencyMiddleware());
+    
+    // Middleware để parse JSON request body
+    app.use(express.json());
+    
+    // Log mỗi request kèm requestId/traceId (logger tự gắn trace context)
+    app.use((req, res, next) => {
+        logger.info('Incoming request', { service: 'user-service', method: req.method, url: req.originalUrl });
+        next();
+    });
+    
+    // Middleware đo request count và latency cho GET /metrics
+    app.use(httpMetricsMiddleware('user-service'));
+    
+    // =============================================================================
+    // HEALTH CHECK ENDPOINT
+    // =============================================================================
+    
+    /**
+     * Health Check Endpoint
+     * Kiểm tra trạng thái service và database connection
+     * 
+     * GET /health
+     * 
+     * Response format:
+     * {
+     *   "status": "ok",
+     *   "service": "user-service", 
+     *   "port": 3001,
+     *   "timestamp": "2024-01-01T00:00:00.000Z",
+     *   "uptime": 123.456,
+     *   "database": "cassandra-connected",
+     *   "cluster_health": true
+     * }
+     */
+    app.get('/health', async (req, res) => {
+        try {
+            console.log('🔍 Health check request received');
+            
+            // Kiểm tra database health
+            const isDatabaseHealthy = await checkCassandraHealth();
+            
+            const healthStatus = {
+                status: isDatabaseHealthy ? 'ok' : 'degraded',
+                service: 'user-service',
+                port: port,
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                database: isDatabaseHealthy ? 'cassandra-connected' : 'cassandra-disconnected',
+                cluster_health: isDatabaseHealthy,
+                version: '2.0.0'
+            };
+            
+            console.log('✅ Health check completed:', healthStatus.status);
+            
+            // Return appropriate HTTP status
+            const statusCode = isDatabaseHealthy ? 200 : 503;
+            res.status(statusCode).json(healthStatus);
+            
+        } catch (error) {
+            console.error('❌ Health check failed:', error.message);
+            
+            res.status(503).json({
+                status: 'error',
+                service: 'user-service',
+                port: port,
+                timestamp: new Date().toISOString(),
+                error: error.message
             });
         }
-        
-        // Validate email format (basic)
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            console.log('❌ Validation failed: Invalid email format');
-            return res.status(400).json({ 
-                error: 'Email format không hợp lệ',
-                provided_email: email
+    });
+    
+    /**
+     * Metrics Endpoint
+     * Request counters/latency theo route, method, status và Cassandra query latency
+     * 
+     * GET /metrics
+     * - Default: JSON
+     * - /metrics?format=prometheus hoặc header Accept: text/plain -> Prometheus text format
+     */
+    app.get('/metrics', async (req, res) => {
+        try {
+            console.log('📈 Metrics request received');
+            
+            // Refresh Cassandra health gauge trước khi render
+            const isDatabaseHealthy = await checkCassandraHealth();
+            upstreamUp.set({ upstream: 'cassandra' }, isDatabaseHealthy ? 1 : 0);
+            
+            sendMetrics(req, res, () => ({
+                timestamp: new Date().toISOString(),
+                service: 'user-service',
+                process: {
+                    uptime: process.uptime(),
+                    pid: process.pid,
+                    memory: process.memoryUsage(),
+                    cpu: process.cpuUsage()
+                },
+                requests: summarizeRequests(),
+                services: {
+                    cassandra: isDatabaseHealthy ? 'healthy' : 'unhealthy'
+                },
+                breakdown: registry.toJSON()
+            }));
+            
+        } catch (error) {
+            console.error('❌ Error collecting metrics:', error.message);
+            res.status(500).json({ 
+                error: 'Failed to collect metrics',
+                details: error.message,
+                timestamp: new Date().toISOString()
             });
         }
-        
-        // Generate unique ID using timestamp
-        const id = Date.now().toString();
-        const created_at = new Date();
-        
-        console.log('🔄 Inserting user vào database...');
-        console.log('📊 User data:', { id, name, email, created_at });
-        
-        // Sử dụng prepared statement để insert user
-        const query = `
-            INSERT INTO users (id, name, email, created_at, updated_at) 
-            VALUES (?, ?, ?, ?, ?)
-        `;
-        
-        const params = [id, name, email, created_at, created_at];
-        
-        // Execute query through centralized connection
-        await executeQuery(query, params);
-        
-        // Response data
-        const responseData = {
-            id,
-            name,
-            email,
-            created_at: created_at.toISOString(),
-            message: 'User đã được tạo thành công'
-        };
-        
-        console.log('✅ User created successfully:', responseData);
-        res.status(201).json(responseData);
-        
-    } catch (error) {
-        console.error('❌ Error creating user:', error.message);
-        console.error('📝 Stack trace:', error.stack);
-        
-        res.status(500).json({ 
-            error: 'Lỗi server khi tạo user',
-            details: error.message,
-            timestamp: new Date().toISOString()
-        });
+    });
+    
+    /**
+     * Admin Endpoints - replication verification và cluster topology (xem utils/adminRoutes.js)
+     * GET /admin/replication/:table/:id
+     * GET /admin/replication/:table?sample=N
+     * GET /admin/cluster
+     * GET /admin/cluster/owners/:table/:id
+     */
+    app.use(adminRouter({ db }));
+    
+    // =============================================================================
+    // EMAIL UNIQUENESS (users_by_email LOOKUP TABLE)
+    // =============================================================================
+    
+    /**
+     * Normalize email để dùng làm key trong users_by_email
+     * @param {string} email - Email từ request
+     * @returns {string} Email đã trim và lowercase
+     */
+    function normalizeEmail(email) {
+        return email.trim().toLowerCase();
     }
-});
-
-/**
- * Lấy Danh Sách Tất Cả Users
- * 
- * GET /users
- * Query params (optional):
- * - limit: Giới hạn số lượng records (default: 100)
- * 
- * Response: [
- *   {
- *     "id": "1704067200000",
- *     "name": "Nguyen Van A",
- *     "email": "nguyenvana@example.com", 
- *     "created_at": "2024-01-01T00:00:00.000Z"
- *   }
- * ]
- */
-app.get('/users', async (req, res) => {
-    try {
-        console.log('📋 Get all users - Request received');
-        
-        // Parse query parameters
-        const limit = parseInt(req.query.limit) || 100;
-        console.log('📊 Query params:', { limit });
-        
-        // Build query with limit
-        const query = 'SELECT * FROM users LIMIT ?';
-        const params = [limit];
-        
-        console.log('🔍 Executing query to get users...');
-        
-        // Execute query
-        const result = await executeQuery(query, params);
-        
-        // Transform result để format timestamps
-        const users = result.rows.map(row => ({
-            id: row.id,
-            name: row.name,
-            email: row.email,
-            created_at: row.created_at ? row.created_at.toISOString() : null,
-            updated_at: row.updated_at ? row.updated_at.toISOString() : null
-        }));
-        
-        console.log('✅ Users retrieved successfully. Count:', users.length);
-        console.log('📊 Sample data:', users.slice(0, 2)); // Log first 2 records only
-        
-        res.json({
-            users,
-            count: users.length,
-            limit: limit,
-            timestamp: new Date().toISOString()
-        });
-        
-    } catch (error) {
-        console.error('❌ Error getting users:', error.message);
-        console.error('📝 Stack trace:', error.stack);
+    
+    /**
+     * Claim email cho một user bằng lightweight transaction
+     * Chỉ một user có thể sở hữu một email tại một thời điểm
+     * 
+     * @param {string} email - Email cần claim
+     * @param {string} userId - User muốn sở hữu email
+     * @returns {Promise<Object>} { claimed, ownerId } - claimed = false nếu email thuộc user khác
+     */
+    async function claimEmail(email, userId) {
+        const result = await executeQuery(
+            'INSERT INTO users_by_email (email, user_id, created_at) VALUES (?, ?, ?) IF NOT EXISTS',
+            [normalizeEmail(email), userId, new Date()]
+        );
         
-        res.status(500).json({ 
-            error: 'Lỗi server khi lấy danh sách users',
-            details: error.message,
-            timestamp: new Date().toISOString()
-        });
+        const row = result.rows[0];
+        if (row['[applied]']) {
+            return { claimed: true, ownerId: userId };
+        }
+        // Email đã tồn tại: coi như claim thành công nếu chính user này đang sở hữu
+        return { claimed: row.user_id === userId, ownerId: row.user_id };
     }
-});
-
-/**
- * Lấy Thông Tin User Theo ID
- * 
- * GET /users/:id
- * 
- * Response: {
- *   "id": "1704067200000",
- *   "name": "Nguyen Van A",
- *   "email": "nguyenvana@example.com",
- *   "created_at": "2024-01-01T00:00:00.000Z"
- * }
- */
-app.get('/users/:id', async (req, res) => {
-    try {
-        const userId = req.params.id;
-        console.log('🔍 Get user by ID - Request received:', userId);
-        
-        // Validate ID format
-        if (!userId || userId.trim() === '') {
-            console.log('❌ Validation failed: Invalid user ID');
-            return res.status(400).json({ 
-                error: 'User ID không hợp lệ',
-                provided_id: userId
+    
+    /**
+     * Trả email về (chỉ xóa nếu email vẫn thuộc về user này)
+     * 
+     * @param {string} email - Email cần release
+     * @param {string} userId - User đang sở hữu email
+     */
+    async function releaseEmail(email, userId) {
+        await executeQuery(
+            'DELETE FROM users_by_email WHERE email = ? IF user_id = ?',
+            [normalizeEmail(email), userId]
+        );
+    }
+    
+    /**
+     * Release email khi thao tác chính thất bại, lỗi rollback chỉ được log
+     * (thao tác chính đã lỗi, không che lỗi gốc)
+     */
+    async function rollbackEmailClaim(email, userId) {
+        try {
+            await releaseEmail(email, userId);
+        } catch (error) {
+            console.error('❌ Failed to release email claim:', email, error.message);
+        }
+    }
+    
+    /**
+     * Release email nếu user không còn dùng nó (users.email khác email này)
+     * Dùng bởi reconciler: request khác của cùng user có thể đã claim lại email
+     * 
+     * @param {string} email - Email cần release
+     * @param {string} userId - User đang sở hữu email
+     */
+    async function releaseEmailIfUnused(email, userId) {
+        const current = await executeQuery('SELECT email FROM users WHERE id = ?', [userId]);
+        const row = current.rows[0];
+        if (row && row.email && normalizeEmail(row.email) === normalizeEmail(email)) {
+            return;
+        }
+        await releaseEmail(email, userId);
+    }
+    
+    // =============================================================================
+    // FOLLOW-UP WRITES (WRITE INTENTS)
+    // =============================================================================
+    
+    /**
+     * Insert / update user là LWT nên outbox event không thể nằm chung logged batch.
+     * Event được dựng từ write intent ghi trước LWT; nếu request dừng giữa chừng
+     * reconciler ghi event (LWT đã áp dụng) hoặc trả email đã claim (LWT chưa áp dụng)
+     * (xem database/writeIntents.js)
+     */
+    const writeIntents = createWriteIntents({
+        executeQuery,
+        executeBatch,
+        scope: 'users',
+        table: 'users',
+        settleMs: writeIntentSettleMs,
+        handlers: {
+            // data: { user: payload của UserCreated }
+            user_created: {
+                followUps({ user }, { occurredAt }) {
+                    return eventStatements({
+                        aggregateType: 'user',
+                        aggregateId: user.id,
+                        type: EVENT_TYPES.USER_CREATED,
+                        payload: user,
+                        occurredAt
+                    });
+                },
+                async reconciled({ user }, applied) {
+                    if (!applied) {
+                        await releaseEmailIfUnused(user.email, user.id);
+                    }
+                }
+            },
+            // data: { user: payload của UserUpdated } (previous_email chỉ có khi đổi email)
+            user_updated: {
+                followUps({ user }, { occurredAt }) {
+                    return eventStatements({
+                        aggregateType: 'user',
+                        aggregateId: user.id,
+                        type: EVENT_TYPES.USER_UPDATED,
+                        payload: user,
+                        occurredAt
+                    });
+                },
+                async reconciled({ user }, applied) {
+                    if (!user.previous_email) {
+                        return;
+                    }
+                    // Áp dụng: trả email cũ; không áp dụng: trả email mới đã claim
+                    await releaseEmailIfUnused(applied ? user.previous_email : user.email, user.id);
+                }
+            }
+        }
+    });
+    app.locals.writeIntents = writeIntents;
+    
+    // =============================================================================
+    // USER CRUD OPERATIONS
+    // =============================================================================
+    
+    /**
+     * Tạo User Mới
+     * 
+     * POST /users
+     * Body: {
+     *   "name": "Nguyen Van A",
+     *   "email": "nguyenvana@example.com"
+     * }
+     * 
+     * Response: {
+     *   "id": "b4cc8001-a838-11ee-9c1b-5a2ff80820ea",
+     *   "name": "Nguyen Van A", 
+     *   "email": "nguyenvana@example.com",
+     *   "created_at": "2024-01-01T00:00:00.000Z"
+     * }
+     */
+    app.post('/users', async (req, res) => {
+        try {
+            console.log('👤 Tạo user mới - Request received');
+            console.log('📝 Request body:', req.body);
+            
+            // Validation input
+            const { name, email } = req.body;
+            
+            if (!name || !email) {
+                console.log('❌ Validation failed: Missing required fields');
+                return res.status(400).json({ 
+                    error: 'Name và email là bắt buộc',
+                    required_fields: ['name', 'email']
+                });
+            }
+            
+            // Validate email format (basic)
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(email)) {
+                console.log('❌ Validation failed: Invalid email format');
+                return res.status(400).json({ 
+                    error: 'Email format không hợp lệ',
+                    provided_email: email
+                });
+            }
+            
+            // Generate collision-free ID (TimeUUID)
+            const id = generateId();
+            const created_at = new Date();
+            
+            // Claim email trước khi tạo user: email trùng -> 409
+            const emailClaim = await claimEmail(email, id);
+            if (!emailClaim.claimed) {
+                console.log('❌ Email đã được sử dụng:', email);
+                return res.status(409).json({ 
+                    error: 'Email đã được sử dụng',
+                    provided_email: email,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            console.log('🔄 Inserting user vào database...');
+            console.log('📊 User data:', { id, name, email, created_at });
+            
+            // Write intent ghi trước LWT: UserCreated event được dựng lại từ intent
+            // nếu request dừng sau khi user đã được ghi
+            let intent;
+            try {
+                intent = await writeIntents.begin('user_created', id, {
+                    user: { id, name, email, created_at: created_at.toISOString() }
+                });
+            } catch (error) {
+                await rollbackEmailClaim(email, id);
+                throw error;
+            }
+            
+            // Sử dụng prepared statement để insert user
+            // IF NOT EXISTS: không bao giờ ghi đè user đã tồn tại (INSERT của Cassandra là upsert)
+            const query = `
+                INSERT INTO users (id, name, email, created_at, updated_at, pending_writes) 
+                VALUES (?, ?, ?, ?, ?, ?)
+                IF NOT EXISTS
+            `;
+            
+            const params = [id, name, email, created_at, created_at, [intent.writeId]];
+            
+            // Execute query through centralized connection
+            // Lỗi (vd timeout): LWT có thể đã được áp dụng, nên không trả email ngay;
+            // reconciler xác định kết quả và trả email nếu user không được tạo
+            const result = await executeQuery(query, params);
+            
+            if (!result.rows[0]['[applied]']) {
+                await writeIntents.abandon(intent);
+                await rollbackEmailClaim(email, id);
+                console.log('❌ Duplicate user ID, insert rejected:', id);
+                return res.status(409).json({ 
+                    error: 'User ID đã tồn tại',
+                    user_id: id,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            // LWT không thể nằm chung batch với bảng khác: ghi event (follow-up của intent)
+            // sau khi insert được áp dụng, batch lỗi thì reconciler ghi lại.
+            // event_id lấy lúc ghi batch (created_at nằm trong payload)
+            await writeIntents.complete(intent, new Date());
+            
+            // Response data
+            const responseData = {
+                id,
+                name,
+                email,
+                created_at: created_at.toISOString(),
+                message: 'User đã được tạo thành công'
+            };
+            
+            console.log('✅ User created successfully:', responseData);
+            res.status(201).json(responseData);
+            
+        } catch (error) {
+            console.error('❌ Error creating user:', error.message);
+            console.error('📝 Stack trace:', error.stack);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi tạo user',
+                details: error.message,
+                timestamp: new Date().toISOString()
             });
         }
-        
-        console.log('🔍 Executing query to get user by ID...');
-        
-        // Query user by ID
-        const query = 'SELECT * FROM users WHERE id = ?';
-        const params = [userId];
-        
-        const result = await executeQuery(query, params);
-        
-        // Check if user exists
-        if (result.rows.length === 0) {
-            console.log('❌ User not found:', userId);
-            return res.status(404).json({ 
-                error: 'User không tìm thấy',
-                user_id: userId,
+    });
+    
+    /**
+     * Lấy Danh Sách Tất Cả Users
+     * 
+     * GET /users
+     * Query params (optional):
+     * - limit: Số records mỗi trang (default: 100, max: 1000)
+     * - pageToken: nextPageToken từ response trước để lấy trang tiếp theo
+     * 
+     * Response: {
+     *   "users": [
+     *     {
+     *       "id": "b4cc8001-a838-11ee-9c1b-5a2ff80820ea",
+     *       "name": "Nguyen Van A",
+     *       "email": "nguyenvana@example.com", 
+     *       "created_at": "2024-01-01T00:00:00.000Z"
+     *     }
+     *   ],
+     *   "count": 1,
+     *   "limit": 100,
+     *   "nextPageToken": "eyJyIjoi..." // null khi hết dữ liệu
+     * }
+     */
+    app.get('/users', async (req, res) => {
+        try {
+            console.log('📋 Get all users - Request received');
+            
+            // Parse query parameters (limit + pageToken)
+            const page = parsePageParams(req.query, 'users');
+            const limit = page.limit;
+            console.log('📊 Query params:', { limit, hasPageToken: Boolean(page.pageState) });
+            
+            // Page size được điều khiển bằng fetchSize thay vì LIMIT
+            const query = 'SELECT * FROM users';
+            const params = [];
+            
+            console.log('🔍 Executing query to get users...');
+            
+            // Execute query (chỉ lấy một trang)
+            const result = await executeQuery(query, params, pageQueryOptions(page));
+            
+            // Transform result để format timestamps
+            const users = result.rows.map(row => ({
+                id: row.id,
+                name: row.name,
+                email: row.email,
+                created_at: row.created_at ? row.created_at.toISOString() : null,
+                updated_at: row.updated_at ? row.updated_at.toISOString() : null
+            }));
+            
+            console.log('✅ Users retrieved successfully. Count:', users.length);
+            console.log('📊 Sample data:', users.slice(0, 2)); // Log first 2 records only
+            
+            res.json({
+                users,
+                count: users.length,
+                limit: limit,
+                nextPageToken: encodePageToken(result.pageState, 'users'),
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            if (error instanceof InvalidPageTokenError) {
+                console.log('❌ Validation failed:', error.message);
+                return res.status(400).json({ 
+                    error: error.message,
+                    provided_page_token: req.query.pageToken
+                });
+            }
+            
+            console.error('❌ Error getting users:', error.message);
+            console.error('📝 Stack trace:', error.stack);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi lấy danh sách users',
+                details: error.message,
                 timestamp: new Date().toISOString()
             });
         }
-        
-        // Transform result
-        const user = result.rows[0];
-        const responseData = {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            created_at: user.created_at ? user.created_at.toISOString() : null,
-            updated_at: user.updated_at ? user.updated_at.toISOString() : null
-        };
-        
-        console.log('✅ User found successfully:', responseData);
-        res.json(responseData);
-        
-    } catch (error) {
-        console.error('❌ Error getting user by ID:', error.message);
-        console.error('📝 Stack trace:', error.stack);
-        
-        res.status(500).json({ 
-            error: 'Lỗi server khi lấy thông tin user',
-            details: error.message,
-            user_id: req.params.id,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
-
-/**
- * Cập Nhật Thông Tin User
- * 
- * PUT /users/:id
- * Body: {
- *   "name": "Nguyen Van B",
- *   "email": "nguyenvanb@example.com"
- * }
- */
-app.put('/users/:id', async (req, res) => {
-    try {
-        const userId = req.params.id;
-        const { name, email } = req.body;
-        
-        console.log('✏️  Update user - Request received:', userId);
-        console.log('📝 Update data:', { name, email });
-        
-        // Validation
-        if (!name || !email) {
-            return res.status(400).json({ 
-                error: 'Name và email là bắt buộc cho việc cập nhật' 
+    });
+    
+    /**
+     * Lấy Thông Tin User Theo Email
+     * Tra cứu qua lookup table users_by_email (không cần ALLOW FILTERING)
+     * 
+     * GET /users/by-email/:email
+     * 
+     * Response: giống GET /users/:id
+     */
+    app.get('/users/by-email/:email', async (req, res) => {
+        try {
+            const email = req.params.email;
+            console.log('🔍 Get user by email - Request received:', email);
+            
+            const lookup = await executeQuery(
+                'SELECT user_id FROM users_by_email WHERE email = ?',
+                [normalizeEmail(email)]
+            );
+            
+            const result = lookup.rows.length > 0
+                ? await executeQuery('SELECT * FROM users WHERE id = ?', [lookup.rows[0].user_id])
+                : { rows: [] };
+            
+            if (result.rows.length === 0) {
+                console.log('❌ User not found for email:', email);
+                return res.status(404).json({ 
+                    error: 'User không tìm thấy',
+                    email: email,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const user = result.rows[0];
+            const responseData = {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                status: user.status || 'active',
+                created_at: user.created_at ? user.created_at.toISOString() : null,
+                updated_at: user.updated_at ? user.updated_at.toISOString() : null
+            };
+            
+            console.log('✅ User found successfully:', responseData);
+            res.json(responseData);
+            
+        } catch (error) {
+            console.error('❌ Error getting user by email:', error.message);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi lấy thông tin user theo email',
+                details: error.message,
+                email: req.params.email,
+                timestamp: new Date().toISOString()
             });
         }
-        
-        // Validate email format
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            return res.status(400).json({ 
-                error: 'Email format không hợp lệ' 
+    });
+    
+    /**
+     * Lấy Thông Tin User Theo ID
+     * 
+     * GET /users/:id
+     * 
+     * Response: {
+     *   "id": "b4cc8001-a838-11ee-9c1b-5a2ff80820ea",
+     *   "name": "Nguyen Van A",
+     *   "email": "nguyenvana@example.com",
+     *   "status": "active", // "deleting" khi user đang được xóa
+     *   "created_at": "2024-01-01T00:00:00.000Z"
+     * }
+     */
+    app.get('/users/:id', async (req, res) => {
+        try {
+            const userId = await resolveId('users', req.params.id);
+            console.log('🔍 Get user by ID - Request received:', userId);
+            
+            // Validate ID format
+            if (!userId || userId.trim() === '') {
+                console.log('❌ Validation failed: Invalid user ID');
+                return res.status(400).json({ 
+                    error: 'User ID không hợp lệ',
+                    provided_id: userId
+                });
+            }
+            
+            console.log('🔍 Executing query to get user by ID...');
+            
+            // Query user by ID
+            const query = 'SELECT * FROM users WHERE id = ?';
+            const params = [userId];
+            
+            const result = await executeQuery(query, params);
+            
+            // Check if user exists
+            if (result.rows.length === 0) {
+                console.log('❌ User not found:', userId);
+                return res.status(404).json({ 
+                    error: 'User không tìm thấy',
+                    user_id: userId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            // Transform result
+            const user = result.rows[0];
+            const responseData = {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                status: user.status || 'active',
+                created_at: user.created_at ? user.created_at.toISOString() : null,
+                updated_at: user.updated_at ? user.updated_at.toISOString() : null
+            };
+            
+            console.log('✅ User found successfully:', responseData);
+            res.json(responseData);
+            
+        } catch (error) {
+            console.error('❌ Error getting user by ID:', error.message);
+            console.error('📝 Stack trace:', error.stack);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi lấy thông tin user',
+                details: error.message,
+                user_id: req.params.id,
+                timestamp: new Date().toISOString()
             });
         }
+    });
+    
+    /**
+     * Cập Nhật Thông Tin User
+     * Đổi sang email đã thuộc user khác -> 409 Conflict
+     * 
+     * PUT /users/:id
+     * Body: {
+     *   "name": "Nguyen Van B",
+     *   "email": "nguyenvanb@example.com"
+     * }
+     */
+    app.put('/users/:id', async (req, res) => {
+        try {
+            const userId = await resolveId('users', req.params.id);
+            const { name, email } = req.body;
+            
+            console.log('✏️  Update user - Request received:', userId);
+            console.log('📝 Update data:', { name, email });
+            
+            // Validation
+            if (!name || !email) {
+                return res.status(400).json({ 
+                    error: 'Name và email là bắt buộc cho việc cập nhật' 
+                });
+            }
+            
+            // Validate email format
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(email)) {
+                return res.status(400).json({ 
+                    error: 'Email format không hợp lệ' 
+                });
+            }
+            
+            // Lấy email hiện tại để biết có đổi email không
+            const existing = await executeQuery('SELECT email FROM users WHERE id = ?', [userId]);
+            if (existing.rows.length === 0) {
+                console.log('❌ User not found:', userId);
+                return res.status(404).json({ 
+                    error: 'User không tìm thấy',
+                    user_id: userId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const previousEmail = existing.rows[0].email;
+            const emailChanged = !previousEmail || normalizeEmail(previousEmail) !== normalizeEmail(email);
+            
+            // Claim email mới trước khi update
+            if (emailChanged) {
+                const emailClaim = await claimEmail(email, userId);
+                if (!emailClaim.claimed) {
+                    console.log('❌ Email đã được sử dụng:', email);
+                    return res.status(409).json({ 
+                        error: 'Email đã được sử dụng',
+                        provided_email: email,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+            }
+            
+            const updated_at = new Date();
+            
+            // Write intent ghi trước LWT (UserUpdated event + email cần release)
+            let intent;
+            try {
+                intent = await writeIntents.begin('user_updated', userId, {
+                    user: {
+                        id: userId,
+                        name,
+                        email,
+                        previous_email: emailChanged ? previousEmail : undefined,
+                        updated_at: updated_at.toISOString()
+                    }
+                });
+            } catch (error) {
+                if (emailChanged) {
+                    await rollbackEmailClaim(email, userId);
+                }
+                throw error;
+            }
+            
+            // Update query (IF EXISTS: không tạo lại user vừa bị xóa song song)
+            // Lỗi (vd timeout): reconciler xác định LWT đã áp dụng chưa và release email tương ứng
+            const query = `
+                UPDATE users 
+                SET name = ?, email = ?, updated_at = ?, pending_writes = pending_writes + ? 
+                WHERE id = ?
+                IF EXISTS
+            `;
+            const params = [name, email, updated_at, [intent.writeId], userId];
+            
+            const result = await executeQuery(query, params);
+            
+            if (!result.rows[0]['[applied]']) {
+                await writeIntents.abandon(intent);
+                if (emailChanged) {
+                    await rollbackEmailClaim(email, userId);
+                }
+                console.log('❌ User not found:', userId);
+                return res.status(404).json({ 
+                    error: 'User không tìm thấy',
+                    user_id: userId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            // UserUpdated event (follow-up của intent), batch lỗi thì reconciler ghi lại.
+            // event_id lấy lúc ghi batch (updated_at nằm trong payload)
+            await writeIntents.complete(intent, new Date());
+            
+            // Trả email cũ sau khi update thành công
+            if (emailChanged && previousEmail) {
+                await releaseEmail(previousEmail, userId);
+            }
+            
+            console.log('✅ User updated successfully:', userId);
+            
+            res.json({
+                id: userId,
+                name,
+                email,
+                updated_at: updated_at.toISOString(),
+                message: 'User đã được cập nhật thành công'
+            });
+            
+        } catch (error) {
+            console.error('❌ Error updating user:', error.message);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi cập nhật user',
+                details: error.message
+            });
+        }
+    });
+    
+    // =============================================================================
+    // COORDINATED USER DELETION
+    // =============================================================================
+    
+    /**
+     * Đặt status của user bằng LWT
+     * 
+     * @param {string} userId - ID của user
+     * @param {string} status - Status mới
+     * @param {string} [expectedStatus] - Chỉ áp dụng nếu status hiện tại bằng giá trị này
+     * @returns {Promise<boolean>} true nếu được áp dụng
+     */
+    async function setUserStatus(userId, status, expectedStatus) {
+        const query = expectedStatus
+            ? 'UPDATE users SET status = ?, updated_at = ? WHERE id = ? IF status = ?'
+            : 'UPDATE users SET status = ?, updated_at = ? WHERE id = ? IF EXISTS';
+        const params = expectedStatus
+            ? [status, new Date(), userId, expectedStatus]
+            : [status, new Date(), userId];
         
-        const updated_at = new Date();
-        
-        // Update query
-        const query = `
-            UPDATE users 
-            SET name = ?, email = ?, updated_at = ? 
-            WHERE id = ?
-        `;
-        const params = [name, email, updated_at, userId];
-        
-        await executeQuery(query, params);
-        
-        console.log('✅ User updated successfully:', userId);
-        
-        res.json({
-            id: userId,
-            name,
-            email,
-            updated_at: updated_at.toISOString(),
-            message: 'User đã được cập nhật thành công'
-        });
-        
-    } catch (error) {
-        console.error('❌ Error updating user:', error.message);
-        
-        res.status(500).json({ 
-            error: 'Lỗi server khi cập nhật user',
-            details: error.message
-        });
+        const result = await executeQuery(query, params);
+        return result.rows[0]['[applied]'];
     }
-});
-
-/**
- * Xóa User
- * 
- * DELETE /users/:id
- */
-app.delete('/users/:id', async (req, res) => {
-    try {
-        const userId = req.params.id;
-        console.log('🗑️  Delete user - Request received:', userId);
-        
-        // Delete query
-        const query = 'DELETE FROM users WHERE id = ?';
-        const params = [userId];
-        
-        await executeQuery(query, params);
-        
-        console.log('✅ User deleted successfully:', userId);
-        
-        res.json({
-            message: 'User đã được xóa thành công',
-            user_id: userId,
-            timestamp: new Date().toISOString()
-        });
+    
+    /**
+     * Xử lý orders đang mở của user trên Order Service theo USER_DELETE_POLICY
+     * 
+     * @param {string} userId - ID của user
+     * @returns {Promise<Object>} { allowed, openOrders?, cancelled?, failed? }
+     * @throws {Error} Khi không gọi được Order Service
+     */
+    async function resolveOpenOrders(userId) {
+        const options = { timeout: ORDER_SERVICE_TIMEOUT, headers: getTraceHeaders() };
+        const userPath = `${ORDER_SERVICE}/orders/user/${encodeURIComponent(userId)}`;
         
-    } catch (error) {
-        console.error('❌ Error deleting user:', error.message);
+        if (USER_DELETE_POLICY === 'cascade') {
+            const response = await axios.post(`${userPath}/cancel-open`, {
+                actor: 'user-service',
+                reason: 'User deleted'
+            }, options);
+            return {
+                allowed: response.data.failed.length === 0,
+                cancelled: response.data.cancelled,
+                failed: response.data.failed
+            };
+        }
         
-        res.status(500).json({ 
-            error: 'Lỗi server khi xóa user',
-            details: error.message
-        });
+        const response = await axios.get(`${userPath}/open`, options);
+        return {
+            allowed: response.data.count === 0,
+            openOrders: response.data.orders
+        };
     }
-});
+    
+    /**
+     * Xóa User
+     * 
+     * Xóa được điều phối với Order Service để không để lại orders mồ côi:
+     * 1. Đánh dấu user status = 'deleting' (Order Service từ chối order mới cho user;
+     *    order đã verify user trước đó được kiểm tra lại sau khi ghi và bị hủy nếu thấy 'deleting')
+     * 2. Theo USER_DELETE_POLICY: block nếu còn orders đang mở, hoặc cascade-cancel chúng
+     * 3. Xóa user + release email
+     * Nếu bước 2 thất bại (bị block, hủy lỗi, Order Service không phản hồi) user được
+     * chuyển lại 'active'. Nếu service dừng giữa chừng, user vẫn ở 'deleting' và
+     * gọi lại DELETE sẽ tiếp tục quy trình.
+     * 
+     * DELETE /users/:id
+     * 
+     * Errors:
+     * - 409: Policy block và user còn orders đang mở / policy cascade nhưng có order không hủy được
+     * - 503: Không liên lạc được Order Service
+     */
+    app.delete('/users/:id', async (req, res) => {
+        try {
+            const userId = await resolveId('users', req.params.id);
+            console.log('🗑️  Delete user - Request received:', userId, `(policy: ${USER_DELETE_POLICY})`);
+            
+            // Lấy email để release khỏi users_by_email
+            const existing = await executeQuery('SELECT email, status FROM users WHERE id = ?', [userId]);
+            
+            if (existing.rows.length > 0) {
+                // Bước 1: đánh dấu đang xóa
+                await setUserStatus(userId, 'deleting');
+                
+                // Bước 2: xử lý orders đang mở
+                let resolution;
+                try {
+                    resolution = await resolveOpenOrders(userId);
+                } catch (error) {
+                    await setUserStatus(userId, 'active', 'deleting');
+                    console.error('❌ Order Service unavailable, user deletion rolled back:', error.message);
+                    return res.status(503).json({ 
+                        error: 'Không thể xóa user: Order Service không phản hồi',
+                        user_id: userId,
+                        details: error.response ? error.response.data : error.message
+                    });
+                }
+                
+                if (!resolution.allowed) {
+                    await setUserStatus(userId, 'active', 'deleting');
+                    console.log('❌ User deletion blocked:', resolution);
+                    return res.status(409).json(USER_DELETE_POLICY === 'cascade'
+                        ? {
+                            error: 'Không thể hủy tất cả orders đang mở của user, user chưa bị xóa',
+                            user_id: userId,
+                            policy: USER_DELETE_POLICY,
+                            cancelled_orders: resolution.cancelled,
+                            failed_orders: resolution.failed
+                        }
+                        : {
+                            error: 'User còn orders đang mở, hãy hoàn tất hoặc hủy trước khi xóa',
+                            user_id: userId,
+                            policy: USER_DELETE_POLICY,
+                            open_orders: resolution.openOrders
+                        });
+                }
+                
+                // Bước 3: xóa user + UserDeleted event trong một logged batch
+                const deleted_at = new Date();
+                await executeBatch([
+                    { query: 'DELETE FROM users WHERE id = ?', params: [userId] },
+                    ...eventStatements({
+                        aggregateType: 'user',
+                        aggregateId: userId,
+                        type: EVENT_TYPES.USER_DELETED,
+                        payload: {
+                            id: userId,
+                            email: existing.rows[0].email,
+                            policy: USER_DELETE_POLICY,
+                            cancelled_orders: resolution.cancelled,
+                            deleted_at: deleted_at.toISOString()
+                        },
+                        occurredAt: deleted_at
+                    })
+                ]);
+                
+                if (existing.rows[0].email) {
+                    await releaseEmail(existing.rows[0].email, userId);
+                }
+                
+                console.log('✅ User deleted successfully:', userId);
+                
+                return res.json({
+                    message: 'User đã được xóa thành công',
+                    user_id: userId,
+                    policy: USER_DELETE_POLICY,
+                    cancelled_orders: resolution.cancelled,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            console.log('✅ User deleted successfully:', userId);
+            
+            res.json({
+                message: 'User đã được xóa thành công',
+                user_id: userId,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error deleting user:', error.message);
+            
+            res.status(500).json({ 
+                error: 'Lỗi server khi xóa user',
+                details: error.message
+            });
+        }
+    });
+    
+    return app;
+}
 
 // =============================================================================
 // SERVER STARTUP & SHUTDOWN HANDLERS
 // =============================================================================
 
 /**
- * Graceful Shutdown Handler
- * Đóng kết nối database khi server shutdown
+ * Chạy User Service như một process độc lập (npm run start:user)
  */
-process.on('SIGINT', async () => {
-    console.log('\n🛑 SIGINT received. Shutting down gracefully...');
-    
-    try {
-        await closeConnection();
-        console.log('✅ User Service shutdown completed');
-        process.exit(0);
-    } catch (error) {
-        console.error('❌ Error during shutdown:', error.message);
-        process.exit(1);
-    }
-});
-
-process.on('SIGTERM', async () => {
-    console.log('\n🛑 SIGTERM received. Shutting down gracefully...');
-    
-    try {
-        await closeConnection();
-        console.log('✅ User Service shutdown completed');
-        process.exit(0);
-    } catch (error) {
-        console.error('❌ Error during shutdown:', error.message);
-        process.exit(1);
-    }
-});
-
-/**
- * Khởi Động Server
- * 
- * Sequence:
- * 1. Initialize Cassandra database
- * 2. Start Express server  
- * 3. Log startup information
- */
-app.listen(port, async () => {
-    try {
-        console.log('\n' + '='.repeat(80));
-        console.log('🚀 USER SERVICE STARTING...');
-        console.log('='.repeat(80));
-        
-        // Step 1: Initialize database
-        console.log('📊 Step 1: Initializing Cassandra database...');
-        await initializeDatabase();
-        
-        // Step 2: Log startup success
-        console.log('\n✅ USER SERVICE STARTED SUCCESSFULLY!');
-        console.log('📊 Service Information:');
-        console.log('   - Service: User Service');
-        console.log('   - Port:', port);
-        console.log('   - Version: 2.0.0');
-        console.log('   - Node.js:', process.version);
-        console.log('   - Environment:', process.env.NODE_ENV || 'development');
-        console.log('   - Uptime: 0s');
-        
-        console.log('\n🔗 Available Endpoints:');
-        console.log('   - GET    /health        - Health check');
-        console.log('   - GET    /users         - Lấy danh sách users');
-        console.log('   - GET    /users/:id     - Lấy user theo ID');
-        console.log('   - POST   /users         - Tạo user mới');
-        console.log('   - PUT    /users/:id     - Cập nhật user');
-        console.log('   - DELETE /users/:id     - Xóa user');
-        
-        console.log('\n🗄️  Database Information:');
-        console.log('   - Database: Apache Cassandra');
-        console.log('   - Cluster: 3 nodes');
-        console.log('   - Keyspace: test_keyspace');
-        console.log('   - Replication Factor: 3');
-        console.log('   - Table: users');
+function main() {
+    const app = createApp();
+    const { port, orderServiceUrl, deletePolicy } = app.locals.config;
+    const { initializeDatabase, closeConnection, cassandraConfig } = database;
+    
+    // Chu kỳ reconcile write intents (xem database/writeIntents.js)
+    const WRITE_INTENT_RECONCILE_INTERVAL_MS = parseInt(process.env.WRITE_INTENT_RECONCILE_INTERVAL_MS, 10) || 30000;
+    
+    /**
+     * Graceful Shutdown Handler
+     * Đóng kết nối database khi server shutdown
+     */
+    process.on('SIGINT', async () => {
+        console.log('\n🛑 SIGINT received. Shutting down gracefully...');
         
-        console.log('\n' + '='.repeat(80));
-        console.log('🎉 Ready to accept requests!');
-        console.log('='.repeat(80) + '\n');
+        try {
+            await closeConnection();
+            console.log('✅ User Service shutdown completed');
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Error during shutdown:', error.message);
+            process.exit(1);
+        }
+    });
+    
+    process.on('SIGTERM', async () => {
+        console.log('\n🛑 SIGTERM received. Shutting down gracefully...');
         
-    } catch (error) {
-        console.error('\n💥 STARTUP FAILED!');
-        console.error('❌ Error:', error.message);
-        console.error('📝 Stack trace:', error.stack);
-        console.error('\n🛑 Shutting down due to startup failure...');
-        process.exit(1);
-    }
-}); 
\ No newline at end of file
+        try {
+            await closeConnection();
+            console.log('✅ User Service shutdown completed');
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Error during shutdown:', error.message);
+            process.exit(1);
+        }
+    });
+    
+    /**
+     * Khởi Động Server
+     * 
+     * Sequence:
+     * 1. Initialize Cassandra database
+     * 2. Start Express server  
+     * 3. Log startup information
+     */
+    app.listen(port, async () => {
+        try {
+            console.log('\n' + '='.repeat(80));
+            console.log('🚀 USER SERVICE STARTING...');
+            console.log('='.repeat(80));
+            
+            // Step 1: Initialize database
+            console.log('📊 Step 1: Initializing Cassandra database...');
+            await initializeDatabase();
+            
+            // Step 2: Reconciler cho outbox events của LWT (insert / update user)
+            startReconciler(app.locals.writeIntents, WRITE_INTENT_RECONCILE_INTERVAL_MS);
+            
+            // Step 3: Log startup success
+            console.log('\n✅ USER SERVICE STARTED SUCCESSFULLY!');
+            console.log('📊 Service Information:');
+            console.log('   - Service: User Service');
+            console.log('   - Port:', port);
+            console.log('   - Version: 2.0.0');
+            console.log('   - Node.js:', process.version);
+            console.log('   - Environment:', process.env.NODE_ENV || 'development');
+            console.log('   - Uptime: 0s');
+            
+            console.log('\n🔗 Available Endpoints:');
+            console.log('   - GET    /health        - Health check');
+            console.log('   - GET    /metrics       - Request & Cassandra metrics');
+            console.log('   - GET    /users         - Lấy danh sách users');
+            console.log('   - GET    /users/:id     - Lấy user theo ID');
+            console.log('   - GET    /users/by-email/:email - Lấy user theo email');
+            console.log('   - POST   /users         - Tạo user mới');
+            console.log('   - PUT    /users/:id     - Cập nhật user');
+            console.log('   - DELETE /users/:id     - Xóa user');
+            
+            console.log('\n🗄️  Database Information:');
+            console.log('   - Database: Apache Cassandra');
+            console.log('   - Contact points:', cassandraConfig.contactPoints.join(', '));
+            console.log('   - Local DC:', cassandraConfig.localDataCenter);
+            console.log('   - Keyspace:', cassandraConfig.keyspace);
+            console.log('   - Replication:', buildReplicationCql(cassandraConfig.replication));
+            console.log('   - Tables: users, users_by_email, outbox_events, write_intents');
+            console.log('   - Write intent reconcile: every', WRITE_INTENT_RECONCILE_INTERVAL_MS, 'ms');
+            
+            console.log('\n🧹 User Deletion:');
+            console.log('   - Policy:', deletePolicy, '(USER_DELETE_POLICY=block|cascade)');
+            console.log('   - Order Service:', orderServiceUrl);
+            
+            console.log('\n' + '='.repeat(80));
+            console.log('🎉 Ready to accept requests!');
+            console.log('='.repeat(80) + '\n');
+            
+        } catch (error) {
+            console.error('\n💥 STARTUP FAILED!');
+            console.error('❌ Error:', error.message);
+            console.error('📝 Stack trace:', error.stack);
+            console.error('\n🛑 Shutting down due to startup failure...');
+            process.exit(1);
+        }
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    createApp
+};
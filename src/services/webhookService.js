@@ -0,0 +1,1130 @@
+/**
+ * =============================================================================
+ * WEBHOOK SERVICE - DISTRIBUTED MICROSERVICE
+ * =============================================================================
+ * 
+ * Service này gửi domain events (OrderStatusChanged, ...) tới webhook endpoints
+ * của partners. Nhận events từ Event Relay (subscriber "webhooks") và
+ * chạy trên port 3006, kết nối tới 3-node Cassandra cluster
+ * 
+ * Features:
+ * -  Đăng ký / liệt kê / xóa webhook subscriptions kèm event filters
+ * -  Mỗi delivery được ký HMAC-SHA256 (X-Webhook-Signature)
+ * -  Retry với exponential backoff, hết số lần retry -> dead-letter list
+ * -  Delivery log theo subscription
+ * 
+ * Author: Distributed System Team
+ * Version: 2.0.0
+ * =============================================================================
+ */
+
+const express = require('express');
+const axios = require('axios');
+const { types } = require('cassandra-driver');
+const database = require('../database/cassandraConnection');
+const { buildReplicationCql } = require('../config/cassandraConfig');
+const { EVENT_TYPES } = require('../database/outbox');
+const { minuteBucket, nextMinuteBucket } = require('../database/timeBuckets');
+const { generateId } = require('../utils/idGenerator');
+const {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    generateSecret,
+    sign
+} = require('../utils/webhookSignature');
+const {
+    registry,
+    upstreamUp,
+    httpMetricsMiddleware,
+    summarizeRequests,
+    sendMetrics
+} = require('../utils/metrics');
+const { tracingMiddleware } = require('../utils/tracing');
+const { consistencyMiddleware } = require('../utils/consistency');
+const {
+    InvalidPageTokenError,
+    parsePageParams,
+    pageQueryOptions,
+    encodePageToken
+} = require('../utils/pagination');
+const logger = require('../utils/logger');
+
+/**
+ * Tạo Express app của Webhook Service (không listen, không chạy delivery worker,
+ * không đăng ký signal handlers)
+ * Dùng bởi main() bên dưới và bởi tests; delivery worker gọi app.locals.deliveryTick
+ * 
+ * @param {Object} config
+ * @param {number} config.port - Port báo cáo trong /health (default: 3006)
+ * @param {number} config.maxAttempts - Số lần gửi tối đa trước khi dead-letter (default: WEBHOOK_MAX_ATTEMPTS)
+ * @param {number} config.retryBaseMs - Backoff cơ sở (default: WEBHOOK_RETRY_BASE_MS)
+ * @param {number} config.retryMaxMs - Backoff tối đa (default: WEBHOOK_RETRY_MAX_MS)
+ * @param {Object} config.db - Database API (executeQuery, executeBatch, checkCassandraHealth),
+ *                             default: database/cassandraConnection
+ * @returns {express.Application} App, config đã resolve nằm trong app.locals.config
+ */
+function createApp({
+    port = 3006,
+    maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    retryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 5000,
+    retryMaxMs = parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 3600000,
+    db = database
+} = {}) {
+    const { executeQuery, executeBatch, checkCassandraHealth } = db;
+    
+    // =============================================================================
+    // EXPRESS APP CONFIGURATION
+    // =============================================================================
+    
+    const app = express();
+    
+    /**
+     * Cấu hình delivery
+     * - maxAttempts (WEBHOOK_MAX_ATTEMPTS): số lần gửi tối đa trước khi chuyển vào dead-letter list
+     * - retryBaseMs / retryMaxMs (WEBHOOK_RETRY_BASE_MS / WEBHOOK_RETRY_MAX_MS):
+     *   backoff = base * 2^(attempts - 1), tối đa max
+     * - WEBHOOK_TIMEOUT_MS: timeout mỗi lần POST tới endpoint
+     * - WEBHOOK_WORKER_INTERVAL_MS: chu kỳ worker đọc hàng đợi
+     */
+    const MAX_ATTEMPTS = maxAttempts;
+    const RETRY_BASE_MS = retryBaseMs;
+    const RETRY_MAX_MS = retryMaxMs;
+    const DELIVERY_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+    const WORKER_INTERVAL_MS = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS, 10) || 1000;
+    
+    /**
+     * Hàng đợi webhook_delivery_schedule (migration 012): partition theo bucket phút
+     * của next_attempt_at, worker đọc từ cursor tới bucket hiện tại
+     * - QUEUE_SCAN_LIMIT: số deliveries tối đa mỗi vòng worker
+     * - QUEUE_MAX_BUCKETS: số buckets tối đa đọc mỗi vòng (worker dừng lâu -> đuổi kịp dần)
+     * - QUEUE_CURSOR_LAG_MS: cursor không vượt quá bucket của (now - lag), để deliveries
+     *   enqueue từ instance có đồng hồ lệch vẫn được đọc
+     */
+    const QUEUE_SCAN_LIMIT = 500;
+    const QUEUE_MAX_BUCKETS = 720;
+    const QUEUE_CURSOR_LAG_MS = 60000;
+    const QUEUE_FIRST_RUN_LOOKBACK_MS = 60 * 60 * 1000;
+    const PENDING_QUEUE = 'pending';
+    
+    /**
+     * Event types có thể đăng ký ('*' = tất cả)
+     */
+    const SUBSCRIBABLE_EVENTS = Object.values(EVENT_TYPES);
+    const WILDCARD = '*';
+    
+    const webhookDeliveries = registry.counter(
+        'webhook_deliveries_total',
+        'Webhook delivery attempts by outcome (delivered, retry, dead)',
+        ['outcome']
+    );
+    
+    app.locals.config = {
+        port,
+        maxAttempts: MAX_ATTEMPTS,
+        retryBaseMs: RETRY_BASE_MS,
+        retryMaxMs: RETRY_MAX_MS,
+        workerIntervalMs: WORKER_INTERVAL_MS
+    };
+    
+    // Middleware tạo trace context (traceparent / x-request-id) cho mỗi request
+    app.use(tracingMiddleware('webhook-service'));
+    
+    // Consistency level theo request (header X-Consistency-Level), levels đã dùng trả về trong response header
+    app.use(consistencyMiddleware());
+    
+    // Middleware để parse JSON request body
+    app.use(express.json());
+    
+    // Log mỗi request kèm requestId/traceId (logger tự gắn trace context)
+    app.use((req, res, next) => {
+        logger.info('Incoming request', { service: 'webhook-service', method: req.method, url: req.originalUrl });
+        next();
+    });
+    
+    // Middleware đo request count và latency cho GET /metrics
+    app.use(httpMetricsMiddleware('webhook-service'));
+    
+    // =============================================================================
+    // HEALTH CHECK ENDPOINT
+    // =============================================================================
+    
+    /**
+     * Health Check Endpoint
+     * Kiểm tra trạng thái service và database connection
+     * 
+     * GET /health
+     */
+    app.get('/health', async (req, res) => {
+        try {
+            console.log('🔍 Health check request received');
+            
+            // Kiểm tra database health
+            const isDatabaseHealthy = await checkCassandraHealth();
+            
+            const healthStatus = {
+                status: isDatabaseHealthy ? 'ok' : 'degraded',
+                service: 'webhook-service',
+                port: port,
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                database: isDatabaseHealthy ? 'cassandra-connected' : 'cassandra-disconnected',
+                cluster_health: isDatabaseHealthy,
+                version: '2.0.0'
+            };
+            
+            console.log('✅ Health check completed:', healthStatus.status);
+            
+            // Return appropriate HTTP status
+            const statusCode = isDatabaseHealthy ? 200 : 503;
+            res.status(statusCode).json(healthStatus);
+            
+        } catch (error) {
+            console.error('❌ Health check failed:', error.message);
+            
+            res.status(503).json({
+                status: 'error',
+                service: 'webhook-service',
+                port: port,
+                timestamp: new Date().toISOString(),
+                error: error.message
+            });
+        }
+    });
+    
+    /**
+     * Metrics Endpoint
+     * Request metrics + webhook_deliveries_total theo outcome
+     * 
+     * GET /metrics
+     * - Default: JSON
+     * - /metrics?format=prometheus hoặc header Accept: text/plain -> Prometheus text format
+     */
+    app.get('/metrics', async (req, res) => {
+        try {
+            console.log('📈 Metrics request received');
+            
+            // Refresh Cassandra health gauge trước khi render
+            const isDatabaseHealthy = await checkCassandraHealth();
+            upstreamUp.set({ upstream: 'cassandra' }, isDatabaseHealthy ? 1 : 0);
+            
+            sendMetrics(req, res, () => ({
+                timestamp: new Date().toISOString(),
+                service: 'webhook-service',
+                process: {
+                    uptime: process.uptime(),
+                    pid: process.pid,
+                    memory: process.memoryUsage(),
+                    cpu: process.cpuUsage()
+                },
+                requests: summarizeRequests(),
+                services: {
+                    cassandra: isDatabaseHealthy ? 'healthy' : 'unhealthy'
+                },
+                breakdown: registry.toJSON()
+            }));
+            
+        } catch (error) {
+            console.error('❌ Error collecting metrics:', error.message);
+            res.status(500).json({
+                error: 'Failed to collect metrics',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+    
+    // =============================================================================
+    // SUBSCRIPTION HELPERS
+    // =============================================================================
+    
+    /**
+     * Chuyển row subscription thành response object (không bao giờ trả secret)
+     * 
+     * @param {Object} row - Cassandra row
+     * @returns {Object} Subscription
+     */
+    function formatSubscription(row) {
+        return {
+            id: row.id,
+            url: row.url,
+            events: row.events || [],
+            userId: row.user_id || null,
+            description: row.description || null,
+            active: row.active !== false,
+            created_at: row.created_at ? row.created_at.toISOString() : null,
+            updated_at: row.updated_at ? row.updated_at.toISOString() : null
+        };
+    }
+    
+    /**
+     * Chuyển row delivery thành response object
+     * 
+     * @param {Object} row - Cassandra row của webhook_deliveries
+     * @returns {Object} Delivery
+     */
+    function formatDelivery(row) {
+        return {
+            id: row.delivery_id.toString(),
+            subscriptionId: row.subscription_id,
+            eventType: row.event_type,
+            status: row.status,
+            attempts: row.attempts || 0,
+            lastStatusCode: row.last_status_code || null,
+            lastError: row.last_error || null,
+            nextAttemptAt: row.status === 'pending' && row.next_attempt_at ? row.next_attempt_at.toISOString() : null,
+            deliveredAt: row.delivered_at ? row.delivered_at.toISOString() : null,
+            created_at: row.created_at ? row.created_at.toISOString() : null,
+            updated_at: row.updated_at ? row.updated_at.toISOString() : null
+        };
+    }
+    
+    /**
+     * Validate body khi đăng ký subscription
+     * 
+     * @param {Object} body - Request body
+     * @returns {Array<string>} Danh sách lỗi (rỗng nếu hợp lệ)
+     */
+    function validateSubscription(body) {
+        const errors = [];
+        
+        let url;
+        try {
+            url = new URL(body.url);
+        } catch (error) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            errors.push('url phải là http(s) URL hợp lệ');
+        }
+        
+        if (!Array.isArray(body.events) || body.events.length === 0) {
+            errors.push('events phải là mảng event types không rỗng');
+        } else {
+            const unknown = body.events.filter(type => type !== WILDCARD && !SUBSCRIBABLE_EVENTS.includes(type));
+            if (unknown.length > 0) {
+                errors.push(`events không được hỗ trợ: ${unknown.join(', ')}`);
+            }
+        }
+        
+        if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+            errors.push('secret phải là string tối thiểu 16 ký tự');
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Subscription có nhận event này không (event type + user filter)
+     * 
+     * @param {Object} subscription - Row subscription
+     * @param {Object} event - Domain event từ Event Relay
+     * @returns {boolean}
+     */
+    function matchesSubscription(subscription, event) {
+        if (subscription.active === false) {
+            return false;
+        }
+        
+        const events = subscription.events || [];
+        if (!events.includes(WILDCARD) && !events.includes(event.type)) {
+            return false;
+        }
+        
+        if (subscription.user_id) {
+            const payload = event.payload || {};
+            const eventUserId = event.aggregateType === 'user' ? event.aggregateId : payload.userId;
+            return eventUserId === subscription.user_id;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Đọc tất cả subscriptions (table nhỏ, đọc lại mỗi lần để nhận thay đổi ngay)
+     * 
+     * @returns {Promise<Map<string, Object>>} id -> row
+     */
+    async function loadSubscriptions() {
+        const result = await executeQuery('SELECT * FROM webhook_subscriptions');
+        return new Map(result.rows.map(row => [row.id, row]));
+    }
+    
+    // =============================================================================
+    // DELIVERY WORKER
+    // =============================================================================
+    
+    /**
+     * Backoff trước lần gửi tiếp theo
+     * 
+     * @param {number} attempts - Số lần đã gửi
+     * @returns {number} Milliseconds
+     */
+    function retryDelay(attempts) {
+        return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+    }
+    
+    /**
+     * Statement đặt delivery vào hàng đợi tại thời điểm gửi tiếp theo
+     */
+    function enqueueStatement(subscriptionId, deliveryId, nextAttemptAt) {
+        return {
+            query: 'INSERT INTO webhook_delivery_schedule (bucket, next_attempt_at, delivery_id, subscription_id) VALUES (?, ?, ?, ?)',
+            params: [minuteBucket(nextAttemptAt), nextAttemptAt, deliveryId, subscriptionId]
+        };
+    }
+    
+    /**
+     * Statement xóa một row của hàng đợi
+     * 
+     * @param {Object} queued - Row của webhook_delivery_schedule
+     */
+    function dequeueStatement(queued) {
+        return {
+            query: `DELETE FROM webhook_delivery_schedule
+                    WHERE bucket = ? AND next_attempt_at = ? AND delivery_id = ? AND subscription_id = ?`,
+            params: [queued.bucket, queued.next_attempt_at, queued.delivery_id, queued.subscription_id]
+        };
+    }
+    
+    /**
+     * Đọc các deliveries đã tới hạn (next_attempt_at <= now), bắt đầu từ cursor
+     * Cursor dừng ở bucket đầu tiên còn deliveries tới hạn (chưa gửi xong hoặc lỗi)
+     * để vòng sau đọc lại từ đó
+     * 
+     * @returns {Promise<Array<Object>>} Rows của webhook_delivery_schedule, theo next_attempt_at
+     */
+    async function readDueDeliveries() {
+        const now = new Date();
+        const lastBucket = minuteBucket(now);
+        const cursorLimit = minuteBucket(new Date(now.getTime() - QUEUE_CURSOR_LAG_MS));
+        const cursorRow = await executeQuery('SELECT bucket FROM webhook_delivery_cursors WHERE queue = ?', [PENDING_QUEUE]);
+        const startBucket = cursorRow.rows[0] && cursorRow.rows[0].bucket
+            ? cursorRow.rows[0].bucket
+            : minuteBucket(new Date(now.getTime() - QUEUE_FIRST_RUN_LOOKBACK_MS));
+        
+        const due = [];
+        let holdAt = null;
+        let bucket = startBucket;
+        let scanned = 0;
+        
+        while (bucket <= lastBucket && scanned < QUEUE_MAX_BUCKETS && due.length < QUEUE_SCAN_LIMIT) {
+            const result = await executeQuery(
+                'SELECT * FROM webhook_delivery_schedule WHERE bucket = ? AND next_attempt_at <= ? LIMIT ?',
+                [bucket, now, QUEUE_SCAN_LIMIT - due.length]
+            );
+            if (result.rows.length > 0 && holdAt === null) {
+                holdAt = bucket;
+            }
+            due.push(...result.rows);
+            scanned++;
+            bucket = nextMinuteBucket(bucket);
+        }
+        
+        let cursor = holdAt || bucket;
+        if (cursor > cursorLimit) {
+            cursor = cursorLimit;
+        }
+        if (cursor > startBucket) {
+            await executeQuery(
+                'UPDATE webhook_delivery_cursors SET bucket = ?, updated_at = ? WHERE queue = ?',
+                [cursor, new Date(), PENDING_QUEUE]
+            );
+        }
+        return due;
+    }
+    
+    /**
+     * POST delivery tới endpoint của subscription (đã ký)
+     * 
+     * @param {Object} subscription - Row subscription
+     * @param {Object} delivery - Row delivery
+     * @returns {Promise<number>} HTTP status code
+     * @throws {Error} Khi endpoint không trả về 2xx / không phản hồi
+     */
+    async function sendDelivery(subscription, delivery) {
+        const body = JSON.stringify({
+            id: delivery.delivery_id.toString(),
+            subscriptionId: subscription.id,
+            attempt: (delivery.attempts || 0) + 1,
+            event: JSON.parse(delivery.event)
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+        
+        const response = await axios.post(subscription.url, body, {
+            timeout: DELIVERY_TIMEOUT_MS,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'distributed-syst-webhooks/2.0',
+                'X-Webhook-Id': delivery.delivery_id.toString(),
+                'X-Webhook-Event': delivery.event_type,
+                [TIMESTAMP_HEADER]: String(timestamp),
+                [SIGNATURE_HEADER]: sign(subscription.secret, timestamp, body)
+            },
+            maxRedirects: 0
+        });
+        return response.status;
+    }
+    
+    /**
+     * Gửi một delivery và ghi lại kết quả
+     * - 2xx: delivered, xóa khỏi hàng đợi
+     * - Lỗi: retry với backoff; hết MAX_ATTEMPTS -> dead-letter list
+     * 
+     * @param {Object} subscription - Row subscription
+     * @param {Object} queued - Row của webhook_delivery_schedule
+     */
+    async function processDelivery(subscription, queued) {
+        const result = await executeQuery(
+            'SELECT * FROM webhook_deliveries WHERE subscription_id = ? AND delivery_id = ?',
+            [queued.subscription_id, queued.delivery_id]
+        );
+        const delivery = result.rows[0];
+        
+        // Row cũ còn sót (delivery đã gửi xong hoặc đã được hẹn lại thời điểm khác)
+        const rescheduled = delivery && delivery.next_attempt_at
+            && delivery.next_attempt_at.getTime() !== queued.next_attempt_at.getTime();
+        if (!delivery || delivery.status !== 'pending' || rescheduled) {
+            await executeBatch([dequeueStatement(queued)]);
+            return;
+        }
+        
+        const attempts = (delivery.attempts || 0) + 1;
+        const now = new Date();
+        
+        try {
+            const statusCode = await sendDelivery(subscription, delivery);
+            
+            await executeBatch([
+                {
+                    query: `UPDATE webhook_deliveries
+                            SET status = 'delivered', attempts = ?, last_status_code = ?, last_error = null,
+                                delivered_at = ?, updated_at = ?
+                            WHERE subscription_id = ? AND delivery_id = ?`,
+                    params: [attempts, statusCode, now, now, delivery.subscription_id, delivery.delivery_id]
+                },
+                dequeueStatement(queued)
+            ]);
+            
+            webhookDeliveries.inc({ outcome: 'delivered' });
+            console.log(`✅ Webhook delivered: ${delivery.event_type} -> ${subscription.url} (attempt ${attempts})`);
+            
+        } catch (error) {
+            const statusCode = error.response ? error.response.status : null;
+            const lastError = statusCode ? `HTTP ${statusCode}` : error.message;
+            
+            if (attempts >= MAX_ATTEMPTS) {
+                await executeBatch([
+                    {
+                        query: `UPDATE webhook_deliveries
+                                SET status = 'dead', attempts = ?, last_status_code = ?, last_error = ?, updated_at = ?
+                                WHERE subscription_id = ? AND delivery_id = ?`,
+                        params: [attempts, statusCode, lastError, now, delivery.subscription_id, delivery.delivery_id]
+                    },
+                    {
+                        query: `INSERT INTO webhook_dead_letters
+                                (subscription_id, delivery_id, event_type, attempts, last_status_code, last_error, failed_at)
+                                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                        params: [delivery.subscription_id, delivery.delivery_id, delivery.event_type, attempts, statusCode, lastError, now]
+                    },
+                    dequeueStatement(queued)
+                ]);
+                
+                webhookDeliveries.inc({ outcome: 'dead' });
+                console.error(`💀 Webhook dead-lettered after ${attempts} attempts: ${delivery.event_type} -> ${subscription.url} (${lastError})`);
+                return;
+            }
+            
+            const nextAttemptAt = new Date(now.getTime() + retryDelay(attempts));
+            await executeBatch([
+                {
+                    query: `UPDATE webhook_deliveries
+                            SET attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = ?, updated_at = ?
+                            WHERE subscription_id = ? AND delivery_id = ?`,
+                    params: [attempts, statusCode, lastError, nextAttemptAt, now, delivery.subscription_id, delivery.delivery_id]
+                },
+                dequeueStatement(queued),
+                enqueueStatement(delivery.subscription_id, delivery.delivery_id, nextAttemptAt)
+            ]);
+            
+            webhookDeliveries.inc({ outcome: 'retry' });
+            console.error(`⚠️  Webhook delivery failed (attempt ${attempts}/${MAX_ATTEMPTS}, retry at ${nextAttemptAt.toISOString()}): ${subscription.url} (${lastError})`);
+        }
+    }
+    
+    let workerRunning = false;
+    
+    /**
+     * Một vòng worker: gửi các deliveries đã tới hạn
+     * Deliveries của cùng subscription được gửi tuần tự (theo thứ tự event),
+     * các subscriptions khác nhau chạy song song
+     */
+    async function deliveryTick() {
+        if (workerRunning) {
+            return;
+        }
+        workerRunning = true;
+        
+        try {
+            const due = await readDueDeliveries();
+            if (due.length === 0) {
+                return;
+            }
+            
+            const subscriptions = await loadSubscriptions();
+            const bySubscription = new Map();
+            due.forEach(row => {
+                if (!bySubscription.has(row.subscription_id)) {
+                    bySubscription.set(row.subscription_id, []);
+                }
+                bySubscription.get(row.subscription_id).push(row);
+            });
+            
+            await Promise.all([...bySubscription.entries()].map(async ([subscriptionId, rows]) => {
+                const subscription = subscriptions.get(subscriptionId);
+                for (const row of rows) {
+                    try {
+                        if (!subscription) {
+                            // Subscription đã bị xóa: bỏ các deliveries còn lại
+                            await executeBatch([dequeueStatement(row)]);
+                            continue;
+                        }
+                        await processDelivery(subscription, row);
+                    } catch (error) {
+                        console.error('❌ Webhook worker error for delivery', row.delivery_id.toString(), '-', error.message);
+                    }
+                }
+            }));
+            
+        } catch (error) {
+            console.error('❌ Webhook worker tick failed:', error.message);
+        } finally {
+            workerRunning = false;
+        }
+    }
+    app.locals.deliveryTick = deliveryTick;
+    
+    // =============================================================================
+    // EVENT INTAKE (EVENT RELAY SUBSCRIBER)
+    // =============================================================================
+    
+    /**
+     * Nhận Domain Event Từ Event Relay
+     * Tạo một delivery (pending) cho mỗi subscription khớp filter rồi mới trả về 2xx,
+     * nên event không bị mất nếu service dừng trước khi gửi webhook.
+     * Idempotent theo event ID (relay có thể gửi lại: at-least-once)
+     * 
+     * POST /events
+     */
+    app.post('/events', async (req, res) => {
+        try {
+            const event = req.body;
+            
+            let deliveryId;
+            try {
+                deliveryId = types.TimeUuid.fromString(String(event.id));
+            } catch (error) {
+                deliveryId = null;
+            }
+            if (!deliveryId || !event.type) {
+                return res.status(400).json({ error: 'Event phải có id (TimeUUID) và type' });
+            }
+            
+            const subscriptions = [...(await loadSubscriptions()).values()]
+                .filter(subscription => matchesSubscription(subscription, event));
+            
+            const now = new Date();
+            let queued = 0;
+            
+            for (const subscription of subscriptions) {
+                const inserted = await executeQuery(
+                    `INSERT INTO webhook_deliveries
+                     (subscription_id, delivery_id, event_type, event, status, attempts, next_attempt_at, created_at, updated_at)
+                     VALUES (?, ?, ?, ?, 'pending', 0, ?, ?, ?)
+                     IF NOT EXISTS`,
+                    [subscription.id, deliveryId, event.type, JSON.stringify(event), now, now, now]
+                );
+                
+                // Event gửi lại: chỉ enqueue nếu delivery trước đó chưa kịp vào hàng đợi
+                const applied = inserted.rows[0]['[applied]'];
+                if (applied || inserted.rows[0].status === 'pending') {
+                    await executeBatch([enqueueStatement(subscription.id, deliveryId, applied ? now : inserted.rows[0].next_attempt_at)]);
+                    queued++;
+                }
+            }
+            
+            console.log(`📨 Event ${event.type} (${event.id}) -> ${queued} webhook deliveries queued`);
+            
+            res.json({
+                eventId: event.id,
+                matched: subscriptions.length,
+                queued,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error accepting event:', error.message);
+            
+            // 5xx: relay sẽ retry event này
+            res.status(500).json({
+                error: 'Lỗi server khi nhận event',
+                details: error.message
+            });
+        }
+    });
+    
+    // =============================================================================
+    // WEBHOOK SUBSCRIPTION ENDPOINTS
+    // =============================================================================
+    
+    /**
+     * Đăng Ký Webhook
+     * 
+     * POST /webhooks
+     * Body: {
+     *   "url": "https://partner.example.com/hooks/orders",
+     *   "events": ["OrderStatusChanged"],   // hoặc ["*"]
+     *   "userId": "b4cc8001-...",           // optional: chỉ events của user này
+     *   "secret": "...",                    // optional, tự sinh nếu không gửi
+     *   "description": "Partner A"
+     * }
+     * 
+     * Response (201): subscription kèm "secret" (chỉ trả về một lần, dùng để verify chữ ký)
+     */
+    app.post('/webhooks', async (req, res) => {
+        try {
+            console.log('🪝 Đăng ký webhook - Request received:', { url: req.body.url, events: req.body.events });
+            
+            const errors = validateSubscription(req.body);
+            if (errors.length > 0) {
+                console.log('❌ Validation failed:', errors);
+                return res.status(400).json({
+                    error: 'Webhook subscription không hợp lệ',
+                    details: errors,
+                    supported_events: [WILDCARD, ...SUBSCRIBABLE_EVENTS]
+                });
+            }
+            
+            const id = generateId();
+            const secret = req.body.secret || generateSecret();
+            const created_at = new Date();
+            const events = [...new Set(req.body.events)];
+            
+            const result = await executeQuery(
+                `INSERT INTO webhook_subscriptions (id, url, events, user_id, secret, description, active, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, true, ?, ?)
+                 IF NOT EXISTS`,
+                [id, req.body.url, events, req.body.userId || null, secret, req.body.description || null, created_at, created_at]
+            );
+            
+            if (!result.rows[0]['[applied]']) {
+                return res.status(409).json({
+                    error: 'Webhook ID đã tồn tại',
+                    webhook_id: id
+                });
+            }
+            
+            console.log('✅ Webhook registered:', id);
+            
+            res.status(201).json({
+                ...formatSubscription({
+                    id,
+                    url: req.body.url,
+                    events,
+                    user_id: req.body.userId,
+                    description: req.body.description,
+                    active: true,
+                    created_at,
+                    updated_at: created_at
+                }),
+                secret,
+                message: 'Webhook đã được đăng ký, lưu secret để verify X-Webhook-Signature'
+            });
+            
+        } catch (error) {
+            console.error('❌ Error registering webhook:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi đăng ký webhook',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Danh Sách Webhooks
+     * 
+     * GET /webhooks
+     */
+    app.get('/webhooks', async (req, res) => {
+        try {
+            console.log('📋 List webhooks - Request received');
+            
+            const subscriptions = [...(await loadSubscriptions()).values()].map(formatSubscription);
+            
+            res.json({
+                webhooks: subscriptions,
+                count: subscriptions.length,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error listing webhooks:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi lấy danh sách webhooks',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Lấy Webhook Theo ID
+     * 
+     * GET /webhooks/:id
+     */
+    app.get('/webhooks/:id', async (req, res) => {
+        try {
+            const result = await executeQuery('SELECT * FROM webhook_subscriptions WHERE id = ?', [req.params.id]);
+            
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Webhook không tìm thấy',
+                    webhook_id: req.params.id
+                });
+            }
+            
+            res.json(formatSubscription(result.rows[0]));
+            
+        } catch (error) {
+            console.error('❌ Error getting webhook:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi lấy webhook',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Xóa Webhook
+     * Deliveries còn trong hàng đợi bị bỏ; delivery log được giữ lại
+     * 
+     * DELETE /webhooks/:id
+     */
+    app.delete('/webhooks/:id', async (req, res) => {
+        try {
+            console.log('🗑️  Delete webhook - Request received:', req.params.id);
+            
+            const result = await executeQuery('DELETE FROM webhook_subscriptions WHERE id = ? IF EXISTS', [req.params.id]);
+            
+            if (!result.rows[0]['[applied]']) {
+                return res.status(404).json({
+                    error: 'Webhook không tìm thấy',
+                    webhook_id: req.params.id
+                });
+            }
+            
+            console.log('✅ Webhook deleted:', req.params.id);
+            
+            res.json({
+                message: 'Webhook đã được xóa',
+                webhook_id: req.params.id,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error deleting webhook:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi xóa webhook',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Delivery Log Của Webhook (mới nhất trước)
+     * 
+     * GET /webhooks/:id/deliveries
+     * Query params (optional):
+     * - status: pending | delivered | dead
+     * - limit, pageToken: cursor pagination
+     */
+    app.get('/webhooks/:id/deliveries', async (req, res) => {
+        try {
+            const resource = `webhook-deliveries:${req.params.id}`;
+            const page = parsePageParams(req.query, resource);
+            
+            const result = await executeQuery(
+                'SELECT * FROM webhook_deliveries WHERE subscription_id = ?',
+                [req.params.id],
+                pageQueryOptions(page)
+            );
+            
+            let deliveries = result.rows.map(formatDelivery);
+            if (req.query.status) {
+                deliveries = deliveries.filter(delivery => delivery.status === req.query.status);
+            }
+            
+            res.json({
+                webhookId: req.params.id,
+                deliveries,
+                count: deliveries.length,
+                limit: page.limit,
+                nextPageToken: encodePageToken(result.pageState, resource),
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            if (error instanceof InvalidPageTokenError) {
+                return res.status(400).json({
+                    error: error.message,
+                    provided_page_token: req.query.pageToken
+                });
+            }
+            
+            console.error('❌ Error getting webhook deliveries:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi lấy delivery log',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Dead-Letter List Của Webhook
+     * 
+     * GET /webhooks/:id/dead-letters
+     */
+    app.get('/webhooks/:id/dead-letters', async (req, res) => {
+        try {
+            const resource = `webhook-dead-letters:${req.params.id}`;
+            const page = parsePageParams(req.query, resource);
+            
+            const result = await executeQuery(
+                'SELECT * FROM webhook_dead_letters WHERE subscription_id = ?',
+                [req.params.id],
+                pageQueryOptions(page)
+            );
+            
+            const deadLetters = result.rows.map(row => ({
+                id: row.delivery_id.toString(),
+                eventType: row.event_type,
+                attempts: row.attempts,
+                lastStatusCode: row.last_status_code || null,
+                lastError: row.last_error,
+                failedAt: row.failed_at ? row.failed_at.toISOString() : null
+            }));
+            
+            res.json({
+                webhookId: req.params.id,
+                deadLetters,
+                count: deadLetters.length,
+                limit: page.limit,
+                nextPageToken: encodePageToken(result.pageState, resource),
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            if (error instanceof InvalidPageTokenError) {
+                return res.status(400).json({
+                    error: error.message,
+                    provided_page_token: req.query.pageToken
+                });
+            }
+            
+            console.error('❌ Error getting dead letters:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi lấy dead-letter list',
+                details: error.message
+            });
+        }
+    });
+    
+    /**
+     * Gửi Lại Một Delivery Đã Vào Dead-Letter List
+     * Delivery được đưa lại vào hàng đợi với số lần retry mới
+     * 
+     * POST /webhooks/:id/dead-letters/:deliveryId/retry
+     */
+    app.post('/webhooks/:id/dead-letters/:deliveryId/retry', async (req, res) => {
+        try {
+            let deliveryId;
+            try {
+                deliveryId = types.TimeUuid.fromString(req.params.deliveryId);
+            } catch (error) {
+                return res.status(400).json({ error: 'Delivery ID không hợp lệ', delivery_id: req.params.deliveryId });
+            }
+            
+            const now = new Date();
+            const result = await executeQuery(
+                `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ?
+                 WHERE subscription_id = ? AND delivery_id = ?
+                 IF status = 'dead'`,
+                [now, now, req.params.id, deliveryId]
+            );
+            
+            if (!result.rows[0]['[applied]']) {
+                return res.status(409).json({
+                    error: 'Delivery không nằm trong dead-letter list',
+                    delivery_id: req.params.deliveryId,
+                    current_status: result.rows[0].status || null
+                });
+            }
+            
+            await executeBatch([
+                {
+                    query: 'DELETE FROM webhook_dead_letters WHERE subscription_id = ? AND delivery_id = ?',
+                    params: [req.params.id, deliveryId]
+                },
+                enqueueStatement(req.params.id, deliveryId, now)
+            ]);
+            
+            console.log('🔁 Dead letter requeued:', req.params.deliveryId);
+            
+            res.json({
+                message: 'Delivery đã được đưa lại vào hàng đợi',
+                webhook_id: req.params.id,
+                delivery_id: req.params.deliveryId,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('❌ Error retrying dead letter:', error.message);
+            
+            res.status(500).json({
+                error: 'Lỗi server khi gửi lại delivery',
+                details: error.message
+            });
+        }
+    });
+    
+    return app;
+}
+
+// =============================================================================
+// SERVER STARTUP & SHUTDOWN HANDLERS
+// =============================================================================
+
+/**
+ * Chạy Webhook Service như một process độc lập (npm run start:webhooks)
+ */
+function main() {
+    const app = createApp();
+    const { port, maxAttempts, retryBaseMs, retryMaxMs, workerIntervalMs } = app.locals.config;
+    const { initializeDatabase, closeConnection, cassandraConfig } = database;
+    
+    let workerTimer = null;
+    
+    /**
+     * Graceful Shutdown Handler
+     * Dừng delivery worker và đóng kết nối database khi server shutdown
+     */
+    process.on('SIGINT', async () => {
+        console.log('\n🛑 SIGINT received. Shutting down gracefully...');
+        
+        try {
+            clearInterval(workerTimer);
+            await closeConnection();
+            console.log('✅ Webhook Service shutdown completed');
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Error during shutdown:', error.message);
+            process.exit(1);
+        }
+    });
+    
+    process.on('SIGTERM', async () => {
+        console.log('\n🛑 SIGTERM received. Shutting down gracefully...');
+        
+        try {
+            clearInterval(workerTimer);
+            await closeConnection();
+            console.log('✅ Webhook Service shutdown completed');
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Error during shutdown:', error.message);
+            process.exit(1);
+        }
+    });
+    
+    /**
+     * Khởi Động Server
+     * 
+     * Sequence:
+     * 1. Initialize Cassandra database
+     * 2. Start delivery worker
+     * 3. Log startup information
+     */
+    app.listen(port, async () => {
+        try {
+            console.log('\n' + '='.repeat(80));
+            console.log('🚀 WEBHOOK SERVICE STARTING...');
+            console.log('='.repeat(80));
+            
+            // Step 1: Initialize database
+            console.log('📊 Step 1: Initializing Cassandra database...');
+            await initializeDatabase();
+            
+            // Step 2: Start delivery worker
+            console.log('📮 Step 2: Starting delivery worker...');
+            workerTimer = setInterval(app.locals.deliveryTick, workerIntervalMs);
+            
+            // Step 3: Log startup success
+            console.log('\n✅ WEBHOOK SERVICE STARTED SUCCESSFULLY!');
+            console.log('📊 Service Information:');
+            console.log('   - Service: Webhook Service');
+            console.log('   - Port:', port);
+            console.log('   - Version: 2.0.0');
+            console.log('   - Node.js:', process.version);
+            console.log('   - Environment:', process.env.NODE_ENV || 'development');
+            console.log('   - Uptime: 0s');
+            
+            console.log('\n🔗 Available Endpoints:');
+            console.log('   - GET    /health                  - Health check');
+            console.log('   - GET    /metrics                 - Request & delivery metrics');
+            console.log('   - POST   /events                  - Nhận domain events từ Event Relay');
+            console.log('   - GET    /webhooks                - Danh sách webhooks');
+            console.log('   - POST   /webhooks                - Đăng ký webhook');
+            console.log('   - GET    /webhooks/:id            - Lấy webhook');
+            console.log('   - DELETE /webhooks/:id            - Xóa webhook');
+            console.log('   - GET    /webhooks/:id/deliveries - Delivery log');
+            console.log('   - GET    /webhooks/:id/dead-letters - Dead-letter list');
+            console.log('   - POST   /webhooks/:id/dead-letters/:deliveryId/retry - Gửi lại delivery');
+            
+            console.log('\n📮 Delivery:');
+            console.log('   - Signature: HMAC-SHA256 (' + SIGNATURE_HEADER + ', ' + TIMESTAMP_HEADER + ')');
+            console.log('   - Max attempts:', maxAttempts, '(sau đó -> dead-letter list)');
+            console.log('   - Backoff:', retryBaseMs, 'ms x 2^n, tối đa', retryMaxMs, 'ms');
+            
+            console.log('\n🗄️  Database Information:');
+            console.log('   - Database: Apache Cassandra');
+            console.log('   - Contact points:', cassandraConfig.contactPoints.join(', '));
+            console.log('   - Local DC:', cassandraConfig.localDataCenter);
+            console.log('   - Keyspace:', cassandraConfig.keyspace);
+            console.log('   - Replication:', buildReplicationCql(cassandraConfig.replication));
+            console.log('   - Tables: webhook_subscriptions, webhook_deliveries, webhook_delivery_schedule, webhook_dead_letters');
+            
+            console.log('\n' + '='.repeat(80));
+            console.log('🎉 Ready to accept requests!');
+            console.log('='.repeat(80) + '\n');
+            
+        } catch (error) {
+            console.error('\n💥 STARTUP FAILED!');
+            console.error('❌ Error:', error.message);
+            console.error('📝 Stack trace:', error.stack);
+            console.error('\n🛑 Shutting down due to startup failure...');
+            process.exit(1);
+        }
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    createApp
+};
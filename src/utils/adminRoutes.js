@@ -0,0 +1,142 @@
+/**
+ * =============================================================================
+ * ADMIN ROUTES
+ * =============================================================================
+ * 
+ * Endpoints vận hành dùng chung cho các services có Cassandra
+ * (User Service, Order Service, Product Service)
+ * 
+ * - GET /admin/replication/:table/:id         Đọc partition trên từng replica (ONE, pin host),
+ *                                             báo divergence về values / writetimes
+ * - GET /admin/replication/:table?sample=N    Kiểm tra N partitions ngẫu nhiên của table
+ * - GET /admin/cluster                        Hosts up/down, DC/rack, connection pools,
+ *                                             schema agreement, replication của keyspaces
+ * - GET /admin/cluster/owners/:table/:id      Nodes sở hữu partition key :id của table
+ * 
+ * Composite partition key: các giá trị cách nhau bởi dấu phẩy trong :id
+ * =============================================================================
+ */
+
+const express = require('express');
+
+/**
+ * Số partitions tối đa cho một request sample
+ */
+const MAX_SAMPLE_SIZE = 1000;
+const DEFAULT_SAMPLE_SIZE = 10;
+
+/**
+ * Trả về lỗi của replication check: ReplicationCheckError mang statusCode riêng
+ */
+function sendReplicationError(res, error, details) {
+    const status = error.name === 'ReplicationCheckError' ? error.statusCode : 500;
+    if (status === 500) {
+        console.error('❌ Replication check failed:', error.message);
+    }
+    res.status(status).json({
+        error: status === 500 ? 'Lỗi server khi kiểm tra replication' : error.message,
+        ...(status === 500 ? { details: error.message } : {}),
+        ...details,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Router cho các admin endpoints
+ * 
+ * @param {Object} options
+ * @param {Object} options.db - Database API (cassandraConnection hoặc bản inject trong tests)
+ * @returns {express.Router} Router
+ */
+function adminRouter({ db }) {
+    const router = express.Router();
+    
+    /**
+     * Kiểm Tra Replication Của Một Partition
+     * 
+     * GET /admin/replication/:table/:id
+     * Response: { status, token, expectedReplicas, replicas: [{ host, status, rows }], divergences }
+     * status: consistent | divergent | under_replicated | incomplete | not_found
+     */
+    router.get('/admin/replication/:table/:id', async (req, res) => {
+        const { table, id } = req.params;
+        console.log(`🧬 Replication check: ${table}/${id}`);
+        try {
+            const report = await db.getReplicationChecker().checkKey(table, id);
+            console.log(`🧬 Replication ${table}/${id}: ${report.status} (${report.replicas.length} replica(s))`);
+            res.json(report);
+        } catch (error) {
+            sendReplicationError(res, error, { table, id });
+        }
+    });
+    
+    /**
+     * Sample Mode: Kiểm Tra N Partitions Ngẫu Nhiên
+     * 
+     * GET /admin/replication/:table?sample=20
+     * Response: { sampled, consistent, divergent, under_replicated, incomplete, not_found, problems }
+     */
+    router.get('/admin/replication/:table', async (req, res) => {
+        const { table } = req.params;
+        const size = req.query.sample === undefined ? DEFAULT_SAMPLE_SIZE : Number(req.query.sample);
+        if (!Number.isInteger(size) || size < 1 || size > MAX_SAMPLE_SIZE) {
+            return res.status(400).json({
+                error: `sample phải là số nguyên từ 1 đến ${MAX_SAMPLE_SIZE}`,
+                provided_sample: req.query.sample
+            });
+        }
+        
+        console.log(`🧬 Replication sample: ${table} (${size} keys)`);
+        try {
+            const summary = await db.getReplicationChecker().checkSample(table, size);
+            console.log(`🧬 Replication sample ${table}: ${summary.consistent}/${summary.sampled} consistent`);
+            res.json(summary);
+        } catch (error) {
+            sendReplicationError(res, error, { table });
+        }
+    });
+    
+    /**
+     * Cluster Topology (góc nhìn của driver trong service này)
+     * 
+     * GET /admin/cluster
+     * Response: { summary: { total, up, down, openConnections, inFlight, dataCenters },
+     *             hosts: [{ address, datacenter, rack, up, openConnections, inFlight }],
+     *             schemaAgreement, keyspaces: { <name>: replication } }
+     */
+    router.get('/admin/cluster', async (req, res) => {
+        console.log('🗺️  Cluster topology request received');
+        try {
+            res.json(await db.getClusterTopology());
+        } catch (error) {
+            console.error('❌ Error describing cluster:', error.message);
+            res.status(500).json({
+                error: 'Lỗi server khi đọc cluster topology',
+                details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+    
+    /**
+     * Nodes Sở Hữu Một Key
+     * 
+     * GET /admin/cluster/owners/:table/:id
+     * Response: { token, replication, replicas: [{ address, datacenter, rack, up }] }
+     */
+    router.get('/admin/cluster/owners/:table/:id', async (req, res) => {
+        const { table, id } = req.params;
+        console.log(`🗺️  Owners of ${table}/${id}`);
+        try {
+            res.json(await db.getReplicationChecker().findOwners(table, id));
+        } catch (error) {
+            sendReplicationError(res, error, { table, id });
+        }
+    });
+    
+    return router;
+}
+
+module.exports = {
+    adminRouter
+};
@@ -0,0 +1,237 @@
+/**
+ * =============================================================================
+ * CIRCUIT BREAKER UTILITY
+ * =============================================================================
+ * 
+ * Circuit breaker cho các request từ API Gateway tới upstream services
+ * Mục đích: fail fast khi một upstream đang down thay vì đợi hết axios timeout
+ * 
+ * States:
+ * - CLOSED:    Request đi qua bình thường, kết quả được ghi vào sliding window
+ * - OPEN:      Request bị reject ngay lập tức cho tới khi hết cool-down
+ * - HALF_OPEN: Cho phép một số request thử; thành công -> CLOSED, lỗi -> OPEN
+ * 
+ * Mỗi lần chuyển state tăng generation; request mang generation lúc được cho qua
+ * và kết quả của request thuộc generation cũ (vẫn đang chạy khi state đổi) chỉ
+ * được tính vào stats, không làm thay đổi state
+ * =============================================================================
+ */
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+/**
+ * Cấu hình mặc định, có thể override bằng environment variables
+ * - failureRateThreshold: Tỉ lệ lỗi (%) trong window để mở circuit
+ * - minimumRequests:      Số request tối thiểu trong window trước khi tính tỉ lệ lỗi
+ * - windowSize:           Số kết quả gần nhất được giữ trong sliding window
+ * - coolDownMs:           Thời gian circuit ở trạng thái OPEN trước khi HALF_OPEN
+ * - halfOpenMaxCalls:     Số request thử được phép ở trạng thái HALF_OPEN
+ */
+const DEFAULT_OPTIONS = {
+    failureRateThreshold: parseFloat(process.env.CIRCUIT_FAILURE_RATE_THRESHOLD) || 50,
+    minimumRequests: parseInt(process.env.CIRCUIT_MINIMUM_REQUESTS) || 5,
+    windowSize: parseInt(process.env.CIRCUIT_WINDOW_SIZE) || 20,
+    coolDownMs: parseInt(process.env.CIRCUIT_COOLDOWN_MS) || 30000,
+    halfOpenMaxCalls: parseInt(process.env.CIRCUIT_HALF_OPEN_MAX_CALLS) || 1
+};
+
+/**
+ * Error được throw khi circuit đang OPEN (hoặc HALF_OPEN đã đủ request thử)
+ */
+class CircuitOpenError extends Error {
+    constructor(breaker) {
+        super(`Circuit for ${breaker.name} is ${breaker.state}`);
+        this.name = 'CircuitOpenError';
+        this.circuit = breaker.name;
+        this.state = breaker.state;
+        this.retryAfterMs = Math.max(0, breaker.openedAt + breaker.options.coolDownMs - Date.now());
+    }
+}
+
+/**
+ * Mặc định: lỗi network/timeout và HTTP 5xx được tính là failure
+ * Lỗi 4xx là lỗi của client, không phản ánh sức khỏe upstream
+ * 
+ * @param {Error} error - Error từ axios
+ * @returns {boolean} true nếu error được tính là failure
+ */
+function isUpstreamFailure(error) {
+    return !error.response || error.response.status >= 500;
+}
+
+class CircuitBreaker {
+    /**
+     * @param {string} name - Tên upstream (ví dụ ORDER_SERVICE)
+     * @param {Object} options - Override cho DEFAULT_OPTIONS
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.isFailure = options.isFailure || isUpstreamFailure;
+        this.state = STATES.CLOSED;
+        this.window = [];           // true = success, false = failure
+        this.openedAt = null;
+        this.halfOpenCalls = 0;
+        this.generation = 0;
+        this.lastStateChange = new Date();
+        this.stats = { successes: 0, failures: 0, rejected: 0 };
+    }
+
+    /**
+     * Chuyển state và log lại
+     * @param {string} state - State mới
+     */
+    transitionTo(state) {
+        if (this.state === state) {
+            return;
+        }
+        console.log(`⚡ Circuit ${this.name}: ${this.state} -> ${state}`);
+        this.state = state;
+        this.generation++;
+        this.lastStateChange = new Date();
+        this.halfOpenCalls = 0;
+        
+        if (state === STATES.OPEN) {
+            this.openedAt = Date.now();
+        } else if (state === STATES.CLOSED) {
+            this.openedAt = null;
+            this.window = [];
+        }
+    }
+
+    /**
+     * Kiểm tra request có được phép đi qua không
+     * Tự động chuyển OPEN -> HALF_OPEN khi hết cool-down
+     * 
+     * @returns {boolean} true nếu request được phép
+     */
+    allowRequest() {
+        if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.options.coolDownMs) {
+            this.transitionTo(STATES.HALF_OPEN);
+        }
+        
+        if (this.state === STATES.OPEN) {
+            return false;
+        }
+        
+        if (this.state === STATES.HALF_OPEN) {
+            if (this.halfOpenCalls >= this.options.halfOpenMaxCalls) {
+                return false;
+            }
+            this.halfOpenCalls++;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Tỉ lệ lỗi (%) trong sliding window hiện tại
+     * @returns {number} Failure rate
+     */
+    failureRate() {
+        if (this.window.length === 0) {
+            return 0;
+        }
+        const failures = this.window.filter(ok => !ok).length;
+        return (failures / this.window.length) * 100;
+    }
+
+    /**
+     * Ghi nhận kết quả của một request
+     * @param {boolean} success - Request có thành công không
+     * @param {number} generation - Generation lúc request được cho qua (default: hiện tại)
+     */
+    record(success, generation = this.generation) {
+        if (success) {
+            this.stats.successes++;
+        } else {
+            this.stats.failures++;
+        }
+        
+        // Request được cho qua trước lần chuyển state gần nhất: kết quả không còn
+        // nói gì về state hiện tại (không reset openedAt, không đóng circuit thay probe)
+        if (generation !== this.generation) {
+            return;
+        }
+        
+        if (this.state === STATES.HALF_OPEN) {
+            this.transitionTo(success ? STATES.CLOSED : STATES.OPEN);
+            return;
+        }
+        
+        this.window.push(success);
+        if (this.window.length > this.options.windowSize) {
+            this.window.shift();
+        }
+        
+        if (this.window.length >= this.options.minimumRequests &&
+            this.failureRate() >= this.options.failureRateThreshold) {
+            this.transitionTo(STATES.OPEN);
+        }
+    }
+
+    /**
+     * Thực thi một async function thông qua circuit breaker
+     * 
+     * @param {Function} fn - Async function thực hiện request tới upstream
+     * @returns {Promise<*>} Kết quả của fn
+     * @throws {CircuitOpenError} Khi circuit không cho phép request
+     */
+    async execute(fn) {
+        if (!this.allowRequest()) {
+            this.stats.rejected++;
+            throw new CircuitOpenError(this);
+        }
+        
+        const generation = this.generation;
+        try {
+            const result = await fn();
+            this.record(true, generation);
+            return result;
+        } catch (error) {
+            this.record(!this.isFailure(error), generation);
+            throw error;
+        }
+    }
+
+    /**
+     * Snapshot trạng thái circuit cho monitoring
+     * @returns {Object} Circuit status
+     */
+    getStatus() {
+        // Cập nhật OPEN -> HALF_OPEN nếu đã hết cool-down, để monitoring hiển thị đúng
+        if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.options.coolDownMs) {
+            this.transitionTo(STATES.HALF_OPEN);
+        }
+        
+        return {
+            name: this.name,
+            state: this.state,
+            failureRate: Math.round(this.failureRate() * 100) / 100,
+            windowRequests: this.window.length,
+            lastStateChange: this.lastStateChange.toISOString(),
+            retryAfterMs: this.state === STATES.OPEN
+                ? Math.max(0, this.openedAt + this.options.coolDownMs - Date.now())
+                : 0,
+            stats: { ...this.stats },
+            config: {
+                failureRateThreshold: this.options.failureRateThreshold,
+                minimumRequests: this.options.minimumRequests,
+                windowSize: this.options.windowSize,
+                coolDownMs: this.options.coolDownMs,
+                halfOpenMaxCalls: this.options.halfOpenMaxCalls
+            }
+        };
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    CircuitOpenError,
+    STATES,
+    DEFAULT_OPTIONS
+};
@@ -0,0 +1,177 @@
+/**
+ * =============================================================================
+ * CONSISTENCY LEVEL UTILITY
+ * =============================================================================
+ * 
+ * Chọn consistency level cho từng query theo loại operation (read / write)
+ * 
+ * - Defaults cho reads và writes lấy từ Cassandra config
+ *   (CASSANDRA_READ_CONSISTENCY / CASSANDRA_WRITE_CONSISTENCY)
+ * - Client override cho cả request bằng header X-Consistency-Level; override
+ *   chỉ áp dụng cho operation mà level đó hợp lệ (SERIAL / LOCAL_SERIAL chỉ
+ *   cho reads, EACH_QUORUM chỉ cho writes), operation còn lại giữ default
+ * - Levels thực sự đã dùng được trả về trong response header X-Consistency-Level
+ * 
+ * Reads: mọi level trong READ_LEVELS, kể cả SERIAL / LOCAL_SERIAL
+ * (linearizable read, thấy cả các LWT đang dở dang)
+ * Writes: chỉ WRITE_LEVELS; với LWT đây là commit consistency,
+ * phase Paxos dùng serial consistency (CASSANDRA_SERIAL_CONSISTENCY)
+ * =============================================================================
+ */
+
+const { types } = require('cassandra-driver');
+const { getContext } = require('./tracing');
+
+const CONSISTENCY_HEADER = 'x-consistency-level';
+
+const WRITE_LEVELS = ['ONE', 'TWO', 'THREE', 'QUORUM', 'ALL', 'LOCAL_QUORUM', 'EACH_QUORUM', 'LOCAL_ONE'];
+const READ_LEVELS = [...WRITE_LEVELS.filter(level => level !== 'EACH_QUORUM'), 'SERIAL', 'LOCAL_SERIAL'];
+const SERIAL_LEVELS = ['SERIAL', 'LOCAL_SERIAL'];
+const ALL_LEVELS = [...new Set([...WRITE_LEVELS, ...READ_LEVELS])];
+
+/**
+ * Error khi consistency level không hợp lệ (map sang HTTP 400)
+ */
+class InvalidConsistencyError extends Error {
+    constructor(message, allowed) {
+        super(message);
+        this.name = 'InvalidConsistencyError';
+        this.allowed = allowed;
+    }
+}
+
+/**
+ * Chuyển tên level sang giá trị types.consistencies
+ * 
+ * @param {string} name - Tên level đã chuẩn hóa, ví dụ LOCAL_QUORUM
+ * @returns {number} Giá trị cho cassandra-driver
+ */
+function toDriverValue(name) {
+    const key = name.toLowerCase().replace(/_(\w)/g, (match, letter) => letter.toUpperCase());
+    return types.consistencies[key];
+}
+
+/**
+ * Parse tên consistency level
+ * 
+ * @param {string} name - Tên level (không phân biệt hoa thường), ví dụ "quorum"
+ * @param {string} operation - 'read', 'write' hoặc 'any' (hợp lệ cho ít nhất một loại)
+ * @returns {{name: string, value: number}} Tên chuẩn hóa và giá trị types.consistencies
+ * @throws {InvalidConsistencyError} Khi level không hợp lệ cho operation
+ */
+function parseConsistency(name, operation = 'read') {
+    const allowed = { read: READ_LEVELS, write: WRITE_LEVELS, any: ALL_LEVELS }[operation];
+    const normalized = String(name).trim().toUpperCase();
+    
+    if (!allowed.includes(normalized)) {
+        throw new InvalidConsistencyError(
+            `Consistency level "${name}" không hợp lệ cho ${operation}`,
+            allowed
+        );
+    }
+    
+    return { name: normalized, value: toDriverValue(normalized) };
+}
+
+/**
+ * Chọn consistency level cho một query
+ * Thứ tự ưu tiên: header X-Consistency-Level của request hiện tại > default của operation
+ * 
+ * @param {string} operation - 'read' hoặc 'write'
+ * @param {Object} defaults - { read, write } tên level mặc định
+ * @returns {{name: string, value: number}} Level được dùng
+ */
+function resolveConsistency(operation, defaults) {
+    const context = getContext();
+    const requested = context && context.consistency;
+    const allowed = operation === 'write' ? WRITE_LEVELS : READ_LEVELS;
+    
+    const name = requested && allowed.includes(requested) ? requested : defaults[operation];
+    return { name, value: toDriverValue(name) };
+}
+
+/**
+ * Ghi nhận level đã dùng trong request hiện tại (cho response header)
+ * 
+ * @param {string} operation - 'read' hoặc 'write'
+ * @param {number} value - Giá trị types.consistencies đã dùng
+ */
+function recordConsistency(operation, value) {
+    const context = getContext();
+    if (!context || !context.consistencyUsed) {
+        return;
+    }
+    context.consistencyUsed[operation].add(types.consistencyToString[value]);
+}
+
+/**
+ * Format levels đã dùng: "QUORUM" nếu reads và writes dùng cùng một level,
+ * ngược lại "read=ONE, write=QUORUM"
+ * 
+ * @param {Object} used - { read: Set, write: Set }
+ * @returns {string|null} Giá trị header, null nếu request không chạy query nào
+ */
+function describeConsistencyUsed(used) {
+    const read = [...used.read].join('|');
+    const write = [...used.write].join('|');
+    if (!read && !write) {
+        return null;
+    }
+    if (read === write || !write) {
+        return read || write;
+    }
+    return read ? `read=${read}, write=${write}` : write;
+}
+
+/**
+ * Middleware đọc header X-Consistency-Level và trả về levels đã dùng
+ * Phải đăng ký sau tracingMiddleware (dùng chung request context)
+ * 
+ * @returns {Function} Express middleware
+ */
+function consistencyMiddleware() {
+    return (req, res, next) => {
+        const context = getContext();
+        if (!context) {
+            return next();
+        }
+        
+        const header = req.headers[CONSISTENCY_HEADER];
+        if (header) {
+            try {
+                context.consistency = parseConsistency(header, 'any').name;
+            } catch (error) {
+                return res.status(400).json({
+                    error: `Header X-Consistency-Level không hợp lệ: ${header}`,
+                    allowed: error.allowed
+                });
+            }
+        }
+        context.consistencyUsed = { read: new Set(), write: new Set() };
+        
+        // Header phải được set trước khi response headers được gửi đi
+        const writeHead = res.writeHead;
+        res.writeHead = function (...args) {
+            const used = describeConsistencyUsed(context.consistencyUsed);
+            if (used && !res.headersSent) {
+                res.setHeader(CONSISTENCY_HEADER, used);
+            }
+            return writeHead.apply(this, args);
+        };
+        
+        next();
+    };
+}
+
+module.exports = {
+    CONSISTENCY_HEADER,
+    READ_LEVELS,
+    WRITE_LEVELS,
+    SERIAL_LEVELS,
+    InvalidConsistencyError,
+    parseConsistency,
+    resolveConsistency,
+    recordConsistency,
+    describeConsistencyUsed,
+    consistencyMiddleware
+};
@@ -0,0 +1,129 @@
+/**
+ * =============================================================================
+ * EXACT DECIMAL ARITHMETIC
+ * =============================================================================
+ *
+ * Số thập phân chính xác dựa trên BigInt: value = units / 10^scale
+ * Dùng cho tiền tệ thay vì floating point (0.1 + 0.2 !== 0.3).
+ * Kết quả được serialize thành string, có thể bind trực tiếp vào cột
+ * decimal của Cassandra.
+ * =============================================================================
+ */
+
+const DECIMAL_REGEX = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Parse number hoặc string thành decimal
+ *
+ * @param {number|string} value - Giá trị đầu vào (vd: 12.5, "12.50")
+ * @returns {{units: bigint, scale: number}|null} null nếu không hợp lệ
+ */
+function parseDecimal(value) {
+    if (typeof value === 'number') {
+        // Dạng mũ (1e-7, 1e21) không được chấp nhận cho tiền tệ
+        value = String(value);
+    }
+
+    if (typeof value !== 'string' || !DECIMAL_REGEX.test(value.trim())) {
+        return null;
+    }
+
+    const text = value.trim();
+    const [integerPart, fractionPart = ''] = text.replace('-', '').split('.');
+    const units = BigInt(integerPart + fractionPart);
+    return {
+        units: text.startsWith('-') ? -units : units,
+        scale: fractionPart.length
+    };
+}
+
+/**
+ * Đưa decimal về scale lớn hơn (không mất độ chính xác)
+ */
+function rescale(decimal, scale) {
+    return {
+        units: decimal.units * 10n ** BigInt(scale - decimal.scale),
+        scale
+    };
+}
+
+function add(a, b) {
+    const scale = Math.max(a.scale, b.scale);
+    return {
+        units: rescale(a, scale).units + rescale(b, scale).units,
+        scale
+    };
+}
+
+function multiply(a, b) {
+    return {
+        units: a.units * b.units,
+        scale: a.scale + b.scale
+    };
+}
+
+/**
+ * Làm tròn về scale cho trước, half-up (0.5 làm tròn ra xa số 0)
+ *
+ * @param {{units: bigint, scale: number}} decimal
+ * @param {number} scale - Số chữ số thập phân sau khi làm tròn
+ */
+function round(decimal, scale) {
+    if (decimal.scale <= scale) {
+        return rescale(decimal, scale);
+    }
+    const divisor = 10n ** BigInt(decimal.scale - scale);
+    const negative = decimal.units < 0n;
+    const absolute = negative ? -decimal.units : decimal.units;
+    let units = absolute / divisor;
+    if ((absolute % divisor) * 2n >= divisor) {
+        units += 1n;
+    }
+    return { units: negative ? -units : units, scale };
+}
+
+/**
+ * Chia a / b, kết quả làm tròn half-up tại scale cho trước
+ */
+function divide(a, b, scale) {
+    if (b.units === 0n) {
+        throw new RangeError('Division by zero');
+    }
+    // Tính thêm 1 chữ số để làm tròn
+    const exponent = scale + 1 + b.scale - a.scale;
+    const numerator = exponent >= 0 ? a.units * 10n ** BigInt(exponent) : a.units / 10n ** BigInt(-exponent);
+    return round({ units: numerator / b.units, scale: scale + 1 }, scale);
+}
+
+/**
+ * So sánh hai decimal theo giá trị (1.5 == 1.50)
+ *
+ * @returns {number} -1, 0 hoặc 1
+ */
+function compare(a, b) {
+    const scale = Math.max(a.scale, b.scale);
+    const left = rescale(a, scale).units;
+    const right = rescale(b, scale).units;
+    return left === right ? 0 : (left < right ? -1 : 1);
+}
+
+/**
+ * Serialize decimal thành string (giữ nguyên scale, vd "12.50")
+ */
+function toDecimalString(decimal) {
+    const negative = decimal.units < 0n;
+    const digits = (negative ? -decimal.units : decimal.units).toString().padStart(decimal.scale + 1, '0');
+    const integerPart = digits.slice(0, digits.length - decimal.scale);
+    const fractionPart = digits.slice(digits.length - decimal.scale);
+    return (negative ? '-' : '') + integerPart + (decimal.scale > 0 ? '.' + fractionPart : '');
+}
+
+module.exports = {
+    parseDecimal,
+    add,
+    multiply,
+    divide,
+    round,
+    compare,
+    toDecimalString
+};
@@ -0,0 +1,72 @@
+/**
+ * =============================================================================
+ * ID GENERATOR UTILITY
+ * =============================================================================
+ * 
+ * Sinh primary key cho users và orders dưới dạng TimeUUID (UUID v1)
+ * 
+ * Trước đây ID là Date.now().toString(), hai request trong cùng một millisecond
+ * sẽ có cùng ID và INSERT (upsert) của Cassandra ghi đè dữ liệu lẫn nhau.
+ * TimeUUID vẫn sắp xếp được theo thời gian nhưng có thêm clock sequence và
+ * node id ngẫu nhiên nên không bị trùng.
+ * =============================================================================
+ */
+
+const { types } = require('cassandra-driver');
+
+/**
+ * ID kiểu cũ: timestamp milliseconds dạng string (13 chữ số)
+ */
+const LEGACY_ID_REGEX = /^\d{13}$/;
+
+/**
+ * Sinh ID mới
+ * @returns {string} TimeUUID string
+ */
+function generateId() {
+    return types.TimeUuid.now().toString();
+}
+
+/**
+ * Kiểm tra ID có phải định dạng timestamp cũ không
+ * @param {string} id - ID cần kiểm tra
+ * @returns {boolean} true nếu là legacy ID
+ */
+function isLegacyId(id) {
+    return LEGACY_ID_REGEX.test(String(id));
+}
+
+/**
+ * Sinh TimeUUID giữ nguyên thời điểm tạo của legacy ID
+ * Dùng khi migrate dữ liệu cũ để thứ tự theo thời gian không đổi
+ * 
+ * @param {string} legacyId - Timestamp string
+ * @returns {string} TimeUUID string
+ */
+function legacyIdToTimeUuid(legacyId) {
+    return types.TimeUuid.fromDate(new Date(parseInt(legacyId, 10))).toString();
+}
+
+/**
+ * Lấy thời điểm tạo từ ID (TimeUUID hoặc legacy)
+ * @param {string} id - ID
+ * @returns {Date|null} Thời điểm tạo
+ */
+function getIdTimestamp(id) {
+    if (isLegacyId(id)) {
+        return new Date(parseInt(id, 10));
+    }
+    try {
+        return types.TimeUuid.fromString(id).getDate();
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    LEGACY_ID_REGEX,
+    generateId,
+    isLegacyId,
+    legacyIdToTimeUuid,
+    getIdTimestamp
+};
@@ -1,8 +1,26 @@
 const winston = require('winston');
+const { getContext } = require('./tracing');
+
+/**
+ * Gắn requestId/traceId/spanId của request hiện tại vào mỗi log entry
+ * (lấy từ trace context, xem utils/tracing.js)
+ */
+const traceContext = winston.format(info => {
+    const context = getContext();
+    if (context) {
+        info.requestId = info.requestId || context.requestId;
+        info.traceId = info.traceId || context.traceId;
+        if (context.span) {
+            info.spanId = info.spanId || context.span.spanId;
+        }
+    }
+    return info;
+});
 
 const logger = winston.createLogger({
     level: 'info',
     format: winston.format.combine(
+        traceContext(),
         winston.format.timestamp(),
         winston.format.json()
     ),
@@ -12,4 +30,4 @@ const logger = winston.createLogger({
     ]
 });
 
-module.exports = logger; 
\ No newline at end of file
+module.exports = logger;
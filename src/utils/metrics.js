@@ -0,0 +1,398 @@
+/**
+ * =============================================================================
+ * METRICS UTILITY
+ * =============================================================================
+ * 
+ * Metrics registry dùng chung cho API Gateway, User Service và Order Service
+ * Hỗ trợ 3 loại metric: Counter, Gauge và Histogram (có labels)
+ * 
+ * Metrics được expose theo 2 format:
+ * - JSON: Snapshot dùng cho GET /metrics (default)
+ * - Prometheus text format: GET /metrics?format=prometheus hoặc Accept: text/plain
+ * =============================================================================
+ */
+
+/**
+ * Buckets mặc định cho latency histograms (đơn vị: giây)
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Tạo key duy nhất cho một bộ labels (dùng làm key của Map)
+ * @param {Array<string>} labelNames - Tên các labels theo thứ tự khai báo
+ * @param {Object} labels - Giá trị labels
+ * @returns {string} Key
+ */
+function labelKey(labelNames, labels = {}) {
+    return labelNames.map(name => String(labels[name] === undefined ? '' : labels[name])).join('\u0000');
+}
+
+/**
+ * Format labels theo Prometheus text format: {a="1",b="2"}
+ * @param {Object} labels - Giá trị labels
+ * @returns {string} Labels đã format
+ */
+function formatLabels(labels) {
+    const parts = Object.entries(labels).map(([name, value]) =>
+        `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`
+    );
+    return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Pick các labels đã khai báo từ object labels
+ */
+function pickLabels(labelNames, labels = {}) {
+    const picked = {};
+    labelNames.forEach(name => {
+        picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+    });
+    return picked;
+}
+
+/**
+ * Counter - giá trị chỉ tăng (ví dụ tổng số requests)
+ */
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(this.labelNames, labels);
+        const entry = this.series.get(key) || { labels: pickLabels(this.labelNames, labels), value: 0 };
+        entry.value += value;
+        this.series.set(key, entry);
+    }
+
+    toPrometheus() {
+        return Array.from(this.series.values()).map(({ labels, value }) =>
+            `${this.name}${formatLabels(labels)} ${value}`
+        );
+    }
+
+    toJSON() {
+        return Array.from(this.series.values()).map(({ labels, value }) => ({ labels, value }));
+    }
+}
+
+/**
+ * Gauge - giá trị có thể tăng/giảm (ví dụ upstream health, memory)
+ */
+class Gauge extends Counter {
+    constructor(name, help, labelNames = []) {
+        super(name, help, labelNames);
+        this.type = 'gauge';
+    }
+
+    set(labels = {}, value) {
+        this.series.set(labelKey(this.labelNames, labels), {
+            labels: pickLabels(this.labelNames, labels),
+            value
+        });
+    }
+
+    dec(labels = {}, value = 1) {
+        this.inc(labels, -value);
+    }
+}
+
+/**
+ * Histogram - phân phối giá trị theo buckets (ví dụ latency)
+ */
+class Histogram {
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.labelNames = labelNames;
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.series = new Map();
+    }
+
+    observe(labels = {}, value) {
+        const key = labelKey(this.labelNames, labels);
+        let entry = this.series.get(key);
+        if (!entry) {
+            entry = {
+                labels: pickLabels(this.labelNames, labels),
+                counts: this.buckets.map(() => 0),
+                sum: 0,
+                count: 0
+            };
+            this.series.set(key, entry);
+        }
+        
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                entry.counts[index]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * Bắt đầu đo thời gian, trả về hàm end() để observe duration (giây)
+     * @param {Object} labels - Labels ban đầu
+     * @returns {Function} end(extraLabels) -> duration (giây)
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    toPrometheus() {
+        const lines = [];
+        this.series.forEach(({ labels, counts, sum, count }) => {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        });
+        return lines;
+    }
+
+    toJSON() {
+        return Array.from(this.series.values()).map(({ labels, counts, sum, count }) => ({
+            labels,
+            count,
+            sum: Math.round(sum * 1e6) / 1e6,
+            average: count > 0 ? Math.round((sum / count) * 1e6) / 1e6 : 0,
+            buckets: Object.fromEntries(this.buckets.map((bound, index) => [bound, counts[index]]))
+        }));
+    }
+}
+
+/**
+ * Registry - nơi đăng ký và render tất cả metrics
+ */
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    getOrCreate(MetricClass, name, help, labelNames, extra) {
+        if (!this.metrics.has(name)) {
+            this.metrics.set(name, new MetricClass(name, help, labelNames, extra));
+        }
+        return this.metrics.get(name);
+    }
+
+    counter(name, help, labelNames) {
+        return this.getOrCreate(Counter, name, help, labelNames);
+    }
+
+    gauge(name, help, labelNames) {
+        return this.getOrCreate(Gauge, name, help, labelNames);
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.getOrCreate(Histogram, name, help, labelNames, buckets);
+    }
+
+    get(name) {
+        return this.metrics.get(name);
+    }
+
+    /**
+     * Render toàn bộ metrics theo Prometheus text exposition format (version 0.0.4)
+     * @returns {string} Prometheus text
+     */
+    toPrometheus() {
+        const lines = [];
+        this.metrics.forEach(metric => {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.toPrometheus());
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Snapshot JSON của toàn bộ metrics
+     * @returns {Object} { metricName: { type, help, series } }
+     */
+    toJSON() {
+        const snapshot = {};
+        this.metrics.forEach(metric => {
+            snapshot[metric.name] = {
+                type: metric.type,
+                help: metric.help,
+                series: metric.toJSON()
+            };
+        });
+        return snapshot;
+    }
+}
+
+/**
+ * Registry mặc định của process (mỗi service chạy trong một process riêng)
+ */
+const registry = new Registry();
+
+const httpRequestsTotal = registry.counter(
+    'http_requests_total',
+    'Total HTTP requests handled',
+    ['service', 'route', 'method', 'status', 'upstream']
+);
+
+const httpRequestDuration = registry.histogram(
+    'http_request_duration_seconds',
+    'HTTP request latency in seconds',
+    ['service', 'route', 'method', 'status', 'upstream']
+);
+
+const upstreamUp = registry.gauge(
+    'upstream_up',
+    'Upstream health (1 = healthy, 0 = unhealthy) as seen by this service',
+    ['upstream']
+);
+
+const processGauges = {
+    uptime: registry.gauge('process_uptime_seconds', 'Process uptime in seconds'),
+    memory: registry.gauge('process_memory_bytes', 'Process memory usage in bytes', ['type']),
+    cpu: registry.gauge('process_cpu_microseconds', 'Process CPU time in microseconds', ['mode'])
+};
+
+/**
+ * Cập nhật các process gauges (gọi trước khi render metrics)
+ */
+function collectProcessMetrics() {
+    processGauges.uptime.set({}, process.uptime());
+    
+    const memoryUsage = process.memoryUsage();
+    ['rss', 'heapTotal', 'heapUsed', 'external'].forEach(type => {
+        processGauges.memory.set({ type }, memoryUsage[type]);
+    });
+    
+    const cpuUsage = process.cpuUsage();
+    processGauges.cpu.set({ mode: 'user' }, cpuUsage.user);
+    processGauges.cpu.set({ mode: 'system' }, cpuUsage.system);
+}
+
+/**
+ * Express middleware đo số lượng và latency của mọi HTTP request
+ * Label "upstream" lấy từ res.locals.upstream (gateway set khi proxy request)
+ * 
+ * @param {string} service - Tên service (api-gateway, user-service, order-service)
+ * @returns {Function} Express middleware
+ */
+function httpMetricsMiddleware(service) {
+    return (req, res, next) => {
+        const endTimer = httpRequestDuration.startTimer();
+        
+        res.on('finish', () => {
+            const labels = {
+                service,
+                route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+                method: req.method,
+                status: res.statusCode,
+                upstream: res.locals.upstream || 'none'
+            };
+            httpRequestsTotal.inc(labels);
+            endTimer(labels);
+        });
+        
+        next();
+    };
+}
+
+/**
+ * Phân tích CQL query để lấy operation và table cho metric labels
+ * @param {string} query - CQL query
+ * @returns {Object} { operation, table }
+ */
+function describeQuery(query) {
+    const text = query.trim().replace(/\s+/g, ' ');
+    const operation = (text.split(' ')[0] || 'UNKNOWN').toUpperCase();
+    const match = text.match(/\b(?:FROM|INTO|UPDATE|TABLE(?: IF NOT EXISTS)?)\s+([\w.]+)/i);
+    return { operation, table: match ? match[1] : 'none' };
+}
+
+/**
+ * Tổng hợp request statistics từ http_requests_total và http_request_duration_seconds
+ * @returns {Object} { total, success, errors, averageResponseTime }
+ */
+function summarizeRequests() {
+    let total = 0;
+    let errors = 0;
+    httpRequestsTotal.series.forEach(({ labels, value }) => {
+        total += value;
+        if (parseInt(labels.status) >= 400) {
+            errors += value;
+        }
+    });
+    
+    let durationSum = 0;
+    let durationCount = 0;
+    httpRequestDuration.series.forEach(({ sum, count }) => {
+        durationSum += sum;
+        durationCount += count;
+    });
+    
+    return {
+        total,
+        success: total - errors,
+        errors,
+        averageResponseTime: (durationCount > 0 ? Math.round((durationSum / durationCount) * 1000) : 0) + 'ms'
+    };
+}
+
+/**
+ * Kiểm tra client có yêu cầu Prometheus text format không
+ * @param {Object} req - Express request
+ * @returns {boolean} true nếu cần Prometheus format
+ */
+function wantsPrometheus(req) {
+    if (req.query.format) {
+        return req.query.format === 'prometheus';
+    }
+    return req.accepts(['application/json', 'text/plain']) === 'text/plain';
+}
+
+/**
+ * Gửi metrics response theo format client yêu cầu
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} buildJson - Hàm build JSON body (cho format JSON)
+ */
+function sendMetrics(req, res, buildJson) {
+    collectProcessMetrics();
+    
+    if (wantsPrometheus(req)) {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        return res.send(registry.toPrometheus());
+    }
+    
+    res.json(buildJson());
+}
+
+module.exports = {
+    registry,
+    Registry,
+    Counter,
+    Gauge,
+    Histogram,
+    DEFAULT_BUCKETS,
+    httpRequestsTotal,
+    httpRequestDuration,
+    upstreamUp,
+    httpMetricsMiddleware,
+    collectProcessMetrics,
+    describeQuery,
+    summarizeRequests,
+    wantsPrometheus,
+    sendMetrics
+};
@@ -0,0 +1,119 @@
+/**
+ * =============================================================================
+ * MONEY & CURRENCIES
+ * =============================================================================
+ *
+ * Số tiền luôn là decimal chính xác (xem utils/decimal.js) và được serialize
+ * thành string, không bao giờ qua floating point.
+ * Mỗi currency (ISO 4217) có số chữ số thập phân riêng (minor units):
+ * VND/JPY/KRW = 0, USD/EUR = 2, BHD/KWD = 3...
+ * =============================================================================
+ */
+
+const { parseDecimal, multiply, divide, round, toDecimalString } = require('./decimal');
+
+/**
+ * ISO 4217 currency code -> số minor units
+ */
+const CURRENCY_MINOR_UNITS = {
+    VND: 0,
+    USD: 2,
+    EUR: 2,
+    GBP: 2,
+    JPY: 0,
+    KRW: 0,
+    CNY: 2,
+    SGD: 2,
+    THB: 2,
+    AUD: 2,
+    CAD: 2,
+    CHF: 2,
+    INR: 2,
+    BHD: 3,
+    KWD: 3,
+    OMR: 3,
+    JOD: 3
+};
+
+// Dữ liệu cũ không có currency được coi là VND (README dùng số tiền VND)
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'VND').toUpperCase();
+
+// Scale trung gian khi chia tỷ giá, trước khi làm tròn về minor units
+const CONVERSION_SCALE = 12;
+
+/**
+ * Chuẩn hóa currency code (trim + uppercase)
+ *
+ * @param {string} currency
+ * @returns {string|null} Code hợp lệ, null nếu không được hỗ trợ
+ */
+function normalizeCurrency(currency) {
+    if (typeof currency !== 'string') {
+        return null;
+    }
+    const code = currency.trim().toUpperCase();
+    return Object.prototype.hasOwnProperty.call(CURRENCY_MINOR_UNITS, code) ? code : null;
+}
+
+function minorUnits(currency) {
+    return CURRENCY_MINOR_UNITS[currency];
+}
+
+/**
+ * Làm tròn số tiền theo minor units của currency (half-up)
+ *
+ * @param {number|string} amount - Số tiền
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} vd: roundAmount('10.005', 'USD') -> '10.01', roundAmount('1500.5', 'VND') -> '1501'
+ */
+function roundAmount(amount, currency) {
+    const decimal = parseDecimal(amount);
+    if (!decimal) {
+        throw new TypeError(`Invalid amount: ${amount}`);
+    }
+    return toDecimalString(round(decimal, minorUnits(currency)));
+}
+
+/**
+ * Quy đổi số tiền giữa hai currency
+ * rates: số đơn vị mỗi currency tương ứng với 1 đơn vị base currency
+ * (vd { USD: '1', VND: '25000' }) => amount * rates[to] / rates[from]
+ *
+ * @param {number|string} amount - Số tiền theo currency gốc
+ * @param {string} from - Currency gốc
+ * @param {string} to - Currency đích
+ * @param {Object<string, string>} rates - Bảng tỷ giá
+ * @returns {string} Số tiền đã làm tròn theo minor units của currency đích
+ */
+function convertAmount(amount, from, to, rates) {
+    if (from === to) {
+        return roundAmount(amount, to);
+    }
+    if (!rates[from] || !rates[to]) {
+        throw new RangeError(`No exchange rate for ${rates[from] ? to : from}`);
+    }
+    const converted = divide(
+        multiply(parseDecimal(amount), parseDecimal(rates[to])),
+        parseDecimal(rates[from]),
+        CONVERSION_SCALE
+    );
+    return toDecimalString(round(converted, minorUnits(to)));
+}
+
+/**
+ * Tỷ giá from -> to (1 from = ? to)
+ */
+function exchangeRate(from, to, rates) {
+    return toDecimalString(divide(parseDecimal(rates[to]), parseDecimal(rates[from]), CONVERSION_SCALE))
+        .replace(/\.?0+$/, '');
+}
+
+module.exports = {
+    CURRENCY_MINOR_UNITS,
+    DEFAULT_CURRENCY,
+    normalizeCurrency,
+    minorUnits,
+    roundAmount,
+    convertAmount,
+    exchangeRate
+};
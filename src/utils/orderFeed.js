@@ -0,0 +1,246 @@
+/**
+ * =============================================================================
+ * LIVE ORDER STATUS FEED
+ * =============================================================================
+ * 
+ * Hub phía API Gateway cho SSE / WebSocket: poll domain event stream của
+ * Event Relay (GET /events) và phát OrderStatusChanged tới các listeners
+ * theo order ID.
+ * 
+ * - Chỉ poll khi có ít nhất một listener, bắt đầu từ thời điểm listener đầu tiên
+ *   trừ đi settle window của Event Relay (relay chỉ trả events cũ hơn now - settle,
+ *   nên events ngay trước lúc subscribe vẫn được phát)
+ * - Event ID (TimeUUID của outbox) được dùng làm SSE id / Last-Event-ID:
+ *   client kết nối lại sẽ nhận các events bị lỡ qua replay(after = lastEventId)
+ * =============================================================================
+ */
+
+const STATUS_EVENT_TYPE = 'OrderStatusChanged';
+
+/**
+ * Cấu hình mặc định, có thể override bằng environment variables
+ * - pollIntervalMs:  Chu kỳ poll Event Relay
+ * - pageSize:        Số events mỗi lần đọc
+ * - maxReplayEvents: Số events tối đa được quét khi replay từ Last-Event-ID
+ * - startLagMs:      Lùi vị trí bắt đầu poll, bằng EVENT_RELAY_SETTLE_MS của Event Relay
+ */
+const DEFAULT_OPTIONS = {
+    pollIntervalMs: parseInt(process.env.LIVE_FEED_POLL_MS) || 500,
+    pageSize: 200,
+    maxReplayEvents: parseInt(process.env.LIVE_FEED_MAX_REPLAY) || 5000,
+    startLagMs: parseInt(process.env.EVENT_RELAY_SETTLE_MS) || 2000
+};
+
+/**
+ * Chuyển domain event thành message gửi cho client
+ * 
+ * @param {Object} event - OrderStatusChanged event từ Event Relay
+ * @returns {Object} { id, orderId, from, to, actor, reason, changedAt }
+ */
+function toStatusMessage(event) {
+    const payload = event.payload || {};
+    return {
+        id: event.id,
+        orderId: event.aggregateId,
+        from: payload.from,
+        to: payload.to,
+        actor: payload.actor,
+        reason: payload.reason,
+        changedAt: payload.changed_at || event.occurredAt
+    };
+}
+
+class OrderFeed {
+    /**
+     * @param {Function} fetchEvents - async ({ after, from, limit }) => { events, nextAfter }
+     * @param {Object} options - Override DEFAULT_OPTIONS
+     */
+    constructor(fetchEvents, options = {}) {
+        this.fetchEvents = fetchEvents;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.listeners = new Map();     // orderId -> Set<listener>
+        this.cursor = null;             // { after } hoặc { from } của lần poll tiếp theo
+        this.timer = null;
+        this.lastError = null;
+    }
+    
+    /**
+     * Số listeners đang đăng ký
+     */
+    get size() {
+        let total = 0;
+        this.listeners.forEach(set => { total += set.size; });
+        return total;
+    }
+    
+    /**
+     * Đăng ký nhận status changes của các orders
+     * 
+     * Nếu có lastEventId, các events sau nó được replay trước; events live đến
+     * trong lúc replay được giữ lại và gửi sau (bỏ trùng theo event ID).
+     * 
+     * @param {Array<string>} orderIds - Order IDs
+     * @param {Function} listener - Nhận message (toStatusMessage) theo thứ tự
+     * @param {Object} options - { lastEventId }
+     * @returns {{ready: Promise<number>, unsubscribe: Function}} ready resolve số events đã replay
+     */
+    subscribe(orderIds, listener, { lastEventId } = {}) {
+        let replaying = Boolean(lastEventId);
+        const buffered = [];
+        const seen = new Set();
+        
+        const deliver = event => {
+            if (replaying) {
+                buffered.push(event);
+            } else if (!seen.has(event.id)) {
+                listener(toStatusMessage(event));
+            }
+        };
+        
+        orderIds.forEach(orderId => {
+            if (!this.listeners.has(orderId)) {
+                this.listeners.set(orderId, new Set());
+            }
+            this.listeners.get(orderId).add(deliver);
+        });
+        this.start();
+        
+        const ready = !lastEventId ? Promise.resolve(0) : this.replay(orderIds, lastEventId)
+            .catch(error => {
+                console.error('⚠️  Live feed replay failed:', error.message);
+                return [];
+            })
+            .then(events => {
+                events.forEach(event => {
+                    seen.add(event.id);
+                    listener(toStatusMessage(event));
+                });
+                replaying = false;
+                buffered.forEach(deliver);
+                return events.length;
+            });
+        
+        const unsubscribe = () => {
+            orderIds.forEach(orderId => {
+                const set = this.listeners.get(orderId);
+                if (set) {
+                    set.delete(deliver);
+                    if (set.size === 0) {
+                        this.listeners.delete(orderId);
+                    }
+                }
+            });
+            if (this.listeners.size === 0) {
+                this.stop();
+            }
+        };
+        
+        return { ready, unsubscribe };
+    }
+    
+    /**
+     * Đọc lại status changes của các orders sau một event ID
+     * 
+     * @param {Array<string>} orderIds - Order IDs
+     * @param {string} lastEventId - Event ID client đã nhận cuối cùng
+     * @returns {Promise<Array<Object>>} Events theo thứ tự
+     */
+    async replay(orderIds, lastEventId) {
+        const wanted = new Set(orderIds);
+        const matched = [];
+        let after = lastEventId;
+        let scanned = 0;
+        
+        while (scanned < this.options.maxReplayEvents) {
+            const { events } = await this.fetchEvents({ after, limit: this.options.pageSize });
+            events
+                .filter(event => event.type === STATUS_EVENT_TYPE && wanted.has(event.aggregateId))
+                .forEach(event => matched.push(event));
+            
+            scanned += events.length;
+            if (events.length < this.options.pageSize) {
+                break;
+            }
+            after = events[events.length - 1].id;
+        }
+        
+        return matched;
+    }
+    
+    /**
+     * Bắt đầu poll (no-op nếu đang chạy)
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.cursor = { from: new Date(Date.now() - this.options.startLagMs).toISOString() };
+        this.schedule();
+    }
+    
+    /**
+     * Dừng poll khi không còn listener
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    
+    schedule() {
+        this.timer = setTimeout(() => this.poll(), this.options.pollIntervalMs);
+        this.timer.unref();
+    }
+    
+    /**
+     * Một lần poll: đọc hết events mới và phát tới listeners
+     */
+    async poll() {
+        try {
+            let more = true;
+            while (more && this.timer) {
+                const { events } = await this.fetchEvents({ ...this.cursor, limit: this.options.pageSize });
+                events.forEach(event => {
+                    if (event.type !== STATUS_EVENT_TYPE) {
+                        return;
+                    }
+                    (this.listeners.get(event.aggregateId) || []).forEach(deliver => deliver(event));
+                });
+                
+                if (events.length > 0) {
+                    this.cursor = { after: events[events.length - 1].id };
+                }
+                more = events.length === this.options.pageSize;
+            }
+            this.lastError = null;
+        } catch (error) {
+            // Giữ nguyên cursor, lần poll sau đọc lại từ cùng vị trí
+            if (!this.lastError) {
+                console.error('⚠️  Live feed poll failed:', error.message);
+            }
+            this.lastError = { message: error.message, at: new Date().toISOString() };
+        }
+        
+        if (this.timer) {
+            this.schedule();
+        }
+    }
+    
+    /**
+     * Trạng thái hub cho /monitoring
+     */
+    getStatus() {
+        return {
+            polling: Boolean(this.timer),
+            orders: this.listeners.size,
+            listeners: this.size,
+            cursor: this.cursor,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = {
+    OrderFeed,
+    STATUS_EVENT_TYPE,
+    toStatusMessage
+};
@@ -0,0 +1,103 @@
+/**
+ * =============================================================================
+ * ORDER ITEMS
+ * =============================================================================
+ *
+ * Validation cho order items và tính tổng tiền phía server.
+ * Mỗi item được lưu dưới dạng UDT order_item (xem migration 007):
+ *   { sku, name, quantity, unit_price }
+ * =============================================================================
+ */
+
+const { parseDecimal, add, multiply, compare, toDecimalString } = require('./decimal');
+
+const MAX_ITEMS = 100;
+
+/**
+ * Validate và chuẩn hóa danh sách items từ request
+ * unit_price nhận cả "unitPrice" (camelCase) cho tiện client
+ *
+ * @param {Array} items - Items từ request body
+ * @returns {{items: Array<Object>, errors: Array<Object>}} items đã chuẩn hóa
+ *          (unit_price là decimal string) và lỗi theo từng index
+ */
+function validateItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { items: [], errors: [{ index: null, error: 'items phải là array không rỗng' }] };
+    }
+    if (items.length > MAX_ITEMS) {
+        return { items: [], errors: [{ index: null, error: `Tối đa ${MAX_ITEMS} items mỗi order` }] };
+    }
+
+    const errors = [];
+    const normalized = items.map((item, index) => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            errors.push({ index, error: 'item phải là object { sku, name, quantity, unit_price }' });
+            return null;
+        }
+
+        const unitPriceInput = item.unit_price !== undefined ? item.unit_price : item.unitPrice;
+        const unitPrice = parseDecimal(unitPriceInput);
+        const itemErrors = [];
+
+        if (typeof item.sku !== 'string' || item.sku.trim() === '') {
+            itemErrors.push('sku là bắt buộc');
+        }
+        if (typeof item.name !== 'string' || item.name.trim() === '') {
+            itemErrors.push('name là bắt buộc');
+        }
+        if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+            itemErrors.push('quantity phải là số nguyên dương');
+        }
+        if (!unitPrice || unitPrice.units < 0n) {
+            itemErrors.push('unit_price phải là số không âm');
+        }
+
+        if (itemErrors.length > 0) {
+            errors.push({ index, sku: item.sku, error: itemErrors.join(', ') });
+            return null;
+        }
+
+        return {
+            sku: item.sku.trim(),
+            name: item.name.trim(),
+            quantity: item.quantity,
+            unit_price: toDecimalString(unitPrice)
+        };
+    });
+
+    return { items: errors.length > 0 ? [] : normalized, errors };
+}
+
+/**
+ * Tính tổng tiền: sum(quantity * unit_price), chính xác tuyệt đối
+ *
+ * @param {Array<Object>} items - Items đã chuẩn hóa bởi validateItems
+ * @returns {string} Tổng tiền dạng decimal string
+ */
+function calculateTotal(items) {
+    const total = items.reduce(
+        (sum, item) => add(sum, multiply(parseDecimal(item.unit_price), parseDecimal(String(item.quantity)))),
+        { units: 0n, scale: 0 }
+    );
+    return toDecimalString(total);
+}
+
+/**
+ * Kiểm tra total client gửi lên có khớp với total server tính không
+ *
+ * @param {number|string} clientTotal - totalAmount từ request
+ * @param {string} serverTotal - Kết quả calculateTotal
+ * @returns {boolean}
+ */
+function totalsMatch(clientTotal, serverTotal) {
+    const parsed = parseDecimal(clientTotal);
+    return Boolean(parsed) && compare(parsed, parseDecimal(serverTotal)) === 0;
+}
+
+module.exports = {
+    MAX_ITEMS,
+    validateItems,
+    calculateTotal,
+    totalsMatch
+};
@@ -0,0 +1,75 @@
+/**
+ * =============================================================================
+ * ORDER STATUS STATE MACHINE
+ * =============================================================================
+ * 
+ * Transition graph cho trạng thái đơn hàng
+ * 
+ *   pending ──> processing ──> completed
+ *      │             │
+ *      └──> cancelled <┘
+ * 
+ * completed và cancelled là trạng thái cuối, không chuyển tiếp được nữa
+ * =============================================================================
+ */
+
+const ORDER_STATUSES = ['pending', 'processing', 'completed', 'cancelled'];
+
+const INITIAL_STATUS = 'pending';
+
+/**
+ * Map: trạng thái hiện tại -> các trạng thái được phép chuyển tới
+ */
+const TRANSITIONS = {
+    pending: ['processing', 'cancelled'],
+    processing: ['completed', 'cancelled'],
+    completed: [],
+    cancelled: []
+};
+
+/**
+ * Kiểm tra status có hợp lệ không
+ * @param {string} status - Status cần kiểm tra
+ * @returns {boolean} true nếu hợp lệ
+ */
+function isValidStatus(status) {
+    return ORDER_STATUSES.includes(status);
+}
+
+/**
+ * Các trạng thái có thể chuyển tới từ trạng thái hiện tại
+ * @param {string} from - Trạng thái hiện tại
+ * @returns {Array<string>} Danh sách trạng thái kế tiếp
+ */
+function allowedTransitions(from) {
+    return TRANSITIONS[from] || [];
+}
+
+/**
+ * Kiểm tra transition from -> to có được phép không
+ * @param {string} from - Trạng thái hiện tại
+ * @param {string} to - Trạng thái mới
+ * @returns {boolean} true nếu được phép
+ */
+function canTransition(from, to) {
+    return allowedTransitions(from).includes(to);
+}
+
+/**
+ * Trạng thái cuối (không thể thay đổi nữa)
+ * @param {string} status - Trạng thái
+ * @returns {boolean} true nếu là trạng thái cuối
+ */
+function isTerminal(status) {
+    return allowedTransitions(status).length === 0;
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    INITIAL_STATUS,
+    TRANSITIONS,
+    isValidStatus,
+    allowedTransitions,
+    canTransition,
+    isTerminal
+};
@@ -0,0 +1,109 @@
+/**
+ * =============================================================================
+ * CURSOR-BASED PAGINATION UTILITY
+ * =============================================================================
+ * 
+ * Pagination cho list endpoints dựa trên paging state của cassandra-driver
+ * 
+ * - Client gửi ?limit=N (page size) và ?pageToken=<token> (trang tiếp theo)
+ * - Service chạy query với { fetchSize: limit, pageState }
+ * - Response trả về nextPageToken (null khi hết dữ liệu)
+ * 
+ * Token là opaque với client: base64url của { resource, pageState }.
+ * Token của resource này không dùng được cho resource khác.
+ * =============================================================================
+ */
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Error khi pageToken không hợp lệ (map sang HTTP 400)
+ */
+class InvalidPageTokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidPageTokenError';
+    }
+}
+
+/**
+ * Encode paging state thành opaque token
+ * 
+ * @param {string|null} pageState - result.pageState từ cassandra-driver
+ * @param {string} resource - Tên resource (users, orders, ...)
+ * @returns {string|null} Token, null nếu không còn trang tiếp theo
+ */
+function encodePageToken(pageState, resource) {
+    if (!pageState) {
+        return null;
+    }
+    return Buffer.from(JSON.stringify({ r: resource, p: pageState })).toString('base64url');
+}
+
+/**
+ * Decode token về paging state
+ * 
+ * @param {string} token - pageToken từ client
+ * @param {string} resource - Resource mà token phải thuộc về
+ * @returns {string} pageState cho cassandra-driver
+ * @throws {InvalidPageTokenError} Khi token không hợp lệ
+ */
+function decodePageToken(token, resource) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new InvalidPageTokenError('pageToken không hợp lệ');
+    }
+    
+    if (!decoded || typeof decoded.p !== 'string' || !/^[0-9a-f]+$/i.test(decoded.p)) {
+        throw new InvalidPageTokenError('pageToken không hợp lệ');
+    }
+    if (decoded.r !== resource) {
+        throw new InvalidPageTokenError(`pageToken không thuộc về resource "${resource}"`);
+    }
+    return decoded.p;
+}
+
+/**
+ * Parse limit và pageToken từ query string
+ * 
+ * @param {Object} query - req.query
+ * @param {string} resource - Tên resource
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {Object} { limit, pageState } - pageState undefined cho trang đầu
+ * @throws {InvalidPageTokenError} Khi pageToken không hợp lệ
+ */
+function parsePageParams(query, resource, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+    // limit không hợp lệ -> dùng default, vượt quá maxLimit -> giới hạn lại
+    const requested = parseInt(query.limit, 10);
+    const limit = requested > 0 ? Math.min(requested, maxLimit) : defaultLimit;
+    
+    const pageState = query.pageToken ? decodePageToken(query.pageToken, resource) : undefined;
+    return { limit, pageState };
+}
+
+/**
+ * Options cho executeQuery để lấy một trang
+ * 
+ * @param {Object} page - Kết quả của parsePageParams
+ * @returns {Object} Query options
+ */
+function pageQueryOptions({ limit, pageState }) {
+    const options = { prepare: true, fetchSize: limit };
+    if (pageState) {
+        options.pageState = pageState;
+    }
+    return options;
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    InvalidPageTokenError,
+    encodePageToken,
+    decodePageToken,
+    parsePageParams,
+    pageQueryOptions
+};
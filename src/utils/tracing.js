@@ -0,0 +1,425 @@
+/**
+ * =============================================================================
+ * DISTRIBUTED TRACING UTILITY
+ * =============================================================================
+ * 
+ * Correlation ID và distributed tracing cho API Gateway, User Service,
+ * Order Service và các Cassandra queries
+ * 
+ * - Mỗi request vào gateway có W3C traceparent và x-request-id
+ * - Context được giữ qua AsyncLocalStorage, nên executeQuery và logger
+ *   biết request hiện tại mà không cần truyền tham số
+ * - Spans được export theo format OTLP JSON (resourceSpans) tới file
+ *   hoặc OTLP/HTTP collector
+ * - service.name nằm trong context của request (và trên từng span), nên nhiều
+ *   services chạy chung process (tests/harness.js) vẫn export đúng resource
+ * 
+ * Environment variables:
+ * - TRACING_EXPORTER:            file | otlp | none (default: file)
+ * - TRACING_FILE:                Đường dẫn file JSONL (default: logs/traces.jsonl)
+ * - OTEL_EXPORTER_OTLP_ENDPOINT: Collector URL, spans được POST tới {endpoint}/v1/traces
+ * - TRACING_FLUSH_INTERVAL_MS:   Chu kỳ flush spans (default: 5000)
+ * - OTEL_SERVICE_NAME:           service.name cho spans ngoài request (workers, startup)
+ * =============================================================================
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const REQUEST_ID_HEADER = 'x-request-id';
+const TRACEPARENT_HEADER = 'traceparent';
+const TRACEPARENT_REGEX = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Span kinds theo OTLP (SPAN_KIND_INTERNAL, SERVER, CLIENT)
+ */
+const SPAN_KIND = {
+    INTERNAL: 1,
+    SERVER: 2,
+    CLIENT: 3
+};
+
+/**
+ * Status codes theo OTLP (STATUS_CODE_UNSET, OK, ERROR)
+ */
+const STATUS_CODE = {
+    UNSET: 0,
+    OK: 1,
+    ERROR: 2
+};
+
+const config = {
+    exporter: process.env.TRACING_EXPORTER || 'file',
+    file: process.env.TRACING_FILE || path.join(__dirname, '../../logs/traces.jsonl'),
+    otlpEndpoint: process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318',
+    flushIntervalMs: parseInt(process.env.TRACING_FLUSH_INTERVAL_MS) || 5000
+};
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * service.name cho spans không thuộc request nào (background workers, startup queries)
+ * Lấy từ OTEL_SERVICE_NAME, nếu không có thì từ service đầu tiên gọi tracingMiddleware
+ */
+let defaultServiceName = process.env.OTEL_SERVICE_NAME || null;
+
+/**
+ * Spans đã kết thúc, đợi được export
+ */
+let pendingSpans = [];
+let flushTimer = null;
+
+/**
+ * Generate random hex id
+ * @param {number} bytes - Số bytes (16 cho traceId, 8 cho spanId)
+ * @returns {string} Hex string
+ */
+function randomId(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Parse W3C traceparent header
+ * @param {string} header - Giá trị traceparent
+ * @returns {Object|null} { traceId, spanId, flags } hoặc null nếu không hợp lệ
+ */
+function parseTraceparent(header) {
+    const match = typeof header === 'string' ? header.trim().toLowerCase().match(TRACEPARENT_REGEX) : null;
+    if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+        return null;
+    }
+    return { traceId: match[2], spanId: match[3], flags: match[4] };
+}
+
+/**
+ * Format W3C traceparent header
+ * @returns {string} traceparent
+ */
+function formatTraceparent(traceId, spanId, flags = '01') {
+    return `00-${traceId}-${spanId}-${flags}`;
+}
+
+/**
+ * Convert attribute value sang OTLP AnyValue
+ */
+function toAnyValue(value) {
+    if (typeof value === 'boolean') {
+        return { boolValue: value };
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? { intValue: value } : { doubleValue: value };
+    }
+    return { stringValue: String(value) };
+}
+
+/**
+ * Span - một đơn vị công việc trong trace
+ */
+class Span {
+    constructor(name, { traceId, parentSpanId, kind = SPAN_KIND.INTERNAL, attributes = {}, requestId, serviceName }) {
+        this.name = name;
+        this.serviceName = serviceName || defaultServiceName || 'unknown-service';
+        this.traceId = traceId;
+        this.spanId = randomId(8);
+        this.parentSpanId = parentSpanId || '';
+        this.kind = kind;
+        this.requestId = requestId;
+        this.attributes = { ...attributes };
+        this.startTime = process.hrtime.bigint();
+        this.startTimeUnixNano = BigInt(Date.now()) * 1000000n;
+        this.status = { code: STATUS_CODE.UNSET };
+        this.ended = false;
+    }
+
+    setAttribute(key, value) {
+        if (value !== undefined && value !== null) {
+            this.attributes[key] = value;
+        }
+        return this;
+    }
+
+    setStatus(code, message) {
+        this.status = message ? { code, message } : { code };
+        return this;
+    }
+
+    recordError(error) {
+        this.setStatus(STATUS_CODE.ERROR, error.message);
+        this.setAttribute('exception.type', error.name);
+        this.setAttribute('exception.message', error.message);
+        return this;
+    }
+
+    /**
+     * Kết thúc span và đưa vào hàng đợi export
+     */
+    end() {
+        if (this.ended) {
+            return;
+        }
+        this.ended = true;
+        const durationNs = process.hrtime.bigint() - this.startTime;
+        this.endTimeUnixNano = this.startTimeUnixNano + durationNs;
+        this.durationMs = Number(durationNs) / 1e6;
+        enqueueSpan(this);
+    }
+
+    /**
+     * Convert sang OTLP JSON span
+     */
+    toOtlp() {
+        return {
+            traceId: this.traceId,
+            spanId: this.spanId,
+            parentSpanId: this.parentSpanId,
+            name: this.name,
+            kind: this.kind,
+            startTimeUnixNano: this.startTimeUnixNano.toString(),
+            endTimeUnixNano: this.endTimeUnixNano.toString(),
+            attributes: Object.entries({ ...this.attributes, 'request.id': this.requestId })
+                .filter(([, value]) => value !== undefined && value !== null)
+                .map(([key, value]) => ({ key, value: toAnyValue(value) })),
+            status: this.status
+        };
+    }
+}
+
+// =============================================================================
+// CONTEXT
+// =============================================================================
+
+/**
+ * Lấy trace context hiện tại (nếu đang trong một request)
+ * @returns {Object|undefined} { traceId, requestId, serviceName, span }
+ */
+function getContext() {
+    return storage.getStore();
+}
+
+/**
+ * Lấy request ID của request hiện tại
+ * @returns {string|undefined} Request ID
+ */
+function getRequestId() {
+    const context = getContext();
+    return context ? context.requestId : undefined;
+}
+
+/**
+ * Bắt đầu span con của span hiện tại (hoặc root span nếu không có context)
+ * 
+ * @param {string} name - Tên span
+ * @param {Object} options - { kind, attributes }
+ * @returns {Span} Span mới
+ */
+function startSpan(name, options = {}) {
+    const context = getContext();
+    return new Span(name, {
+        ...options,
+        traceId: context ? context.traceId : randomId(16),
+        parentSpanId: context && context.span ? context.span.spanId : undefined,
+        requestId: context ? context.requestId : undefined,
+        serviceName: context ? context.serviceName : undefined
+    });
+}
+
+/**
+ * Chạy async function trong một span mới
+ * Span là "current span" trong suốt quá trình chạy fn
+ * 
+ * @param {string} name - Tên span
+ * @param {Object} options - { kind, attributes }
+ * @param {Function} fn - Async function nhận span làm tham số
+ * @returns {Promise<*>} Kết quả của fn
+ */
+async function withSpan(name, options, fn) {
+    const span = startSpan(name, options);
+    const context = getContext() || { traceId: span.traceId, requestId: undefined, serviceName: span.serviceName };
+    
+    return storage.run({ ...context, span }, async () => {
+        try {
+            const result = await fn(span);
+            if (span.status.code === STATUS_CODE.UNSET) {
+                span.setStatus(STATUS_CODE.OK);
+            }
+            return result;
+        } catch (error) {
+            span.recordError(error);
+            throw error;
+        } finally {
+            span.end();
+        }
+    });
+}
+
+/**
+ * Headers để forward trace context trên outgoing HTTP calls
+ * traceparent dùng span hiện tại làm parent cho span ở service phía sau
+ * 
+ * @returns {Object} { traceparent, x-request-id } (rỗng nếu không có context)
+ */
+function getTraceHeaders() {
+    const context = getContext();
+    if (!context || !context.span) {
+        return {};
+    }
+    return {
+        [TRACEPARENT_HEADER]: formatTraceparent(context.traceId, context.span.spanId),
+        [REQUEST_ID_HEADER]: context.requestId
+    };
+}
+
+/**
+ * Express middleware tạo/nhận trace context cho mỗi request
+ * - Nếu có traceparent hợp lệ: tiếp tục trace đó (span server là con của span gọi tới)
+ * - Nếu không: tạo trace mới
+ * - x-request-id: giữ nguyên nếu client gửi, nếu không dùng traceId
+ * 
+ * @param {string} name - Tên service (api-gateway, user-service, order-service)
+ * @returns {Function} Express middleware
+ */
+function tracingMiddleware(name) {
+    defaultServiceName = defaultServiceName || name;
+    startFlushTimer();
+    
+    return (req, res, next) => {
+        const incoming = parseTraceparent(req.headers[TRACEPARENT_HEADER]);
+        const traceId = incoming ? incoming.traceId : randomId(16);
+        const requestId = req.headers[REQUEST_ID_HEADER] || traceId;
+        
+        const span = new Span(`${req.method} ${req.path}`, {
+            traceId,
+            parentSpanId: incoming ? incoming.spanId : undefined,
+            kind: SPAN_KIND.SERVER,
+            requestId,
+            serviceName: name,
+            attributes: {
+                'http.method': req.method,
+                'http.target': req.originalUrl,
+                'service.name': name
+            }
+        });
+        
+        // Gắn vào request/response để handlers và client có thể dùng
+        req.requestId = requestId;
+        req.headers[REQUEST_ID_HEADER] = requestId;
+        res.set(REQUEST_ID_HEADER, requestId);
+        res.set(TRACEPARENT_HEADER, formatTraceparent(traceId, span.spanId));
+        
+        res.on('finish', () => {
+            if (req.route) {
+                span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+                span.setAttribute('http.route', req.baseUrl + req.route.path);
+            }
+            span.setAttribute('http.status_code', res.statusCode);
+            span.setStatus(res.statusCode >= 500 ? STATUS_CODE.ERROR : STATUS_CODE.OK);
+            span.end();
+        });
+        
+        storage.run({ traceId, requestId, serviceName: name, span }, () => next());
+    };
+}
+
+// =============================================================================
+// EXPORTERS
+// =============================================================================
+
+/**
+ * Đưa span đã kết thúc vào hàng đợi export
+ * @param {Span} span - Span đã end
+ */
+function enqueueSpan(span) {
+    if (config.exporter === 'none') {
+        return;
+    }
+    pendingSpans.push(span);
+}
+
+/**
+ * Build OTLP ExportTraceServiceRequest (JSON encoding)
+ * Mỗi service.name là một resourceSpans
+ * 
+ * @param {Array<Span>} spans - Spans cần export
+ * @returns {Object} { resourceSpans: [...] }
+ */
+function buildOtlpPayload(spans) {
+    const byService = new Map();
+    spans.forEach(span => {
+        if (!byService.has(span.serviceName)) {
+            byService.set(span.serviceName, []);
+        }
+        byService.get(span.serviceName).push(span);
+    });
+    
+    return {
+        resourceSpans: [...byService].map(([serviceName, serviceSpans]) => ({
+            resource: {
+                attributes: [{ key: 'service.name', value: { stringValue: serviceName } }]
+            },
+            scopeSpans: [{
+                scope: { name: 'distributed-cassandra-test/tracing', version: '1.0.0' },
+                spans: serviceSpans.map(span => span.toOtlp())
+            }]
+        }))
+    };
+}
+
+/**
+ * Export tất cả spans đang chờ tới exporter đã cấu hình
+ * Lỗi export chỉ được log, không ảnh hưởng request
+ */
+async function flushSpans() {
+    if (pendingSpans.length === 0) {
+        return;
+    }
+    
+    const spans = pendingSpans;
+    pendingSpans = [];
+    const payload = buildOtlpPayload(spans);
+    
+    try {
+        if (config.exporter === 'otlp') {
+            await axios.post(`${config.otlpEndpoint.replace(/\/$/, '')}/v1/traces`, payload, {
+                timeout: 5000,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } else if (config.exporter === 'file') {
+            await fs.promises.mkdir(path.dirname(config.file), { recursive: true });
+            await fs.promises.appendFile(config.file, JSON.stringify(payload) + '\n');
+        }
+    } catch (error) {
+        console.error(`❌ Failed to export ${spans.length} spans (${config.exporter}):`, error.message);
+    }
+}
+
+/**
+ * Khởi động timer flush spans định kỳ
+ * Timer được unref để không giữ process sống khi shutdown
+ */
+function startFlushTimer() {
+    if (flushTimer || config.exporter === 'none') {
+        return;
+    }
+    flushTimer = setInterval(flushSpans, config.flushIntervalMs);
+    flushTimer.unref();
+}
+
+module.exports = {
+    REQUEST_ID_HEADER,
+    TRACEPARENT_HEADER,
+    SPAN_KIND,
+    STATUS_CODE,
+    tracingMiddleware,
+    startSpan,
+    withSpan,
+    getContext,
+    getRequestId,
+    getTraceHeaders,
+    parseTraceparent,
+    formatTraceparent,
+    buildOtlpPayload,
+    flushSpans
+};
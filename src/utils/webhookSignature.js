@@ -0,0 +1,74 @@
+/**
+ * =============================================================================
+ * WEBHOOK SIGNATURE (HMAC-SHA256)
+ * =============================================================================
+ *
+ * Mỗi webhook delivery được ký bằng secret của subscription:
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<raw body>")>
+ *
+ * Receiver tính lại chữ ký trên raw body (trước khi parse JSON) và từ chối
+ * request có timestamp quá cũ để chống replay.
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Default tolerance khi verify: 5 phút
+ */
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Sinh secret ngẫu nhiên cho subscription mới
+ * @returns {string} 64 ký tự hex
+ */
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Ký payload
+ *
+ * @param {string} secret - Secret của subscription
+ * @param {number} timestamp - Unix timestamp (seconds)
+ * @param {string} body - Raw request body
+ * @returns {string} Giá trị header X-Webhook-Signature
+ */
+function sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return SIGNATURE_PREFIX + digest;
+}
+
+/**
+ * Verify chữ ký của một delivery (dùng ở phía receiver)
+ *
+ * @param {string} secret - Secret của subscription
+ * @param {string|number} timestamp - Giá trị header X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @param {string} signature - Giá trị header X-Webhook-Signature
+ * @param {Object} options - { toleranceSeconds, now }
+ * @returns {boolean} true nếu chữ ký đúng và timestamp còn trong tolerance
+ */
+function verify(secret, timestamp, body, signature, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+    const seconds = parseInt(timestamp, 10);
+    if (!signature || isNaN(seconds) || Math.abs(now / 1000 - seconds) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(sign(secret, seconds, body));
+    const provided = Buffer.from(String(signature));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    generateSecret,
+    sign,
+    verify
+};
@@ -15,22 +15,38 @@ const CASSANDRA_NODES = process.env.CASSANDRA_CONTACT_POINTS ?
     ['localhost:9042', 'localhost:9043', 'localhost:9044'];
 
 // Test 1: Kiểm tra giao tiếp giữa các service
-async function testServiceCommunication() {
+async function testServiceCommunication(services = SERVICES) {
     logger.info('Testing service communication...');
     
     try {
-        // Test User Service
-        const userResponse = await axios.post(`${SERVICES.USER}/users`, {
+        // Test User Service (email phải unique giữa các lần chạy)
+        const userResponse = await axios.post(`${services.USER}/users`, {
             name: 'Test User',
-            email: 'test@example.com'
+            email: `test-${Date.now()}@example.com`
         });
         logger.info('User Service Response:', userResponse.data);
 
-        // Test Order Service thông qua Gateway
-        const orderResponse = await axios.post(`${SERVICES.GATEWAY}/api/orders`, {
+        // Tạo products (kèm stock) thông qua Gateway, SKU unique giữa các lần chạy
+        const items = [
+            { sku: `SKU-1-${Date.now()}`, name: 'Item 1', quantity: 1, unit_price: 60.25 },
+            { sku: `SKU-2-${Date.now()}`, name: 'Item 2', quantity: 2, unit_price: 20.13 }
+        ];
+        for (const item of items) {
+            await axios.post(`${services.GATEWAY}/api/products`, {
+                sku: item.sku,
+                name: item.name,
+                unit_price: item.unit_price,
+                currency: 'USD',
+                stock: 10
+            });
+        }
+
+        // Test Order Service thông qua Gateway (Order Service giữ stock qua Product Service)
+        const orderResponse = await axios.post(`${services.GATEWAY}/api/orders`, {
             user_id: userResponse.data.id,
-            items: ['item1', 'item2'],
-            total_amount: 100.50
+            items,
+            currency: 'USD',
+            total_amount: 100.51
         });
         logger.info('Order Service Response:', orderResponse.data);
 
@@ -42,16 +58,16 @@ async function testServiceCommunication() {
 }
 
 // Test 2: Kiểm tra failover khi một node Cassandra bị down
-async function testCassandraFailover() {
+async function testCassandraFailover(services = SERVICES) {
     logger.info('Testing Cassandra failover...');
     
     try {
         // Test đọc dữ liệu thông qua User Service
-        const usersResponse = await axios.get(`${SERVICES.USER}/users`);
+        const usersResponse = await axios.get(`${services.USER}/users`);
         logger.info('Successfully read users from Cassandra via User Service');
         
         // Test đọc dữ liệu thông qua Order Service  
-        const ordersResponse = await axios.get(`${SERVICES.ORDER}/orders`);
+        const ordersResponse = await axios.get(`${services.ORDER}/orders`);
         logger.info('Successfully read orders from Cassandra via Order Service');
         
         // Nếu cả hai service đều có thể đọc được dữ liệu, nghĩa là Cassandra hoạt động tốt
@@ -64,13 +80,13 @@ async function testCassandraFailover() {
 
 
 
-// Chạy tất cả các test
-async function runDistributedCommunicationTests() {
+// Chạy tất cả các test (services: override endpoints, ví dụ từ tests/harness.js)
+async function runDistributedCommunicationTests(services = SERVICES) {
     logger.info('Starting distributed communication tests...');
     
     const results = {
-        serviceCommunication: await testServiceCommunication(),
-        cassandraFailover: await testCassandraFailover(),
+        serviceCommunication: await testServiceCommunication(services),
+        cassandraFailover: await testCassandraFailover(services),
     };
 
     logger.info('Test Results:', results);
@@ -0,0 +1,152 @@
+/**
+ * =============================================================================
+ * IN-PROCESS INTEGRATION TEST HARNESS
+ * =============================================================================
+ *
+ * Chạy API Gateway, User Service, Order Service, Product Service và Event Relay
+ * trong cùng một process, mỗi service trên một ephemeral port (127.0.0.1:0), rồi
+ * chạy các flows end-to-end của distributed-communication.test.js qua HTTP thật.
+ *
+ * Mặc định dùng STORAGE_BACKEND=memory nên không cần Cassandra cluster;
+ * đặt STORAGE_BACKEND=cassandra (kèm CASSANDRA_CONTACT_POINTS) để chạy với cluster thật.
+ * Product Service cũng được khởi động vì Order Service giữ stock qua nó; Event Relay
+ * phục vụ GET /events cho live feed của gateway (relay loop không chạy, tests gọi
+ * apps.EVENT_RELAY.locals.relayTick nếu cần deliver tới subscribers).
+ *
+ * Usage:
+ *   npm run test:inprocess
+ *
+ * Hoặc dùng trong test khác:
+ *   const { startHarness } = require('./harness');
+ *   const harness = await startHarness();
+ *   // ... axios.get(`${harness.services.GATEWAY}/health`)
+ *   await harness.stop();
+ * =============================================================================
+ */
+
+// Phải được set trước khi load database/cassandraConnection
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+
+const http = require('http');
+const database = require('../src/database/cassandraConnection');
+const userService = require('../src/services/userService');
+const orderService = require('../src/services/orderService');
+const productService = require('../src/services/productService');
+const apiGateway = require('../src/services/apiGateway');
+const eventRelay = require('../src/services/eventRelay');
+const { runDistributedCommunicationTests } = require('./distributed-communication.test');
+const logger = require('../src/utils/logger');
+
+const HOST = '127.0.0.1';
+
+/**
+ * Mở một HTTP server chưa có handler trên ephemeral port
+ * Port được biết trước khi tạo apps, nên các services có thể trỏ tới nhau
+ * (User Service -> Order Service và ngược lại)
+ *
+ * @returns {Promise<http.Server>} Server đang listen
+ */
+function listenEphemeral() {
+    return new Promise((resolve, reject) => {
+        const server = http.createServer();
+        server.once('error', reject);
+        server.listen(0, HOST, () => resolve(server));
+    });
+}
+
+function closeServer(server) {
+    return new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+    });
+}
+
+/**
+ * Khởi động gateway và các services trong process hiện tại
+ *
+ * @param {Object} options
+ * @param {Object} options.db - Database API dùng chung cho các services (default: cassandraConnection)
+ * @param {Object} options.config - Config thêm cho createApp theo service,
+ *                                  vd: { ORDER: { productServiceUrl }, EVENT_RELAY: { subscribers } }
+ * @returns {Promise<Object>} { services: { GATEWAY, USER, ORDER, PRODUCT, EVENT_RELAY }, apps, stop }
+ */
+async function startHarness({ db = database, config = {} } = {}) {
+    await db.initializeDatabase();
+
+    const servers = {
+        USER: await listenEphemeral(),
+        ORDER: await listenEphemeral(),
+        PRODUCT: await listenEphemeral(),
+        EVENT_RELAY: await listenEphemeral(),
+        GATEWAY: await listenEphemeral()
+    };
+    const port = name => servers[name].address().port;
+    const url = name => `http://${HOST}:${port(name)}`;
+
+    const apps = {
+        USER: userService.createApp({ port: port('USER'), orderServiceUrl: url('ORDER'), db, ...config.USER }),
+        ORDER: orderService.createApp({
+            port: port('ORDER'),
+            userServiceUrl: url('USER'),
+            productServiceUrl: url('PRODUCT'),
+            db,
+            ...config.ORDER
+        }),
+        PRODUCT: productService.createApp({ port: port('PRODUCT'), db, ...config.PRODUCT }),
+        EVENT_RELAY: eventRelay.createApp({ port: port('EVENT_RELAY'), subscribers: [], db, ...config.EVENT_RELAY }),
+        GATEWAY: apiGateway.createApp({
+            port: port('GATEWAY'),
+            upstreamUrls: {
+                USER_SERVICE: url('USER'),
+                ORDER_SERVICE: url('ORDER'),
+                PRODUCT_SERVICE: url('PRODUCT'),
+                EVENT_RELAY: url('EVENT_RELAY')
+            },
+            ...config.GATEWAY
+        })
+    };
+    Object.keys(servers).forEach(name => servers[name].on('request', apps[name]));
+    apiGateway.attachLiveSocketServer(servers.GATEWAY, apps.GATEWAY);
+
+    const services = Object.fromEntries(Object.keys(servers).map(name => [name, url(name)]));
+    logger.info('Harness started', services);
+
+    return {
+        services,
+        apps,
+        async stop() {
+            await Promise.all(Object.values(servers).map(closeServer));
+            await db.closeConnection();
+        }
+    };
+}
+
+async function main() {
+    let harness;
+    try {
+        harness = await startHarness();
+        const success = await runDistributedCommunicationTests(harness.services);
+
+        if (success) {
+            logger.info('All in-process integration tests passed successfully!');
+        } else {
+            logger.error('Some in-process integration tests failed!');
+        }
+        await harness.stop();
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        logger.error('Error running in-process integration tests:', error);
+        if (harness) {
+            await harness.stop();
+        }
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    startHarness
+};
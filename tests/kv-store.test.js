@@ -0,0 +1,292 @@
+/**
+ * =============================================================================
+ * KV STORE TESTS
+ * =============================================================================
+ *
+ * Chạy KV Service (createApp) trong process hiện tại trên STORAGE_BACKEND=memory
+ * (migrations tạo distributed_storage.data / data_keys như trên cluster) và kiểm tra:
+ * - If-None-Match: * chỉ tạo key mới, key đã tồn tại -> 412
+ * - If-Match: PUT / DELETE chỉ áp dụng khi version khớp, sai -> 412 kèm ETag hiện tại;
+ *   rows cũ trong distributed_storage.data (không có version) là version 0
+ * - TTL: key hết hạn không đọc được và không xuất hiện trong prefix listing
+ * - Prefix listing: keys trong directories con theo thứ tự string, phân trang
+ *   qua pageToken, index data_keys partition theo directory của key
+ *
+ * Usage:
+ *   npm run test:kv
+ * =============================================================================
+ */
+
+// Phải được set trước khi load database/cassandraConnection
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+
+const assert = require('assert');
+const axios = require('axios');
+const database = require('../src/database/cassandraConnection');
+const kvService = require('../src/services/kvService');
+const logger = require('../src/utils/logger');
+
+const HOST = '127.0.0.1';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Không throw với 4xx để assert status
+const client = axios.create({ validateStatus: () => true });
+
+function uniqueKey(name) {
+    return `${name}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function keyUrl(service, key) {
+    return `${service}/kv/${encodeURIComponent(key)}`;
+}
+
+function put(service, key, body, headers = {}) {
+    return client.put(keyUrl(service, key), body, { headers });
+}
+
+/**
+ * Đọc toàn bộ kết quả listing của một prefix, theo từng trang
+ *
+ * @returns {Promise<Array<Array<string>>>} Keys của từng trang
+ */
+async function listPages(service, prefix, limit) {
+    const pages = [];
+    let pageToken;
+    do {
+        const response = await client.get(`${service}/kv`, { params: { prefix, limit, pageToken } });
+        assert.strictEqual(response.status, 200);
+        pages.push(response.data.entries.map(entry => entry.key));
+        pageToken = response.data.nextPageToken;
+    } while (pageToken);
+    return pages;
+}
+
+// Test 1: If-None-Match: * chỉ tạo mới
+async function testIfNoneMatch({ service }) {
+    logger.info('Testing If-None-Match: * ...');
+
+    try {
+        const key = uniqueKey('create-only');
+
+        const created = await put(service, key, { value: { enabled: true } }, { 'If-None-Match': '*' });
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual(created.headers.etag, '"1"');
+
+        const duplicate = await put(service, key, { value: { enabled: false } }, { 'If-None-Match': '*' });
+        assert.strictEqual(duplicate.status, 412);
+        assert.strictEqual(duplicate.headers.etag, '"1"');
+        assert.strictEqual(duplicate.data.current_version, 1);
+
+        const current = await client.get(keyUrl(service, key));
+        assert.deepStrictEqual(current.data.value, { enabled: true });
+
+        // Không dùng chung với If-Match
+        const invalid = await put(service, key, { value: 1 }, { 'If-None-Match': '*', 'If-Match': '"1"' });
+        assert.strictEqual(invalid.status, 400);
+
+        return true;
+    } catch (error) {
+        logger.error('If-None-Match Test Failed:', error.message);
+        return false;
+    }
+}
+
+// Test 2: If-Match cho PUT / DELETE, kể cả row cũ không có version
+async function testIfMatch({ service, keyspace }) {
+    logger.info('Testing If-Match...');
+
+    try {
+        const key = uniqueKey('cas');
+        await put(service, key, { value: 'v1' });
+
+        const updated = await put(service, key, { value: 'v2' }, { 'If-Match': '"1"' });
+        assert.strictEqual(updated.status, 200);
+        assert.strictEqual(updated.headers.etag, '"2"');
+
+        // Version cũ -> 412, response kèm version hiện tại
+        const stale = await put(service, key, { value: 'v3' }, { 'If-Match': '"1"' });
+        assert.strictEqual(stale.status, 412);
+        assert.strictEqual(stale.headers.etag, '"2"');
+        assert.strictEqual(stale.data.current_version, 2);
+        assert.strictEqual((await client.get(keyUrl(service, key))).data.value, 'v2');
+
+        const staleDelete = await client.delete(keyUrl(service, key), { headers: { 'If-Match': '"1"' } });
+        assert.strictEqual(staleDelete.status, 412);
+        assert.strictEqual(staleDelete.data.current_version, 2);
+
+        const deleted = await client.delete(keyUrl(service, key), { headers: { 'If-Match': 'W/"2"' } });
+        assert.strictEqual(deleted.status, 200);
+        assert.strictEqual((await client.get(keyUrl(service, key))).status, 404);
+
+        // Key không tồn tại
+        const missing = await put(service, uniqueKey('missing'), { value: 1 }, { 'If-Match': '"0"' });
+        assert.strictEqual(missing.status, 412);
+        assert.strictEqual(missing.data.current_version, null);
+
+        // Row ghi trước migration 013: không có version, value không phải JSON
+        const legacyKey = uniqueKey('legacy');
+        await database.executeQuery(
+            `INSERT INTO ${keyspace}.data (key, value, created_at, updated_at) VALUES (?, ?, ?, ?)`,
+            [legacyKey, 'plain text', new Date(), new Date()]
+        );
+        const legacy = await client.get(keyUrl(service, legacyKey));
+        assert.strictEqual(legacy.status, 200);
+        assert.strictEqual(legacy.headers.etag, '"0"');
+        assert.strictEqual(legacy.data.value, 'plain text');
+
+        const legacyStale = await put(service, legacyKey, { value: 'x' }, { 'If-Match': '"3"' });
+        assert.strictEqual(legacyStale.status, 412);
+        assert.strictEqual(legacyStale.data.current_version, 0);
+
+        const legacyUpdated = await put(service, legacyKey, { value: { migrated: true } }, { 'If-Match': '"0"' });
+        assert.strictEqual(legacyUpdated.status, 200);
+        assert.strictEqual(legacyUpdated.headers.etag, '"1"');
+
+        return true;
+    } catch (error) {
+        logger.error('If-Match Test Failed:', error.message);
+        return false;
+    }
+}
+
+// Test 3: TTL - key hết hạn biến mất khỏi GET và prefix listing
+async function testTtl({ service }) {
+    logger.info('Testing TTL expiry...');
+
+    try {
+        const directory = `${uniqueKey('ttl')}/`;
+        const expiring = `${directory}session`;
+        const permanent = `${directory}settings`;
+
+        const created = await put(service, expiring, { value: { token: 'abc' }, ttl: 1 });
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual(created.data.ttl, 1);
+        await put(service, permanent, { value: { theme: 'dark' } });
+
+        const fresh = await client.get(keyUrl(service, expiring));
+        assert.strictEqual(fresh.status, 200);
+        assert.ok(fresh.data.ttl > 0 && fresh.data.ttl <= 1);
+        assert.ok(fresh.data.expires_at);
+        assert.strictEqual((await client.get(keyUrl(service, permanent))).data.ttl, null);
+        assert.deepStrictEqual((await listPages(service, directory, 10)).flat(), [expiring, permanent]);
+
+        await sleep(1100);
+
+        assert.strictEqual((await client.get(keyUrl(service, expiring))).status, 404);
+        assert.deepStrictEqual((await listPages(service, directory, 10)).flat(), [permanent]);
+
+        // Key hết hạn tạo lại được với If-None-Match
+        const recreated = await put(service, expiring, { value: { token: 'def' } }, { 'If-None-Match': '*' });
+        assert.strictEqual(recreated.status, 201);
+
+        const invalid = await put(service, permanent, { value: 1, ttl: -1 });
+        assert.strictEqual(invalid.status, 400);
+
+        return true;
+    } catch (error) {
+        logger.error('TTL Test Failed:', error.message);
+        return false;
+    }
+}
+
+// Test 4: Prefix listing qua directories, phân trang, partition của index
+async function testPrefixListing({ service, keyspace }) {
+    logger.info('Testing prefix listing...');
+
+    try {
+        const root = uniqueKey('list');
+        const keys = [`${root}/c/d/e`, `${root}/a`, `${root}/b/y`, `${root}/b-c`, `${root}/b/x`, `${root}-sibling`];
+        for (const key of keys) {
+            const response = await put(service, key, { value: key });
+            assert.strictEqual(response.status, 201);
+        }
+        const inDirectory = keys.filter(key => key.startsWith(`${root}/`)).sort();
+
+        // Thứ tự string trên mọi directory con, trang đầy trừ trang cuối
+        const pages = await listPages(service, `${root}/`, 2);
+        assert.deepStrictEqual(pages.flat(), inDirectory);
+        assert.deepStrictEqual(pages.map(page => page.length), [2, 2, 1]);
+
+        // Prefix cắt giữa segment: 'b' khớp cả directory 'b/' và key 'b-c'
+        assert.deepStrictEqual((await listPages(service, `${root}/b`, 10)).flat(), [`${root}/b-c`, `${root}/b/x`, `${root}/b/y`]);
+        assert.deepStrictEqual((await listPages(service, root, 100)).flat(), [...inDirectory, `${root}-sibling`].sort());
+
+        // Index: key nằm trong partition của directory, marker trong partition của directory cha
+        const partition = await database.executeQuery(
+            `SELECT key FROM ${keyspace}.data_keys WHERE bucket = ?`, [`${root}/b/`]
+        );
+        assert.deepStrictEqual(partition.rows.map(row => row.key), [`${root}/b/x`, `${root}/b/y`]);
+        const parent = await database.executeQuery(
+            `SELECT key FROM ${keyspace}.data_keys WHERE bucket = ?`, [`${root}/`]
+        );
+        assert.deepStrictEqual(parent.rows.map(row => row.key), [`${root}/a`, `${root}/b-c`, `${root}/b/`, `${root}/c/`]);
+
+        // Key đã xóa không còn trong listing
+        await client.delete(keyUrl(service, `${root}/b/x`));
+        assert.deepStrictEqual((await listPages(service, `${root}/b/`, 10)).flat(), [`${root}/b/y`]);
+
+        // pageToken của prefix khác, key kết thúc bằng '/', thiếu prefix -> 400
+        const first = await client.get(`${service}/kv`, { params: { prefix: `${root}/`, limit: 1 } });
+        const otherPrefix = await client.get(`${service}/kv`, { params: { prefix: `${root}/b/`, pageToken: first.data.nextPageToken } });
+        assert.strictEqual(otherPrefix.status, 400);
+        assert.strictEqual((await put(service, `${root}/b/`, { value: 1 })).status, 400);
+        assert.strictEqual((await client.get(`${service}/kv`)).status, 400);
+
+        return true;
+    } catch (error) {
+        logger.error('Prefix Listing Test Failed:', error.message);
+        return false;
+    }
+}
+
+async function runKvStoreTests() {
+    logger.info('Starting KV store tests...');
+
+    await database.initializeDatabase();
+    const app = kvService.createApp({ port: 0 });
+    const server = app.listen(0, HOST);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    const context = {
+        service: `http://${HOST}:${server.address().port}`,
+        keyspace: app.locals.config.keyspace
+    };
+
+    try {
+        const results = {
+            ifNoneMatch: await testIfNoneMatch(context),
+            ifMatch: await testIfMatch(context),
+            ttl: await testTtl(context),
+            prefixListing: await testPrefixListing(context)
+        };
+
+        logger.info('Test Results:', results);
+
+        const allPassed = Object.values(results).every(result => result === true);
+        logger.info('All tests passed:', allPassed);
+
+        return allPassed;
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(() => resolve()));
+        await database.closeConnection();
+    }
+}
+
+if (require.main === module) {
+    runKvStoreTests()
+        .then(success => process.exit(success ? 0 : 1))
+        .catch(error => {
+            logger.error('Error running KV store tests:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    testIfNoneMatch,
+    testIfMatch,
+    testTtl,
+    testPrefixListing,
+    runKvStoreTests
+};
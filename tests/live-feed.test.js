@@ -0,0 +1,332 @@
+/**
+ * =============================================================================
+ * LIVE ORDER FEED TESTS
+ * =============================================================================
+ *
+ * Chạy các services bằng tests/harness.js (kèm Event Relay) và kiểm tra live
+ * order status feed của gateway:
+ * - SSE: snapshot rồi status events; status change xảy ra ngay trước lúc kết nối
+ *   (event còn nằm trong settle window của relay) vẫn được gửi
+ * - SSE: kết nối lại với Last-Event-ID nhận lại các status changes bị lỡ
+ * - WebSocket: snapshot + status events, subscribe kèm lastEventId để replay
+ *
+ * EVENT_RELAY_SETTLE_MS và LIVE_FEED_POLL_MS được giảm để test chạy nhanh.
+ *
+ * Usage:
+ *   npm run test:live
+ * =============================================================================
+ */
+
+// Phải được set trước khi load services (config đọc lúc require / createApp)
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+process.env.EVENT_RELAY_SETTLE_MS = process.env.EVENT_RELAY_SETTLE_MS || '300';
+process.env.LIVE_FEED_POLL_MS = process.env.LIVE_FEED_POLL_MS || '50';
+
+const assert = require('assert');
+const http = require('http');
+const axios = require('axios');
+const WebSocket = require('ws');
+const { startHarness } = require('./harness');
+const logger = require('../src/utils/logger');
+
+const EVENT_TIMEOUT_MS = 5000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Hàng đợi messages nhận được, next(predicate) đợi message khớp tiếp theo
+ */
+function createInbox() {
+    const messages = [];
+    const waiters = [];
+
+    return {
+        push(message) {
+            messages.push(message);
+            waiters.slice().forEach(waiter => waiter.check());
+        },
+        next(predicate = () => true, timeoutMs = EVENT_TIMEOUT_MS) {
+            return new Promise((resolve, reject) => {
+                const waiter = {
+                    check() {
+                        const index = messages.findIndex(predicate);
+                        if (index === -1) {
+                            return;
+                        }
+                        clearTimeout(waiter.timer);
+                        waiters.splice(waiters.indexOf(waiter), 1);
+                        resolve(messages.splice(index, 1)[0]);
+                    },
+                    timer: setTimeout(() => {
+                        waiters.splice(waiters.indexOf(waiter), 1);
+                        reject(new Error('Timed out waiting for live feed message'));
+                    }, timeoutMs)
+                };
+                waiters.push(waiter);
+                waiter.check();
+            });
+        },
+        pending: () => messages.slice()
+    };
+}
+
+/**
+ * Mở SSE stream, parse các messages { id, event, data }
+ *
+ * @param {string} url - URL của /api/orders/:id/events
+ * @param {Object} headers - vd: { 'Last-Event-ID': ... }
+ * @returns {Promise<Object>} inbox + close()
+ */
+function openSse(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.get(url, { headers: { Accept: 'text/event-stream', ...headers } }, res => {
+            if (res.statusCode !== 200) {
+                res.resume();
+                return reject(new Error(`SSE request failed with status ${res.statusCode}`));
+            }
+            const inbox = createInbox();
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                buffer += chunk;
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary + 2);
+                    const message = {};
+                    block.split('\n').forEach(line => {
+                        const [, field, value] = line.match(/^(\w+): ?(.*)$/) || [];
+                        if (field === 'data') {
+                            message.data = JSON.parse(value);
+                        } else if (field) {
+                            message[field] = value;
+                        }
+                    });
+                    if (message.event) {
+                        inbox.push(message);
+                    }
+                }
+            });
+            resolve({ ...inbox, close: () => req.destroy() });
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Mở WebSocket tới /api/orders/live
+ *
+ * @param {string} url - ws:// URL (kèm query string)
+ * @returns {Promise<Object>} inbox + send(message) + close()
+ */
+function openSocket(url) {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(url);
+        const inbox = createInbox();
+        socket.on('message', raw => inbox.push(JSON.parse(raw.toString())));
+        socket.once('error', reject);
+        socket.once('open', () => resolve({
+            ...inbox,
+            send: message => socket.send(JSON.stringify(message)),
+            close: () => socket.close()
+        }));
+    });
+}
+
+/**
+ * Tạo user, product (kèm stock) và một order pending
+ *
+ * @returns {Promise<string>} Order ID
+ */
+async function createOrder({ USER, ORDER, GATEWAY }) {
+    const suffix = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const user = await axios.post(`${USER}/users`, { name: 'Live Feed', email: `live-${suffix}@example.com` });
+    const sku = `LIVE-${suffix}`;
+    await axios.post(`${GATEWAY}/api/products`, { sku, name: 'Live item', unit_price: 10, currency: 'USD', stock: 5 });
+    const order = await axios.post(`${ORDER}/orders`, {
+        userId: user.data.id,
+        items: [{ sku, name: 'Live item', quantity: 1, unit_price: 10 }],
+        currency: 'USD'
+    });
+    return order.data.id;
+}
+
+function changeStatus({ ORDER }, orderId, status) {
+    return axios.put(`${ORDER}/orders/${orderId}`, { status, actor: 'live-feed-test' });
+}
+
+/**
+ * Đợi gateway dừng poll (không còn listener) để lần subscribe sau bắt đầu cursor mới
+ */
+async function waitForIdleFeed({ GATEWAY }) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const response = await axios.get(`${GATEWAY}/monitoring`);
+        const feed = response.data.liveFeed;
+        if (!feed || !feed.polling) {
+            return;
+        }
+        await sleep(50);
+    }
+    throw new Error('Live feed is still polling');
+}
+
+// Test 1: SSE snapshot + status events, kể cả status change ngay trước lúc kết nối
+async function testSseDelivery(services) {
+    logger.info('Testing SSE live delivery...');
+
+    let stream;
+    try {
+        const orderId = await createOrder(services);
+        await waitForIdleFeed(services);
+
+        // Event của thay đổi này còn trong settle window của relay khi client kết nối
+        await changeStatus(services, orderId, 'processing');
+        stream = await openSse(`${services.GATEWAY}/api/orders/${orderId}/events`);
+
+        const snapshot = await stream.next(message => message.event === 'snapshot');
+        assert.strictEqual(snapshot.data.orderId, orderId);
+        assert.strictEqual(snapshot.data.status, 'processing');
+
+        const early = await stream.next(message => message.event === 'status');
+        assert.strictEqual(early.data.to, 'processing');
+        assert.strictEqual(early.id, early.data.id);
+
+        await changeStatus(services, orderId, 'completed');
+        const live = await stream.next(message => message.event === 'status');
+        assert.deepStrictEqual([live.data.from, live.data.to], ['processing', 'completed']);
+        assert.strictEqual(live.data.actor, 'live-feed-test');
+
+        return true;
+    } catch (error) {
+        logger.error('SSE Delivery Test Failed:', error.message);
+        return false;
+    } finally {
+        if (stream) {
+            stream.close();
+        }
+    }
+}
+
+// Test 2: SSE kết nối lại với Last-Event-ID nhận lại các thay đổi bị lỡ
+async function testSseReplay(services) {
+    logger.info('Testing SSE replay with Last-Event-ID...');
+
+    let stream;
+    try {
+        const orderId = await createOrder(services);
+        stream = await openSse(`${services.GATEWAY}/api/orders/${orderId}/events`);
+        await stream.next(message => message.event === 'snapshot');
+
+        await changeStatus(services, orderId, 'processing');
+        const first = await stream.next(message => message.event === 'status');
+        stream.close();
+
+        // Thay đổi trong lúc client mất kết nối
+        await changeStatus(services, orderId, 'completed');
+
+        stream = await openSse(`${services.GATEWAY}/api/orders/${orderId}/events`, { 'Last-Event-ID': first.id });
+        const snapshot = await stream.next(message => message.event === 'snapshot');
+        assert.strictEqual(snapshot.data.status, 'completed');
+
+        const missed = await stream.next(message => message.event === 'status');
+        assert.deepStrictEqual([missed.data.from, missed.data.to], ['processing', 'completed']);
+
+        // Event đã nhận trước khi mất kết nối không được gửi lại
+        await sleep(500);
+        assert.strictEqual(stream.pending().filter(message => message.id === first.id).length, 0);
+
+        return true;
+    } catch (error) {
+        logger.error('SSE Replay Test Failed:', error.message);
+        return false;
+    } finally {
+        if (stream) {
+            stream.close();
+        }
+    }
+}
+
+// Test 3: WebSocket theo dõi nhiều orders, subscribe kèm lastEventId để replay
+async function testWebSocketDeliveryAndReplay(services) {
+    logger.info('Testing WebSocket live delivery and replay...');
+
+    let socket;
+    try {
+        const wsBase = services.GATEWAY.replace(/^http/, 'ws');
+        const first = await createOrder(services);
+        const second = await createOrder(services);
+
+        socket = await openSocket(`${wsBase}/api/orders/live?orderIds=${first}`);
+        const snapshot = await socket.next(message => message.type === 'snapshot');
+        assert.deepStrictEqual([snapshot.orderId, snapshot.status], [first, 'pending']);
+
+        await changeStatus(services, first, 'processing');
+        const live = await socket.next(message => message.type === 'status' && message.orderId === first);
+        assert.strictEqual(live.to, 'processing');
+
+        // Order thứ hai đổi status trước khi được subscribe: replay từ event của order đầu tiên
+        await changeStatus(services, second, 'cancelled');
+        socket.send({ type: 'subscribe', orderIds: [second], lastEventId: live.id });
+
+        const secondSnapshot = await socket.next(message => message.type === 'snapshot' && message.orderId === second);
+        assert.strictEqual(secondSnapshot.status, 'cancelled');
+        const replayed = await socket.next(message => message.type === 'status' && message.orderId === second);
+        assert.deepStrictEqual([replayed.from, replayed.to], ['pending', 'cancelled']);
+
+        // Order không tồn tại -> error, connection vẫn mở
+        socket.send({ type: 'subscribe', orderIds: ['00000000-0000-1000-8000-000000000000'] });
+        const notFound = await socket.next(message => message.type === 'error');
+        assert.strictEqual(notFound.error, 'Order không tìm thấy');
+
+        await changeStatus(services, first, 'completed');
+        const after = await socket.next(message => message.type === 'status' && message.orderId === first);
+        assert.strictEqual(after.to, 'completed');
+
+        return true;
+    } catch (error) {
+        logger.error('WebSocket Delivery / Replay Test Failed:', error.message);
+        return false;
+    } finally {
+        if (socket) {
+            socket.close();
+        }
+    }
+}
+
+async function runLiveFeedTests() {
+    logger.info('Starting live order feed tests...');
+
+    const harness = await startHarness();
+    try {
+        const results = {
+            sseDelivery: await testSseDelivery(harness.services),
+            sseReplay: await testSseReplay(harness.services),
+            webSocketDeliveryAndReplay: await testWebSocketDeliveryAndReplay(harness.services)
+        };
+
+        logger.info('Test Results:', results);
+
+        const allPassed = Object.values(results).every(result => result === true);
+        logger.info('All tests passed:', allPassed);
+
+        return allPassed;
+    } finally {
+        await harness.stop();
+    }
+}
+
+if (require.main === module) {
+    runLiveFeedTests()
+        .then(success => process.exit(success ? 0 : 1))
+        .catch(error => {
+            logger.error('Error running live feed tests:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    testSseDelivery,
+    testSseReplay,
+    testWebSocketDeliveryAndReplay,
+    runLiveFeedTests
+};
@@ -0,0 +1,153 @@
+/**
+ * Unit tests: utils/circuitBreaker.js
+ *
+ * Usage: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const { CircuitBreaker, CircuitOpenError, STATES } = require('../../src/utils/circuitBreaker');
+
+const OPTIONS = {
+    failureRateThreshold: 50,
+    minimumRequests: 4,
+    windowSize: 10,
+    coolDownMs: 1000,
+    halfOpenMaxCalls: 1
+};
+
+const upstreamError = status => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+const networkError = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+async function fail(breaker, error) {
+    await assert.rejects(breaker.execute(() => Promise.reject(error)));
+}
+
+/**
+ * Chạy fn với Date.now() cố định (cool-down không cần đợi thật)
+ */
+async function withNow(now, fn) {
+    const realNow = Date.now;
+    Date.now = () => now;
+    try {
+        return await fn();
+    } finally {
+        Date.now = realNow;
+    }
+}
+
+test('CLOSED: request đi qua, trả về kết quả', async () => {
+    const breaker = new CircuitBreaker('TEST', OPTIONS);
+    assert.strictEqual(await breaker.execute(async () => 'ok'), 'ok');
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+    assert.strictEqual(breaker.getStatus().stats.successes, 1);
+});
+
+test('mở circuit khi tỉ lệ lỗi >= threshold sau minimumRequests', async () => {
+    const breaker = new CircuitBreaker('TEST', OPTIONS);
+    await breaker.execute(async () => 'ok');
+    await fail(breaker, upstreamError(502));
+    await fail(breaker, networkError());
+    assert.strictEqual(breaker.state, STATES.CLOSED);   // Mới 3 requests
+
+    await breaker.execute(async () => 'ok');
+    assert.strictEqual(breaker.state, STATES.OPEN);     // 2/4 = 50%
+});
+
+test('lỗi 4xx không tính là failure', async () => {
+    const breaker = new CircuitBreaker('TEST', OPTIONS);
+    for (let i = 0; i < 6; i++) {
+        await fail(breaker, upstreamError(404));
+    }
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+    assert.strictEqual(breaker.failureRate(), 0);
+});
+
+test('OPEN: reject ngay bằng CircuitOpenError, không gọi upstream', async () => {
+    const breaker = new CircuitBreaker('TEST', { ...OPTIONS, minimumRequests: 1 });
+    await fail(breaker, networkError());
+    assert.strictEqual(breaker.state, STATES.OPEN);
+
+    let called = false;
+    await assert.rejects(
+        breaker.execute(async () => { called = true; }),
+        error => error instanceof CircuitOpenError && error.circuit === 'TEST' && error.retryAfterMs > 0
+    );
+    assert.strictEqual(called, false);
+    assert.strictEqual(breaker.getStatus().stats.rejected, 1);
+});
+
+test('HALF_OPEN sau cool-down: một request thử, thành công -> CLOSED', async () => {
+    const breaker = new CircuitBreaker('TEST', { ...OPTIONS, minimumRequests: 1 });
+    await fail(breaker, networkError());
+    const afterCoolDown = breaker.openedAt + OPTIONS.coolDownMs;
+
+    await withNow(afterCoolDown, async () => {
+        assert.strictEqual(breaker.getStatus().state, STATES.HALF_OPEN);
+        assert.strictEqual(breaker.allowRequest(), true);
+        assert.strictEqual(breaker.allowRequest(), false);  // halfOpenMaxCalls = 1
+        breaker.record(true);
+    });
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+    assert.strictEqual(breaker.window.length, 0);
+});
+
+test('HALF_OPEN: request thử lỗi -> OPEN lại', async () => {
+    const breaker = new CircuitBreaker('TEST', { ...OPTIONS, minimumRequests: 1 });
+    await fail(breaker, networkError());
+    const afterCoolDown = breaker.openedAt + OPTIONS.coolDownMs;
+
+    await withNow(afterCoolDown, () => fail(breaker, upstreamError(500)));
+    assert.strictEqual(breaker.state, STATES.OPEN);
+    assert.strictEqual(breaker.openedAt, afterCoolDown);
+});
+
+test('kết quả của request được cho qua trước khi state đổi bị bỏ qua', async () => {
+    const breaker = new CircuitBreaker('TEST', { ...OPTIONS, minimumRequests: 1 });
+    let finishSlow;
+    const slow = breaker.execute(() => new Promise((resolve, reject) => {
+        finishSlow = { resolve, reject };
+    }));
+
+    await fail(breaker, networkError());
+    assert.strictEqual(breaker.state, STATES.OPEN);
+    const openedAt = breaker.openedAt;
+
+    // Request chậm (admitted lúc CLOSED) lỗi sau khi circuit đã mở: không reset cool-down
+    finishSlow.reject(networkError());
+    await assert.rejects(slow);
+    assert.strictEqual(breaker.openedAt, openedAt);
+
+    const afterCoolDown = openedAt + OPTIONS.coolDownMs;
+    await withNow(afterCoolDown, async () => {
+        let finishProbe;
+        assert.strictEqual(breaker.getStatus().state, STATES.HALF_OPEN);
+        const probe = breaker.execute(() => new Promise(resolve => { finishProbe = resolve; }));
+
+        // Kết quả cũ tới lúc HALF_OPEN: không đóng circuit thay cho probe
+        breaker.record(true, breaker.generation - 1);
+        assert.strictEqual(breaker.state, STATES.HALF_OPEN);
+
+        finishProbe('ok');
+        await probe;
+    });
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+    assert.strictEqual(breaker.getStatus().stats.failures, 2);
+});
+
+test('sliding window chỉ giữ windowSize kết quả gần nhất', async () => {
+    const breaker = new CircuitBreaker('TEST', { ...OPTIONS, windowSize: 4, failureRateThreshold: 75 });
+    await fail(breaker, networkError());
+    await fail(breaker, networkError());
+    for (let i = 0; i < 4; i++) {
+        await breaker.execute(async () => 'ok');
+    }
+    assert.strictEqual(breaker.window.length, 4);
+    assert.strictEqual(breaker.failureRate(), 0);
+});
+
+test('isFailure tùy chỉnh', async () => {
+    const breaker = new CircuitBreaker('TEST', { ...OPTIONS, minimumRequests: 1, isFailure: () => false });
+    await fail(breaker, networkError());
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+});
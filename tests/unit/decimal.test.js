@@ -0,0 +1,94 @@
+/**
+ * Unit tests: utils/decimal.js và utils/money.js
+ *
+ * Usage: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const {
+    parseDecimal,
+    add,
+    multiply,
+    divide,
+    round,
+    compare,
+    toDecimalString
+} = require('../../src/utils/decimal');
+const {
+    normalizeCurrency,
+    minorUnits,
+    roundAmount,
+    convertAmount,
+    exchangeRate
+} = require('../../src/utils/money');
+
+const dec = value => parseDecimal(value);
+
+test('parseDecimal chấp nhận number và string, từ chối dạng mũ', () => {
+    assert.deepStrictEqual(parseDecimal('12.50'), { units: 1250n, scale: 2 });
+    assert.deepStrictEqual(parseDecimal(-0.5), { units: -5n, scale: 1 });
+    assert.deepStrictEqual(parseDecimal(' 7 '), { units: 7n, scale: 0 });
+    assert.strictEqual(parseDecimal(1e21), null);
+    assert.strictEqual(parseDecimal('1e5'), null);
+    assert.strictEqual(parseDecimal('abc'), null);
+    assert.strictEqual(parseDecimal(null), null);
+});
+
+test('add / multiply chính xác (0.1 + 0.2 = 0.3)', () => {
+    assert.strictEqual(toDecimalString(add(dec('0.1'), dec('0.2'))), '0.3');
+    assert.strictEqual(toDecimalString(add(dec('1.005'), dec('-2'))), '-0.995');
+    assert.strictEqual(toDecimalString(multiply(dec('20.13'), dec('2'))), '40.26');
+});
+
+test('round làm tròn half-up, ra xa số 0', () => {
+    assert.strictEqual(toDecimalString(round(dec('2.345'), 2)), '2.35');
+    assert.strictEqual(toDecimalString(round(dec('-2.345'), 2)), '-2.35');
+    assert.strictEqual(toDecimalString(round(dec('2.344'), 2)), '2.34');
+    assert.strictEqual(toDecimalString(round(dec('5'), 2)), '5.00');
+});
+
+test('divide làm tròn tại scale và báo lỗi khi chia cho 0', () => {
+    assert.strictEqual(toDecimalString(divide(dec('1'), dec('3'), 4)), '0.3333');
+    assert.strictEqual(toDecimalString(divide(dec('2'), dec('3'), 2)), '0.67');
+    assert.throws(() => divide(dec('1'), dec('0'), 2), RangeError);
+});
+
+test('compare so sánh theo giá trị, không theo scale', () => {
+    assert.strictEqual(compare(dec('1.5'), dec('1.50')), 0);
+    assert.strictEqual(compare(dec('1.49'), dec('1.5')), -1);
+    assert.strictEqual(compare(dec('-1'), dec('-2')), 1);
+});
+
+test('toDecimalString giữ scale và số 0 đầu', () => {
+    assert.strictEqual(toDecimalString({ units: 5n, scale: 3 }), '0.005');
+    assert.strictEqual(toDecimalString({ units: -5n, scale: 3 }), '-0.005');
+    assert.strictEqual(toDecimalString({ units: 1200n, scale: 0 }), '1200');
+});
+
+test('normalizeCurrency và minorUnits', () => {
+    assert.strictEqual(normalizeCurrency(' usd '), 'USD');
+    assert.strictEqual(normalizeCurrency('XXX'), null);
+    assert.strictEqual(normalizeCurrency(42), null);
+    assert.strictEqual(minorUnits('VND'), 0);
+    assert.strictEqual(minorUnits('KWD'), 3);
+});
+
+test('roundAmount làm tròn theo minor units của currency', () => {
+    assert.strictEqual(roundAmount('10.005', 'USD'), '10.01');
+    assert.strictEqual(roundAmount('1500.5', 'VND'), '1501');
+    assert.strictEqual(roundAmount(20.125, 'USD'), '20.13');
+    assert.strictEqual(roundAmount('1.2345', 'BHD'), '1.235');
+    assert.throws(() => roundAmount('1e3', 'USD'), TypeError);
+});
+
+test('convertAmount và exchangeRate', () => {
+    const rates = { USD: '1', VND: '25000' };
+    assert.strictEqual(convertAmount('100', 'USD', 'VND', rates), '2500000');
+    assert.strictEqual(convertAmount('25000', 'VND', 'USD', rates), '1.00');
+    assert.strictEqual(convertAmount('12345', 'VND', 'USD', rates), '0.49');
+    assert.strictEqual(convertAmount('1.005', 'USD', 'USD', rates), '1.01');
+    assert.throws(() => convertAmount('1', 'USD', 'EUR', rates), RangeError);
+    assert.strictEqual(exchangeRate('USD', 'VND', rates), '25000');
+    assert.strictEqual(exchangeRate('VND', 'USD', rates), '0.00004');
+});
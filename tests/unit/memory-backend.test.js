@@ -0,0 +1,216 @@
+/**
+ * Unit tests: database/memoryBackend.js (MemoryClient)
+ *
+ * Usage: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const { types, errors } = require('cassandra-driver');
+const { MemoryClient } = require('../../src/database/memoryBackend');
+
+const APPLIED = '[applied]';
+
+async function createClient() {
+    const client = new MemoryClient();
+    await client.execute(`CREATE KEYSPACE IF NOT EXISTS test_ks
+        WITH replication = {'class': 'SimpleStrategy', 'replication_factor': 3}`);
+    await client.execute('USE test_ks');
+    await client.execute(`CREATE TABLE IF NOT EXISTS events (
+        stream text,
+        at timestamp,
+        id timeuuid,
+        body text,
+        tags set<text>,
+        PRIMARY KEY (stream, at, id)
+    ) WITH CLUSTERING ORDER BY (at ASC, id ASC)`);
+    await client.execute(`CREATE TABLE IF NOT EXISTS accounts (
+        id text PRIMARY KEY,
+        status text,
+        balance int
+    )`);
+    return client;
+}
+
+async function insertEvents(client, stream, count, start = Date.UTC(2024, 0, 1)) {
+    const rows = [];
+    for (let i = 0; i < count; i++) {
+        const row = { at: new Date(start + i * 1000), id: types.TimeUuid.now(), body: `event-${i}` };
+        await client.execute(
+            'INSERT INTO events (stream, at, id, body) VALUES (?, ?, ?, ?)',
+            [stream, row.at, row.id, row.body]
+        );
+        rows.push(row);
+    }
+    return rows;
+}
+
+test('SELECT theo partition key trả về rows theo clustering order', async () => {
+    const client = await createClient();
+    await insertEvents(client, 'a', 3);
+    await insertEvents(client, 'b', 1);
+
+    const result = await client.execute('SELECT body FROM events WHERE stream = ?', ['a']);
+    assert.deepStrictEqual(result.rows.map(row => row.body), ['event-0', 'event-1', 'event-2']);
+    assert.strictEqual(result.rowLength, 3);
+});
+
+test('range trên clustering column, ORDER BY DESC và LIMIT', async () => {
+    const client = await createClient();
+    const rows = await insertEvents(client, 'a', 5);
+
+    const due = await client.execute(
+        'SELECT body FROM events WHERE stream = ? AND at <= ? LIMIT ?',
+        ['a', rows[2].at, 10]
+    );
+    assert.deepStrictEqual(due.rows.map(row => row.body), ['event-0', 'event-1', 'event-2']);
+
+    const latest = await client.execute(
+        'SELECT body FROM events WHERE stream = ? AND at > ? ORDER BY at DESC LIMIT 2',
+        ['a', rows[0].at]
+    );
+    assert.deepStrictEqual(latest.rows.map(row => row.body), ['event-4', 'event-3']);
+});
+
+test('paging bằng fetchSize / pageState', async () => {
+    const client = await createClient();
+    await insertEvents(client, 'a', 5);
+
+    const first = await client.execute('SELECT body FROM events WHERE stream = ?', ['a'], { fetchSize: 2 });
+    assert.deepStrictEqual(first.rows.map(row => row.body), ['event-0', 'event-1']);
+    assert.ok(first.pageState);
+
+    const second = await client.execute('SELECT body FROM events WHERE stream = ?', ['a'], {
+        fetchSize: 10,
+        pageState: first.pageState
+    });
+    assert.deepStrictEqual(second.rows.map(row => row.body), ['event-2', 'event-3', 'event-4']);
+    assert.ok(!second.pageState);
+});
+
+test('LWT: INSERT IF NOT EXISTS và UPDATE IF col = ? trả về [applied] và row hiện tại', async () => {
+    const client = await createClient();
+
+    const created = await client.execute(
+        'INSERT INTO accounts (id, status, balance) VALUES (?, ?, ?) IF NOT EXISTS',
+        ['acc-1', 'active', 10]
+    );
+    assert.strictEqual(created.rows[0][APPLIED], true);
+
+    const duplicate = await client.execute(
+        'INSERT INTO accounts (id, status, balance) VALUES (?, ?, ?) IF NOT EXISTS',
+        ['acc-1', 'closed', 0]
+    );
+    assert.strictEqual(duplicate.rows[0][APPLIED], false);
+    assert.strictEqual(duplicate.rows[0].status, 'active');
+
+    const stale = await client.execute(
+        'UPDATE accounts SET status = ? WHERE id = ? IF status = ?',
+        ['closed', 'acc-1', 'pending']
+    );
+    assert.strictEqual(stale.rows[0][APPLIED], false);
+    assert.strictEqual(stale.rows[0].status, 'active');
+
+    const closed = await client.execute(
+        'UPDATE accounts SET status = ? WHERE id = ? IF status = ?',
+        ['closed', 'acc-1', 'active']
+    );
+    assert.strictEqual(closed.rows[0][APPLIED], true);
+
+    const row = await client.execute('SELECT status, balance FROM accounts WHERE id = ?', ['acc-1']);
+    assert.deepStrictEqual({ ...row.rows[0] }, { status: 'closed', balance: 10 });
+});
+
+test('logged batch có điều kiện: không thỏa thì không statement nào được áp dụng', async () => {
+    const client = await createClient();
+    await client.execute('INSERT INTO accounts (id, status, balance) VALUES (?, ?, ?)', ['acc-1', 'active', 10]);
+
+    const result = await client.batch([
+        { query: 'UPDATE accounts SET balance = ? WHERE id = ? IF status = ?', params: [0, 'acc-1', 'closed'] },
+        { query: 'UPDATE accounts SET status = ? WHERE id = ?', params: ['frozen', 'acc-1'] }
+    ]);
+    assert.strictEqual(result.rows[0][APPLIED], false);
+
+    const row = await client.execute('SELECT status, balance FROM accounts WHERE id = ?', ['acc-1']);
+    assert.deepStrictEqual({ ...row.rows[0] }, { status: 'active', balance: 10 });
+});
+
+test('batch có điều kiện trên nhiều partitions bị từ chối như Cassandra', async () => {
+    const client = await createClient();
+    await assert.rejects(
+        client.batch([
+            { query: 'INSERT INTO accounts (id, status) VALUES (?, ?) IF NOT EXISTS', params: ['acc-1', 'active'] },
+            { query: 'INSERT INTO accounts (id, status) VALUES (?, ?) IF NOT EXISTS', params: ['acc-2', 'active'] }
+        ]),
+        errors.ResponseError
+    );
+});
+
+test('batch có điều kiện kèm statement không điều kiện ở partition khác bị từ chối', async () => {
+    const client = await createClient();
+    await assert.rejects(
+        client.batch([
+            { query: 'INSERT INTO accounts (id, status) VALUES (?, ?) IF NOT EXISTS', params: ['acc-1', 'active'] },
+            { query: 'UPDATE accounts SET status = ? WHERE id = ?', params: ['active', 'acc-2'] }
+        ]),
+        errors.ResponseError
+    );
+    await assert.rejects(
+        client.batch([
+            { query: 'INSERT INTO accounts (id, status) VALUES (?, ?) IF NOT EXISTS', params: ['acc-1', 'active'] },
+            { query: 'INSERT INTO events (stream, at, id) VALUES (?, ?, ?)', params: ['acc-1', new Date(), types.TimeUuid.now()] }
+        ]),
+        errors.ResponseError
+    );
+
+    const rows = await client.execute('SELECT * FROM accounts WHERE id = ?', ['acc-1']);
+    assert.strictEqual(rows.rows.length, 0);
+});
+
+test('set collection: thêm / bớt phần tử', async () => {
+    const client = await createClient();
+    const [row] = await insertEvents(client, 'a', 1);
+    const key = ['a', row.at, row.id];
+
+    await client.execute('UPDATE events SET tags = tags + ? WHERE stream = ? AND at = ? AND id = ?', [['x', 'y'], ...key]);
+    await client.execute('UPDATE events SET tags = tags - ? WHERE stream = ? AND at = ? AND id = ?', [['x'], ...key]);
+
+    const result = await client.execute('SELECT tags FROM events WHERE stream = ? AND at = ? AND id = ?', key);
+    assert.deepStrictEqual([...result.rows[0].tags], ['y']);
+});
+
+test('DELETE theo primary key đầy đủ', async () => {
+    const client = await createClient();
+    const rows = await insertEvents(client, 'a', 2);
+
+    await client.execute('DELETE FROM events WHERE stream = ? AND at = ? AND id = ?', ['a', rows[0].at, rows[0].id]);
+    const result = await client.execute('SELECT body FROM events WHERE stream = ?', ['a']);
+    assert.deepStrictEqual(result.rows.map(row => row.body), ['event-1']);
+});
+
+test('USING TTL: TTL(col) trả về số giây còn lại', async () => {
+    const client = await createClient();
+    await client.execute('INSERT INTO accounts (id, status) VALUES (?, ?) USING TTL 60', ['acc-1', 'active']);
+
+    const result = await client.execute('SELECT TTL(status) AS ttl FROM accounts WHERE id = ?', ['acc-1']);
+    assert.ok(result.rows[0].ttl > 0 && result.rows[0].ttl <= 60);
+});
+
+test('system_schema.columns và DROP TABLE', async () => {
+    const client = await createClient();
+
+    const columns = await client.execute(
+        'SELECT column_name FROM system_schema.columns WHERE keyspace_name = ? AND table_name = ?',
+        ['test_ks', 'accounts']
+    );
+    assert.deepStrictEqual(columns.rows.map(row => row.column_name).sort(), ['balance', 'id', 'status']);
+
+    await client.execute('DROP TABLE IF EXISTS accounts');
+    await assert.rejects(client.execute('SELECT * FROM accounts'), /unconfigured table accounts/);
+});
+
+test('CQL không hợp lệ -> ResponseError', async () => {
+    const client = await createClient();
+    await assert.rejects(client.execute('SELEC * FROM accounts'), errors.ResponseError);
+    await assert.rejects(client.execute('SELECT * FROM missing_table'), errors.ResponseError);
+});
@@ -0,0 +1,47 @@
+/**
+ * Unit tests: utils/orderStatus.js
+ *
+ * Usage: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const {
+    ORDER_STATUSES,
+    INITIAL_STATUS,
+    isValidStatus,
+    allowedTransitions,
+    canTransition,
+    isTerminal
+} = require('../../src/utils/orderStatus');
+
+test('status hợp lệ', () => {
+    assert.strictEqual(INITIAL_STATUS, 'pending');
+    ORDER_STATUSES.forEach(status => assert.strictEqual(isValidStatus(status), true));
+    assert.strictEqual(isValidStatus('shipped'), false);
+    assert.strictEqual(isValidStatus(undefined), false);
+});
+
+test('transitions theo graph pending -> processing -> completed, cancel từ pending/processing', () => {
+    assert.strictEqual(canTransition('pending', 'processing'), true);
+    assert.strictEqual(canTransition('pending', 'cancelled'), true);
+    assert.strictEqual(canTransition('processing', 'completed'), true);
+    assert.strictEqual(canTransition('processing', 'cancelled'), true);
+
+    assert.strictEqual(canTransition('pending', 'completed'), false);
+    assert.strictEqual(canTransition('processing', 'pending'), false);
+    assert.strictEqual(canTransition('pending', 'pending'), false);
+});
+
+test('completed và cancelled là trạng thái cuối', () => {
+    assert.strictEqual(isTerminal('completed'), true);
+    assert.strictEqual(isTerminal('cancelled'), true);
+    assert.strictEqual(isTerminal('pending'), false);
+    assert.deepStrictEqual(allowedTransitions('cancelled'), []);
+    assert.strictEqual(canTransition('completed', 'cancelled'), false);
+});
+
+test('status không biết: không có transition', () => {
+    assert.deepStrictEqual(allowedTransitions('unknown'), []);
+    assert.strictEqual(canTransition('unknown', 'pending'), false);
+});
@@ -0,0 +1,58 @@
+/**
+ * Unit tests: utils/pagination.js
+ *
+ * Usage: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    InvalidPageTokenError,
+    encodePageToken,
+    decodePageToken,
+    parsePageParams,
+    pageQueryOptions
+} = require('../../src/utils/pagination');
+
+const PAGE_STATE = '0012000a';
+
+test('encode / decode token theo resource', () => {
+    assert.strictEqual(encodePageToken(null, 'users'), null);
+
+    const token = encodePageToken(PAGE_STATE, 'users');
+    assert.match(token, /^[A-Za-z0-9_-]+$/);
+    assert.strictEqual(decodePageToken(token, 'users'), PAGE_STATE);
+});
+
+test('token của resource khác hoặc token hỏng -> InvalidPageTokenError', () => {
+    const token = encodePageToken(PAGE_STATE, 'users');
+    assert.throws(() => decodePageToken(token, 'orders'), InvalidPageTokenError);
+    assert.throws(() => decodePageToken('not-a-token', 'users'), InvalidPageTokenError);
+
+    const forged = Buffer.from(JSON.stringify({ r: 'users', p: 'xyz' })).toString('base64url');
+    assert.throws(() => decodePageToken(forged, 'users'), InvalidPageTokenError);
+});
+
+test('parsePageParams: default, giới hạn max, limit không hợp lệ', () => {
+    assert.deepStrictEqual(parsePageParams({}, 'users'), { limit: DEFAULT_LIMIT, pageState: undefined });
+    assert.strictEqual(parsePageParams({ limit: '25' }, 'users').limit, 25);
+    assert.strictEqual(parsePageParams({ limit: String(MAX_LIMIT + 1) }, 'users').limit, MAX_LIMIT);
+    assert.strictEqual(parsePageParams({ limit: '-3' }, 'users').limit, DEFAULT_LIMIT);
+    assert.strictEqual(parsePageParams({ limit: 'abc' }, 'users').limit, DEFAULT_LIMIT);
+    assert.strictEqual(parsePageParams({ limit: '500' }, 'users', { maxLimit: 100 }).limit, 100);
+    assert.strictEqual(parsePageParams({}, 'users', { defaultLimit: 10 }).limit, 10);
+
+    const pageToken = encodePageToken(PAGE_STATE, 'users');
+    assert.strictEqual(parsePageParams({ pageToken }, 'users').pageState, PAGE_STATE);
+    assert.throws(() => parsePageParams({ pageToken }, 'orders'), InvalidPageTokenError);
+});
+
+test('pageQueryOptions', () => {
+    assert.deepStrictEqual(pageQueryOptions({ limit: 10 }), { prepare: true, fetchSize: 10 });
+    assert.deepStrictEqual(
+        pageQueryOptions({ limit: 10, pageState: PAGE_STATE }),
+        { prepare: true, fetchSize: 10, pageState: PAGE_STATE }
+    );
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit tests: utils/webhookSignature.js
+ *
+ * Usage: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const { generateSecret, sign, verify } = require('../../src/utils/webhookSignature');
+
+const SECRET = 'whsec-test-0123456789';
+const BODY = JSON.stringify({ id: 'delivery-1', event: { type: 'OrderCreated' } });
+
+test('generateSecret: 64 ký tự hex, ngẫu nhiên', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[0-9a-f]{64}$/);
+    assert.notStrictEqual(secret, generateSecret());
+});
+
+test('sign = sha256= + HMAC-SHA256(secret, "<timestamp>.<body>")', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${BODY}`).digest('hex');
+    assert.strictEqual(sign(SECRET, 1700000000, BODY), `sha256=${expected}`);
+});
+
+test('verify chấp nhận chữ ký đúng trong tolerance', () => {
+    const now = Date.now();
+    const timestamp = Math.floor(now / 1000);
+    const signature = sign(SECRET, timestamp, BODY);
+    assert.strictEqual(verify(SECRET, String(timestamp), BODY, signature, { now }), true);
+});
+
+test('verify từ chối secret sai, body bị sửa, chữ ký thiếu hoặc sai độ dài', () => {
+    const now = Date.now();
+    const timestamp = Math.floor(now / 1000);
+    const signature = sign(SECRET, timestamp, BODY);
+    assert.strictEqual(verify('other-secret', timestamp, BODY, signature, { now }), false);
+    assert.strictEqual(verify(SECRET, timestamp, BODY + ' ', signature, { now }), false);
+    assert.strictEqual(verify(SECRET, timestamp, BODY, undefined, { now }), false);
+    assert.strictEqual(verify(SECRET, timestamp, BODY, 'sha256=abc', { now }), false);
+    assert.strictEqual(verify(SECRET, 'not-a-number', BODY, signature, { now }), false);
+});
+
+test('verify từ chối timestamp ngoài tolerance (replay)', () => {
+    const timestamp = 1700000000;
+    const signature = sign(SECRET, timestamp, BODY);
+    const now = (timestamp + 301) * 1000;
+    assert.strictEqual(verify(SECRET, timestamp, BODY, signature, { now }), false);
+    assert.strictEqual(verify(SECRET, timestamp, BODY, signature, { now, toleranceSeconds: 600 }), true);
+});
@@ -0,0 +1,298 @@
+/**
+ * =============================================================================
+ * WEBHOOK DELIVERY TESTS
+ * =============================================================================
+ *
+ * Chạy Webhook Service (createApp) trong process hiện tại và gửi deliveries tới
+ * scripts/webhook-receiver.js chạy như child process, rồi kiểm tra:
+ * - Chữ ký HMAC-SHA256 được receiver verify bằng secret của subscription
+ * - Endpoint lỗi (503) -> retry sau backoff, không gửi lại trước next_attempt_at
+ * - Endpoint luôn từ chối (chữ ký sai -> 401) -> dead-letter sau maxAttempts,
+ *   gửi lại được qua POST /webhooks/:id/dead-letters/:deliveryId/retry
+ *
+ * Delivery worker được gọi trực tiếp qua app.locals.deliveryTick (không dùng timer).
+ * Mặc định dùng STORAGE_BACKEND=memory như tests/harness.js.
+ *
+ * Usage:
+ *   npm run test:webhooks
+ * =============================================================================
+ */
+
+// Phải được set trước khi load database/cassandraConnection
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { types } = require('cassandra-driver');
+const database = require('../src/database/cassandraConnection');
+const { EVENT_TYPES } = require('../src/database/outbox');
+const webhookService = require('../src/services/webhookService');
+const logger = require('../src/utils/logger');
+
+const HOST = '127.0.0.1';
+const RECEIVER_SCRIPT = path.join(__dirname, '..', 'scripts', 'webhook-receiver.js');
+const RECEIVER_SECRET = 'receiver-secret-0123456789';
+const RETRY_BASE_MS = 300;
+const MAX_ATTEMPTS = 3;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Lấy một port trống cho receiver (receiver nhận port qua argv)
+ *
+ * @returns {Promise<number>}
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = http.createServer();
+        server.once('error', reject);
+        server.listen(0, HOST, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Chạy scripts/webhook-receiver.js, đợi tới khi receiver listen
+ *
+ * @param {Object} env - WEBHOOK_SECRET, WEBHOOK_FAIL_FIRST
+ * @returns {Promise<Object>} { url, deliveries(), stop() }
+ */
+async function startReceiver(env) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [RECEIVER_SCRIPT, String(port)], {
+        env: { ...process.env, ...env },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Webhook receiver did not start')), 10000);
+        child.once('exit', code => reject(new Error(`Webhook receiver exited with code ${code}`)));
+        child.stdout.on('data', chunk => {
+            if (chunk.toString().includes('listening')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+    });
+
+    const url = `http://${HOST}:${port}`;
+    return {
+        url,
+        async deliveries() {
+            const response = await axios.get(url);
+            return response.data.received;
+        },
+        stop() {
+            return new Promise(resolve => {
+                child.removeAllListeners('exit');
+                child.once('exit', () => resolve());
+                child.kill('SIGTERM');
+            });
+        }
+    };
+}
+
+function domainEvent() {
+    return {
+        id: types.TimeUuid.now().toString(),
+        type: EVENT_TYPES.ORDER_STATUS_CHANGED,
+        aggregateType: 'order',
+        aggregateId: 'order-1',
+        payload: { orderId: 'order-1', userId: 'user-1', from: 'pending', to: 'processing' }
+    };
+}
+
+async function getDelivery(service, webhookId, deliveryId) {
+    const response = await axios.get(`${service}/webhooks/${webhookId}/deliveries`);
+    return response.data.deliveries.find(delivery => delivery.id === deliveryId);
+}
+
+// Test 1: Delivery được ký, endpoint lỗi lần đầu -> retry sau backoff
+async function testSignedDeliveryWithRetry({ service, tick, receiver }) {
+    logger.info('Testing signed webhook delivery with retry...');
+
+    let webhookId;
+    try {
+        const subscription = await axios.post(`${service}/webhooks`, {
+            url: receiver.url,
+            events: ['*'],
+            secret: RECEIVER_SECRET
+        });
+        webhookId = subscription.data.id;
+
+        const event = domainEvent();
+        const accepted = await axios.post(`${service}/events`, event);
+        assert.strictEqual(accepted.data.queued, 1);
+
+        // Receiver trả 503 cho delivery đầu tiên (WEBHOOK_FAIL_FIRST=1)
+        await tick();
+        let received = await receiver.deliveries();
+        assert.strictEqual(received.length, 1);
+        assert.strictEqual(received[0].status, 503);
+        assert.strictEqual(received[0].signatureValid, true);
+
+        let delivery = await getDelivery(service, webhookId, event.id);
+        assert.strictEqual(delivery.status, 'pending');
+        assert.strictEqual(delivery.attempts, 1);
+        assert.strictEqual(delivery.lastStatusCode, 503);
+
+        // Chưa tới next_attempt_at: không gửi lại
+        await tick();
+        received = await receiver.deliveries();
+        assert.strictEqual(received.length, 1);
+
+        await sleep(RETRY_BASE_MS + 50);
+        await tick();
+        received = await receiver.deliveries();
+        assert.strictEqual(received.length, 2);
+        assert.strictEqual(received[1].status, 200);
+        assert.strictEqual(received[1].signatureValid, true);
+        assert.strictEqual(received[1].webhookId, event.id);
+        assert.strictEqual(received[1].delivery.attempt, 2);
+        assert.deepStrictEqual(received[1].delivery.event, event);
+
+        delivery = await getDelivery(service, webhookId, event.id);
+        assert.strictEqual(delivery.status, 'delivered');
+        assert.strictEqual(delivery.attempts, 2);
+
+        // Event Relay gửi lại event (at-least-once): không tạo delivery mới
+        const replayed = await axios.post(`${service}/events`, event);
+        assert.strictEqual(replayed.data.queued, 0);
+
+        return true;
+    } catch (error) {
+        logger.error('Signed Delivery / Retry Test Failed:', error.message);
+        return false;
+    } finally {
+        if (webhookId) {
+            await axios.delete(`${service}/webhooks/${webhookId}`);
+        }
+    }
+}
+
+// Test 2: Chữ ký sai (secret khác receiver) -> 401 mỗi lần -> dead-letter, rồi gửi lại
+async function testDeadLetter({ service, tick, receiver }) {
+    logger.info('Testing webhook dead-lettering...');
+
+    let webhookId;
+    try {
+        const subscription = await axios.post(`${service}/webhooks`, {
+            url: receiver.url,
+            events: [EVENT_TYPES.ORDER_STATUS_CHANGED],
+            secret: 'another-secret-0123456789'
+        });
+        webhookId = subscription.data.id;
+
+        const before = (await receiver.deliveries()).length;
+        const event = domainEvent();
+        await axios.post(`${service}/events`, event);
+
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            await tick();
+            if (attempt < MAX_ATTEMPTS) {
+                await sleep(RETRY_BASE_MS * 2 ** (attempt - 1) + 50);
+            }
+        }
+
+        const received = (await receiver.deliveries()).slice(before);
+        assert.strictEqual(received.length, MAX_ATTEMPTS);
+        received.forEach(entry => {
+            assert.strictEqual(entry.signatureValid, false);
+            assert.strictEqual(entry.status, 401);
+        });
+
+        const delivery = await getDelivery(service, webhookId, event.id);
+        assert.strictEqual(delivery.status, 'dead');
+        assert.strictEqual(delivery.attempts, MAX_ATTEMPTS);
+
+        const deadLetters = await axios.get(`${service}/webhooks/${webhookId}/dead-letters`);
+        assert.strictEqual(deadLetters.data.count, 1);
+        assert.strictEqual(deadLetters.data.deadLetters[0].id, event.id);
+        assert.strictEqual(deadLetters.data.deadLetters[0].lastStatusCode, 401);
+
+        // Dead-lettered: worker không gửi nữa
+        await sleep(RETRY_BASE_MS * 2 ** MAX_ATTEMPTS);
+        await tick();
+        assert.strictEqual((await receiver.deliveries()).length, before + MAX_ATTEMPTS);
+
+        // Gửi lại từ dead-letter list
+        await axios.post(`${service}/webhooks/${webhookId}/dead-letters/${event.id}/retry`);
+        await tick();
+        assert.strictEqual((await receiver.deliveries()).length, before + MAX_ATTEMPTS + 1);
+
+        const requeued = await getDelivery(service, webhookId, event.id);
+        assert.strictEqual(requeued.status, 'pending');
+        assert.strictEqual(requeued.attempts, 1);
+        const remaining = await axios.get(`${service}/webhooks/${webhookId}/dead-letters`);
+        assert.strictEqual(remaining.data.count, 0);
+
+        return true;
+    } catch (error) {
+        logger.error('Dead Letter Test Failed:', error.message);
+        return false;
+    } finally {
+        if (webhookId) {
+            await axios.delete(`${service}/webhooks/${webhookId}`);
+        }
+    }
+}
+
+async function runWebhookDeliveryTests() {
+    logger.info('Starting webhook delivery tests...');
+
+    await database.initializeDatabase();
+    const receiver = await startReceiver({ WEBHOOK_SECRET: RECEIVER_SECRET, WEBHOOK_FAIL_FIRST: '1' });
+    const app = webhookService.createApp({
+        port: 0,
+        maxAttempts: MAX_ATTEMPTS,
+        retryBaseMs: RETRY_BASE_MS,
+        retryMaxMs: RETRY_BASE_MS * 2 ** MAX_ATTEMPTS
+    });
+    const server = app.listen(0, HOST);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    const context = {
+        service: `http://${HOST}:${server.address().port}`,
+        tick: app.locals.deliveryTick,
+        receiver
+    };
+
+    try {
+        const results = {
+            signedDeliveryWithRetry: await testSignedDeliveryWithRetry(context),
+            deadLetter: await testDeadLetter(context)
+        };
+
+        logger.info('Test Results:', results);
+
+        const allPassed = Object.values(results).every(result => result === true);
+        logger.info('All tests passed:', allPassed);
+
+        return allPassed;
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(() => resolve()));
+        await receiver.stop();
+        await database.closeConnection();
+    }
+}
+
+if (require.main === module) {
+    runWebhookDeliveryTests()
+        .then(success => process.exit(success ? 0 : 1))
+        .catch(error => {
+            logger.error('Error running webhook delivery tests:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    testSignedDeliveryWithRetry,
+    testDeadLetter,
+    runWebhookDeliveryTests
+};